@@ -0,0 +1,108 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../utils/renderService', () => ({
+  renderService: {
+    render: jest.fn(),
+    resolveRequest: jest.fn(),
+    formatManager: { checkBackendHealth: jest.fn() }
+  }
+}));
+
+const { renderService } = require('../utils/renderService');
+const { cacheManager } = require('../utils/cache');
+
+const entryKey = `diagram:plantuml:png:${'a'.repeat(64)}`;
+
+const buildApp = (user = { id: 1, metadata: { role: 'admin' } }) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  app.use('/api/admin', require('../routes/admin'));
+  app.use((err, req, res, _next) => {
+    res.status(err.status || 500).json({ error: { type: err.type, message: err.message } });
+  });
+  return app;
+};
+
+describe('Cache administration API', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('inspects an entry by key or by the request that would use it', async () => {
+    const inspect = jest.spyOn(cacheManager, 'inspectEntry').mockResolvedValue({ key: entryKey, hits: 4 });
+    renderService.resolveRequest.mockReturnValue({ cacheKey: entryKey });
+
+    const byKey = await request(buildApp()).get(`/api/admin/cache/entries/${entryKey}`);
+    const bySource = await request(buildApp())
+      .post('/api/admin/cache/lookup')
+      .send({ uml: 'A -> B', diagramType: 'plantuml', format: 'png', theme: 'dark' });
+
+    expect(byKey.status).toBe(200);
+    expect(bySource.body).toEqual({ key: entryKey, hits: 4 });
+    expect(renderService.resolveRequest).toHaveBeenCalledWith('A -> B', { diagramType: 'plantuml', format: 'png', theme: 'dark' });
+    expect(inspect).toHaveBeenCalledTimes(2);
+  });
+
+  it('reports missing entries and malformed keys', async () => {
+    jest.spyOn(cacheManager, 'inspectEntry').mockResolvedValue(null);
+
+    const missing = await request(buildApp()).get(`/api/admin/cache/entries/${entryKey}`);
+    const malformed = await request(buildApp()).get('/api/admin/cache/entries/diagram:abc');
+
+    expect(missing.status).toBe(404);
+    expect(missing.body.error.type).toBe('CACHE_ENTRY_NOT_FOUND');
+    expect(malformed.status).toBe(400);
+  });
+
+  it('purges by diagram type and format through a glob', async () => {
+    const purge = jest.spyOn(cacheManager, 'purge').mockResolvedValue({ pattern: 'x', memory: 1, redis: 3 });
+
+    const byType = await request(buildApp()).post('/api/admin/cache/purge').send({ diagramType: 'mermaid' });
+    await request(buildApp()).post('/api/admin/cache/purge').send({ diagramType: 'plantuml', format: 'svg' });
+    await request(buildApp()).post('/api/admin/cache/purge').send({ pattern: 'diagram:*:pdf:*' });
+    await request(buildApp()).delete(`/api/admin/cache/entries/${entryKey}`);
+
+    expect(byType.status).toBe(200);
+    expect(purge.mock.calls.map(([pattern]) => pattern)).toEqual([
+      'diagram:mermaid:*:*',
+      'diagram:plantuml:svg:*',
+      'diagram:*:pdf:*',
+      entryKey
+    ]);
+  });
+
+  it('only purges diagram keys and needs exactly one selector', async () => {
+    const purge = jest.spyOn(cacheManager, 'purge');
+
+    const everything = await request(buildApp()).post('/api/admin/cache/purge').send({ pattern: '*' });
+    const nothing = await request(buildApp()).post('/api/admin/cache/purge').send({});
+    const both = await request(buildApp()).post('/api/admin/cache/purge').send({ key: entryKey, diagramType: 'd2' });
+
+    expect([everything.status, nothing.status, both.status]).toEqual([400, 400, 400]);
+    expect(purge).not.toHaveBeenCalled();
+  });
+
+  it('lists top entries and per-type statistics', async () => {
+    jest.spyOn(cacheManager, 'topEntries').mockResolvedValue([{ key: entryKey, hits: 9 }]);
+    jest.spyOn(cacheManager, 'getTypeStats').mockResolvedValue({ plantuml: { hits: 9, misses: 1, hitRatio: 90 } });
+
+    const top = await request(buildApp()).get('/api/admin/cache/top?by=hits&limit=5');
+    const stats = await request(buildApp()).get('/api/admin/cache/stats');
+
+    expect(top.body).toEqual({ by: 'hits', source: 'memory', entries: [{ key: entryKey, hits: 9 }] });
+    expect(cacheManager.topEntries).toHaveBeenCalledWith('hits', 5);
+    expect(stats.body.types.plantuml.hitRatio).toBe(90);
+    expect(stats.body.tiers).toBeDefined();
+  });
+
+  it('is limited to administrators', async () => {
+    const response = await request(buildApp({ id: 2, metadata: {} })).get('/api/admin/cache/stats');
+
+    expect(response.status).toBe(403);
+  });
+});
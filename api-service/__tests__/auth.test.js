@@ -0,0 +1,155 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../utils/database', () => ({
+  databaseManager: {
+    isConnected: true,
+    getUserByApiKey: jest.fn()
+  }
+}));
+
+const { databaseManager } = require('../utils/database');
+const { authenticate, clearUserCache } = require('../middleware/auth');
+const { createRateLimit } = require('../middleware/security');
+
+const buildApp = (mode) => {
+  const app = express();
+  app.get('/whoami', authenticate({ mode }), (req, res) => {
+    res.json({ user: req.user });
+  });
+  return app;
+};
+
+describe('API key authentication', () => {
+  beforeEach(() => {
+    clearUserCache();
+    databaseManager.isConnected = true;
+    databaseManager.getUserByApiKey.mockReset();
+  });
+
+  it('lets anonymous callers through in anonymous mode', async () => {
+    const response = await request(buildApp('anonymous')).get('/whoami');
+
+    expect(response.status).toBe(200);
+    expect(response.body.user).toBeNull();
+    expect(databaseManager.getUserByApiKey).not.toHaveBeenCalled();
+  });
+
+  it('rejects anonymous callers in required mode', async () => {
+    const response = await request(buildApp('required')).get('/whoami');
+
+    expect(response.status).toBe(401);
+    expect(response.body.error.type).toBe('AUTHENTICATION_REQUIRED');
+  });
+
+  it('resolves a valid key into req.user with its rate limit override', async () => {
+    databaseManager.getUserByApiKey.mockResolvedValue({
+      id: 7,
+      username: 'platform-team',
+      email: 'platform@example.com',
+      rate_limit_override: 500,
+      metadata: {}
+    });
+
+    const response = await request(buildApp('required'))
+      .get('/whoami')
+      .set('X-API-Key', 'secret-key');
+
+    expect(response.status).toBe(200);
+    expect(response.body.user).toMatchObject({ id: 7, username: 'platform-team', rateLimitOverride: 500 });
+    expect(databaseManager.getUserByApiKey).toHaveBeenCalledWith('secret-key');
+  });
+
+  it('rejects an unknown key even in anonymous mode', async () => {
+    databaseManager.getUserByApiKey.mockResolvedValue(null);
+
+    const response = await request(buildApp('anonymous'))
+      .get('/whoami')
+      .set('Authorization', 'ApiKey wrong-key');
+
+    expect(response.status).toBe(401);
+    expect(response.body.error.type).toBe('INVALID_API_KEY');
+  });
+
+  it('caches resolved keys between requests', async () => {
+    databaseManager.getUserByApiKey.mockResolvedValue({ id: 1, username: 'docs' });
+    const app = buildApp('anonymous');
+
+    await request(app).get('/whoami').set('X-API-Key', 'cached-key');
+    await request(app).get('/whoami').set('X-API-Key', 'cached-key');
+
+    expect(databaseManager.getUserByApiKey).toHaveBeenCalledTimes(1);
+  });
+
+  it('returns 503 in required mode when the user database is down', async () => {
+    databaseManager.isConnected = false;
+
+    const response = await request(buildApp('required'))
+      .get('/whoami')
+      .set('X-API-Key', 'secret-key');
+
+    expect(response.status).toBe(503);
+    expect(response.body.error.type).toBe('AUTHENTICATION_UNAVAILABLE');
+  });
+});
+
+describe('Per-key rate limits', () => {
+  const users = {
+    'key-a': { id: 1, username: 'a', rate_limit_override: 4, metadata: {} },
+    'key-b': { id: 2, username: 'b', rate_limit_override: null, metadata: {} }
+  };
+
+  // Mounted like server-enhanced: keys are resolved before the limiter runs
+  const buildLimitedApp = () => {
+    const app = express();
+    app.use(authenticate({ mode: 'identify' }));
+    app.use(createRateLimit(60 * 1000, 2, 'Too many requests'));
+    app.get('/ping', (req, res) => res.json({ user: req.user && req.user.id }));
+    return app;
+  };
+
+  const statuses = async (app, count, apiKey) => {
+    const results = [];
+    for (let i = 0; i < count; i++) {
+      const call = request(app).get('/ping');
+      results.push((await (apiKey ? call.set('X-API-Key', apiKey) : call)).status);
+    }
+    return results;
+  };
+
+  beforeEach(() => {
+    clearUserCache();
+    databaseManager.isConnected = true;
+    databaseManager.getUserByApiKey.mockReset();
+    databaseManager.getUserByApiKey.mockImplementation(async (apiKey) => users[apiKey] || null);
+  });
+
+  it('applies a key\'s rate_limit_override instead of the per-IP limit', async () => {
+    const app = buildLimitedApp();
+
+    expect(await statuses(app, 5, 'key-a')).toEqual([200, 200, 200, 200, 429]);
+  });
+
+  it('scales the per-minute override to each limiter\'s window', async () => {
+    const app = express();
+    app.use(authenticate({ mode: 'identify' }));
+    app.use(createRateLimit(2 * 60 * 1000, 2, 'Too many requests'));
+    app.get('/ping', (req, res) => res.json({ user: req.user && req.user.id }));
+
+    expect(await statuses(app, 9, 'key-a')).toEqual([200, 200, 200, 200, 200, 200, 200, 200, 429]);
+  });
+
+  it('counts each key separately from the IP and from other keys', async () => {
+    const app = buildLimitedApp();
+
+    expect(await statuses(app, 3)).toEqual([200, 200, 429]);
+    expect(await statuses(app, 3, 'key-b')).toEqual([200, 200, 429]);
+    expect(await statuses(app, 4, 'key-a')).toEqual([200, 200, 200, 200]);
+  });
+
+  it('counts invalid keys against the IP without rejecting them', async () => {
+    const app = buildLimitedApp();
+
+    expect(await statuses(app, 3, 'unknown')).toEqual([200, 200, 429]);
+  });
+});
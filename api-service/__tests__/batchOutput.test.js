@@ -0,0 +1,55 @@
+const express = require('express');
+const request = require('supertest');
+const { createBatchWriter } = require('../utils/batchOutput');
+
+const manifest = {
+  summary: { total: 1, successful: 1, failed: 0 },
+  results: [{ index: 0, name: 'login', success: true, files: [{ format: 'svg', path: 'login.svg', size: 6 }] }]
+};
+
+const buildApp = (output) => {
+  const app = express();
+  app.get('/batch', async (req, res) => {
+    const writer = createBatchWriter(output, res);
+    writer.start();
+    writer.addFile({ index: 0, path: 'login.svg', mimeType: 'image/svg+xml', data: Buffer.from('<svg/>') });
+    await writer.finish(manifest);
+  });
+  return app;
+};
+
+const binaryParser = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('Batch output writers', () => {
+  it('streams multipart/mixed parts followed by the manifest', async () => {
+    const response = await request(buildApp('multipart')).get('/batch').buffer(true).parse(binaryParser);
+    const boundary = response.headers['content-type'].match(/boundary=(.+)$/)[1];
+    const parts = response.body.toString().split(`--${boundary}`);
+
+    expect(response.headers['content-type']).toMatch(/^multipart\/mixed/);
+    expect(parts[1]).toContain('filename="login.svg"');
+    expect(parts[1]).toContain('\r\n\r\n<svg/>\r\n');
+    expect(parts[2]).toContain('Content-Type: application/json');
+    expect(parts[3]).toBe('--\r\n');
+  });
+
+  it('streams a zip archive containing the files and manifest.json', async () => {
+    const response = await request(buildApp('zip')).get('/batch').buffer(true).parse(binaryParser);
+
+    expect(response.headers['content-type']).toBe('application/zip');
+    expect(response.body.subarray(0, 2).toString()).toBe('PK');
+    expect(response.body.includes('login.svg')).toBe(true);
+    expect(response.body.includes('manifest.json')).toBe(true);
+  });
+
+  it('returns base64 payloads inline for json output', async () => {
+    const response = await request(buildApp('json')).get('/batch');
+
+    expect(response.body.summary.total).toBe(1);
+    expect(Buffer.from(response.body.results[0].files[0].data, 'base64').toString()).toBe('<svg/>');
+  });
+});
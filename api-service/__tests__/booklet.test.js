@@ -0,0 +1,195 @@
+const express = require('express');
+const request = require('supertest');
+const { PDFDocument } = require('pdf-lib');
+
+jest.mock('../utils/database', () => ({
+  databaseManager: {
+    isConnected: true,
+    getSavedDiagram: jest.fn(),
+    getDiagramRevision: jest.fn()
+  }
+}));
+
+jest.mock('../utils/renderService', () => ({
+  validateDiagramSource: jest.fn(() => true),
+  renderService: {
+    render: jest.fn(),
+    formatManager: {
+      diagramTypes: { plantuml: ['png', 'svg', 'pdf'], ditaa: ['png', 'svg'] },
+      isFormatSupported(diagramType, format) {
+        return (this.diagramTypes[diagramType] || []).includes(format);
+      }
+    }
+  }
+}));
+
+const { databaseManager } = require('../utils/database');
+const { renderService, validateDiagramSource } = require('../utils/renderService');
+const { buildBooklet } = require('../utils/pdfBooklet');
+
+// 1x1 transparent PNG
+const png = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=',
+  'base64'
+);
+
+const diagramPdf = async (pages = 1) => {
+  const doc = await PDFDocument.create();
+  for (let i = 0; i < pages; i++) {
+    doc.addPage([300, 200]).drawRectangle({ x: 10, y: 10, width: 100, height: 50 });
+  }
+  return Buffer.from(await doc.save());
+};
+
+const buildApp = (user = { id: 3 }) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  app.use('/api/v2/documents', require('../routes/documents'));
+  app.use((err, req, res, _next) => {
+    res.status(err.status || 500).json({ error: { type: err.type, message: err.message } });
+  });
+  return app;
+};
+
+const binaryParser = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('PDF booklets', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('lays out cover, contents and one page per diagram page', async () => {
+    const booklet = await buildBooklet([
+      { title: 'Context', caption: 'System context', image: { data: await diagramPdf(2), format: 'pdf' } },
+      { title: 'Legacy “ditaa” sketch', image: { data: png, format: 'png' } }
+    ], { title: 'Architecture review', pageSize: 'A4', orientation: 'landscape' });
+
+    const doc = await PDFDocument.load(booklet);
+    const { width, height } = doc.getPage(0).getSize();
+
+    expect(doc.getPageCount()).toBe(5);
+    expect(doc.getTitle()).toBe('Architecture review');
+    expect(width).toBeGreaterThan(height);
+  });
+
+  it('omits the cover and contents when disabled', async () => {
+    const booklet = await buildBooklet([{ image: { data: png, format: 'png' } }], { cover: false, toc: false });
+
+    expect((await PDFDocument.load(booklet)).getPageCount()).toBe(1);
+  });
+
+  it('renders sources and saved diagrams in order', async () => {
+    const pdf = await diagramPdf();
+    renderService.render.mockImplementation(async (uml, { format }) => ({ data: format === 'pdf' ? pdf : png }));
+    databaseManager.getSavedDiagram.mockResolvedValue({
+      id: 7,
+      title: 'Checkout flow',
+      description: 'Saved caption',
+      diagram_type: 'plantuml',
+      uml_content: 'Alice -> Bob'
+    });
+
+    const response = await request(buildApp())
+      .post('/api/v2/documents/booklet')
+      .send({
+        title: 'Review pack',
+        toc: false,
+        diagrams: [{ uml: '+--+', diagramType: 'ditaa', title: 'Sketch' }, { id: 7 }]
+      })
+      .buffer(true)
+      .parse(binaryParser);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('application/pdf');
+    expect(response.headers['x-diagram-count']).toBe('2');
+    expect(renderService.render.mock.calls.map(([uml, options]) => [uml, options.format])).toEqual([
+      ['+--+', 'png'],
+      ['Alice -> Bob', 'pdf']
+    ]);
+    expect(databaseManager.getSavedDiagram).toHaveBeenCalledWith(7, 3);
+    expect((await PDFDocument.load(response.body)).getPageCount()).toBe(3);
+  });
+
+  it('requires an API key for saved diagrams', async () => {
+    const response = await request(buildApp(null))
+      .post('/api/v2/documents/booklet')
+      .send({ diagrams: [{ id: 7 }] });
+
+    expect(response.status).toBe(401);
+    expect(response.body.error.type).toBe('AUTHENTICATION_REQUIRED');
+  });
+
+  it('reports which diagram failed to render', async () => {
+    const error = new Error('Syntax Error?');
+    error.clientError = true;
+    error.diagnostics = [{ line: 1, column: null, message: 'Syntax Error?', excerpt: [] }];
+    renderService.render.mockResolvedValueOnce({ data: await diagramPdf() }).mockRejectedValueOnce(error);
+
+    const response = await request(buildApp())
+      .post('/api/v2/documents/booklet')
+      .send({ diagrams: [{ uml: 'A -> B' }, { uml: 'A -> -> B' }] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatchObject({ type: 'INVALID_UML', index: 1, message: 'Diagram 2: Invalid diagram syntax: Syntax Error?' });
+  });
+
+  it('rejects items without a source or id', async () => {
+    const response = await request(buildApp())
+      .post('/api/v2/documents/booklet')
+      .send({ diagrams: [{ title: 'Empty' }] });
+
+    expect(response.status).toBe(400);
+  });
+});
+
+describe('Document rendering route', () => {
+  const documentOf = count => Array.from({ length: count }, (_, i) => `\`\`\`plantuml\nA -> B${i}\n\`\`\``).join('\n\n');
+
+  beforeEach(() => {
+    renderService.render.mockReset();
+    renderService.render.mockResolvedValue({ data: Buffer.from('<svg></svg>'), mimeType: 'image/svg+xml', cacheStatus: 'MISS' });
+  });
+
+  it('rejects the document when a block fails the source checks', async () => {
+    validateDiagramSource.mockImplementation((value) => {
+      if (value.includes('!includeurl')) {
+        throw new Error('UML code contains potentially dangerous patterns');
+      }
+      return true;
+    });
+
+    const response = await request(buildApp())
+      .post('/api/v2/documents/render')
+      .send({ document: '# Doc\n\n```plantuml\nA -> B\n```\n\n```plantuml\n!includeurl http://x\n```' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatchObject({ type: 'INVALID_DIAGRAM_SOURCE', index: 1, line: 7 });
+    expect(renderService.render).not.toHaveBeenCalled();
+    validateDiagramSource.mockImplementation(() => true);
+  });
+
+  it('renders inline SVG without embedding the source', async () => {
+    const response = await request(buildApp()).post('/api/v2/documents/render').send({ document: documentOf(1) });
+
+    expect(response.status).toBe(200);
+    expect(renderService.render).toHaveBeenCalledWith('A -> B0', expect.objectContaining({ format: 'svg', embed: false }));
+  });
+
+  it('counts every block against the generate rate limit', async () => {
+    const app = buildApp(null);
+
+    expect((await request(app).post('/api/v2/documents/render').send({ document: documentOf(6) })).status).toBe(200);
+    const limited = await request(app).post('/api/v2/documents/render').send({ document: documentOf(6) });
+
+    expect(limited.status).toBe(429);
+    expect(renderService.render).toHaveBeenCalledTimes(6);
+  });
+});
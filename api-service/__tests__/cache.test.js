@@ -0,0 +1,308 @@
+const { CacheManager, parseCacheKey } = require('../utils/cache');
+const { MemoryCache, globToRegExp } = require('../utils/memoryCache');
+
+// Minimal stand-in for the node-redis client calls the cache makes
+const fakeRedis = () => {
+  const store = new Map();
+  const sortedSets = new Map();
+  const zset = (name) => sortedSets.get(name) || sortedSets.set(name, new Map()).get(name);
+  const byScore = (name) => [...zset(name)].map(([value, score]) => ({ value, score })).sort((a, b) => a.score - b.score);
+
+  return {
+    store,
+    sortedSets,
+    get: jest.fn(async (key) => (store.has(key) ? store.get(key).value : null)),
+    pTTL: jest.fn(async (key) => (store.has(key) ? store.get(key).ttl * 1000 : -2)),
+    setEx: jest.fn(async (key, ttl, value) => store.set(key, { ttl, value })),
+    keys: jest.fn(async (pattern) => [...store.keys()].filter(key => globToRegExp(pattern).test(key))),
+    del: jest.fn(async (keys) => keys.forEach(key => store.delete(key))),
+    exists: jest.fn(async (key) => (store.has(key) ? 1 : 0)),
+    publish: jest.fn(async () => 0),
+    zAdd: jest.fn(async (name, { score, value }) => zset(name).set(value, score)),
+    zIncrBy: jest.fn(async (name, by, value) => zset(name).set(value, (zset(name).get(value) || 0) + by)),
+    zScore: jest.fn(async (name, value) => (zset(name).has(value) ? zset(name).get(value) : null)),
+    zRem: jest.fn(async (name, values) => values.forEach(value => zset(name).delete(value))),
+    zRangeByScore: jest.fn(async (name, min, max) => byScore(name).filter(({ score }) => score >= min && score <= max).map(({ value }) => value)),
+    zRangeWithScores: jest.fn(async (name, start, stop, { REV } = {}) => {
+      const ranked = REV ? byScore(name).reverse() : byScore(name);
+      return ranked.slice(start, stop === -1 ? undefined : stop + 1);
+    })
+  };
+};
+
+const key = (diagramType, format, digit) => `diagram:${diagramType}:${format}:${digit.repeat(64)}`;
+
+const connectedCache = (memoryOptions = {}, { graceSeconds = 0 } = {}) => {
+  const cache = new CacheManager({ memory: new MemoryCache({ maxBytes: 1024 * 1024, ...memoryOptions }), graceSeconds });
+  cache.client = fakeRedis();
+  cache.isConnected = true;
+  return cache;
+};
+
+describe('MemoryCache', () => {
+  it('evicts least recently used entries to stay within its byte limit', () => {
+    const evicted = [];
+    const memory = new MemoryCache({ maxBytes: 300, maxEntryBytes: 300, onEvict: key => evicted.push(key) });
+
+    memory.set('a', Buffer.alloc(100));
+    memory.set('b', Buffer.alloc(100));
+    expect(memory.get('a')).not.toBeNull();
+    memory.set('c', Buffer.alloc(100));
+
+    expect(evicted).toEqual(['b']);
+    expect(memory.get('b')).toBeNull();
+    expect(memory.getStats()).toMatchObject({ entries: 2, evictions: 1, hits: 1, misses: 1 });
+    expect(memory.getStats().bytes).toBeLessThanOrEqual(300);
+  });
+
+  it('skips entries over the per-entry limit and expires by TTL', () => {
+    const memory = new MemoryCache({ maxBytes: 1000, maxEntryBytes: 200 });
+
+    expect(memory.set('large', Buffer.alloc(500))).toBe(false);
+    expect(memory.set('small', Buffer.alloc(10), {}, 0)).toBe(false);
+
+    jest.useFakeTimers();
+    try {
+      memory.set('short', Buffer.from('x'), {}, 1);
+      jest.advanceTimersByTime(1001);
+      expect(memory.get('short')).toBeNull();
+      expect(memory.getStats().bytes).toBe(0);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('invalidates keys matching a Redis-style glob', () => {
+    const memory = new MemoryCache({ maxBytes: 1000 });
+    memory.set('diagram:abc', Buffer.from('1'));
+    memory.set('diagram:abd', Buffer.from('2'));
+    memory.set('validation:abc', Buffer.from('3'));
+
+    expect(memory.invalidatePattern('diagram:ab?')).toBe(2);
+    expect(memory.getStats().entries).toBe(1);
+  });
+});
+
+describe('Two-tier CacheManager', () => {
+  it('writes through to both tiers and reads from memory first', async () => {
+    const cache = connectedCache();
+    await cache.cacheDiagram('diagram:1', Buffer.from('<svg/>'), { format: 'svg' }, 600);
+
+    expect(cache.client.setEx).toHaveBeenCalledWith('diagram:1', 600, expect.any(String));
+
+    const cached = await cache.getCachedDiagram('diagram:1');
+    expect(cached.tier).toBe('memory');
+    expect(cached.data.toString()).toBe('<svg/>');
+    expect(cache.client.get).not.toHaveBeenCalled();
+  });
+
+  it('copies Redis hits into memory with the remaining TTL', async () => {
+    const cache = connectedCache();
+    await cache.cacheDiagram('diagram:2', Buffer.from('png'), {}, 600);
+    cache.memory.clear();
+    cache.client.store.get('diagram:2').ttl = 120;
+
+    expect((await cache.getCachedDiagram('diagram:2')).tier).toBe('redis');
+    expect((await cache.getCachedDiagram('diagram:2')).tier).toBe('memory');
+    expect(cache.memory.entries.get('diagram:2').expiresAt).toBeLessThanOrEqual(Date.now() + 120 * 1000);
+
+    const stats = cache.getCacheStats();
+    expect(stats).toMatchObject({ hits: 2, misses: 0 });
+    expect(stats.tiers.memory).toMatchObject({ hits: 1, misses: 1 });
+    expect(stats.tiers.redis).toMatchObject({ hits: 1, misses: 0, hitRatio: 100 });
+  });
+
+  it('keeps serving from memory while Redis is down', async () => {
+    const cache = connectedCache();
+    await cache.cacheDiagram('diagram:3', Buffer.from('svg'), {}, 600);
+    cache.isConnected = false;
+
+    expect((await cache.getCachedDiagram('diagram:3')).data.toString()).toBe('svg');
+    expect(await cache.getCachedDiagram('diagram:missing')).toBeNull();
+    expect(await cache.cacheDiagram('diagram:4', Buffer.from('new'), {}, 600)).toBe(true);
+    expect((await cache.getCachedDiagram('diagram:4')).tier).toBe('memory');
+    expect(cache.client.get).not.toHaveBeenCalled();
+
+    expect(cache.getCacheStats()).toMatchObject({ hits: 2, misses: 1, isConnected: false });
+  });
+
+  it('counts Redis errors and falls back to a miss', async () => {
+    const cache = connectedCache();
+    cache.client.get.mockRejectedValueOnce(new Error('connection reset'));
+
+    expect(await cache.getCachedDiagram('diagram:5')).toBeNull();
+    expect(cache.getCacheStats().tiers.redis.errors).toBe(1);
+  });
+
+  it('invalidates both tiers', async () => {
+    const cache = connectedCache();
+    await cache.cacheDiagram('diagram:6', Buffer.from('a'), {}, 600);
+    await cache.invalidatePattern('diagram:*');
+
+    expect(cache.memory.getStats().entries).toBe(0);
+    expect(cache.client.store.size).toBe(0);
+  });
+});
+
+describe('Cache grace period', () => {
+  const start = Date.now();
+  let now;
+
+  beforeEach(() => {
+    now = start;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('keeps expired memory entries for stale reads only', () => {
+    const memory = new MemoryCache({ maxBytes: 1000 });
+    memory.set('diagram:a', Buffer.from('a'), {}, 60, 120);
+
+    now += 61 * 1000;
+    expect(memory.get('diagram:a')).toBeNull();
+    expect(memory.get('diagram:a', { allowStale: true })).toMatchObject({ stale: true });
+    expect(memory.getStats()).toMatchObject({ hits: 0, stale: 1, misses: 1, entries: 1 });
+
+    now += 120 * 1000;
+    expect(memory.get('diagram:a', { allowStale: true })).toBeNull();
+    expect(memory.getStats().entries).toBe(0);
+  });
+
+  it('stores entries in Redis for their TTL plus the grace period', async () => {
+    const cache = connectedCache({}, { graceSeconds: 300 });
+    await cache.cacheDiagram('diagram:1', Buffer.from('svg'), {}, 600);
+
+    expect(cache.client.setEx).toHaveBeenCalledWith('diagram:1', 900, expect.any(String));
+    expect(cache.memory.peek('diagram:1').expiresAt).toBe(start + 900 * 1000);
+
+    now += 601 * 1000;
+    cache.memory.clear();
+    expect(await cache.getCachedDiagram('diagram:1')).toBeNull();
+
+    const stale = await cache.getCachedDiagram('diagram:1', { allowStale: true });
+    expect(stale).toMatchObject({ tier: 'redis', stale: true });
+    expect(stale.data.toString()).toBe('svg');
+    // Copied into memory as stale, not as a fresh entry
+    expect(await cache.getCachedDiagram('diagram:1')).toBeNull();
+    expect(cache.getCacheStats()).toMatchObject({ hits: 0, misses: 3, stale: 1 });
+    expect(await cache.inspectEntry('diagram:1')).toMatchObject({ stale: true });
+  });
+
+  it('prefers a fresh Redis copy over a stale one in memory', async () => {
+    const cache = connectedCache({}, { graceSeconds: 300 });
+    await cache.cacheDiagram('diagram:2', Buffer.from('old'), {}, 60);
+    now += 61 * 1000;
+    // Refreshed by another instance
+    cache.client.store.set('diagram:2', {
+      ttl: 360,
+      value: JSON.stringify({ data: Buffer.from('new').toString('base64'), metadata: { staleAt: new Date(now + 60000).toISOString() } })
+    });
+
+    const cached = await cache.getCachedDiagram('diagram:2', { allowStale: true });
+
+    expect(cached).toMatchObject({ tier: 'redis', stale: false });
+    expect(cached.data.toString()).toBe('new');
+  });
+
+  it('counts stale hits after the stats are reset', async () => {
+    const cache = connectedCache({}, { graceSeconds: 300 });
+    await cache.cacheDiagram('diagram:3', Buffer.from('svg'), {}, 60);
+    cache.resetStats();
+    now += 61 * 1000;
+
+    await cache.getCachedDiagram('diagram:3', { allowStale: true });
+
+    expect(cache.getCacheStats()).toMatchObject({ hits: 0, stale: 1 });
+  });
+});
+
+describe('Cache administration', () => {
+  it('names the diagram type and format in cache keys', () => {
+    const cache = new CacheManager();
+    const cacheKey = cache.generateCacheKey('A -> B', 'svg', { diagramType: 'plantuml' });
+
+    expect(parseCacheKey(cacheKey)).toEqual({ diagramType: 'plantuml', format: 'svg', hash: expect.stringMatching(/^[a-f0-9]{64}$/) });
+    expect(cache.generateCacheKey('A -> B', 'svg', { diagramType: 'plantuml' })).toBe(cacheKey);
+    expect(parseCacheKey('validation:abc')).toBeNull();
+  });
+
+  it('purges by glob from both tiers and the index and tells other instances', async () => {
+    const cache = connectedCache();
+    await cache.cacheDiagram(key('mermaid', 'svg', 'a'), Buffer.from('1'), {}, 600);
+    await cache.cacheDiagram(key('mermaid', 'png', 'b'), Buffer.from('2'), {}, 600);
+    await cache.cacheDiagram(key('plantuml', 'svg', 'c'), Buffer.from('3'), {}, 600);
+
+    const result = await cache.purge('diagram:mermaid:*');
+
+    expect(result).toEqual({ pattern: 'diagram:mermaid:*', memory: 2, redis: 2 });
+    expect([...cache.client.store.keys()]).toEqual([key('plantuml', 'svg', 'c')]);
+    expect([...cache.client.sortedSets.get('cache-index:bytes').keys()]).toEqual([key('plantuml', 'svg', 'c')]);
+    expect(cache.client.publish).toHaveBeenCalledWith('cache:invalidate', 'diagram:mermaid:*');
+  });
+
+  it('inspects an entry without counting a lookup', async () => {
+    const cache = connectedCache();
+    const cacheKey = key('graphviz', 'svg', 'd');
+    await cache.cacheDiagram(cacheKey, Buffer.from('<svg/>'), { format: 'svg', renderer: 'graphviz' }, 600);
+    await cache.getCachedDiagram(cacheKey);
+
+    const entry = await cache.inspectEntry(cacheKey);
+
+    expect(entry).toMatchObject({
+      key: cacheKey,
+      diagramType: 'graphviz',
+      format: 'svg',
+      hits: 1,
+      metadata: { renderer: 'graphviz', size: 6 },
+      tiers: { memory: { hits: 1 }, redis: { ttl: 600 } }
+    });
+    expect(cache.getCacheStats().hits).toBe(1);
+    expect(await cache.inspectEntry(key('graphviz', 'svg', 'e'))).toBeNull();
+  });
+
+  it('lists the largest and hottest entries, skipping expired ones', async () => {
+    const cache = connectedCache();
+    await cache.cacheDiagram(key('plantuml', 'png', '1'), Buffer.alloc(300), {}, 600);
+    await cache.cacheDiagram(key('plantuml', 'svg', '2'), Buffer.alloc(100), {}, 600);
+    await cache.cacheDiagram(key('d2', 'svg', '3'), Buffer.alloc(200), {}, 600);
+    await cache.getCachedDiagram(key('plantuml', 'svg', '2'));
+    await cache.getCachedDiagram(key('plantuml', 'svg', '2'));
+    await cache.getCachedDiagram(key('d2', 'svg', '3'));
+
+    // Expired in Redis and already due in the expiry index
+    cache.client.store.delete(key('plantuml', 'png', '1'));
+    cache.client.sortedSets.get('cache-index:expires').set(key('plantuml', 'png', '1'), Date.now() - 1);
+
+    expect((await cache.topEntries('bytes', 5)).map(entry => [entry.key, entry.bytes])).toEqual([
+      [key('d2', 'svg', '3'), 200],
+      [key('plantuml', 'svg', '2'), 100]
+    ]);
+    expect((await cache.topEntries('hits', 1))[0]).toEqual({
+      key: key('plantuml', 'svg', '2'),
+      diagramType: 'plantuml',
+      format: 'svg',
+      hash: '2'.repeat(64),
+      hits: 2
+    });
+  });
+
+  it('reports hit rates and stored bytes per diagram type', async () => {
+    const cache = connectedCache();
+    await cache.cacheDiagram(key('mermaid', 'svg', 'f'), Buffer.alloc(50), {}, 600);
+    await cache.getCachedDiagram(key('mermaid', 'svg', 'f'));
+    await cache.getCachedDiagram(key('mermaid', 'png', 'f'));
+
+    const types = await cache.getTypeStats();
+
+    expect(types.mermaid).toMatchObject({
+      hits: 1,
+      misses: 1,
+      hitRatio: 50,
+      redis: { entries: 1, bytes: 50 }
+    });
+    expect(types.mermaid.memory.entries).toBe(1);
+  });
+});
@@ -0,0 +1,245 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../utils/database', () => ({
+  databaseManager: {
+    isConnected: true,
+    getPopularDiagrams: jest.fn(),
+    storeDiagram: jest.fn()
+  }
+}));
+
+jest.mock('../utils/renderService', () => ({
+  renderService: {
+    render: jest.fn(),
+    formatManager: { checkBackendHealth: jest.fn() }
+  }
+}));
+
+const { databaseManager } = require('../utils/database');
+const { CacheManager } = require('../utils/cache');
+const { MemoryCache } = require('../utils/memoryCache');
+const { CacheWarmer, cacheWarmer, recordServedDiagram } = require('../utils/cacheWarmer');
+const { setRendererVersion, getRendererVersion } = require('../utils/etag');
+
+const popular = [
+  { uml_content: 'A -> B', diagram_type: 'plantuml', format: 'png', metadata: {} },
+  {
+    uml_content: 'digraph { a -> b }',
+    diagram_type: 'graphviz',
+    format: 'svg',
+    metadata: { renderOptions: { diagramType: 'graphviz', format: 'svg', title: 'Flow' } }
+  },
+  { uml_content: 'broken', diagram_type: 'plantuml', format: 'png', metadata: {} }
+];
+
+const buildWarmer = (render) => new CacheWarmer({
+  render,
+  checkRenderers: jest.fn(),
+  cache: new CacheManager({ memory: new MemoryCache({ maxBytes: 1024 }) }),
+  database: databaseManager,
+  limit: 10
+});
+
+const fakeRender = () => jest.fn(async (diagram) => {
+  if (diagram.uml_content === 'broken') {
+    throw new Error('Syntax Error?');
+  }
+  return { cacheStatus: diagram.format === 'png' ? 'HIT' : 'MISS' };
+});
+
+describe('Cache warming', () => {
+  const initialVersion = getRendererVersion();
+
+  beforeEach(() => {
+    databaseManager.isConnected = true;
+    databaseManager.getPopularDiagrams.mockResolvedValue(popular);
+    databaseManager.storeDiagram.mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    setRendererVersion(initialVersion);
+  });
+
+  it('re-renders the most accessed diagrams in their stored formats and options', async () => {
+    const render = fakeRender();
+    const warmer = buildWarmer(render);
+
+    const progress = await warmer.warm({ limit: 3 });
+
+    expect(databaseManager.getPopularDiagrams).toHaveBeenCalledWith(3, 30);
+    expect(render).toHaveBeenCalledWith(popular[1], {
+      diagramType: 'graphviz',
+      format: 'svg',
+      title: 'Flow',
+      refresh: false,
+      embed: false
+    });
+    expect(progress).toMatchObject({
+      status: 'completed',
+      trigger: 'manual',
+      total: 3,
+      warmed: 1,
+      alreadyCached: 1,
+      failed: 1
+    });
+    expect(warmer.getProgress()).toMatchObject({ running: false, run: { status: 'completed' } });
+  });
+
+  it('reports a run in progress and does not start a second one', async () => {
+    let release;
+    const render = jest.fn(() => new Promise(resolve => {
+      release = () => resolve({ cacheStatus: 'MISS' });
+    }));
+    databaseManager.getPopularDiagrams.mockResolvedValue([popular[0]]);
+    const warmer = buildWarmer(render);
+
+    const first = warmer.warm();
+    const second = warmer.warm({ trigger: 'schedule' });
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(second).toBe(first);
+    expect(warmer.getProgress()).toMatchObject({ running: true, run: { status: 'running', total: 1, warmed: 0 } });
+
+    release();
+    await first;
+    expect(render).toHaveBeenCalledTimes(1);
+  });
+
+  it('refreshes cached diagrams when the renderer version changes', async () => {
+    setRendererVersion('kroki-0.25.0');
+    const render = fakeRender();
+    const warmer = buildWarmer(render);
+    await warmer.warm();
+
+    await warmer.checkRendererVersion();
+    expect(render).toHaveBeenCalledTimes(3);
+
+    setRendererVersion('kroki-99.0.0');
+    await warmer.checkRendererVersion();
+
+    expect(warmer.checkRenderers).toHaveBeenCalledTimes(2);
+    expect(warmer.getProgress().run).toMatchObject({ trigger: 'renderer-upgrade', refresh: true, rendererVersion: 'kroki-99.0.0' });
+    expect(render).toHaveBeenLastCalledWith(popular[2], expect.objectContaining({ refresh: true }));
+  });
+
+  it('keeps probing for the version when the renderer is down at startup', async () => {
+    jest.useFakeTimers();
+    const render = fakeRender();
+    const warmer = new CacheWarmer({
+      render,
+      checkRenderers: jest.fn(),
+      cache: new CacheManager({ memory: new MemoryCache({ maxBytes: 1024 }) }),
+      database: databaseManager,
+      intervalMs: 0,
+      versionCheckMs: 0,
+      versionRetryMs: 1000
+    });
+
+    try {
+      warmer.start();
+      await warmer.current.promise;
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(warmer.checkRenderers).toHaveBeenCalledTimes(1);
+      expect(warmer.warmedVersion).toBeNull();
+
+      // First version seen is the baseline, not an upgrade
+      setRendererVersion('kroki-0.25.0');
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(warmer.warmedVersion).toBe('kroki-0.25.0');
+      expect(render).toHaveBeenCalledTimes(3);
+
+      await jest.advanceTimersByTimeAsync(5000);
+      expect(warmer.checkRenderers).toHaveBeenCalledTimes(2);
+
+      setRendererVersion('kroki-99.0.0');
+      await warmer.checkRendererVersion();
+      expect(warmer.getProgress().run).toMatchObject({ trigger: 'renderer-upgrade', refresh: true });
+    } finally {
+      warmer.stop();
+      jest.useRealTimers();
+    }
+  });
+
+  it('records diagrams served by the render routes for warming', () => {
+    const req = { user: null, ip: '10.0.0.1', get: () => 'curl/8' };
+    const result = { cacheKey: 'diagram:plantuml:svg:abc123', data: Buffer.from('<svg/>'), metadata: { duration: 12 } };
+
+    recordServedDiagram(req, {
+      source: 'A -> B',
+      diagramType: 'plantuml',
+      format: 'svg',
+      renderOptions: { diagramType: 'plantuml', format: 'svg', theme: 'dark' },
+      result
+    });
+
+    expect(databaseManager.storeDiagram).toHaveBeenCalledWith(expect.objectContaining({
+      userId: null,
+      diagramHash: 'abc123',
+      umlContent: 'A -> B',
+      cacheKey: 'diagram:plantuml:svg:abc123',
+      metadata: { renderOptions: { diagramType: 'plantuml', format: 'svg', theme: 'dark' } }
+    }));
+  });
+
+  it('fails the run without a database', async () => {
+    databaseManager.isConnected = false;
+
+    await expect(buildWarmer(fakeRender()).warm()).rejects.toThrow('Database is not connected');
+  });
+});
+
+describe('Cache warming admin endpoint', () => {
+  const buildApp = (user) => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = user;
+      next();
+    });
+    app.use('/api/admin', require('../routes/admin'));
+    app.use((err, req, res, _next) => {
+      res.status(err.status || 500).json({ error: { type: err.type, message: err.message } });
+    });
+    return app;
+  };
+  const admin = { id: 1, metadata: { role: 'admin' } };
+
+  beforeEach(() => {
+    databaseManager.isConnected = true;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('is limited to administrators', async () => {
+    const response = await request(buildApp({ id: 2, metadata: {} })).post('/api/admin/cache/warm');
+
+    expect(response.status).toBe(403);
+    expect(response.body.error.type).toBe('FORBIDDEN');
+  });
+
+  it('starts a run and reports its progress', async () => {
+    const warm = jest.spyOn(cacheWarmer, 'warm').mockResolvedValue({});
+
+    const response = await request(buildApp(admin))
+      .post('/api/admin/cache/warm')
+      .send({ limit: 5, refresh: true });
+
+    expect(response.status).toBe(202);
+    expect(response.headers.location).toBe('/api/admin/cache/warm');
+    expect(warm).toHaveBeenCalledWith({ trigger: 'manual', limit: 5, refresh: true });
+    expect(response.body).toMatchObject({ running: false, limit: 50 });
+  });
+
+  it('rejects a second run while one is in progress', async () => {
+    jest.spyOn(cacheWarmer, 'getProgress').mockReturnValue({ running: true, run: { status: 'running' } });
+
+    const response = await request(buildApp(admin)).post('/api/admin/cache/warm');
+
+    expect(response.status).toBe(409);
+    expect(response.body.error.type).toBe('WARMING_IN_PROGRESS');
+    expect(response.body.run.status).toBe('running');
+  });
+});
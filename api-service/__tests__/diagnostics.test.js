@@ -0,0 +1,105 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../utils/formatManager', () => jest.fn().mockImplementation(() => ({
+  generateDiagram: jest.fn(),
+  getFormatConfig: () => ({ mimeType: 'text/plain' })
+})));
+
+// Library for the include resolver singleton that RenderService uses
+const libraryPath = fs.mkdtempSync(path.join(os.tmpdir(), 'diagnostics-library-'));
+fs.mkdirSync(path.join(libraryPath, 'C4'));
+fs.writeFileSync(path.join(libraryPath, 'manifest.json'), JSON.stringify({ version: '1.0.0', libraries: { C4: { version: '2.10.0' } } }));
+fs.writeFileSync(path.join(libraryPath, 'C4', 'C4.puml'), '!procedure C4()\n  skinparam shadowing false\n!endprocedure');
+process.env.INCLUDE_LIBRARY_PATH = libraryPath;
+
+const { buildDiagnostics, syntaxErrorResponse } = require('../utils/diagnostics');
+const { RenderService } = require('../utils/renderService');
+
+describe('Renderer error diagnostics', () => {
+  afterAll(() => {
+    fs.rmSync(libraryPath, { recursive: true, force: true });
+  });
+
+  it('maps PlantUML errors back through the stripped @startuml wrapper', () => {
+    const source = '@startuml\nAlice -> Bob: hi\nAlice -> -> Bob\n@enduml';
+
+    const [diagnostic] = buildDiagnostics('Syntax Error? (Assumed diagram type: sequence) (line: 3)', {
+      source,
+      lineMap: [2, 3],
+      diagramType: 'plantuml'
+    });
+
+    expect(diagnostic.line).toBe(3);
+    expect(diagnostic.message).toBe('Syntax Error? (Assumed diagram type: sequence)');
+    expect(diagnostic.excerpt.find(entry => entry.error)).toEqual({ line: 3, text: 'Alice -> -> Bob', error: true });
+  });
+
+  it('maps lines through the theme prefix and include expansion', async () => {
+    const service = new RenderService('http://kroki.test');
+    const source = '@startuml\n!include <C4/C4>\ntitle Checkout\n\nAlice -> -> Bob\n@enduml';
+    const options = { diagramType: 'plantuml', format: 'txt', theme: 'dark', useCache: false };
+    const preparedLines = service.prepareSource(source, 'plantuml', { theme: 'dark' }).split('\n');
+    // Renderers count the @startuml line they add
+    const reportedLine = text => preparedLines.indexOf(text) + 2;
+    const diagnose = async (line) => {
+      service.formatManager.generateDiagram.mockRejectedValueOnce(Object.assign(
+        new Error('Syntax Error?'),
+        { clientError: true, details: `Syntax Error? (line: ${line})` }
+      ));
+      return (await service.render(source, options).catch(error => error)).diagnostics[0];
+    };
+
+    expect(preparedLines.length).toBeGreaterThan(10);
+    expect(await diagnose(reportedLine('Alice -> -> Bob'))).toMatchObject({
+      line: 5,
+      excerpt: expect.arrayContaining([{ line: 5, text: 'Alice -> -> Bob', error: true }])
+    });
+    expect((await diagnose(reportedLine('  skinparam shadowing false'))).line).toBe(2);
+    expect((await diagnose(reportedLine('title Checkout') - 1)).line).toBe(3);
+  });
+
+  it('reads the PlantUML command line error format', () => {
+    const [diagnostic] = buildDiagnostics('ERROR\n2\nSyntax Error?\n', {
+      source: 'A -> B\nfoo bar',
+      diagramType: 'plantuml'
+    });
+
+    expect(diagnostic).toMatchObject({ line: 1, message: 'Syntax Error?' });
+  });
+
+  it('locates the column of the token Graphviz complains about', () => {
+    const source = 'digraph G {\n  a -> b\n  b -> -> c\n}';
+    const [diagnostic] = buildDiagnostics('Error: <stdin>: syntax error in line 3 near \'->\'', {
+      source,
+      diagramType: 'graphviz'
+    });
+
+    expect(diagnostic).toMatchObject({ line: 3, column: 5, message: 'syntax error near \'->\'' });
+  });
+
+  it('uses the caret position of Mermaid parse errors', () => {
+    const source = 'graph TD\n  A-->B\n  B-->';
+    const error = 'Error: Parse error on line 3:\n...A-->B  B-->\n--------------^\nExpecting \'AMP\', \'ALPHA\', got \'EOF\'';
+
+    const [diagnostic] = buildDiagnostics(error, { source, diagramType: 'mermaid' });
+
+    expect(diagnostic).toMatchObject({ line: 3, column: 7 });
+    expect(diagnostic.message).toBe('Expecting \'AMP\', \'ALPHA\', got \'EOF\'');
+  });
+
+  it('falls back to the first line of unparsed errors', () => {
+    const diagnostics = buildDiagnostics('Unknown failure\nmore detail', { source: 'x', diagramType: 'ditaa' });
+
+    expect(diagnostics).toEqual([{ line: null, column: null, message: 'Unknown failure', excerpt: [] }]);
+  });
+
+  it('builds an INVALID_UML response body', () => {
+    const body = syntaxErrorResponse({ diagnostics: [{ line: 2, column: 1, message: 'Syntax Error?', excerpt: [] }] });
+
+    expect(body.error.type).toBe('INVALID_UML');
+    expect(body.error.message).toBe('Invalid diagram syntax: Syntax Error?');
+    expect(body.error.diagnostics).toHaveLength(1);
+  });
+});
@@ -0,0 +1,86 @@
+const express = require('express');
+const request = require('supertest');
+const { body } = require('express-validator');
+const { handleValidationErrors } = require('../middleware/security');
+const {
+  diagramTypes,
+  formatsFor,
+  supportsFormat,
+  limitsFor,
+  validateSourceLength,
+  getCapabilities
+} = require('../utils/diagramCapabilities');
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json({ limit: '2mb' }));
+  app.post('/generate',
+    body('uml').isString().custom(validateSourceLength),
+    body('requests.*.uml').isString().custom(validateSourceLength),
+    handleValidationErrors,
+    (req, res) => res.json({ ok: true })
+  );
+  return app;
+};
+
+describe('Diagram capabilities registry', () => {
+  it('covers the Kroki diagram types', () => {
+    expect(diagramTypes).toEqual(expect.arrayContaining([
+      'plantuml', 'mermaid', 'graphviz', 'd2', 'structurizr', 'wavedrom', 'vega', 'vegalite',
+      'nomnoml', 'erd', 'svgbob', 'pikchr', 'excalidraw'
+    ]));
+  });
+
+  it('adds converted formats to what the renderer produces', () => {
+    expect(formatsFor('plantuml')).toEqual(['png', 'svg', 'pdf', 'jpeg', 'webp', 'txt', 'utxt', 'tiff', 'eps']);
+    expect(formatsFor('d2')).toEqual(['svg', 'tiff']);
+    expect(formatsFor('ditaa')).toEqual(['png', 'svg', 'jpeg', 'webp', 'tiff']);
+    expect(formatsFor('unknown')).toEqual([]);
+
+    expect(supportsFormat('D2', 'SVG')).toBe(true);
+    expect(supportsFormat('d2', 'png')).toBe(false);
+    expect(supportsFormat('mermaid', 'eps')).toBe(false);
+  });
+
+  it('gives JSON-based types a larger source limit', () => {
+    expect(limitsFor('plantuml')).toEqual({ maxSourceLength: 100000 });
+    expect(limitsFor('vegalite')).toEqual({ maxSourceLength: 500000 });
+    expect(limitsFor('unknown')).toEqual({ maxSourceLength: 100000 });
+  });
+
+  it('checks source length against the type next to it', async () => {
+    const large = 'x'.repeat(150000);
+
+    const plantuml = await request(buildApp()).post('/generate').send({ uml: large });
+    expect(plantuml.status).toBe(400);
+    expect(JSON.stringify(plantuml.body)).toContain('plantuml source must be at most 100,000 characters');
+
+    const vega = await request(buildApp()).post('/generate').send({ uml: large, diagramType: 'vega' });
+    expect(vega.status).toBe(200);
+
+    const batch = await request(buildApp()).post('/generate').send({
+      uml: 'a -> b',
+      requests: [{ uml: large, diagramType: 'excalidraw' }, { uml: large, diagramType: 'd2' }]
+    });
+    expect(batch.status).toBe(400);
+    expect(JSON.stringify(batch.body)).toContain('d2 source must be at most');
+    expect(JSON.stringify(batch.body)).not.toContain('excalidraw source');
+  });
+
+  it('describes every type with formats, limits and an example', () => {
+    const capabilities = getCapabilities();
+
+    expect(capabilities.diagramTypes).toHaveLength(diagramTypes.length);
+    expect(capabilities.diagramTypes.find(type => type.id === 'd2')).toEqual({
+      id: 'd2',
+      name: 'D2',
+      description: expect.any(String),
+      formats: ['svg', 'tiff'],
+      limits: { maxSourceLength: 100000 },
+      example: expect.stringContaining('->')
+    });
+    capabilities.diagramTypes.forEach(type => expect(type.example.length).toBeGreaterThan(0));
+    expect(capabilities.formats).toContainEqual({ id: 'tiff', convertedFrom: 'svg' });
+    expect(capabilities.formats).toContainEqual({ id: 'png' });
+  });
+});
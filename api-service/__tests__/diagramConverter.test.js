@@ -0,0 +1,178 @@
+const { convertDiagram } = require('../utils/diagramConverter');
+
+const plantUMLSequence = [
+  '@startuml',
+  'title Login',
+  'actor User',
+  'participant "Auth Service" as Auth',
+  'User -> Auth ++ : login(user; pass)',
+  'Auth --> User -- : token',
+  'note right of Auth : checks\\npassword',
+  'alt ok',
+  '  Auth -> User : welcome',
+  'else failure',
+  '  Auth -[#red]-> User : 401',
+  'end',
+  '== done ==',
+  '@enduml'
+].join('\n');
+
+describe('Diagram conversion', () => {
+  it('converts PlantUML sequence diagrams to Mermaid', () => {
+    const result = convertDiagram(plantUMLSequence, { from: 'plantuml', to: 'mermaid' });
+
+    expect(result.kind).toBe('sequence');
+    expect(result.source).toBe([
+      'sequenceDiagram',
+      '  title Login',
+      '  actor User',
+      '  participant Auth as Auth Service',
+      '  User->>+Auth: login(user#59; pass)',
+      '  Auth-->>-User: token',
+      '  Note right of Auth: checks<br/>password',
+      '  alt ok',
+      '    Auth->>User: welcome',
+      '  else failure',
+      '    Auth-->>User: 401',
+      '  end',
+      ''
+    ].join('\n'));
+    expect(result.report).toEqual({
+      complete: false,
+      untranslated: [{ line: 13, source: '== done ==', reason: 'Dividers and delays have no equivalent' }],
+      approximated: [{ construct: 'arrow styles', reason: 'Arrow colors and styles are dropped' }]
+    });
+  });
+
+  it('converts Mermaid sequence diagrams back to PlantUML', () => {
+    const mermaid = convertDiagram(plantUMLSequence, { from: 'plantuml', to: 'mermaid' }).source;
+    const result = convertDiagram(mermaid, { from: 'mermaid', to: 'plantuml' });
+
+    expect(result.source).toContain('participant "Auth Service" as Auth');
+    expect(result.source).toContain('User -> Auth ++ : login(user; pass)');
+    expect(result.source).toContain('note right of Auth : checks\\npassword');
+    expect(result.report.complete).toBe(true);
+
+    const par = convertDiagram('sequenceDiagram\npar a\n  A-)B: x\nand b\n  A--xB: y\nend', { from: 'mermaid', to: 'plantuml' });
+    expect(par.source).toContain('par a\n  A ->> B : x\nelse b\n  A -->x B : y\nend');
+  });
+
+  it('converts PlantUML activity diagrams to flowcharts', () => {
+    const activity = [
+      '@startuml',
+      'start',
+      ':Receive order;',
+      'if (In stock?) then (yes)',
+      '  :Ship;',
+      'else (no)',
+      '  :Cancel;',
+      'endif',
+      'stop',
+      '@enduml'
+    ].join('\n');
+
+    const result = convertDiagram(activity, { from: 'plantuml', to: 'mermaid' });
+    expect(result.kind).toBe('flowchart');
+    expect(result.source).toContain('n3{"In stock?"}');
+    expect(result.source).toContain('n3 -->|"yes"| n4');
+    expect(result.source).toContain('n3 -->|"no"| n5');
+    expect(result.source).toContain('n4 --> n6\n  n5 --> n6');
+
+    const dot = convertDiagram(activity, { from: 'plantuml', to: 'graphviz' }).source;
+    expect(dot).toContain('n3 [label="In stock?", shape=diamond];');
+    expect(dot).toContain('n3 -> n4 [label="yes"];');
+  });
+
+  it('converts Mermaid flowcharts to Graphviz and PlantUML', () => {
+    const flowchart = [
+      'flowchart LR',
+      '  A[Start] --> B{Ready?}',
+      '  B -- Yes --> C([Done]) & D[(Store)]',
+      '  B -.->|No| A',
+      '  subgraph grp [Group]',
+      '    E((E)) <--> F',
+      '  end',
+      '  click A callback'
+    ].join('\n');
+
+    const dot = convertDiagram(flowchart, { from: 'mermaid', to: 'graphviz' });
+    expect(dot.source).toContain('rankdir=LR;');
+    expect(dot.source).toContain('subgraph cluster_grp {\n    label="Group";\n    E [label="E", shape=circle];');
+    expect(dot.source).toContain('B -> C [label="Yes"];\n  B -> D [label="Yes"];');
+    expect(dot.source).toContain('B -> A [label="No", style=dashed];');
+    expect(dot.source).toContain('E -> F [dir=both, arrowtail=normal];');
+    expect(dot.report.untranslated).toEqual([
+      { line: 8, source: 'click A callback', reason: 'Styles, classes and interactions are not translated' }
+    ]);
+
+    const plantuml = convertDiagram(flowchart, { from: 'mermaid', to: 'plantuml' });
+    expect(plantuml.source).toContain('left to right direction');
+    expect(plantuml.source).toContain('hexagon "Ready?" as B');
+    expect(plantuml.source).toContain('B ..> A : No');
+    expect(plantuml.report.approximated).toContainEqual({ construct: 'diamond nodes', reason: 'Drawn as hexagon' });
+  });
+
+  it('converts Graphviz graphs to PlantUML and Mermaid', () => {
+    const dot = [
+      'digraph G {',
+      '  label="Deps"; rankdir=LR',
+      '  node [shape=box];',
+      '  app [label="App\\nserver"]; db [shape=cylinder];',
+      '  subgraph cluster_x { label="Workers"; w1; w2 }',
+      '  app -> db -> w1 [style=dashed, label="q"];',
+      '  app -> {w1 w2} [dir=both];',
+      '}'
+    ].join('\n');
+
+    const plantuml = convertDiagram(dot, { from: 'graphviz', to: 'plantuml' }).source;
+    expect(plantuml).toContain('title Deps\nleft to right direction');
+    expect(plantuml).toContain('rectangle "Workers" as cluster_x {\n  rectangle "w1" as w1');
+    expect(plantuml).toContain('rectangle "App\\nserver" as app\ndatabase "db" as db');
+    expect(plantuml).toContain('app ..> db : q\ndb ..> w1 : q\napp <--> w1\napp <--> w2');
+
+    const mermaid = convertDiagram('graph { a -- b }', { from: 'graphviz', to: 'mermaid' }).source;
+    expect(mermaid).toBe('flowchart TB\n  a["a"]\n  b["b"]\n  a --- b\n');
+  });
+
+  it('moves nodes into the cluster that mentions them after their first use', () => {
+    const dot = 'digraph G { a -> b; subgraph cluster_x { label="X"; b; } }';
+
+    const plantuml = convertDiagram(dot, { from: 'graphviz', to: 'plantuml' });
+    const mermaid = convertDiagram(dot, { from: 'graphviz', to: 'mermaid' });
+
+    expect(plantuml.source).toContain('rectangle "X" as cluster_x {\n  rectangle "b" as b\n}');
+    expect(mermaid.source).toContain('subgraph cluster_x ["X"]\n    b["b"]\n  end');
+    expect(plantuml.report.complete).toBe(true);
+  });
+
+  it('converts PlantUML component diagrams to Graphviz', () => {
+    const components = [
+      '@startuml',
+      '[Web App] as web',
+      'database "Orders DB" as db',
+      'web --> db : SQL',
+      'web ..> [Cache]',
+      '@enduml'
+    ].join('\n');
+
+    expect(convertDiagram(components, { from: 'plantuml', to: 'graphviz' }).source).toBe([
+      'digraph G {',
+      '  web [label="Web App", shape=box];',
+      '  db [label="Orders DB", shape=cylinder];',
+      '  Cache [label="Cache", shape=box];',
+      '  web -> db [label="SQL"];',
+      '  web -> Cache [style=dashed];',
+      '}',
+      ''
+    ].join('\n'));
+  });
+
+  it('rejects diagrams the target language cannot express', () => {
+    expect(() => convertDiagram(plantUMLSequence, { from: 'plantuml', to: 'graphviz' }))
+      .toThrow(expect.objectContaining({ type: 'UNSUPPORTED_CONVERSION' }));
+    expect(() => convertDiagram('pie title Pets', { from: 'mermaid', to: 'plantuml' }))
+      .toThrow(/pie diagrams cannot be converted/);
+    expect(() => convertDiagram('digraph {', { from: 'graphviz', to: 'mermaid' }))
+      .toThrow(expect.objectContaining({ type: 'UNSUPPORTED_CONVERSION' }));
+  });
+});
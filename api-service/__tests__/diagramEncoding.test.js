@@ -0,0 +1,27 @@
+const zlib = require('zlib');
+const { encodeDiagramSource, decodeDiagramSource } = require('../utils/diagramEncoding');
+
+describe('Kroki diagram encoding', () => {
+  it('decodes the encoding used in Kroki documentation', () => {
+    expect(decodeDiagramSource('eNpLyUwvSizIUHBXqPZIzcnJ17ULzy_KSanlAgB1EAjQ'))
+      .toBe('digraph G {Hello->World}\n');
+  });
+
+  it('round-trips unicode source', () => {
+    const source = '@startuml\nAlice -> Bob: Привет ✓\n@enduml';
+    const encoded = encodeDiagramSource(source);
+
+    expect(encoded).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(decodeDiagramSource(encoded)).toBe(source);
+  });
+
+  it('accepts raw deflate payloads', () => {
+    const encoded = zlib.deflateRawSync(Buffer.from('A -> B')).toString('base64url');
+    expect(decodeDiagramSource(encoded)).toBe('A -> B');
+  });
+
+  it('rejects payloads that are not base64url or not deflated', () => {
+    expect(() => decodeDiagramSource('not valid!')).toThrow('base64url');
+    expect(() => decodeDiagramSource('aGVsbG8')).toThrow('decompressed');
+  });
+});
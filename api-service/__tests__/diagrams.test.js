@@ -0,0 +1,207 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../utils/database', () => ({
+  databaseManager: {
+    isConnected: true,
+    createSavedDiagram: jest.fn(),
+    getSavedDiagram: jest.fn(),
+    listSavedDiagrams: jest.fn(),
+    updateSavedDiagram: jest.fn(),
+    deleteSavedDiagram: jest.fn(),
+    listDiagramRevisions: jest.fn(),
+    getDiagramRevision: jest.fn(),
+    storeDiagram: jest.fn()
+  }
+}));
+
+jest.mock('../utils/renderService', () => ({
+  validateDiagramSource: jest.fn(() => true),
+  renderService: {
+    render: jest.fn(),
+    etagFor: jest.fn(() => '"rev-etag"'),
+    formatManager: {
+      diagramTypes: { plantuml: {}, graphviz: {} },
+      supportedFormats: { png: {}, svg: {} },
+      isFormatSupported: () => true,
+      getFormatRecommendations: () => []
+    }
+  }
+}));
+
+const { databaseManager } = require('../utils/database');
+const { renderService, validateDiagramSource } = require('../utils/renderService');
+
+const buildApp = (user = { id: 3 }) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  app.use('/api/v2/diagrams', require('../routes/diagrams'));
+  app.use((err, req, res, _next) => {
+    res.status(err.status || 500).json({ error: { type: err.type, message: err.message } });
+  });
+  return app;
+};
+
+const savedRow = {
+  id: 12,
+  title: 'Checkout flow',
+  description: null,
+  diagram_type: 'plantuml',
+  format: 'png',
+  current_revision: 2,
+  uml_content: 'Alice -> Bob',
+  created_at: '2026-01-01T00:00:00.000Z',
+  updated_at: '2026-01-02T00:00:00.000Z'
+};
+
+describe('Saved diagram library', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    databaseManager.isConnected = true;
+    databaseManager.storeDiagram.mockResolvedValue({});
+  });
+
+  it('requires an authenticated user', async () => {
+    const response = await request(buildApp(null)).get('/api/v2/diagrams');
+
+    expect(response.status).toBe(401);
+    expect(databaseManager.listSavedDiagrams).not.toHaveBeenCalled();
+  });
+
+  it('reports the library as unavailable without a database', async () => {
+    databaseManager.isConnected = false;
+    const response = await request(buildApp()).get('/api/v2/diagrams');
+
+    expect(response.status).toBe(503);
+    expect(response.body.error.type).toBe('DATABASE_UNAVAILABLE');
+  });
+
+  it('creates a diagram owned by the caller', async () => {
+    databaseManager.createSavedDiagram.mockResolvedValue({ ...savedRow, current_revision: 1 });
+
+    const response = await request(buildApp())
+      .post('/api/v2/diagrams')
+      .send({ title: 'Checkout flow', uml: 'Alice -> Bob' });
+
+    expect(response.status).toBe(201);
+    expect(response.headers.location).toBe('/api/v2/diagrams/12');
+    expect(response.body).toMatchObject({ id: 12, revision: 1, uml: 'Alice -> Bob' });
+    expect(databaseManager.createSavedDiagram).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 3,
+      title: 'Checkout flow',
+      diagramType: 'plantuml',
+      umlContent: 'Alice -> Bob'
+    }));
+  });
+
+  it('rejects a diagram without a title', async () => {
+    const response = await request(buildApp())
+      .post('/api/v2/diagrams')
+      .send({ uml: 'Alice -> Bob' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.type).toBe('VALIDATION_ERROR');
+  });
+
+  it('saves updates as a new revision scoped to the caller', async () => {
+    databaseManager.getSavedDiagram.mockResolvedValue(savedRow);
+    databaseManager.updateSavedDiagram.mockResolvedValue({ ...savedRow, uml_content: 'Alice -> Carol' });
+
+    const response = await request(buildApp())
+      .put('/api/v2/diagrams/12')
+      .send({ uml: 'Alice -> Carol', message: 'Add Carol' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.revision).toBe(2);
+    expect(databaseManager.updateSavedDiagram).toHaveBeenCalledWith(12, 3, expect.objectContaining({
+      umlContent: 'Alice -> Carol',
+      message: 'Add Carol'
+    }));
+  });
+
+  it('checks updated source against the stored diagram type', async () => {
+    databaseManager.getSavedDiagram.mockResolvedValue({ ...savedRow, diagram_type: 'graphviz' });
+    databaseManager.updateSavedDiagram.mockResolvedValue(savedRow);
+
+    await request(buildApp()).put('/api/v2/diagrams/12').send({ uml: 'digraph { a -> b }' });
+
+    expect(databaseManager.getSavedDiagram).toHaveBeenCalledWith(12, 3);
+    expect(validateDiagramSource).toHaveBeenCalledWith('digraph { a -> b }', { req: { body: { diagramType: 'graphviz' } } });
+  });
+
+  it('does not save a revision for an empty update', async () => {
+    databaseManager.getSavedDiagram.mockResolvedValue(savedRow);
+
+    const response = await request(buildApp()).put('/api/v2/diagrams/12').send({});
+
+    expect(response.status).toBe(200);
+    expect(response.body.revision).toBe(savedRow.current_revision);
+    expect(databaseManager.updateSavedDiagram).not.toHaveBeenCalled();
+  });
+
+  it('returns 404 for diagrams owned by someone else', async () => {
+    databaseManager.getSavedDiagram.mockResolvedValue(null);
+
+    const response = await request(buildApp()).get('/api/v2/diagrams/99');
+
+    expect(response.status).toBe(404);
+    expect(databaseManager.getSavedDiagram).toHaveBeenCalledWith(99, 3);
+  });
+
+  it('re-renders a past revision', async () => {
+    databaseManager.getDiagramRevision.mockResolvedValue({
+      revision: 1,
+      title: 'Checkout flow',
+      uml_content: 'Alice -> Bob',
+      diagram_type: 'plantuml',
+      format: 'png'
+    });
+    renderService.render.mockResolvedValue({
+      data: Buffer.from('<svg/>'),
+      mimeType: 'image/svg+xml',
+      cacheKey: 'diagram:abc',
+      cacheStatus: 'MISS',
+      metadata: { duration: 5 }
+    });
+
+    const response = await request(buildApp()).get('/api/v2/diagrams/12/revisions/1/render?format=svg');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['x-diagram-revision']).toBe('1');
+    expect(renderService.render).toHaveBeenCalledWith('Alice -> Bob', expect.objectContaining({
+      diagramType: 'plantuml',
+      format: 'svg',
+      title: 'Checkout flow'
+    }));
+    expect(databaseManager.storeDiagram).toHaveBeenCalledWith(expect.objectContaining({
+      diagramHash: 'abc',
+      metadata: {
+        savedDiagramId: 12,
+        revision: 1,
+        renderOptions: { diagramType: 'plantuml', format: 'svg', title: 'Checkout flow', description: undefined }
+      }
+    }));
+  });
+
+  it('answers revalidation of a stored diagram with 304 before rendering', async () => {
+    databaseManager.getSavedDiagram.mockResolvedValue(savedRow);
+
+    const byTag = await request(buildApp())
+      .get('/api/v2/diagrams/12/render')
+      .set('If-None-Match', '"rev-etag"');
+    const byDate = await request(buildApp())
+      .get('/api/v2/diagrams/12/render')
+      .set('If-Modified-Since', new Date(savedRow.updated_at).toUTCString());
+
+    for (const response of [byTag, byDate]) {
+      expect(response.status).toBe(304);
+      expect(response.headers.etag).toBe('"rev-etag"');
+      expect(response.headers['last-modified']).toBe('Fri, 02 Jan 2026 00:00:00 GMT');
+    }
+    expect(renderService.render).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,114 @@
+jest.mock('../utils/renderService', () => ({
+  renderService: {
+    render: jest.fn(),
+    formatManager: {
+      diagramTypes: { plantuml: ['png', 'svg'], graphviz: ['png', 'svg'], ditaa: ['png'] },
+      isFormatSupported(diagramType, format) {
+        return (this.diagramTypes[diagramType] || []).includes(format);
+      }
+    }
+  }
+}));
+
+const { renderService } = require('../utils/renderService');
+const { findDiagramBlocks, renderDocument } = require('../utils/documentRenderer');
+
+const markdown = [
+  '# Design',
+  '',
+  '```plantuml',
+  'Alice -> Bob',
+  '```',
+  '',
+  '```js',
+  'const a = 1;',
+  '```',
+  '',
+  '~~~dot',
+  'digraph { a -> b }',
+  '~~~'
+].join('\n');
+
+const asciidoc = [
+  '= Design',
+  '',
+  '[plantuml, checkout-flow, png]',
+  '----',
+  'Alice -> Bob',
+  '----',
+  '',
+  '[source,dot]',
+  '....',
+  'digraph { a -> b }',
+  '....'
+].join('\n');
+
+describe('Document diagram rendering', () => {
+  beforeEach(() => {
+    renderService.render.mockReset();
+    renderService.render.mockImplementation(async (source, { format }) => ({
+      data: Buffer.from(format === 'svg' ? '<?xml version="1.0"?><svg>ok</svg>' : 'PNG'),
+      mimeType: format === 'svg' ? 'image/svg+xml' : 'image/png',
+      cacheStatus: 'MISS'
+    }));
+  });
+
+  it('finds Markdown fences for known diagram types only', () => {
+    const blocks = findDiagramBlocks(markdown, 'markdown');
+
+    expect(blocks.map(b => [b.diagramType, b.startLine, b.source])).toEqual([
+      ['plantuml', 2, 'Alice -> Bob'],
+      ['graphviz', 10, 'digraph { a -> b }']
+    ]);
+  });
+
+  it('finds AsciiDoc diagram and source blocks with targets', () => {
+    const blocks = findDiagramBlocks(asciidoc, 'asciidoc');
+
+    expect(blocks).toHaveLength(2);
+    expect(blocks[0]).toMatchObject({ diagramType: 'plantuml', target: 'checkout-flow', format: 'png' });
+    expect(blocks[1]).toMatchObject({ diagramType: 'graphviz', source: 'digraph { a -> b }' });
+  });
+
+  it('replaces blocks with inline SVG and leaves other code alone', async () => {
+    const result = await renderDocument(markdown, { syntax: 'markdown' });
+
+    expect(result.document).toContain('<div class="diagram diagram-plantuml">\n<svg role="img" aria-labelledby="d1-title">');
+    expect(result.document).toContain('<title id="d1-title">plantuml diagram 1</title>ok</svg>\n</div>');
+    expect(result.document).not.toContain('<?xml');
+    expect(result.document).toContain('```js\nconst a = 1;\n```');
+    expect(result.diagrams.every(d => d.success)).toBe(true);
+  });
+
+  it('sanitizes inline SVG and scopes its ids per block', async () => {
+    renderService.render.mockResolvedValue({
+      data: Buffer.from('<svg><defs><g id="shape"/></defs><script>alert(1)</script><use href="#shape" onclick="alert(2)"/></svg>'),
+      mimeType: 'image/svg+xml',
+      cacheStatus: 'HIT'
+    });
+
+    const result = await renderDocument(markdown, { syntax: 'markdown' });
+
+    expect(result.document).not.toMatch(/script|alert/);
+    expect(result.document).toContain('<g id="d1-shape"/>');
+    expect(result.document).toContain('<use href="#d2-shape"/>');
+  });
+
+  it('links image files for zip output using AsciiDoc targets', async () => {
+    const result = await renderDocument(asciidoc, { syntax: 'asciidoc', output: 'files', format: 'svg' });
+
+    expect(result.files.map(f => f.path)).toEqual(['images/checkout-flow.png', 'images/diagram-2.svg']);
+    expect(result.document).toContain('image::images/checkout-flow.png[plantuml diagram 1]');
+    expect(result.document).toContain('image::images/diagram-2.svg[graphviz diagram 2]');
+  });
+
+  it('keeps the original block and reports failures', async () => {
+    renderService.render.mockRejectedValueOnce(new Error('Syntax Error?'));
+
+    const result = await renderDocument(markdown, { syntax: 'markdown' });
+
+    expect(result.document).toContain('```plantuml\nAlice -> Bob\n```');
+    expect(result.diagrams[0]).toMatchObject({ success: false, line: 3, error: 'Syntax Error?' });
+    expect(result.diagrams[1].success).toBe(true);
+  });
+});
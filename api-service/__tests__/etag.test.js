@@ -0,0 +1,90 @@
+const express = require('express');
+const request = require('supertest');
+const {
+  diagramETag,
+  getRendererVersion,
+  setRendererVersion,
+  matchesIfNoneMatch,
+  sendNotModified
+} = require('../utils/etag');
+
+const lastModified = '2026-03-01T12:00:00.000Z';
+
+// Renders "diagram" unless sendNotModified answers first
+const buildApp = (validators) => {
+  const app = express();
+  const handler = (req, res) => {
+    if (sendNotModified(req, res, validators)) {
+      return;
+    }
+    res.send('diagram');
+  };
+  app.get('/diagram', handler);
+  app.post('/diagram', handler);
+  return app;
+};
+
+describe('Diagram ETags', () => {
+  const initialVersion = getRendererVersion();
+
+  afterEach(() => {
+    setRendererVersion(initialVersion);
+  });
+
+  it('derives a weak tag from the cache key, renderer version and embedded source', () => {
+    const etag = diagramETag('diagram:abc', { source: 'A -> B' });
+
+    expect(etag).toMatch(/^W\/"[A-Za-z0-9_-]{43}"$/);
+    expect(diagramETag('diagram:abc', { source: 'A -> B' })).toBe(etag);
+    expect(diagramETag('diagram:abd', { source: 'A -> B' })).not.toBe(etag);
+    expect(diagramETag('diagram:abc', { source: 'A->B' })).not.toBe(etag);
+    expect(diagramETag('diagram:abc', { source: 'A->B', embed: false }))
+      .toBe(diagramETag('diagram:abc', { source: 'A -> B', embed: false }));
+
+    expect(setRendererVersion('kroki-9.9.9')).toBe(true);
+    expect(setRendererVersion('kroki-9.9.9')).toBe(false);
+    expect(diagramETag('diagram:abc', { source: 'A -> B' })).not.toBe(etag);
+  });
+
+  it('matches If-None-Match lists with weak comparison', () => {
+    expect(matchesIfNoneMatch('"a", "b"', '"b"')).toBe(true);
+    expect(matchesIfNoneMatch('W/"b"', '"b"')).toBe(true);
+    expect(matchesIfNoneMatch('"b"', 'W/"b"')).toBe(true);
+    expect(matchesIfNoneMatch('*', '"b"')).toBe(true);
+    expect(matchesIfNoneMatch('"c"', '"b"')).toBe(false);
+    expect(matchesIfNoneMatch(undefined, '"b"')).toBe(false);
+  });
+
+  it('answers a matching If-None-Match with 304 on GET and POST', async () => {
+    const app = buildApp({ etag: '"v1"', cacheControl: 'public, max-age=3600' });
+
+    const get = await request(app).get('/diagram').set('If-None-Match', '"v1"');
+    const post = await request(app).post('/diagram').set('If-None-Match', '"v1"');
+    const changed = await request(app).get('/diagram').set('If-None-Match', '"v0"');
+
+    expect(get.status).toBe(304);
+    expect(get.headers.etag).toBe('"v1"');
+    expect(get.headers['cache-control']).toBe('public, max-age=3600');
+    expect(post.status).toBe(304);
+    expect(changed.status).toBe(200);
+    expect(changed.text).toBe('diagram');
+    expect(changed.headers.etag).toBe('"v1"');
+  });
+
+  it('honors If-Modified-Since only for GET without If-None-Match', async () => {
+    const app = buildApp({ etag: '"v1"', lastModified });
+
+    const fresh = await request(app).get('/diagram').set('If-Modified-Since', 'Sun, 01 Mar 2026 12:00:00 GMT');
+    const stale = await request(app).get('/diagram').set('If-Modified-Since', 'Sun, 01 Mar 2026 11:59:59 GMT');
+    const tagWins = await request(app).get('/diagram')
+      .set('If-Modified-Since', 'Sun, 01 Mar 2026 12:00:00 GMT')
+      .set('If-None-Match', '"v0"');
+    const post = await request(app).post('/diagram').set('If-Modified-Since', 'Sun, 01 Mar 2026 12:00:00 GMT');
+
+    expect(fresh.status).toBe(304);
+    expect(fresh.headers['last-modified']).toBe('Sun, 01 Mar 2026 12:00:00 GMT');
+    expect(stale.status).toBe(200);
+    expect(tagWins.status).toBe(200);
+    expect(post.status).toBe(200);
+  });
+});
@@ -0,0 +1,134 @@
+// Only image metadata is needed to size-check a transform, so sharp is replaced
+// by a stub reporting the size of the rendered image
+jest.mock('sharp', () => jest.fn());
+
+const sharp = require('sharp');
+const FormatManager = require('../utils/formatManager');
+const {
+  RendererBackend,
+  RendererError,
+  KrokiBackend,
+  GraphvizBackend,
+  PlantUMLBackend
+} = require('../utils/rendererBackends');
+
+describe('Raster size limits', () => {
+  const formatManager = new FormatManager('http://kroki.test', { backends: [] });
+  const image = Buffer.from('image');
+
+  beforeEach(() => {
+    sharp.mockReset();
+    sharp.mockReturnValue({ metadata: async () => ({ width: 2000, height: 1000 }) });
+  });
+
+  it.each([
+    [{ scale: 8 }, 'Transformed image would exceed 50000000 pixels (16000x8000)'],
+    [{ width: 12000 }, 'Transformed image would exceed 50000000 pixels (12000x6000)'],
+    [{ width: 10000, height: 10000, fit: 'fill' }, 'Transformed image would exceed 50000000 pixels (10000x10000)'],
+    [{ width: 6000, height: 6000, fit: 'outside' }, 'Transformed image would exceed 50000000 pixels (12000x6000)'],
+    [{ dpi: 1200 }, 'Transformed image would exceed 16384px (25000x12500)']
+  ])('rejects the transform %j', async (transform, message) => {
+    await expect(formatManager.transformImage(image, transform)).rejects.toMatchObject({ type: 'INVALID_TRANSFORM', message });
+  });
+
+  it('rejects print rasterization beyond the pixel budget', async () => {
+    await expect(formatManager.rasterizeSVG(image, { dpi: 600 })).rejects.toMatchObject({
+      type: 'INVALID_TRANSFORM',
+      message: 'Diagram at 600 DPI would exceed 50000000 pixels (12500x6250)'
+    });
+  });
+});
+
+describe('Format availability', () => {
+  it('only offers eps and utxt when a local renderer can produce them', () => {
+    const krokiOnly = new FormatManager('http://kroki.test', { backends: [new KrokiBackend('http://kroki.test')] });
+    const withoutJar = new FormatManager('http://kroki.test', {
+      backends: [new KrokiBackend('http://kroki.test'), new GraphvizBackend(), new PlantUMLBackend({ jarPath: '' })]
+    });
+    const withJar = new FormatManager('http://kroki.test', {
+      backends: [new KrokiBackend('http://kroki.test'), new PlantUMLBackend({ jarPath: '/opt/plantuml.jar' })]
+    });
+
+    expect(krokiOnly.diagramTypes.plantuml).toEqual(['png', 'svg', 'pdf', 'jpeg', 'webp', 'txt', 'tiff']);
+    expect(krokiOnly.isFormatSupported('graphviz', 'eps')).toBe(false);
+    expect(withoutJar.isFormatSupported('graphviz', 'eps')).toBe(true);
+    expect(withoutJar.isFormatSupported('c4plantuml', 'eps')).toBe(false);
+    expect(withJar.diagramTypes.plantuml).toEqual(['png', 'svg', 'pdf', 'jpeg', 'webp', 'txt', 'utxt', 'tiff', 'eps']);
+    expect(withJar.isFormatSupported('graphviz', 'eps')).toBe(false);
+  });
+
+  it('reports formats without a renderer as unavailable', () => {
+    const formatManager = new FormatManager('http://kroki.test', { backends: [new KrokiBackend('http://kroki.test')] });
+
+    expect(formatManager.formatError('plantuml', 'utxt')).toMatchObject({
+      type: 'FORMAT_UNAVAILABLE',
+      message: 'Format utxt is unavailable for diagram type plantuml: no configured renderer produces it'
+    });
+    expect(formatManager.formatError('d2', 'png')).toMatchObject({ type: 'UNSUPPORTED_FORMAT' });
+  });
+});
+
+describe('Renderer failover', () => {
+  const formatConfig = { maxSize: 1024, mimeType: 'image/png' };
+  const stubBackend = (name, priority, render) => Object.assign(
+    new RendererBackend(name, { priority, failureThreshold: 1, cooldownMs: 1000, capabilities: { plantuml: ['png'] } }),
+    { render: jest.fn(render) }
+  );
+  const ok = async () => Buffer.from('png');
+  const down = async () => {
+    throw new RendererError('connection refused', { backend: 'stub' });
+  };
+
+  it('moves on to the next backend after an infrastructure error', async () => {
+    const primary = stubBackend('primary', 10, down);
+    const secondary = stubBackend('secondary', 20, ok);
+    const formatManager = new FormatManager('http://kroki.test', { backends: [secondary, primary] });
+
+    const result = await formatManager.renderWithBackends('A -> B', 'plantuml', 'png', formatConfig);
+
+    expect(result).toEqual({ data: Buffer.from('png'), backend: 'secondary', fallback: true });
+    expect(primary.render).toHaveBeenCalledTimes(1);
+    expect(primary.health.healthy).toBe(false);
+    expect(secondary.health.healthy).toBe(true);
+  });
+
+  it('tries unhealthy backends after healthy ones and skips them while cooling down', async () => {
+    const primary = stubBackend('primary', 10, ok);
+    const secondary = stubBackend('secondary', 20, ok);
+    const formatManager = new FormatManager('http://kroki.test', { backends: [primary, secondary] });
+    primary.recordFailure(new Error('connection refused'));
+
+    expect((await formatManager.renderWithBackends('A -> B', 'plantuml', 'png', formatConfig)).backend).toBe('secondary');
+    expect(primary.render).not.toHaveBeenCalled();
+
+    // Past the cooldown it is offered again, but still behind the healthy backend
+    primary.health.lastFailureAt = Date.now() - 1001;
+    expect(formatManager.selectBackends('plantuml', 'png').map(backend => backend.name)).toEqual(['secondary', 'primary']);
+
+    secondary.render.mockImplementation(down);
+    expect(await formatManager.renderWithBackends('A -> B', 'plantuml', 'png', formatConfig))
+      .toMatchObject({ backend: 'primary', fallback: false });
+    expect(primary.health.healthy).toBe(true);
+  });
+
+  it('stops at a client error without trying other backends', async () => {
+    const primary = stubBackend('primary', 10, async () => {
+      throw new RendererError('Syntax Error?', { backend: 'primary', status: 400, clientError: true });
+    });
+    const secondary = stubBackend('secondary', 20, ok);
+    const formatManager = new FormatManager('http://kroki.test', { backends: [primary, secondary] });
+
+    await expect(formatManager.renderWithBackends('A ->', 'plantuml', 'png', formatConfig))
+      .rejects.toMatchObject({ clientError: true, message: 'Syntax Error?' });
+    expect(secondary.render).not.toHaveBeenCalled();
+    expect(primary.health.healthy).toBe(true);
+  });
+
+  it('rethrows the last infrastructure error when every backend fails', async () => {
+    const formatManager = new FormatManager('http://kroki.test', {
+      backends: [stubBackend('primary', 10, down), stubBackend('secondary', 20, down)]
+    });
+
+    await expect(formatManager.renderWithBackends('A -> B', 'plantuml', 'png', formatConfig)).rejects.toThrow('connection refused');
+  });
+});
@@ -0,0 +1,56 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('sharp', () => jest.fn());
+
+jest.mock('../utils/renderService', () => ({
+  validateDiagramSource: jest.requireActual('../utils/renderService').validateDiagramSource,
+  renderService: {
+    render: jest.fn(),
+    prepareSource: jest.fn(uml => uml),
+    formatManager: { generateMultipleFormats: jest.fn() }
+  }
+}));
+
+const { renderService } = require('../utils/renderService');
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/v2', require('../routes/generateV2'));
+  return app;
+};
+
+describe('Batch generation validation', () => {
+  const batch = requests => request(buildApp()).post('/api/v2/generate/batch').send({ requests });
+  const messages = response => response.body.error.details.map(detail => `${detail.path}: ${detail.msg}`);
+
+  it('rejects unknown, unsupported and too many formats per item', async () => {
+    const response = await batch([
+      { uml: 'A -> B', formats: ['png', 'exe'] },
+      { uml: 'a -> b', diagramType: 'd2', formats: ['png'] },
+      { uml: 'A -> B', formats: ['png', 'svg', 'pdf', 'jpeg', 'webp', 'txt'] }
+    ]);
+
+    expect(response.status).toBe(400);
+    expect(messages(response)).toEqual(expect.arrayContaining([
+      expect.stringMatching(/^requests\[0\]\.formats\[1\]: Format must be one of/),
+      'requests[1].formats[0]: d2 diagrams cannot be rendered as png',
+      'requests[2].formats: Formats must be an array with 1-5 items'
+    ]));
+    expect(renderService.formatManager.generateMultipleFormats).not.toHaveBeenCalled();
+  });
+
+  it('runs every item through the source checks', async () => {
+    const response = await batch([
+      { uml: 'A -> B', formats: ['svg'] },
+      { uml: '@startuml\n!include /etc/passwd\n@enduml', formats: ['svg'] },
+      { uml: 'A -> B', formats: ['svg'], diagramType: 'graphviz' },
+      { uml: 'x <script>alert(1)</script>', formats: ['svg'], diagramType: 'graphviz' }
+    ]);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.details.map(detail => detail.path)).toEqual(['requests[1].uml', 'requests[3].uml']);
+    expect(messages(response)[0]).toContain('Only standard library includes are permitted');
+  });
+});
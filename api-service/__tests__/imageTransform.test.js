@@ -0,0 +1,67 @@
+const express = require('express');
+const request = require('supertest');
+const { handleValidationErrors } = require('../middleware/security');
+const { normalizeTransform, transformValidators, resizedSize, assertImageSize } = require('../utils/imageTransform');
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.post('/generate', transformValidators(), handleValidationErrors, (req, res) => {
+    res.json({ transform: normalizeTransform(req.body.transform, req.body.format) });
+  });
+  return app;
+};
+
+describe('Image transform options', () => {
+  it('normalizes transforms into a stable cache key shape', () => {
+    expect(normalizeTransform({ padding: '8', width: 800, background: 'White' }, 'png'))
+      .toEqual({ width: 800, fit: 'inside', background: 'white', padding: 8 });
+    expect(Object.keys(normalizeTransform({ dpi: 300, scale: 2 }))).toEqual(['scale', 'dpi']);
+  });
+
+  it('drops no-op transforms and vector formats', () => {
+    expect(normalizeTransform({ scale: 1, padding: 0, fit: 'cover' }, 'png')).toBeNull();
+    expect(normalizeTransform({ scale: 2 }, 'svg')).toBeNull();
+    expect(normalizeTransform(undefined, 'png')).toBeNull();
+  });
+
+  it('predicts the size sharp resizes to', () => {
+    const source = { width: 400, height: 200 };
+
+    expect(resizedSize(source, {})).toEqual({ width: 400, height: 200 });
+    expect(resizedSize(source, { width: 800 })).toEqual({ width: 800, height: 400 });
+    expect(resizedSize(source, { width: 1000, height: 1000, fit: 'inside' })).toEqual({ width: 1000, height: 500 });
+    expect(resizedSize(source, { width: 1000, height: 1000, fit: 'outside' })).toEqual({ width: 2000, height: 1000 });
+    expect(resizedSize(source, { width: 1000, height: 1000, fit: 'cover' })).toEqual({ width: 1000, height: 1000 });
+  });
+
+  it('caps the side length and the total pixel count', () => {
+    expect(() => assertImageSize({ width: 16384, height: 3000 }, 'Image')).not.toThrow();
+    expect(() => assertImageSize({ width: 16385, height: 10 }, 'Image')).toThrow('Image would exceed 16384px');
+    expect(() => assertImageSize({ width: 16384, height: 16384 }, 'Image')).toThrow(
+      expect.objectContaining({ type: 'INVALID_TRANSFORM', message: 'Image would exceed 50000000 pixels (16384x16384)' })
+    );
+  });
+
+  it('accepts a valid transform', async () => {
+    const response = await request(buildApp())
+      .post('/generate')
+      .send({ format: 'webp', transform: { width: 1280, height: 720, fit: 'contain', background: '#0d3b66', padding: 16 } });
+
+    expect(response.status).toBe(200);
+    expect(response.body.transform).toEqual({ width: 1280, height: 720, fit: 'contain', background: '#0d3b66', padding: 16 });
+  });
+
+  it.each([
+    [{ format: 'svg', transform: { scale: 2 } }, 'Image transforms apply to png, jpeg, webp output only'],
+    [{ transform: { scale: 2, width: 100 } }, 'Use either scale or width/height, not both'],
+    [{ format: 'jpeg', transform: { background: 'transparent' } }, 'JPEG output cannot have a transparent background'],
+    [{ transform: { fit: 'stretch' } }, 'Fit must be one of: inside, contain, cover, fill, outside'],
+    [{ transform: { background: 'url(x)' } }, 'Background must be "transparent", a hex color or a color name']
+  ])('rejects %j', async (payload, message) => {
+    const response = await request(buildApp()).post('/generate').send(payload);
+
+    expect(response.status).toBe(400);
+    expect(JSON.stringify(response.body)).toContain(message.replace(/"/g, '\\"'));
+  });
+});
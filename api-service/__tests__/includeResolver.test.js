@@ -0,0 +1,89 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { IncludeResolver, IncludeError } = require('../utils/includeResolver');
+
+const upstream = 'https://raw.githubusercontent.com/plantuml-stdlib/C4-PlantUML/master/';
+
+describe('PlantUML include resolver', () => {
+  let libraryPath;
+  let resolver;
+
+  beforeAll(() => {
+    libraryPath = fs.mkdtempSync(path.join(os.tmpdir(), 'include-library-'));
+    fs.mkdirSync(path.join(libraryPath, 'C4'));
+    fs.writeFileSync(path.join(libraryPath, 'manifest.json'), JSON.stringify({
+      version: '1.0.0',
+      libraries: { C4: { version: '2.10.0', example: 'C4_Container', upstream } }
+    }));
+    fs.writeFileSync(path.join(libraryPath, 'C4', 'C4.puml'), '!procedure C4()\n!endprocedure');
+    fs.writeFileSync(path.join(libraryPath, 'C4', 'C4_Context.puml'), [
+      '!if %variable_exists("RELATIVE_INCLUDE")',
+      '  !include %get_variable_value("RELATIVE_INCLUDE")/C4.puml',
+      '!else',
+      `  !include ${upstream}C4.puml`,
+      '!endif',
+      '!procedure Person($alias)',
+      '!endprocedure'
+    ].join('\n'));
+    fs.writeFileSync(path.join(libraryPath, 'C4', 'C4_Container.puml'), '!include C4_Context.puml\n!include C4.puml');
+  });
+
+  beforeEach(() => {
+    resolver = new IncludeResolver(libraryPath);
+  });
+
+  afterAll(() => {
+    fs.rmSync(libraryPath, { recursive: true, force: true });
+  });
+
+  it('inlines allowlisted includes and their dependencies once', () => {
+    const resolved = resolver.resolve('!include <C4/C4_Container>\nPerson(user)');
+
+    expect(resolved).not.toContain('!include <C4');
+    expect(resolved.match(/!procedure C4\(\)/g)).toHaveLength(1);
+    expect(resolved).toContain('!procedure Person($alias)');
+    expect(resolved).toContain('%get_variable_value("RELATIVE_INCLUDE")');
+    expect(resolved.endsWith('Person(user)')).toBe(true);
+  });
+
+  it('rejects file system and URL includes with the offending line', () => {
+    const attempt = () => resolver.validate('Alice -> Bob\n!include /etc/passwd');
+
+    expect(attempt).toThrow(IncludeError);
+    expect(attempt).toThrow('Include not allowed on line 2: /etc/passwd');
+    expect(() => resolver.validate(`!includeurl ${upstream}C4.puml`)).toThrow(/line 1/);
+    expect(() => resolver.validate('!include <../secrets>')).toThrow(IncludeError);
+  });
+
+  it('reports unknown files of an allowlisted library', () => {
+    try {
+      resolver.validate('@startuml\n!include <C4/C4_Missing>');
+      throw new Error('expected validation to fail');
+    } catch (error) {
+      expect(error.message).toBe('Unknown library include on line 2: <C4/C4_Missing>');
+      expect(error.clientError).toBe(true);
+      expect(error.diagnostics[0].line).toBe(2);
+    }
+  });
+
+  it('lists libraries from the manifest', () => {
+    expect(resolver.getLibraries()).toEqual({
+      version: '1.0.0',
+      libraries: [{
+        name: 'C4',
+        version: '2.10.0',
+        description: undefined,
+        example: '!include <C4/C4_Container>',
+        installed: true
+      }]
+    });
+  });
+
+  it('resolves a relative library path before reading files', () => {
+    const relative = new IncludeResolver(path.relative(process.cwd(), libraryPath));
+
+    expect(relative.libraryPath).toBe(libraryPath);
+    expect(relative.resolve('!include <C4/C4>')).toContain('!procedure C4()');
+  });
+});
@@ -0,0 +1,48 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../utils/formatManager', () => jest.fn().mockImplementation(() => ({
+  diagramTypes: { plantuml: ['txt'] },
+  generateDiagram: jest.fn(async () => ({ data: Buffer.from('A -> B'), metadata: { renderer: 'kroki' } })),
+  getFormatConfig: format => (format === 'txt' ? { mimeType: 'text/plain' } : null),
+  isFormatSupported: (diagramType, format) => format === 'txt',
+  formatError: (diagramType, format) => ({ type: 'UNSUPPORTED_FORMAT', message: `${format} is not supported` })
+})));
+
+const { renderService } = require('../utils/renderService');
+const { cacheManager } = require('../utils/cache');
+const { encodeDiagramSource } = require('../utils/diagramEncoding');
+
+const buildApp = () => {
+  const app = express();
+  app.use(require('../routes/kroki'));
+  return app;
+};
+
+describe('Kroki-compatible encoded URLs', () => {
+  beforeEach(() => {
+    cacheManager.memory.clear();
+  });
+
+  it('only counts renders against the generate rate limit', async () => {
+    const app = buildApp();
+    const url = source => `/api/v2/render/plantuml/txt/${encodeDiagramSource(source)}`;
+
+    const first = await request(app).get(url('A -> B'));
+    expect(first.status).toBe(200);
+    for (let i = 0; i < 12; i++) {
+      expect((await request(app).get(url('A -> B'))).headers['x-cache']).toBe('HIT');
+    }
+    expect((await request(app).get(url('A -> B')).set('If-None-Match', first.headers.etag)).status).toBe(304);
+
+    for (let i = 1; i < 10; i++) {
+      expect((await request(app).get(url(`A -> B${i}`))).status).toBe(200);
+    }
+    const limited = await request(app).get(url('A -> B10'));
+
+    expect(limited.status).toBe(429);
+    expect(limited.body.error.type).toBe('RATE_LIMIT_EXCEEDED');
+    expect(renderService.formatManager.generateDiagram).toHaveBeenCalledTimes(10);
+    expect((await request(app).get(url('A -> B'))).status).toBe(200);
+  });
+});
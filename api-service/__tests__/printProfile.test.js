@@ -0,0 +1,45 @@
+const express = require('express');
+const request = require('supertest');
+const { handleValidationErrors } = require('../middleware/security');
+const { normalizePrintOptions, printValidators } = require('../utils/printProfile');
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.post('/generate', printValidators(), handleValidationErrors, (req, res) => {
+    res.json({ print: normalizePrintOptions(req.body.print, req.body.format) });
+  });
+  return app;
+};
+
+describe('Print profile options', () => {
+  it('always prints TIFF and only prints PNG on request', () => {
+    expect(normalizePrintOptions(undefined, 'tiff')).toEqual({ dpi: 300, colorSpace: 'srgb' });
+    expect(normalizePrintOptions({ dpi: '600', cmyk: true }, 'TIFF')).toEqual({ dpi: 600, colorSpace: 'cmyk' });
+    expect(normalizePrintOptions(true, 'png')).toEqual({ dpi: 300, colorSpace: 'srgb' });
+    expect(normalizePrintOptions(undefined, 'png')).toBeNull();
+    expect(normalizePrintOptions({ dpi: 300 }, 'svg')).toBeNull();
+  });
+
+  it('accepts print options for TIFF output', async () => {
+    const response = await request(buildApp())
+      .post('/generate')
+      .send({ format: 'tiff', print: { dpi: 600, cmyk: true } });
+
+    expect(response.status).toBe(200);
+    expect(response.body.print).toEqual({ dpi: 600, colorSpace: 'cmyk' });
+  });
+
+  it.each([
+    [{ format: 'pdf', print: true }, 'Print options apply to png, tiff output only'],
+    [{ print: { cmyk: true } }, 'CMYK output is only available for TIFF'],
+    [{ print: true, transform: { scale: 2 } }, 'Use either print or transform, not both'],
+    [{ format: 'tiff', print: { dpi: 2400 } }, 'Print DPI must be between 72 and 1200'],
+    [{ print: 'yes' }, 'Print must be true or an object']
+  ])('rejects %j', async (payload, message) => {
+    const response = await request(buildApp()).post('/generate').send(payload);
+
+    expect(response.status).toBe(400);
+    expect(JSON.stringify(response.body)).toContain(message);
+  });
+});
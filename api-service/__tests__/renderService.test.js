@@ -0,0 +1,95 @@
+jest.mock('../utils/formatManager', () => jest.fn().mockImplementation(() => ({
+  generateDiagram: jest.fn(),
+  getFormatConfig: () => ({ mimeType: 'text/plain' })
+})));
+
+const { RenderService } = require('../utils/renderService');
+const { cacheManager } = require('../utils/cache');
+
+const rendered = (text) => ({ data: Buffer.from(text), metadata: { duration: 5, renderer: 'kroki' } });
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Stale renders', () => {
+  const start = Date.now();
+  let now;
+  let service;
+
+  const render = (source, options = {}) => service.render(source, { format: 'txt', ttl: 60, ...options });
+  const advance = (seconds) => {
+    now += seconds * 1000;
+  };
+
+  beforeEach(() => {
+    now = start;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    cacheManager.memory.clear();
+    service = new RenderService('http://kroki.test');
+    service.staleWhileRevalidate = 30;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('serves a just expired diagram at once and refreshes it in the background', async () => {
+    const { generateDiagram } = service.formatManager;
+    generateDiagram.mockResolvedValueOnce(rendered('v1')).mockResolvedValueOnce(rendered('v2'));
+    await render('A -> B');
+    advance(70);
+
+    const stale = await render('A -> B');
+    await flush();
+    const refreshed = await render('A -> B');
+
+    expect(stale).toMatchObject({ cacheStatus: 'STALE', warning: '110 - "Response is Stale"' });
+    expect(stale.data.toString()).toBe('v1');
+    expect(generateDiagram).toHaveBeenCalledTimes(2);
+    expect(refreshed.cacheStatus).toBe('HIT');
+    expect(refreshed.data.toString()).toBe('v2');
+  });
+
+  it('falls back to the expired diagram when the renderer fails', async () => {
+    const { generateDiagram } = service.formatManager;
+    generateDiagram.mockResolvedValueOnce(rendered('v1'));
+    await render('B -> C');
+    advance(3600);
+
+    generateDiagram.mockRejectedValueOnce(Object.assign(new Error('Kroki timed out'), { backend: 'kroki' }));
+    const result = await render('B -> C');
+
+    expect(result).toMatchObject({ cacheStatus: 'STALE', warning: '111 - "Revalidation Failed"' });
+    expect(result.data.toString()).toBe('v1');
+  });
+
+  it('caches renderings from a fallback backend only briefly', async () => {
+    const { generateDiagram } = service.formatManager;
+    service.fallbackTtl = 10;
+    generateDiagram
+      .mockResolvedValueOnce({ data: Buffer.from('local'), metadata: { duration: 5, renderer: 'plantuml', fallback: true } })
+      .mockResolvedValueOnce(rendered('kroki'));
+    await render('D -> E');
+
+    expect((await render('D -> E')).cacheStatus).toBe('HIT');
+    advance(11);
+    expect((await render('D -> E')).cacheStatus).toBe('STALE');
+    await flush();
+
+    const refreshed = await render('D -> E');
+    expect(refreshed).toMatchObject({ cacheStatus: 'HIT', metadata: { renderer: 'kroki' } });
+    expect(refreshed.data.toString()).toBe('kroki');
+  });
+
+  it('reports syntax errors and failures after the grace period', async () => {
+    const { generateDiagram } = service.formatManager;
+    generateDiagram.mockResolvedValueOnce(rendered('v1'));
+    await render('C -> D');
+    advance(3600);
+
+    generateDiagram.mockRejectedValueOnce(Object.assign(new Error('Syntax Error?'), { clientError: true }));
+    await expect(render('C -> D')).rejects.toMatchObject({ clientError: true });
+
+    advance(cacheManager.graceSeconds);
+    generateDiagram.mockRejectedValueOnce(new Error('Kroki timed out'));
+    await expect(render('C -> D')).rejects.toThrow('Kroki timed out');
+  });
+});
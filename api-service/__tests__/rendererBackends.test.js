@@ -0,0 +1,83 @@
+const {
+  RendererBackend,
+  PlantUMLBackend,
+  createDefaultBackends,
+  runProcess
+} = require('../utils/rendererBackends');
+
+describe('Renderer backends', () => {
+  it('marks a backend unhealthy after consecutive failures and retries after cooldown', () => {
+    const backend = new RendererBackend('test', { failureThreshold: 2, cooldownMs: 1000 });
+
+    backend.recordFailure(new Error('connection refused'));
+    expect(backend.health.healthy).toBe(true);
+
+    backend.recordFailure(new Error('connection refused'));
+    expect(backend.health.healthy).toBe(false);
+    expect(backend.isAvailable()).toBe(false);
+
+    backend.health.lastFailureAt = Date.now() - 1001;
+    expect(backend.isAvailable()).toBe(true);
+
+    backend.recordSuccess();
+    expect(backend.health.healthy).toBe(true);
+    expect(backend.health.consecutiveFailures).toBe(0);
+  });
+
+  it('only advertises declared diagram types and formats', () => {
+    const backend = new RendererBackend('test', { capabilities: { graphviz: ['svg'] } });
+
+    expect(backend.supports('graphviz', 'svg')).toBe(true);
+    expect(backend.supports('graphviz', 'pdf')).toBe(false);
+    expect(backend.supports('plantuml', 'svg')).toBe(false);
+  });
+
+  it('disables the PlantUML backend when no jar is configured', () => {
+    const backend = new PlantUMLBackend({ jarPath: '' });
+    expect(backend.supports('plantuml', 'png')).toBe(false);
+
+    const configured = new PlantUMLBackend({ jarPath: '/opt/plantuml.jar' });
+    expect(configured.supports('plantuml', 'png')).toBe(true);
+    expect(configured.wrapSource('A -> B')).toBe('@startuml\nA -> B\n@enduml\n');
+    expect(configured.wrapSource('@startuml\nA -> B\n@enduml')).toBe('@startuml\nA -> B\n@enduml');
+  });
+
+  it('routes Unicode text output to the local PlantUML jar only', () => {
+    const [kroki, plantuml] = createDefaultBackends('http://kroki:8000', 'kroki,plantuml');
+    plantuml.jarPath = '/opt/plantuml.jar';
+
+    expect(kroki.supports('plantuml', 'txt')).toBe(true);
+    expect(kroki.supports('plantuml', 'utxt')).toBe(false);
+    expect(plantuml.supports('plantuml', 'utxt')).toBe(true);
+  });
+
+  it('routes EPS output to the local PlantUML jar and Graphviz only', () => {
+    const [kroki, graphviz, plantuml] = createDefaultBackends('http://kroki:8000', 'kroki,graphviz,plantuml');
+    plantuml.jarPath = '/opt/plantuml.jar';
+
+    expect(kroki.supports('graphviz', 'eps')).toBe(false);
+    expect(graphviz.supports('graphviz', 'eps')).toBe(true);
+    expect(plantuml.supports('c4plantuml', 'eps')).toBe(true);
+    expect(plantuml.supports('mermaid', 'eps')).toBe(false);
+  });
+
+  it('builds backends in the configured preference order', () => {
+    const backends = createDefaultBackends('http://kroki:8000', 'graphviz, kroki');
+
+    expect(backends.map(b => b.name)).toEqual(['graphviz-local', 'kroki']);
+    expect(backends[0].priority).toBeLessThan(backends[1].priority);
+  });
+
+  it('runs a local process with stdin and collects its output', async () => {
+    const script = 'process.stdin.pipe(process.stdout)';
+    const result = await runProcess(process.execPath, ['-e', script], 'digraph { a -> b }', { timeout: 5000 });
+
+    expect(result.code).toBe(0);
+    expect(result.stdout.toString()).toBe('digraph { a -> b }');
+  });
+
+  it('rejects when the binary is missing', async () => {
+    await expect(runProcess('definitely-not-a-real-binary', [], '', { timeout: 5000 }))
+      .rejects.toThrow();
+  });
+});
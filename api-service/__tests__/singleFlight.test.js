@@ -0,0 +1,126 @@
+const { SingleFlight } = require('../utils/singleFlight');
+
+// Shared Redis stand-in for the lock calls, used by several "instances"
+const fakeRedis = () => {
+  const store = new Map();
+  return {
+    store,
+    set: jest.fn(async (key, value, { NX } = {}) => {
+      if (NX && store.has(key)) {
+        return null;
+      }
+      store.set(key, value);
+      return 'OK';
+    }),
+    get: jest.fn(async (key) => (store.has(key) ? store.get(key) : null)),
+    del: jest.fn(async (key) => store.delete(key)),
+    exists: jest.fn(async (key) => (store.has(key) ? 1 : 0)),
+    eval: jest.fn(async (script, { keys: [key], arguments: [token] }) => {
+      if (store.get(key) !== token) {
+        return 0;
+      }
+      store.delete(key);
+      return 1;
+    })
+  };
+};
+
+// Resolves once release() is called, so tests control when the work finishes
+const deferred = () => {
+  let release;
+  const promise = new Promise(resolve => {
+    release = resolve;
+  });
+  return { promise, release };
+};
+
+describe('SingleFlight', () => {
+  it('runs concurrent calls with the same key once', async () => {
+    const flights = new SingleFlight();
+    const gate = deferred();
+    const work = jest.fn(async () => {
+      await gate.promise;
+      return 'png';
+    });
+
+    const calls = Array.from({ length: 10 }, () => flights.run('diagram:a', work));
+    const other = flights.run('diagram:b', async () => 'svg');
+    expect(flights.getStats()).toMatchObject({ inFlight: 2, coalesced: { local: 9 } });
+
+    gate.release();
+    expect(await Promise.all(calls)).toEqual(Array(10).fill('png'));
+    expect(await other).toBe('svg');
+    expect(work).toHaveBeenCalledTimes(1);
+
+    // Finished flights are forgotten; a later call renders again
+    await flights.run('diagram:a', work);
+    expect(work).toHaveBeenCalledTimes(2);
+    expect(flights.getStats().inFlight).toBe(0);
+  });
+
+  it('rejects every waiter with the leader error', async () => {
+    const flights = new SingleFlight();
+    const failure = Object.assign(new Error('Syntax Error?'), { clientError: true });
+    const work = jest.fn(async () => {
+      throw failure;
+    });
+
+    const results = await Promise.allSettled([flights.run('k', work), flights.run('k', work)]);
+
+    expect(results.map(result => result.reason)).toEqual([failure, failure]);
+    expect(work).toHaveBeenCalledTimes(1);
+  });
+
+  it('lets other instances wait for the lock holder and read its result', async () => {
+    const redis = fakeRedis();
+    const shared = new Map();
+    const options = { redis: () => redis, pollIntervalMs: 5, waitTimeoutMs: 1000 };
+    const leader = new SingleFlight(options);
+    const follower = new SingleFlight(options);
+    const gate = deferred();
+    const readShared = async () => shared.get('k') || null;
+
+    const leading = leader.run('k', async () => {
+      await gate.promise;
+      shared.set('k', 'png');
+      return 'png';
+    }, { readShared });
+    const followerWork = jest.fn(async () => 'rendered twice');
+    const following = follower.run('k', followerWork, { readShared });
+
+    gate.release();
+    expect(await leading).toBe('png');
+    expect(await following).toBe('png');
+    expect(followerWork).not.toHaveBeenCalled();
+    expect(follower.getStats().coalesced.remote).toBe(1);
+    expect(redis.store.has('flight:k')).toBe(false);
+  });
+
+  it('passes the lock holder error to other instances', async () => {
+    const redis = fakeRedis();
+    const options = { redis: () => redis, pollIntervalMs: 5, waitTimeoutMs: 1000 };
+    const gate = deferred();
+    const readShared = async () => null;
+
+    const leading = new SingleFlight(options).run('k', async () => {
+      await gate.promise;
+      throw Object.assign(new Error('Kroki returned 400'), { clientError: true, details: 'line 2' });
+    }, { readShared });
+    const following = new SingleFlight(options).run('k', async () => 'rendered twice', { readShared });
+
+    gate.release();
+    await expect(leading).rejects.toThrow('Kroki returned 400');
+    await expect(following).rejects.toMatchObject({ message: 'Kroki returned 400', clientError: true, details: 'line 2' });
+  });
+
+  it('renders itself when the lock holder leaves no result', async () => {
+    const redis = fakeRedis();
+    redis.store.set('flight:k', 'another-instance');
+    const flights = new SingleFlight({ redis: () => redis, pollIntervalMs: 5, waitTimeoutMs: 1000 });
+
+    const following = flights.run('k', async () => 'svg', { readShared: async () => null });
+    redis.store.delete('flight:k');
+
+    expect(await following).toBe('svg');
+  });
+});
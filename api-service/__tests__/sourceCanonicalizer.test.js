@@ -0,0 +1,115 @@
+const { canonicalizeSource } = require('../utils/sourceCanonicalizer');
+const { CacheManager } = require('../utils/cache');
+const { MemoryCache } = require('../utils/memoryCache');
+
+// Each group renders identically, so every source in it must share a cache key
+const equivalent = {
+  plantuml: [
+    [
+      '@startuml\nAlice -> Bob: hello\nBob --> Alice: hi\n@enduml',
+      '@startuml\r\n  Alice -> Bob: hello\r\n  Bob --> Alice: hi\r\n@enduml\r\n',
+      '@startuml\n\' greeting\nAlice -> Bob: hello\n    \' reply\nBob --> Alice: hi   \n@enduml',
+      '@startuml\n/\' a block\n   comment \'/\nAlice -> Bob: hello\n/\' inline \'/\nBob --> Alice: hi\n@enduml'
+    ],
+    [
+      'package Shop {\n  class Order\n  class Item\n}',
+      'package Shop {\n\tclass Order\n\tclass Item\n}',
+      '    package Shop {\n        class Order\n        class Item\n    }'
+    ],
+    [
+      'note left of A\n  keep  this\n    nested\nend note',
+      '    note left of A\n      keep  this\n        nested\n    end note'
+    ]
+  ],
+  c4plantuml: [
+    [
+      'Person(user, "User")\nRel(user, web, "Uses")',
+      '\' actors\n  Person(user, "User")\n  Rel(user, web, "Uses")'
+    ]
+  ],
+  mermaid: [
+    [
+      'graph TD\n  A --> B\n  B --> C',
+      'graph TD\r\n  A --> B\r\n  %% second hop\r\n  B --> C',
+      '    graph TD\n      A --> B\n      B --> C\n'
+    ],
+    [
+      'mindmap\n  root\n    child\n      grandchild',
+      '  mindmap\n    root\n      %% nested\n      child\n        grandchild'
+    ]
+  ],
+  graphviz: [
+    [
+      'digraph G {\n  a -> b [label="x"];\n}',
+      'digraph G {\n\ta -> b [label="x"]; // edge\n}',
+      '/* header */\ndigraph G {\n\n    a  ->  b /* inline */ [label="x"];\n\n}',
+      'digraph G {\r\n  // only a comment\r\n  a -> b [label="x"];\r\n}'
+    ],
+    [
+      'digraph { a [label=<<b>bold</b>>]; }',
+      'digraph {   a  [label=<<b>bold</b>>];   }  // html'
+    ]
+  ]
+};
+
+// Changes the renderer does see, so these must keep distinct keys
+const distinct = {
+  plantuml: [
+    ['Alice -> Bob: it\'s', 'Alice -> Bob: it'],
+    ['note left of A\n  indented\nend note', 'note left of A\nindented\nend note'],
+    [':first line\n  second line;', ':first line\nsecond line;'],
+    ['@startjson\n{\n  "a": "\'b"\n}\n@endjson', '@startjson\n{\n"a": "\'b"\n}\n@endjson'],
+    ['@startmindmap\n* root\n\t* child\n\t\t* grandchild\n@endmindmap', '@startmindmap\n* root\n\t* child\n\t* grandchild\n@endmindmap'],
+    ['@startwbs\n* root\n\t* child\n\t\t* grandchild\n@endwbs', '@startwbs\n* root\n\t* child\n\t* grandchild\n@endwbs']
+  ],
+  mermaid: [
+    ['%%{init: {"theme": "dark"}}%%\ngraph TD\n  A --> B', 'graph TD\n  A --> B'],
+    ['mindmap\n  root\n    child', 'mindmap\n  root\n  child']
+  ],
+  graphviz: [
+    ['digraph { a [label="// not a comment"]; }', 'digraph { a [label=""]; }'],
+    ['digraph { a [label="x  /* y */  z"]; }', 'digraph { a [label="x z"]; }'],
+    ['digraph { a [label="line\n    two"]; }', 'digraph { a [label="line\ntwo"]; }'],
+    ['digraph { a [label=<x <!-- y --> // z>]; }', 'digraph { a [label=<x <!-- y -->>]; }']
+  ],
+  d2: [
+    ['a -> b\n  # indented', 'a -> b\n# indented']
+  ]
+};
+
+describe('Source canonicalization', () => {
+  const cache = new CacheManager({ memory: new MemoryCache({ maxBytes: 1024 }) });
+  const keyFor = (source, diagramType) => cache.generateCacheKey(source, 'svg', { diagramType });
+
+  for (const [diagramType, groups] of Object.entries(equivalent)) {
+    it(`maps equivalent ${diagramType} sources to one cache key`, () => {
+      for (const [first, ...rest] of groups) {
+        for (const source of rest) {
+          expect(canonicalizeSource(source, diagramType)).toBe(canonicalizeSource(first, diagramType));
+          expect(keyFor(source, diagramType)).toBe(keyFor(first, diagramType));
+        }
+      }
+    });
+  }
+
+  for (const [diagramType, pairs] of Object.entries(distinct)) {
+    it(`keeps ${diagramType} sources that render differently apart`, () => {
+      for (const [a, b] of pairs) {
+        expect(keyFor(a, diagramType)).not.toBe(keyFor(b, diagramType));
+      }
+    });
+  }
+
+  it('treats dot as an alias for graphviz', () => {
+    const source = 'digraph G {\n  a -> b; // edge\n}';
+    expect(canonicalizeSource(source, 'dot')).toBe(canonicalizeSource(source, 'graphviz'));
+  });
+
+  it('only normalizes line endings for other languages', () => {
+    expect(canonicalizeSource('  x:\r\n    - y // z\r\n', 'd2')).toBe('x:\n    - y // z');
+  });
+
+  it('leaves text after a closing block comment in place', () => {
+    expect(canonicalizeSource('/\' first\nsecond \'/ A -> B\nB -> C', 'plantuml')).toBe('A -> B\nB -> C');
+  });
+});
@@ -0,0 +1,82 @@
+const zlib = require('zlib');
+const { PDFDocument } = require('pdf-lib');
+const { embedSource, extractSource, MAX_EMBEDDED_SOURCE_BYTES } = require('../utils/sourceEmbedding');
+
+// 1x1 transparent PNG
+const png = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=',
+  'base64'
+);
+
+const source = '@startuml\nAlice -> Bob: «héllo» & <bye>\n@enduml';
+
+describe('Diagram source embedding', () => {
+  it('round-trips source through PNG text chunks', async () => {
+    const embedded = await embedSource(png, 'png', { source, diagramType: 'plantuml' });
+
+    expect(embedded.includes(Buffer.from('iTXtdiagram-source'))).toBe(true);
+    expect(embedded.subarray(-8, -4).toString('latin1')).toBe('IEND');
+    expect(await extractSource(embedded)).toEqual({ format: 'png', source, diagramType: 'plantuml', origin: 'embedded' });
+
+    // Re-embedding replaces rather than duplicates the chunks
+    const again = await embedSource(embedded, 'png', { source: 'A -> B', diagramType: 'plantuml' });
+    expect(again.length).toBeLessThan(embedded.length);
+    expect((await extractSource(again)).source).toBe('A -> B');
+  });
+
+  it('round-trips source through SVG metadata', async () => {
+    const svg = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"><title>t</title><g/></svg>');
+    const embedded = await embedSource(svg, 'svg', { source, diagramType: 'plantuml' });
+
+    expect(embedded.toString()).toMatch(/<g\/><metadata><diagram xmlns="[^"]+" type="plantuml">@startuml\nAlice -&gt; Bob: «héllo» &amp; &lt;bye&gt;/);
+    expect(await extractSource(embedded)).toEqual({ format: 'svg', source, diagramType: 'plantuml', origin: 'embedded' });
+  });
+
+  it('round-trips source through PDF document info', async () => {
+    const doc = await PDFDocument.create();
+    doc.addPage([100, 100]).drawRectangle({ x: 10, y: 10, width: 20, height: 20 });
+    const embedded = await embedSource(Buffer.from(await doc.save()), 'pdf', { source, diagramType: 'c4plantuml' });
+
+    expect(await extractSource(embedded)).toEqual({ format: 'pdf', source, diagramType: 'c4plantuml', origin: 'embedded' });
+  });
+
+  it('falls back to the source PlantUML writes into its PNGs', async () => {
+    // iTXt "plantuml", compressed, no language tag or translated keyword (CRC is not checked on read)
+    const text = Buffer.concat([Buffer.from('plantuml\0\x01\0\0\0', 'latin1'), zlib.deflateSync('@startuml\nA -> B\n@enduml')]);
+    const chunk = Buffer.alloc(12 + text.length);
+    chunk.writeUInt32BE(text.length, 0);
+    chunk.write('iTXt', 4, 'latin1');
+    text.copy(chunk, 8);
+    const native = Buffer.concat([png.subarray(0, png.length - 12), chunk, png.subarray(png.length - 12)]);
+
+    expect(await extractSource(native)).toEqual({
+      format: 'png',
+      source: '@startuml\nA -> B\n@enduml',
+      diagramType: 'plantuml',
+      origin: 'plantuml'
+    });
+  });
+
+  it('refuses compressed chunks that inflate past the size limit', async () => {
+    const bomb = zlib.deflateSync(Buffer.alloc(MAX_EMBEDDED_SOURCE_BYTES + 1, 'A'));
+    const text = Buffer.concat([Buffer.from('diagram-source\0\x01\0\0\0', 'latin1'), bomb]);
+    const chunk = Buffer.alloc(12 + text.length);
+    chunk.writeUInt32BE(text.length, 0);
+    chunk.write('iTXt', 4, 'latin1');
+    text.copy(chunk, 8);
+    const upload = Buffer.concat([png.subarray(0, png.length - 12), chunk, png.subarray(png.length - 12)]);
+
+    expect(bomb.length).toBeLessThan(10 * 1024);
+    await expect(extractSource(upload)).rejects.toMatchObject({ type: 'EMBEDDED_SOURCE_TOO_LARGE' });
+  });
+
+  it('reports files without source and unsupported files', async () => {
+    expect(await extractSource(png)).toBeNull();
+    await expect(extractSource(Buffer.from('GIF89a........'))).rejects.toMatchObject({ type: 'UNSUPPORTED_MEDIA_TYPE' });
+  });
+
+  it('leaves formats without room for metadata untouched', async () => {
+    const jpeg = Buffer.from([0xFF, 0xD8, 0xFF, 0xE0]);
+    expect(await embedSource(jpeg, 'jpeg', { source })).toBe(jpeg);
+  });
+});
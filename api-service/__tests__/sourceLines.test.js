@@ -0,0 +1,19 @@
+const { sourceLinesOf, stripPlantUMLWrapper, joinSourceLines, lineMapOf } = require('../utils/sourceLines');
+const { themeManager } = require('../utils/themeManager');
+
+describe('Source lines', () => {
+  it('numbers trimmed source from where its content starts', () => {
+    const lines = stripPlantUMLWrapper(sourceLinesOf('\n\n  @startuml\r\n  Alice -> Bob \r\n\r\n@enduml\n'));
+
+    expect(joinSourceLines(lines)).toBe('Alice -> Bob');
+    expect(lineMapOf(lines)).toEqual([4]);
+  });
+
+  it('keeps the line of statements behind a Graphviz opening brace', () => {
+    const lines = themeManager.applyLines(sourceLinesOf('digraph G { a -> b }'), 'graphviz', 'dark');
+
+    expect(joinSourceLines(lines)).toBe(themeManager.apply('digraph G { a -> b }', 'graphviz', 'dark'));
+    expect(lineMapOf(lines)).toEqual([1, null, null, 1]);
+    expect(lines[3].text).toMatch(/^ {2}edge \[.*\]; a -> b }$/);
+  });
+});
@@ -0,0 +1,104 @@
+const { processSvg, diagramTitle, svgNamespace } = require('../utils/svgProcessor');
+
+const svg = [
+  '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+  '<!DOCTYPE svg [<!ENTITY xxe SYSTEM "file:///etc/passwd">]>',
+  '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" id="root" onload="alert(1)">',
+  '  <!-- generated -->',
+  '  <title>Old title</title>',
+  '  <style>',
+  '    @import url(https://evil.example/x.css);',
+  '    #root .node > rect { fill: url(#grad); stroke: #333; }',
+  '    .edge { background: url(https://evil.example/track.png); }',
+  '  </style>',
+  '  <defs>',
+  '    <linearGradient id="grad"><stop offset="0"/></linearGradient>',
+  '    <marker id="arrow"><path d="M0,0 L10,5"/></marker>',
+  '  </defs>',
+  '  <script type="text/javascript">alert("x")</script>',
+  '  <g class="node  active" onclick="steal()">',
+  '    <rect fill="url(#grad)" style="fill:url(#grad)"/>',
+  '    <text x="1"> Alice &amp; Bob </text>',
+  '  </g>',
+  '  <path class="edge" marker-end="url(#arrow)"/>',
+  '  <use xlink:href="#arrow"/>',
+  '  <image href="https://evil.example/pixel.gif"/>',
+  '  <a xlink:href="javascript:alert(1)"><text>bad</text></a>',
+  '  <a href="https://example.com/docs"><text>docs</text></a>',
+  '  <set attributeName="href" to="javascript:alert(1)"/>',
+  '</svg>'
+].join('\n');
+
+describe('SVG post-processing', () => {
+  const output = processSvg(svg, { namespace: 'd1', title: 'Login <flow>', description: 'Sequence of a login' }).toString();
+
+  it('removes scripts, handlers and external references', () => {
+    expect(output).not.toMatch(/<script|onload|onclick|javascript:|evil\.example|<!DOCTYPE|<\?xml|ENTITY/);
+    expect(output).not.toContain('attributeName="href"');
+    expect(output).toContain('<a href="https://example.com/docs">');
+    expect(output).toContain('<image/>');
+  });
+
+  it('matches elements and attributes by local name, whatever their prefix', () => {
+    const prefixed = processSvg([
+      '<s:svg xmlns:s="http://www.w3.org/2000/svg" xmlns:h="http://www.w3.org/1999/xhtml" xmlns:l="http://www.w3.org/1999/xlink">',
+      '<s:script>alert(1)</s:script>',
+      '<s:foreignObject><h:div><h:script>alert(2)</h:script><h:iframe src="https://evil.example"></h:iframe></h:div></s:foreignObject>',
+      '<s:a l:href="javascript:alert(3)"><s:text>x</s:text></s:a>',
+      '<s:set attributeName="l:href" to="javascript:alert(4)"/>',
+      '</s:svg>'
+    ].join(''), { namespace: 'd2' }).toString();
+
+    expect(prefixed).not.toMatch(/script|alert|iframe|evil\.example/);
+    expect(prefixed).toContain('<s:foreignObject><h:div></h:div></s:foreignObject>');
+    expect(prefixed).toContain('<s:a><s:text>x</s:text></s:a>');
+  });
+
+  it('decodes character references before checking names and URLs', () => {
+    const encoded = processSvg([
+      '<svg xmlns="http://www.w3.org/2000/svg">',
+      '<a><animate attributeName="&#104;ref" to="&#106;avascript:alert(1)"/></a>',
+      '<a href="&#x6A;ava&Tab;script&colon;alert(2)"><text>x</text></a>',
+      '<image href=" &#0000106avascript:alert(3)"/>',
+      '<foreignObject><form action="&#106;avascript:alert(4)"><button formaction="x">go</button></form><p>label</p></foreignObject>',
+      '</svg>'
+    ].join(''), { namespace: 'd3' }).toString();
+
+    expect(encoded).not.toMatch(/animate|avascript|alert|form|button/);
+    expect(encoded).toContain('<a><text>x</text></a>');
+    expect(encoded).toContain('<foreignObject><p>label</p></foreignObject>');
+  });
+
+  it('prefixes ids, classes and their references', () => {
+    expect(output).toContain('<linearGradient id="d1-grad">');
+    expect(output).toContain('<g class="d1-node d1-active">');
+    expect(output).toContain('<rect fill="url(#d1-grad)" style="fill:url(#d1-grad)"/>');
+    expect(output).toContain('marker-end="url(#d1-arrow)"');
+    expect(output).toContain('<use xlink:href="#d1-arrow"/>');
+    expect(output).toContain('#d1-root .d1-node>rect{fill:url(#d1-grad);stroke:#333}');
+    expect(output).toContain('.d1-edge{background:none}');
+  });
+
+  it('replaces the title and adds accessibility attributes', () => {
+    expect(output).not.toContain('Old title');
+    expect(output).toContain('role="img" aria-labelledby="d1-title d1-desc">');
+    expect(output).toContain('<title id="d1-title">Login &lt;flow&gt;</title><desc id="d1-desc">Sequence of a login</desc>');
+  });
+
+  it('minifies without touching text content', () => {
+    expect(output).not.toContain('<!--');
+    expect(output).not.toMatch(/>\s+</);
+    expect(output).toContain('<text x="1"> Alice &amp; Bob </text>');
+  });
+
+  it('derives a stable namespace from the content', () => {
+    expect(svgNamespace(svg)).toMatch(/^d[0-9a-f]{8}$/);
+    expect(processSvg(svg).equals(processSvg(Buffer.from(svg)))).toBe(true);
+  });
+
+  it('reads diagram titles from the source', () => {
+    expect(diagramTitle('@startuml\ntitle Checkout flow\nA -> B\n@enduml')).toBe('Checkout flow');
+    expect(diagramTitle('---\ntitle: "Order states"\n---\nstateDiagram-v2')).toBe('Order states');
+    expect(diagramTitle('digraph { a -> b }')).toBeNull();
+  });
+});
@@ -0,0 +1,62 @@
+const path = require('path');
+const { ThemeManager } = require('../utils/themeManager');
+
+describe('Diagram themes', () => {
+  let themeManager;
+
+  beforeEach(() => {
+    themeManager = new ThemeManager(path.join(__dirname, '..', 'themes'));
+    themeManager.register({
+      name: 'corporate',
+      palette: {
+        background: '#FFFFFF',
+        primary: '#0B5394',
+        secondary: '#CFE2F3',
+        fill: '#EAF2FB',
+        text: '#202124',
+        line: '#444444',
+        accent: '#FFF2CC'
+      },
+      font: { family: 'Arial', size: 11 },
+      plantuml: { theme: 'plain' },
+      graphviz: { node: { shape: 'box' } }
+    });
+  });
+
+  it('loads the bundled themes from disk', () => {
+    expect(themeManager.getThemeNames()).toEqual(expect.arrayContaining(['light', 'dark', 'blueprint', 'corporate']));
+  });
+
+  it('adds PlantUML skinparams after @startuml and leading includes', () => {
+    const source = '@startuml\n!include <C4/C4_Container>\nPerson(user, "User")\n@enduml';
+    const lines = themeManager.apply(source, 'c4plantuml', 'corporate').split('\n');
+
+    expect(lines.slice(0, 3)).toEqual(['@startuml', '!include <C4/C4_Container>', '!theme plain']);
+    expect(lines).toContain('skinparam DefaultFontName Arial');
+    expect(lines).toContain('  BorderColor #0B5394');
+    expect(lines.indexOf('Person(user, "User")')).toBeGreaterThan(lines.indexOf('skinparam ArrowColor #444444'));
+  });
+
+  it('prepends a Mermaid init directive', () => {
+    const themed = themeManager.apply('graph TD\n  A-->B', 'mermaid', 'corporate');
+    const [directive, ...rest] = themed.split('\n');
+    const config = JSON.parse(directive.match(/^%%\{init: (.*)\}%%$/)[1]);
+
+    expect(config.theme).toBe('base');
+    expect(config.themeVariables).toMatchObject({ primaryColor: '#EAF2FB', lineColor: '#444444', fontSize: '11px' });
+    expect(rest.join('\n')).toBe('graph TD\n  A-->B');
+  });
+
+  it('sets Graphviz defaults inside the graph body', () => {
+    const themed = themeManager.apply('strict digraph G {\n  a -> b [color=red]\n}', 'graphviz', 'corporate');
+
+    expect(themed).toMatch(/^strict digraph G \{\n {2}graph \[bgcolor="#FFFFFF"/);
+    expect(themed).toContain('node [style="filled", fillcolor="#EAF2FB", color="#0B5394", fontname="Arial", fontcolor="#202124", fontsize="11", shape="box"];');
+    expect(themed).toContain('a -> b [color=red]');
+  });
+
+  it('leaves unthemed diagram types unchanged and rejects unknown themes', () => {
+    expect(themeManager.apply('+--+', 'ditaa', 'corporate')).toBe('+--+');
+    expect(() => themeManager.apply('A -> B', 'plantuml', 'missing')).toThrow('Unknown theme: missing');
+  });
+});
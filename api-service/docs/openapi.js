@@ -1,4 +1,5 @@
 const swaggerJsdoc = require('swagger-jsdoc');
+const { diagramTypes, outputFormats } = require('../utils/diagramCapabilities');
 
 const options = {
   definition: {
@@ -79,13 +80,13 @@ const options = {
             },
             format: {
               type: 'string',
-              enum: ['png', 'svg', 'pdf', 'jpeg', 'webp'],
+              enum: outputFormats,
               default: 'png',
               description: 'Output format for the diagram'
             },
             diagramType: {
               type: 'string',
-              enum: ['plantuml', 'mermaid', 'graphviz', 'ditaa', 'blockdiag', 'bpmn', 'c4plantuml'],
+              enum: diagramTypes,
               default: 'plantuml',
               description: 'Type of diagram to generate'
             },
@@ -104,10 +105,73 @@ const options = {
               type: 'boolean',
               default: true,
               description: 'Use caching for faster subsequent requests'
+            },
+            theme: {
+              type: 'string',
+              example: 'light',
+              description: 'Registered theme applied to PlantUML, C4-PlantUML, Mermaid and Graphviz sources (see GET /api/v2/themes)'
+            },
+            transform: {
+              $ref: '#/components/schemas/ImageTransform'
+            },
+            print: {
+              $ref: '#/components/schemas/PrintOptions'
+            },
+            title: {
+              type: 'string',
+              maxLength: 200,
+              description: 'Accessible <title> for SVG output; defaults to the title declared in the diagram source'
+            },
+            description: {
+              type: 'string',
+              maxLength: 2000,
+              description: 'Accessible <desc> for SVG output'
             }
           }
         },
 
+        ImageTransform: {
+          type: 'object',
+          description: 'Geometry options for png, jpeg and webp output; part of the cache key. The result may not exceed 16384px per side or 50 million pixels in total (INVALID_TRANSFORM)',
+          properties: {
+            scale: { type: 'number', minimum: 0.1, maximum: 10, description: 'Resize factor (not combined with width/height)' },
+            width: { type: 'integer', minimum: 1, maximum: 16384 },
+            height: { type: 'integer', minimum: 1, maximum: 16384 },
+            fit: {
+              type: 'string',
+              enum: ['inside', 'contain', 'cover', 'fill', 'outside'],
+              default: 'inside',
+              description: 'How the image fits width/height; contain letterboxes with the background color'
+            },
+            dpi: {
+              type: 'integer',
+              minimum: 36,
+              maximum: 1200,
+              description: 'Target resolution; scales the 96 DPI render unless width/height are given, and is written to the image metadata'
+            },
+            background: {
+              type: 'string',
+              example: '#ffffff',
+              description: '"transparent" or a color; a color replaces transparent areas and fills padding'
+            },
+            padding: { type: 'integer', minimum: 0, maximum: 1000, description: 'Pixels added on every side' }
+          }
+        },
+
+        PrintOptions: {
+          oneOf: [
+            { type: 'boolean', enum: [true] },
+            {
+              type: 'object',
+              properties: {
+                dpi: { type: 'integer', minimum: 72, maximum: 1200, default: 300 },
+                cmyk: { type: 'boolean', default: false, description: 'CMYK color space (tiff only)' }
+              }
+            }
+          ],
+          description: 'Print production for png and tiff output: the SVG rendering is rasterized at the given DPI instead of scaling up the 96 DPI PNG. tiff output always uses it (300 DPI by default); not combined with transform'
+        },
+
         BatchRequest: {
           type: 'object',
           required: ['requests'],
@@ -126,12 +190,12 @@ const options = {
                   },
                   format: {
                     type: 'string',
-                    enum: ['png', 'svg', 'pdf', 'jpeg', 'webp'],
+                    enum: outputFormats,
                     default: 'png'
                   },
                   diagramType: {
                     type: 'string',
-                    enum: ['plantuml', 'mermaid', 'graphviz', 'ditaa', 'blockdiag', 'bpmn', 'c4plantuml'],
+                    enum: diagramTypes,
                     default: 'plantuml'
                   },
                   options: {
@@ -139,12 +203,27 @@ const options = {
                     properties: {
                       quality: { type: 'string', enum: ['high', 'balanced', 'fast'] }
                     }
+                  },
+                  theme: {
+                    type: 'string',
+                    description: 'Registered theme for this item'
+                  },
+                  name: {
+                    type: 'string',
+                    pattern: '^[\\w.-]{1,100}$',
+                    description: 'File name (without extension) for this item in zip/multipart/json output; defaults to diagram-<index>'
                   }
                 }
               },
               minItems: 1,
-              maxItems: 10,
-              description: 'Array of diagram requests to process'
+              maxItems: 100,
+              description: 'Array of diagram requests to process (up to 10, or MAX_STREAMED_BATCH_SIZE for zip/multipart output)'
+            },
+            output: {
+              type: 'string',
+              enum: ['summary', 'json', 'zip', 'multipart'],
+              default: 'summary',
+              description: 'summary: sizes only; json: base64 payloads; zip: streamed archive with manifest.json; multipart: multipart/mixed stream ending with the manifest'
             },
             webhookUrl: {
               type: 'string',
@@ -158,6 +237,39 @@ const options = {
           }
         },
 
+        BookletRequest: {
+          type: 'object',
+          required: ['diagrams'],
+          properties: {
+            diagrams: {
+              type: 'array',
+              minItems: 1,
+              maxItems: 50,
+              description: 'Diagrams in page order; each item has either uml or a saved diagram id',
+              items: {
+                type: 'object',
+                properties: {
+                  uml: { type: 'string', maxLength: 100000 },
+                  diagramType: { type: 'string', default: 'plantuml' },
+                  id: { type: 'integer', description: 'Saved diagram id (see /api/v2/diagrams)' },
+                  revision: { type: 'integer', description: 'Saved diagram revision; defaults to the current one' },
+                  title: { type: 'string' },
+                  caption: { type: 'string' }
+                }
+              }
+            },
+            title: { type: 'string', description: 'Cover and document title' },
+            subtitle: { type: 'string' },
+            author: { type: 'string' },
+            cover: { type: 'boolean', default: true },
+            toc: { type: 'boolean', default: true, description: 'Add a linked table of contents' },
+            pageSize: { type: 'string', enum: ['A3', 'A4', 'A5', 'Letter', 'Legal', 'Tabloid'], default: 'A4' },
+            orientation: { type: 'string', enum: ['portrait', 'landscape'], default: 'portrait' },
+            theme: { type: 'string', description: 'Registered theme applied to every diagram' },
+            filename: { type: 'string', default: 'booklet' }
+          }
+        },
+
         AsyncDiagramRequest: {
           type: 'object',
           required: ['uml'],
@@ -170,12 +282,12 @@ const options = {
             },
             format: {
               type: 'string',
-              enum: ['png', 'svg', 'pdf', 'jpeg', 'webp'],
+              enum: outputFormats,
               default: 'png'
             },
             diagramType: {
               type: 'string',
-              enum: ['plantuml', 'mermaid', 'graphviz', 'ditaa', 'blockdiag', 'bpmn', 'c4plantuml'],
+              enum: diagramTypes,
               default: 'plantuml'
             },
             quality: {
@@ -183,6 +295,16 @@ const options = {
               enum: ['high', 'balanced', 'fast'],
               default: 'balanced'
             },
+            theme: {
+              type: 'string',
+              description: 'Registered theme (see GET /api/v2/themes)'
+            },
+            transform: {
+              $ref: '#/components/schemas/ImageTransform'
+            },
+            print: {
+              $ref: '#/components/schemas/PrintOptions'
+            },
             priority: {
               type: 'integer',
               minimum: -10,
@@ -202,6 +324,154 @@ const options = {
           }
         },
 
+        Theme: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', example: 'light' },
+            description: { type: 'string' },
+            palette: {
+              type: 'object',
+              properties: {
+                background: { type: 'string', example: '#FFFFFF' },
+                primary: { type: 'string' },
+                secondary: { type: 'string' },
+                fill: { type: 'string' },
+                text: { type: 'string' },
+                line: { type: 'string' },
+                accent: { type: 'string' }
+              }
+            },
+            font: {
+              type: 'object',
+              properties: {
+                family: { type: 'string' },
+                size: { type: 'integer' }
+              }
+            },
+            diagramTypes: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Diagram types the theme is applied to'
+            }
+          }
+        },
+
+        CacheEntry: {
+          type: 'object',
+          properties: {
+            key: { type: 'string', example: 'diagram:plantuml:png:3f0a...' },
+            diagramType: { type: 'string' },
+            format: { type: 'string' },
+            hash: { type: 'string' },
+            hits: { type: 'integer', description: 'Cache hits on this entry' },
+            stale: { type: 'boolean', description: 'Past its TTL and kept only for the grace period' },
+            metadata: { type: 'object', description: 'Render metadata stored with the entry (renderer, duration, size, cachedAt, staleAt)' },
+            tiers: {
+              type: 'object',
+              properties: {
+                memory: {
+                  type: 'object',
+                  nullable: true,
+                  description: 'This instance\'s in-process copy',
+                  properties: {
+                    bytes: { type: 'integer' },
+                    hits: { type: 'integer' },
+                    staleAt: { type: 'string', format: 'date-time' },
+                    expiresAt: { type: 'string', format: 'date-time' }
+                  }
+                },
+                redis: {
+                  type: 'object',
+                  nullable: true,
+                  properties: {
+                    bytes: { type: 'integer' },
+                    ttl: { type: 'integer', description: 'Seconds left, -1 without expiry' }
+                  }
+                }
+              }
+            }
+          }
+        },
+
+        CachePurgeResult: {
+          type: 'object',
+          properties: {
+            pattern: { type: 'string', example: 'diagram:mermaid:*:*' },
+            memory: { type: 'integer', description: 'Entries removed from this instance\'s memory tier (other instances are notified)' },
+            redis: { type: 'integer', description: 'Entries removed from Redis' }
+          }
+        },
+
+        CacheWarmingProgress: {
+          type: 'object',
+          properties: {
+            running: { type: 'boolean' },
+            scheduled: { type: 'boolean', description: 'Whether periodic runs and renderer upgrade checks are active' },
+            limit: { type: 'integer', description: 'Diagrams warmed per run, most accessed first', example: 50 },
+            intervalMs: { type: 'integer', example: 21600000 },
+            run: {
+              type: 'object',
+              nullable: true,
+              description: 'The run in progress, otherwise the last finished one',
+              properties: {
+                status: { type: 'string', enum: ['running', 'completed', 'failed'] },
+                trigger: { type: 'string', enum: ['startup', 'schedule', 'renderer-upgrade', 'manual'] },
+                refresh: { type: 'boolean', description: 'Re-rendered even when cached' },
+                rendererVersion: { type: 'string', example: 'kroki-0.25.0' },
+                startedAt: { type: 'string', format: 'date-time' },
+                finishedAt: { type: 'string', format: 'date-time', nullable: true },
+                total: { type: 'integer' },
+                warmed: { type: 'integer' },
+                alreadyCached: { type: 'integer' },
+                failed: { type: 'integer' },
+                error: { type: 'string', nullable: true }
+              }
+            }
+          }
+        },
+
+        Capabilities: {
+          type: 'object',
+          properties: {
+            diagramTypes: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string', enum: diagramTypes },
+                  name: { type: 'string', example: 'D2' },
+                  description: { type: 'string' },
+                  formats: {
+                    type: 'array',
+                    items: { type: 'string', enum: outputFormats },
+                    description: 'Formats this type can be rendered to, including converted ones'
+                  },
+                  limits: {
+                    type: 'object',
+                    properties: {
+                      maxSourceLength: { type: 'integer', example: 100000 }
+                    }
+                  },
+                  example: { type: 'string', description: 'Minimal source that renders' }
+                }
+              }
+            },
+            formats: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string', enum: outputFormats },
+                  convertedFrom: {
+                    type: 'string',
+                    description: 'Renderer format this one is converted from, when not produced natively'
+                  }
+                }
+              }
+            }
+          }
+        },
+
         JobStatus: {
           type: 'object',
           properties: {
@@ -244,6 +514,11 @@ const options = {
               type: 'string',
               description: 'URL to retrieve the result (if completed)'
             },
+            artifactUrl: {
+              type: 'string',
+              description: 'Immutable URL of the stored diagram (completed diagram jobs)',
+              example: '/api/v2/artifacts/9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08'
+            },
             error: {
               type: 'string',
               description: 'Error message (if failed)'
@@ -417,6 +692,56 @@ const options = {
           }
         },
 
+        SavedDiagram: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            title: { type: 'string' },
+            description: { type: 'string', nullable: true },
+            diagramType: { type: 'string', example: 'plantuml' },
+            format: { type: 'string', example: 'png', description: 'Default render format' },
+            revision: { type: 'integer', description: 'Current revision number' },
+            uml: { type: 'string', description: 'Source of the current revision' },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' }
+          }
+        },
+
+        DiagramRevision: {
+          type: 'object',
+          properties: {
+            revision: { type: 'integer' },
+            title: { type: 'string' },
+            diagramType: { type: 'string' },
+            contentHash: { type: 'string', description: 'SHA-256 of the revision source' },
+            message: { type: 'string', nullable: true },
+            uml: { type: 'string', description: 'Only present when fetching a single revision' },
+            sourceLength: { type: 'integer', description: 'Only present in revision listings' },
+            createdAt: { type: 'string', format: 'date-time' }
+          }
+        },
+
+        Diagnostic: {
+          type: 'object',
+          properties: {
+            line: { type: 'integer', nullable: true, description: '1-based line in the submitted source' },
+            column: { type: 'integer', nullable: true },
+            message: { type: 'string' },
+            excerpt: {
+              type: 'array',
+              description: 'Source lines around the error',
+              items: {
+                type: 'object',
+                properties: {
+                  line: { type: 'integer' },
+                  text: { type: 'string' },
+                  error: { type: 'boolean', description: 'True for the offending line' }
+                }
+              }
+            }
+          }
+        },
+
         Error: {
           type: 'object',
           properties: {
@@ -439,6 +764,11 @@ const options = {
                 requestId: {
                   type: 'string',
                   description: 'Unique request identifier for debugging'
+                },
+                diagnostics: {
+                  type: 'array',
+                  description: 'Syntax errors reported by the renderer (INVALID_UML only)',
+                  items: { $ref: '#/components/schemas/Diagnostic' }
                 }
               },
               required: ['type', 'message', 'timestamp']
@@ -449,7 +779,7 @@ const options = {
 
       responses: {
         DiagramImage: {
-          description: 'Generated diagram image',
+          description: 'Generated diagram image (text/plain for txt/utxt art of PlantUML sequence diagrams, application/postscript for eps)',
           content: {
             'image/png': {
               schema: {
@@ -479,6 +809,22 @@ const options = {
                 type: 'string',
                 format: 'binary'
               }
+            },
+            'image/tiff': {
+              schema: {
+                type: 'string',
+                format: 'binary'
+              }
+            },
+            'application/postscript': {
+              schema: {
+                type: 'string'
+              }
+            },
+            'text/plain': {
+              schema: {
+                type: 'string'
+              }
             }
           },
           headers: {
@@ -494,9 +840,17 @@ const options = {
               description: 'Caching directives',
               schema: { type: 'string' }
             },
+            'ETag': {
+              description: 'Strong validator derived from the source, options and renderer version; send it back in If-None-Match to get a 304',
+              schema: { type: 'string' }
+            },
             'X-Cache': {
-              description: 'Cache hit/miss status',
-              schema: { type: 'string', enum: ['HIT', 'MISS'] }
+              description: 'Cache status; STALE is an expired rendering served from the cache grace period',
+              schema: { type: 'string', enum: ['HIT', 'STALE', 'MISS'] }
+            },
+            'Warning': {
+              description: 'Sent with X-Cache: STALE. 110 while the diagram is refreshed in the background, 111 when rendering failed',
+              schema: { type: 'string', example: '111 - "Revalidation Failed"' }
             },
             'X-Generation-Time': {
               description: 'Time taken to generate the diagram',
@@ -509,6 +863,24 @@ const options = {
             'X-Format': {
               description: 'Output format used',
               schema: { type: 'string' }
+            },
+            'Content-Location': {
+              description: 'Immutable artifact URL for these bytes (/api/v2/artifacts/{hash}), when the artifact store is enabled',
+              schema: { type: 'string' }
+            },
+            'X-Artifact-Hash': {
+              description: 'SHA-256 of the response body, the key of its stored artifact',
+              schema: { type: 'string' }
+            }
+          }
+        },
+
+        NotModified: {
+          description: 'The representation matching If-None-Match (or, for stored diagrams, If-Modified-Since) is still current; no body is sent',
+          headers: {
+            'ETag': {
+              description: 'Current validator of the diagram',
+              schema: { type: 'string' }
             }
           }
         },
@@ -555,13 +927,21 @@ const options = {
           schema: { type: 'string' }
         },
 
+        DiagramId: {
+          name: 'id',
+          in: 'path',
+          required: true,
+          description: 'Saved diagram identifier',
+          schema: { type: 'integer' }
+        },
+
         DiagramType: {
           name: 'diagramType',
           in: 'query',
           description: 'Type of diagram',
           schema: {
             type: 'string',
-            enum: ['plantuml', 'mermaid', 'graphviz', 'ditaa', 'blockdiag', 'bpmn', 'c4plantuml'],
+            enum: diagramTypes,
             default: 'plantuml'
           }
         },
@@ -572,7 +952,7 @@ const options = {
           description: 'Output format',
           schema: {
             type: 'string',
-            enum: ['png', 'svg', 'pdf', 'jpeg', 'webp']
+            enum: outputFormats
           }
         },
 
@@ -593,6 +973,10 @@ const options = {
         name: 'Generation',
         description: 'Synchronous diagram generation endpoints'
       },
+      {
+        name: 'Library',
+        description: 'Saved diagrams and revision history'
+      },
       {
         name: 'Async',
         description: 'Asynchronous processing endpoints'
@@ -612,6 +996,10 @@ const options = {
       {
         name: 'Analytics',
         description: 'Usage analytics and statistics'
+      },
+      {
+        name: 'Admin',
+        description: 'Operator endpoints (API key of a user with metadata.role "admin")'
       }
     ]
   },
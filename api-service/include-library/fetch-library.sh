@@ -0,0 +1,39 @@
+#!/bin/sh
+# Download the pinned include libraries listed in manifest.json.
+# Each archive must match the library's "sha256" before it is unpacked; a library
+# without one is refused and the archive's digest is printed so it can be pinned.
+# The *.puml files under each library's "path" are copied to include-library/<name>/.
+set -eu
+
+LIBRARY_DIR="$(cd "$(dirname "$0")" && pwd)"
+WORK_DIR="$(mktemp -d)"
+trap 'rm -rf "$WORK_DIR"' EXIT
+
+node -e '
+  const { libraries } = require(process.argv[1]);
+  for (const [name, library] of Object.entries(libraries)) {
+    console.log(`${name} ${library.version} ${library.archive} ${library.path || "."} ${library.sha256 || "-"}`);
+  }
+' "$LIBRARY_DIR/manifest.json" | while read -r name version archive subdir sha256; do
+  echo "Fetching $name $version"
+  mkdir -p "$WORK_DIR/$name"
+  wget -q -O "$WORK_DIR/$name.tar.gz" "$archive"
+
+  actual="$(sha256sum "$WORK_DIR/$name.tar.gz" | cut -d ' ' -f 1)"
+  if [ "$sha256" = "-" ]; then
+    echo "No sha256 pinned for $name in manifest.json (archive is $actual)" >&2
+    exit 1
+  fi
+  if [ "$actual" != "$sha256" ]; then
+    echo "Checksum mismatch for $name $version: expected $sha256, got $actual" >&2
+    exit 1
+  fi
+
+  tar -xzf "$WORK_DIR/$name.tar.gz" -C "$WORK_DIR/$name" --strip-components=1
+
+  rm -rf "${LIBRARY_DIR:?}/$name"
+  (cd "$WORK_DIR/$name/$subdir" && find . -name '*.puml') | while read -r file; do
+    mkdir -p "$LIBRARY_DIR/$name/$(dirname "$file")"
+    cp "$WORK_DIR/$name/$subdir/$file" "$LIBRARY_DIR/$name/$file"
+  done
+done
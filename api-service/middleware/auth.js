@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const { logger, securityLogger } = require('../utils/logger');
+const { databaseManager } = require('../utils/database');
+
+// Resolved API keys are kept briefly in memory so every request doesn't hit Postgres
+const USER_CACHE_TTL = parseInt(process.env.AUTH_CACHE_TTL_MS || '60000');
+const userCache = new Map();
+
+// Route groups that reject anonymous callers (comma separated, e.g. "async,webhooks")
+const requiredRouteGroups = (process.env.AUTH_REQUIRED_ROUTES || '')
+  .split(',')
+  .map(group => group.trim().toLowerCase())
+  .filter(Boolean);
+
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+// Extract API key from X-API-Key or "Authorization: ApiKey <key>"
+function extractApiKey(req) {
+  const headerKey = req.get('X-API-Key');
+  if (headerKey) {
+    return headerKey.trim();
+  }
+
+  const authorization = req.get('Authorization') || '';
+  const match = authorization.match(/^ApiKey\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+async function resolveUser(apiKey) {
+  const cacheKey = hashApiKey(apiKey);
+  const cached = userCache.get(cacheKey);
+
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.user;
+  }
+
+  const user = await databaseManager.getUserByApiKey(apiKey);
+  userCache.set(cacheKey, { user, expiresAt: Date.now() + USER_CACHE_TTL });
+
+  // Keep the cache from growing without bound on key-guessing traffic
+  if (userCache.size > 1000) {
+    const now = Date.now();
+    for (const [key, entry] of userCache) {
+      if (entry.expiresAt <= now) {
+        userCache.delete(key);
+      }
+    }
+  }
+
+  return user;
+}
+
+const sendAuthError = (res, status, type, message) => {
+  res.status(status).json({
+    error: {
+      message,
+      type,
+      timestamp: new Date().toISOString()
+    }
+  });
+};
+
+// Authentication middleware factory
+// mode 'anonymous' lets callers without a key through with req.user = null,
+// mode 'required' rejects them. An invalid key is rejected in both.
+// mode 'identify' never rejects: it only sets req.user for a valid key, so the
+// global rate limiter can count key holders per key; routes enforce afterwards.
+const authenticate = ({ mode = 'anonymous' } = {}) => async (req, res, next) => {
+  const apiKey = extractApiKey(req);
+  req.user = null;
+
+  if (!apiKey) {
+    if (mode === 'required') {
+      securityLogger.logUnauthorizedAccess(req.ip, req.get('User-Agent'), req.originalUrl);
+      return sendAuthError(res, 401, 'AUTHENTICATION_REQUIRED', 'API key is required for this endpoint');
+    }
+    return next();
+  }
+
+  if (!databaseManager.isConnected) {
+    logger.warn('API key supplied but user database is unavailable', { ip: req.ip });
+    if (mode === 'required') {
+      return sendAuthError(res, 503, 'AUTHENTICATION_UNAVAILABLE', 'Authentication service is not available');
+    }
+    return next();
+  }
+
+  try {
+    const user = await resolveUser(apiKey);
+
+    if (!user) {
+      if (mode === 'identify') {
+        return next();
+      }
+      securityLogger.logUnauthorizedAccess(req.ip, req.get('User-Agent'), req.originalUrl);
+      return sendAuthError(res, 401, 'INVALID_API_KEY', 'Invalid or inactive API key');
+    }
+
+    req.user = {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      rateLimitOverride: user.rate_limit_override,
+      metadata: user.metadata || {}
+    };
+
+    next();
+  } catch (error) {
+    logger.error('API key authentication failed', { error: error.message, ip: req.ip });
+
+    if (mode === 'required') {
+      return sendAuthError(res, 503, 'AUTHENTICATION_UNAVAILABLE', 'Authentication service is not available');
+    }
+    next();
+  }
+};
+
+// Authentication mode for a route group, driven by AUTH_REQUIRED_ROUTES
+const authenticateRouteGroup = (group) => authenticate({
+  mode: requiredRouteGroups.includes(group) ? 'required' : 'anonymous'
+});
+
+// Rejects requests that did not resolve to a user (for routes mounted under an anonymous group)
+const requireUser = (req, res, next) => {
+  if (!req.user) {
+    securityLogger.logUnauthorizedAccess(req.ip, req.get('User-Agent'), req.originalUrl);
+    return sendAuthError(res, 401, 'AUTHENTICATION_REQUIRED', 'API key is required for this endpoint');
+  }
+  next();
+};
+
+// Operator-only routes: the key's user must carry metadata.role = "admin"
+const requireAdmin = (req, res, next) => {
+  if (!req.user) {
+    securityLogger.logUnauthorizedAccess(req.ip, req.get('User-Agent'), req.originalUrl);
+    return sendAuthError(res, 401, 'AUTHENTICATION_REQUIRED', 'API key is required for this endpoint');
+  }
+  if (req.user.metadata.role !== 'admin') {
+    securityLogger.logUnauthorizedAccess(req.ip, req.get('User-Agent'), req.originalUrl);
+    return sendAuthError(res, 403, 'FORBIDDEN', 'Administrator access is required for this endpoint');
+  }
+  next();
+};
+
+// Drop cached lookups, e.g. after a key is revoked
+const clearUserCache = () => {
+  userCache.clear();
+};
+
+module.exports = {
+  authenticate,
+  authenticateRouteGroup,
+  requireUser,
+  requireAdmin,
+  extractApiKey,
+  clearUserCache
+};
@@ -80,6 +80,35 @@ const cacheHitRatio = new promClient.Gauge({
   help: 'Cache hit ratio for diagram generation'
 });
 
+const cacheRequestsTotal = new promClient.Counter({
+  name: 'uml_cache_requests_total',
+  help: 'Diagram cache lookups by tier (memory, redis) and result (hit, stale, miss)',
+  labelNames: ['tier', 'result']
+});
+
+const cacheEvictionsTotal = new promClient.Counter({
+  name: 'uml_cache_evictions_total',
+  help: 'Entries evicted from the in-process diagram cache to stay within its byte limit'
+});
+
+const cacheMemoryUsage = new promClient.Gauge({
+  name: 'uml_cache_memory_usage',
+  help: 'Size of the in-process diagram cache',
+  labelNames: ['unit']
+});
+
+const renderCoalescedTotal = new promClient.Counter({
+  name: 'uml_render_coalesced_total',
+  help: 'Renders that joined an identical in-flight render instead of starting their own, by scope (local, remote)',
+  labelNames: ['scope']
+});
+
+const staleResponsesTotal = new promClient.Counter({
+  name: 'uml_cache_stale_served_total',
+  help: 'Expired diagrams served from the cache grace period, by reason (revalidating, error)',
+  labelNames: ['reason']
+});
+
 const databaseConnectionPool = new promClient.Gauge({
   name: 'uml_db_connection_pool_active',
   help: 'Number of active database connections',
@@ -98,6 +127,11 @@ register.registerMetric(memoryUsage);
 register.registerMetric(authFailures);
 register.registerMetric(suspiciousRequests);
 register.registerMetric(cacheHitRatio);
+register.registerMetric(cacheRequestsTotal);
+register.registerMetric(cacheEvictionsTotal);
+register.registerMetric(cacheMemoryUsage);
+register.registerMetric(renderCoalescedTotal);
+register.registerMetric(staleResponsesTotal);
 register.registerMetric(databaseConnectionPool);
 
 // Middleware to collect HTTP metrics
@@ -192,6 +226,30 @@ const updateCacheHitRatio = (hits, total) => {
   }
 };
 
+// Per-tier cache lookups; a memory miss followed by a Redis hit records both
+const recordCacheLookup = (tier, result) => {
+  cacheRequestsTotal.labels(tier, result).inc();
+};
+
+const recordCacheEviction = () => {
+  cacheEvictionsTotal.inc();
+};
+
+const updateMemoryCacheUsage = ({ bytes, entries }) => {
+  cacheMemoryUsage.labels('bytes').set(bytes);
+  cacheMemoryUsage.labels('entries').set(entries);
+};
+
+// Requests served by another request's render (single-flight)
+const recordCoalescedRequest = (scope) => {
+  renderCoalescedTotal.labels(scope).inc();
+};
+
+// Expired diagrams served from the cache grace period instead of a fresh render
+const recordStaleResponse = (reason) => {
+  staleResponsesTotal.labels(reason).inc();
+};
+
 // Database connection pool monitoring
 const updateDbConnectionPool = (poolName, activeConnections) => {
   databaseConnectionPool.labels(poolName).set(activeConnections);
@@ -256,6 +314,11 @@ module.exports = {
   recordDiagramGeneration,
   updateQueueSize,
   updateCacheHitRatio,
+  recordCacheLookup,
+  recordCacheEviction,
+  updateMemoryCacheUsage,
+  recordCoalescedRequest,
+  recordStaleResponse,
   updateDbConnectionPool,
   businessMetrics,
   getMetrics,
@@ -1,23 +1,29 @@
 const rateLimit = require('express-rate-limit');
+const { MemoryStore } = require('express-rate-limit');
 const slowDown = require('express-slow-down');
 const mongoSanitize = require('express-mongo-sanitize');
 const hpp = require('hpp');
 const { body, validationResult } = require('express-validator');
+const { includeResolver } = require('../utils/includeResolver');
+const { diagramTypes, supportsFormat } = require('../utils/diagramCapabilities');
+
+// rate_limit_override and API_KEY_RATE_LIMIT are requests per minute; every
+// limiter scales them to its own window
+const perWindow = (perMinute, windowMs) => Math.max(1, Math.round(perMinute * windowMs / (60 * 1000)));
 
 // Enhanced Rate Limiting
-const createRateLimit = (windowMs, max, message) => rateLimit({
-  windowMs,
-  max,
-  message: {
-    error: {
-      message,
-      type: 'RATE_LIMIT_EXCEEDED',
-      timestamp: new Date().toISOString()
+// Authenticated callers (req.user, set by middleware/auth) are counted per user
+// instead of per IP and get userMax or their rate_limit_override.
+const createRateLimit = (windowMs, max, message, userMax = max) => {
+  const store = new MemoryStore();
+  const limitFor = (req) => {
+    if (req.user) {
+      return req.user.rateLimitOverride ? perWindow(req.user.rateLimitOverride, windowMs) : userMax;
     }
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-  handler: (req, res) => {
+    return max;
+  };
+  const keyFor = (req) => (req.user ? `user:${req.user.id}` : req.ip);
+  const reject = (req, res) => {
     res.status(429).json({
       error: {
         message,
@@ -26,28 +32,74 @@ const createRateLimit = (windowMs, max, message) => rateLimit({
         retryAfter: Math.round(windowMs / 1000)
       }
     });
-  }
-});
+  };
+
+  const limiter = rateLimit({
+    windowMs,
+    max: limitFor,
+    keyGenerator: keyFor,
+    store,
+    message: {
+      error: {
+        message,
+        type: 'RATE_LIMIT_EXCEEDED',
+        timestamp: new Date().toISOString()
+      }
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: reject
+  });
+
+  // For requests that turn out to render several diagrams (a document's blocks):
+  // counts `weigh(req)` hits in total, the one the limiter itself took included
+  limiter.weighted = (weigh) => async (req, res, next) => {
+    const key = keyFor(req);
+    let totalHits = 0;
+    for (let extra = weigh(req) - 1; extra > 0; extra--) {
+      ({ totalHits } = await store.increment(key));
+    }
+    if (totalHits > limitFor(req)) {
+      return reject(req, res);
+    }
+    next();
+  };
+
+  // Counts one hit outside the middleware chain, for routes that only limit
+  // some requests (renders that miss the cache); false once over the limit
+  limiter.consume = async (req) => {
+    const { totalHits } = await store.increment(keyFor(req));
+    return totalHits <= limitFor(req);
+  };
+  limiter.reject = reject;
+
+  return limiter;
+};
 
 // Rate limiting configurations
+const apiKeyRateLimit = parseInt(process.env.API_KEY_RATE_LIMIT || '100'); // per minute, for API key holders
+
 const globalRateLimit = createRateLimit(
   15 * 60 * 1000, // 15 minutes
   100, // limit each IP to 100 requests per windowMs
-  'Too many requests from this IP, please try again later'
+  'Too many requests from this IP, please try again later',
+  perWindow(apiKeyRateLimit, 15 * 60 * 1000)
 );
 
 const generateRateLimit = createRateLimit(
   1 * 60 * 1000, // 1 minute
   10, // limit generation requests to 10 per minute
-  'Too many diagram generation requests, please slow down'
+  'Too many diagram generation requests, please slow down',
+  apiKeyRateLimit
 );
 
-// Progressive delay for rapid requests
+// Progressive delay for rapid anonymous requests; key holders are held to their own limits
 const speedLimiter = slowDown({
   windowMs: 15 * 60 * 1000, // 15 minutes
   delayAfter: 5, // allow 5 requests per windowMs without delay
   delayMs: 500, // add 500ms delay per request after delayAfter
-  maxDelayMs: 20000 // maximum delay of 20 seconds
+  maxDelayMs: 20000, // maximum delay of 20 seconds
+  skip: (req) => Boolean(req.user)
 });
 
 // PlantUML Input Validation and Sanitization
@@ -56,18 +108,15 @@ const plantUMLValidator = [
     .trim()
     .isLength({ min: 1, max: 50000 })
     .withMessage('UML code must be between 1 and 50,000 characters')
-    .custom((value) => {
+    .custom((value, { req }) => {
+      // Includes are limited to the bundled standard library (file system and
+      // network includes are rejected with the offending line)
+      if (includeResolver.appliesTo(req.body.diagram_type || 'plantuml')) {
+        includeResolver.validate(value);
+      }
+
       // Security checks for dangerous PlantUML patterns
       const dangerousPatterns = [
-        // File system access
-        /!include\s+[/\\]/i,
-        /!includeurl\s+file:/i,
-        /!include\s+\.\.+/i,
-
-        // Network access (except HTTPS URLs)
-        /!includeurl\s+(?!https:\/\/)/i,
-        /!include\s+http:/i,
-
         // Preprocessing commands that could be dangerous
         /!define\s+.*\$\{.*\}/i,
         /!function\s+.*system/i,
@@ -109,6 +158,22 @@ const plantUMLValidator = [
         throw new Error('Invalid characters detected in UML code');
       }
 
+      return true;
+    }),
+  body('diagram_type')
+    .optional()
+    .isIn(diagramTypes)
+    .withMessage(`Diagram type must be one of: ${diagramTypes.join(', ')}`),
+  // The v1 route proxies png/svg straight from Kroki without conversion
+  body('output_format')
+    .optional()
+    .isIn(['png', 'svg'])
+    .withMessage('Output format must be png or svg')
+    .custom((format, { req }) => {
+      const diagramType = req.body.diagram_type || 'plantuml';
+      if (diagramTypes.includes(diagramType) && !supportsFormat(diagramType, format)) {
+        throw new Error(`${diagramType} diagrams cannot be rendered as ${format}`);
+      }
       return true;
     })
 ];
@@ -161,7 +226,7 @@ const corsOptions = {
   credentials: true,
   optionsSuccessStatus: 200,
   methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-API-Key'],
   exposedHeaders: ['X-RateLimit-Limit', 'X-RateLimit-Remaining']
 };
 
@@ -245,6 +310,7 @@ const securityLogger = (req, res, next) => {
 };
 
 module.exports = {
+  createRateLimit,
   globalRateLimit,
   generateRateLimit,
   speedLimiter,
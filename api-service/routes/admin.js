@@ -0,0 +1,212 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { handleValidationErrors } = require('../middleware/security');
+const { requireAdmin } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+const { databaseManager } = require('../utils/database');
+const { cacheManager, CACHE_KEY_PATTERN } = require('../utils/cache');
+const { cacheWarmer } = require('../utils/cacheWarmer');
+const { renderService } = require('../utils/renderService');
+const { diagramTypes, outputFormats } = require('../utils/diagramCapabilities');
+
+// Operator endpoints; every route needs an API key whose user has the admin role
+const router = express.Router();
+
+router.use(requireAdmin);
+
+// GET /api/admin/cache/warm - Progress of the running or last warming run
+router.get('/cache/warm', (req, res) => {
+  res.json(cacheWarmer.getProgress());
+});
+
+// POST /api/admin/cache/warm - Start warming now; poll GET for progress
+router.post('/cache/warm',
+  [
+    body('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('Limit must be between 1 and 1000').toInt(),
+    body('refresh').optional().isBoolean().withMessage('Refresh must be a boolean').toBoolean()
+  ],
+  handleValidationErrors,
+  (req, res, next) => {
+    if (!databaseManager.isConnected) {
+      return next({
+        status: 503,
+        type: 'DATABASE_UNAVAILABLE',
+        message: 'Cache warming needs the diagram database'
+      });
+    }
+
+    if (cacheWarmer.getProgress().running) {
+      return res.status(409).json({
+        error: {
+          type: 'WARMING_IN_PROGRESS',
+          message: 'A cache warming run is already in progress'
+        },
+        ...cacheWarmer.getProgress()
+      });
+    }
+
+    const { limit, refresh = false } = req.body;
+    cacheWarmer.warm({ trigger: 'manual', limit, refresh }).catch(() => {});
+    logger.info('Cache warming triggered', { userId: req.user.id, limit, refresh });
+
+    res.status(202)
+      .set('Location', `${req.baseUrl}/cache/warm`)
+      .json(cacheWarmer.getProgress());
+  }
+);
+
+const cacheKeyValidator = param('key')
+  .matches(CACHE_KEY_PATTERN)
+  .withMessage('Cache key must look like diagram:<type>:<format>:<sha256>');
+
+const entryNotFound = (next, key) => next({
+  status: 404,
+  type: 'CACHE_ENTRY_NOT_FOUND',
+  message: `No cache entry for ${key}`
+});
+
+const cacheError = (next, action, error) => {
+  logger.error(`Cache ${action} failed`, { error: error.message });
+  next({
+    status: 502,
+    type: 'CACHE_ERROR',
+    message: `Cache ${action} failed`
+  });
+};
+
+// GET /api/admin/cache/stats - Overall and per diagram type hit rates and memory
+router.get('/cache/stats', async (req, res, next) => {
+  try {
+    res.json({
+      ...cacheManager.getCacheStats(),
+      types: await cacheManager.getTypeStats()
+    });
+  } catch (error) {
+    cacheError(next, 'stats', error);
+  }
+});
+
+// GET /api/admin/cache/top - Largest or most hit entries
+router.get('/cache/top',
+  [
+    query('by').optional().isIn(['bytes', 'hits']).withMessage('by must be bytes or hits'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt()
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    const { by = 'bytes', limit = 10 } = req.query;
+
+    try {
+      res.json({
+        by,
+        source: cacheManager.isConnected ? 'redis' : 'memory',
+        entries: await cacheManager.topEntries(by, limit)
+      });
+    } catch (error) {
+      cacheError(next, 'listing', error);
+    }
+  }
+);
+
+// POST /api/admin/cache/lookup - Inspect the entry a render request would use
+router.post('/cache/lookup',
+  [
+    body('uml').isString().isLength({ min: 1 }).withMessage('UML code is required'),
+    body('diagramType').optional().isIn(diagramTypes).withMessage(`Diagram type must be one of: ${diagramTypes.join(', ')}`),
+    body('format').optional().isIn(outputFormats).withMessage(`Format must be one of: ${outputFormats.join(', ')}`)
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    const { uml, ...options } = req.body;
+
+    let cacheKey;
+    try {
+      ({ cacheKey } = renderService.resolveRequest(uml, options));
+    } catch (error) {
+      return next({
+        status: 400,
+        type: 'INVALID_REQUEST',
+        message: error.message
+      });
+    }
+
+    try {
+      const entry = await cacheManager.inspectEntry(cacheKey);
+      if (!entry) {
+        return entryNotFound(next, cacheKey);
+      }
+      res.json(entry);
+    } catch (error) {
+      cacheError(next, 'lookup', error);
+    }
+  }
+);
+
+// GET /api/admin/cache/entries/:key - Inspect one entry (metadata, size, TTL, hits)
+router.get('/cache/entries/:key',
+  cacheKeyValidator,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const entry = await cacheManager.inspectEntry(req.params.key);
+      if (!entry) {
+        return entryNotFound(next, req.params.key);
+      }
+      res.json(entry);
+    } catch (error) {
+      cacheError(next, 'lookup', error);
+    }
+  }
+);
+
+// DELETE /api/admin/cache/entries/:key - Evict one entry everywhere
+router.delete('/cache/entries/:key',
+  cacheKeyValidator,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const result = await cacheManager.purge(req.params.key);
+      if (result.memory + result.redis === 0) {
+        return entryNotFound(next, req.params.key);
+      }
+      logger.info('Cache entry purged', { userId: req.user.id, key: req.params.key });
+      res.json(result);
+    } catch (error) {
+      cacheError(next, 'purge', error);
+    }
+  }
+);
+
+// POST /api/admin/cache/purge - Evict by key, diagram type and/or format, or glob pattern
+router.post('/cache/purge',
+  [
+    body('key').optional().matches(CACHE_KEY_PATTERN).withMessage('Cache key must look like diagram:<type>:<format>:<sha256>'),
+    body('diagramType').optional().isIn(diagramTypes).withMessage(`Diagram type must be one of: ${diagramTypes.join(', ')}`),
+    body('format').optional().isIn(outputFormats).withMessage(`Format must be one of: ${outputFormats.join(', ')}`),
+    // Only diagram entries; a bare * would also match queues and sessions
+    body('pattern').optional().isString().matches(/^diagram:[\w:*?[\]^-]*$/)
+      .withMessage('Pattern must be a glob over diagram:<type>:<format>:<sha256> keys'),
+    body().custom(({ key, diagramType, format, pattern }) => {
+      const selectors = [key, pattern, diagramType || format].filter(Boolean);
+      if (selectors.length !== 1) {
+        throw new Error('Give exactly one of key, pattern, or diagramType/format');
+      }
+      return true;
+    })
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    const { key, diagramType, format, pattern } = req.body;
+    const glob = key || pattern || `diagram:${diagramType || '*'}:${format || '*'}:*`;
+
+    try {
+      const result = await cacheManager.purge(glob);
+      logger.info('Cache purged', { userId: req.user.id, ...result });
+      res.json(result);
+    } catch (error) {
+      cacheError(next, 'purge', error);
+    }
+  }
+);
+
+module.exports = router;
@@ -4,6 +4,10 @@ const { v4: uuidv4 } = require('uuid');
 const { generateRateLimit, handleValidationErrors } = require('../middleware/security');
 const { logger } = require('../utils/logger');
 const { queueManager } = require('../utils/queueManager');
+const { validateThemeName } = require('../utils/themeManager');
+const { transformValidators, normalizeTransform } = require('../utils/imageTransform');
+const { printValidators, normalizePrintOptions } = require('../utils/printProfile');
+const { diagramTypes, outputFormats, validateSourceLength } = require('../utils/diagramCapabilities');
 
 const router = express.Router();
 
@@ -11,16 +15,23 @@ const router = express.Router();
 const asyncValidation = [
   body('uml')
     .isString()
-    .isLength({ min: 1, max: 100000 })
-    .withMessage('UML code must be between 1 and 100,000 characters'),
+    .isLength({ min: 1 })
+    .withMessage('UML code is required')
+    .custom(validateSourceLength),
   body('format')
     .optional()
-    .isIn(['png', 'svg', 'pdf', 'jpeg', 'webp'])
-    .withMessage('Format must be one of: png, svg, pdf, jpeg, webp'),
+    .isIn(outputFormats)
+    .withMessage(`Format must be one of: ${outputFormats.join(', ')}`),
   body('diagramType')
     .optional()
-    .isIn(['plantuml', 'mermaid', 'graphviz', 'ditaa', 'blockdiag', 'bpmn', 'c4plantuml'])
-    .withMessage('Invalid diagram type'),
+    .isIn(diagramTypes)
+    .withMessage(`Diagram type must be one of: ${diagramTypes.join(', ')}`),
+  body('theme')
+    .optional()
+    .isString()
+    .custom(validateThemeName),
+  ...transformValidators(),
+  ...printValidators(),
   body('priority')
     .optional()
     .isInt({ min: -10, max: 10 })
@@ -45,12 +56,16 @@ const batchValidation = [
     .withMessage('Each UML code must be between 1 and 50,000 characters'),
   body('requests.*.format')
     .optional()
-    .isIn(['png', 'svg', 'pdf', 'jpeg', 'webp'])
+    .isIn(outputFormats)
     .withMessage('Format must be valid'),
   body('requests.*.diagramType')
+    .optional()
+    .isIn(diagramTypes)
+    .withMessage(`Diagram type must be one of: ${diagramTypes.join(', ')}`),
+  body(['theme', 'requests.*.theme'])
     .optional()
     .isString()
-    .withMessage('DiagramType must be a string'),
+    .custom(validateThemeName),
   body('priority')
     .optional()
     .isInt({ min: -10, max: 10 })
@@ -77,6 +92,9 @@ router.post('/generate',
         format = 'png',
         diagramType = 'plantuml',
         quality = 'balanced',
+        theme,
+        transform,
+        print,
         priority = 0,
         webhookUrl,
         callbackData
@@ -94,17 +112,25 @@ router.post('/generate',
         umlLength: uml.length
       });
 
-      // Prepare job data
+      // Prepare job data; transform and print options are part of the job's cache key
+      const imageTransform = normalizeTransform(transform, format);
+      const printOptions = normalizePrintOptions(print, format);
       const jobData = {
         uml,
         format,
         diagramType,
-        options: { quality },
+        theme,
+        options: {
+          quality,
+          ...(imageTransform && { transform: imageTransform }),
+          ...(printOptions && { print: printOptions })
+        },
         requestId,
         webhookUrl,
         callbackData,
         submittedAt: new Date().toISOString(),
-        submittedBy: req.ip
+        submittedBy: req.ip,
+        userId: req.user ? req.user.id : null
       };
 
       // Queue the job
@@ -151,6 +177,7 @@ router.post('/batch',
     try {
       const {
         requests,
+        theme,
         priority = 0,
         webhookUrl,
         callbackData
@@ -169,11 +196,13 @@ router.post('/batch',
       // Prepare batch job data
       const jobData = {
         batchId,
-        requests,
+        // A batch-level theme applies to items that don't choose their own
+        requests: theme ? requests.map(request => ({ theme, ...request })) : requests,
         webhookUrl,
         callbackData,
         submittedAt: new Date().toISOString(),
-        submittedBy: req.ip
+        submittedBy: req.ip,
+        userId: req.user ? req.user.id : null
       };
 
       // Queue the batch job
@@ -278,6 +307,9 @@ router.get('/status/:jobId',
           response.summary = result.summary;
         } else {
           response.metadata = result.metadata;
+          if (result.artifact) {
+            response.artifactUrl = result.artifact.url;
+          }
         }
       }
 
@@ -349,6 +381,11 @@ router.get('/result/:jobId',
           'X-Generation-Duration': `${result.duration}ms`
         };
 
+        if (result.artifact) {
+          headers['Content-Location'] = result.artifact.url;
+          headers['X-Artifact-Hash'] = result.artifact.hash;
+        }
+
         if (download) {
           const format = result.metadata.format || 'png';
           headers['Content-Disposition'] = `attachment; filename="diagram-${jobId}.${format}"`;
@@ -0,0 +1,456 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { generateRateLimit, handleValidationErrors } = require('../middleware/security');
+const { requireUser } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+const { databaseManager } = require('../utils/database');
+const { renderService, validateDiagramSource } = require('../utils/renderService');
+const { sendNotModified } = require('../utils/etag');
+const { syntaxErrorResponse } = require('../utils/diagnostics');
+const { recordServedDiagram } = require('../utils/cacheWarmer');
+const { recordDiagramGeneration, businessMetrics } = require('../middleware/metrics');
+
+// Saved diagram library: user-owned diagrams with a full revision history
+const router = express.Router();
+const formatManager = renderService.formatManager;
+
+const diagramTypes = Object.keys(formatManager.diagramTypes);
+const formats = Object.keys(formatManager.supportedFormats);
+
+router.use(requireUser);
+
+// The library lives in Postgres, so it is unavailable without a database
+router.use((req, res, next) => {
+  if (!databaseManager.isConnected) {
+    return res.status(503).json({
+      error: {
+        message: 'Diagram library is temporarily unavailable',
+        type: 'DATABASE_UNAVAILABLE',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+  next();
+});
+
+const diagramIdValidator = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Diagram id must be a positive integer')
+    .toInt()
+];
+
+const revisionValidator = [
+  ...diagramIdValidator,
+  param('revision')
+    .isInt({ min: 1 })
+    .withMessage('Revision must be a positive integer')
+    .toInt()
+];
+
+const diagramFieldValidators = (optional) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+
+  return [
+    field('title')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 255 })
+      .withMessage('Title must be between 1 and 255 characters'),
+    field('uml')
+      .isString()
+      .isLength({ min: 1, max: 100000 })
+      .withMessage('UML code must be between 1 and 100,000 characters')
+      // Updates that keep the type are checked against the stored one
+      .custom((value, { req }) => validateDiagramSource(value, {
+        req: { body: { diagramType: req.body.diagramType || (req.savedDiagram && req.savedDiagram.diagram_type) } }
+      })),
+    body('description')
+      .optional({ nullable: true })
+      .isString()
+      .isLength({ max: 2000 })
+      .withMessage('Description must be at most 2,000 characters'),
+    body('diagramType')
+      .optional()
+      .isIn(diagramTypes)
+      .withMessage('Invalid diagram type'),
+    body('format')
+      .optional()
+      .isIn(formats)
+      .withMessage(`Format must be one of: ${formats.join(', ')}`),
+    body('message')
+      .optional()
+      .isString()
+      .isLength({ max: 500 })
+      .withMessage('Revision message must be at most 500 characters')
+  ];
+};
+
+const renderValidator = [
+  query('format')
+    .optional()
+    .isIn(formats)
+    .withMessage(`Format must be one of: ${formats.join(', ')}`)
+];
+
+const notFound = (next, message = 'Diagram not found') => next({
+  status: 404,
+  type: 'NOT_FOUND',
+  message
+});
+
+// Load the caller's diagram into req.savedDiagram
+const loadSavedDiagram = async (req, res, next) => {
+  try {
+    req.savedDiagram = await databaseManager.getSavedDiagram(req.params.id, req.user.id);
+    if (!req.savedDiagram) {
+      return notFound(next);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Shape a saved_diagrams row (optionally joined with its source) for responses
+const serializeDiagram = (row) => ({
+  id: row.id,
+  title: row.title,
+  description: row.description,
+  diagramType: row.diagram_type,
+  format: row.format,
+  revision: row.current_revision,
+  uml: row.uml_content,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const serializeRevision = (row) => ({
+  revision: row.revision,
+  title: row.title,
+  diagramType: row.diagram_type,
+  contentHash: row.content_hash,
+  message: row.message,
+  uml: row.uml_content,
+  sourceLength: row.source_length !== undefined ? parseInt(row.source_length) : undefined,
+  createdAt: row.created_at
+});
+
+// Render a stored source and send it, recording the access in the diagrams table.
+// `revision.modified_at` is when the rendered source last changed (Last-Modified).
+const sendRenderedRevision = async (req, res, next, diagramId, revision) => {
+  const startTime = Date.now();
+  const diagramType = revision.diagram_type;
+  const format = req.query.format || revision.format;
+
+  if (!formatManager.isFormatSupported(diagramType, format)) {
+    return res.status(400).json({
+      error: formatManager.formatError(diagramType, format)
+    });
+  }
+
+  try {
+    const renderOptions = {
+      diagramType,
+      format,
+      title: revision.title,
+      description: revision.description
+    };
+    const validators = {
+      etag: renderService.etagFor(revision.uml_content, renderOptions),
+      lastModified: revision.modified_at,
+      cacheControl: 'private, max-age=3600'
+    };
+    if (sendNotModified(req, res, validators)) {
+      return;
+    }
+
+    const result = await renderService.render(revision.uml_content, renderOptions);
+
+    businessMetrics.trackSuccessfulGeneration(diagramType);
+    recordDiagramGeneration(diagramType, 'success', Date.now() - startTime);
+
+    // Enough to reproduce this render when warming the cache
+    recordServedDiagram(req, {
+      source: revision.uml_content,
+      diagramType,
+      format,
+      renderOptions,
+      result,
+      metadata: { savedDiagramId: diagramId, revision: revision.revision }
+    });
+
+    res.set({
+      'Content-Type': result.mimeType,
+      'Content-Length': result.data.length,
+      'Cache-Control': result.warning ? 'no-cache' : 'private, max-age=3600',
+      'ETag': result.etag,
+      'X-Cache': result.cacheStatus,
+      'X-Diagram-Revision': revision.revision,
+      'X-Diagram-Type': diagramType,
+      'X-Format': format,
+      'X-Content-Type-Options': 'nosniff',
+      'Content-Disposition': `inline; filename="diagram-${diagramId}-r${revision.revision}.${format}"`,
+      ...(result.warning && { 'Warning': result.warning })
+    });
+
+    res.send(result.data);
+  } catch (error) {
+    const duration = Date.now() - startTime;
+
+    logger.error('Library diagram render error', {
+      error: error.message,
+      diagramId,
+      revision: revision.revision,
+      duration
+    });
+
+    businessMetrics.trackFailedGeneration(diagramType, 'GENERATION_ERROR');
+    recordDiagramGeneration(diagramType, 'error', duration, 'GENERATION_ERROR');
+
+    if (error.clientError) {
+      return res.status(400).json(syntaxErrorResponse(error));
+    }
+
+    next({
+      status: 500,
+      type: 'GENERATION_ERROR',
+      message: 'Failed to generate diagram'
+    });
+  }
+};
+
+// GET /api/v2/diagrams - List the caller's saved diagrams
+router.get('/',
+  [
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt()
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    const limit = req.query.limit || 50;
+    const offset = req.query.offset || 0;
+
+    try {
+      const { diagrams, total } = await databaseManager.listSavedDiagrams(req.user.id, limit, offset);
+
+      res.json({
+        diagrams: diagrams.map(serializeDiagram),
+        pagination: { total, limit, offset }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /api/v2/diagrams - Save a new diagram (revision 1)
+router.post('/',
+  diagramFieldValidators(false),
+  handleValidationErrors,
+  async (req, res, next) => {
+    const {
+      title,
+      uml,
+      description = null,
+      diagramType = 'plantuml',
+      format = 'png',
+      message = null
+    } = req.body;
+
+    try {
+      const diagram = await databaseManager.createSavedDiagram({
+        userId: req.user.id,
+        title,
+        description,
+        diagramType,
+        format,
+        umlContent: uml,
+        message
+      });
+
+      res.status(201)
+        .location(`${req.baseUrl}/${diagram.id}`)
+        .json(serializeDiagram(diagram));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /api/v2/diagrams/:id - Fetch a saved diagram with its current source
+router.get('/:id',
+  diagramIdValidator,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const diagram = await databaseManager.getSavedDiagram(req.params.id, req.user.id);
+      if (!diagram) {
+        return notFound(next);
+      }
+
+      res.set('Last-Modified', new Date(diagram.updated_at).toUTCString());
+      res.json(serializeDiagram(diagram));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// PUT /api/v2/diagrams/:id - Save changes (title, type or source changes add a revision)
+router.put('/:id',
+  diagramIdValidator,
+  handleValidationErrors,
+  loadSavedDiagram,
+  diagramFieldValidators(true),
+  handleValidationErrors,
+  async (req, res, next) => {
+    const { title, uml, description, diagramType, format, message = null } = req.body;
+
+    // Nothing to change: no new revision
+    if ([title, uml, description, diagramType, format].every(value => value === undefined)) {
+      return res.json(serializeDiagram(req.savedDiagram));
+    }
+
+    try {
+      const diagram = await databaseManager.updateSavedDiagram(req.params.id, req.user.id, {
+        title,
+        description,
+        diagramType,
+        format,
+        umlContent: uml,
+        message
+      });
+
+      if (!diagram) {
+        return notFound(next);
+      }
+
+      res.json(serializeDiagram(diagram));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// DELETE /api/v2/diagrams/:id - Delete a diagram and all of its revisions
+router.delete('/:id',
+  diagramIdValidator,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const deleted = await databaseManager.deleteSavedDiagram(req.params.id, req.user.id);
+      if (!deleted) {
+        return notFound(next);
+      }
+
+      res.json({
+        success: true,
+        message: 'Diagram deleted',
+        id: req.params.id
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /api/v2/diagrams/:id/render - Render the current revision
+router.get('/:id/render',
+  generateRateLimit,
+  diagramIdValidator,
+  renderValidator,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const diagram = await databaseManager.getSavedDiagram(req.params.id, req.user.id);
+      if (!diagram) {
+        return notFound(next);
+      }
+
+      await sendRenderedRevision(req, res, next, diagram.id, {
+        revision: diagram.current_revision,
+        uml_content: diagram.uml_content,
+        diagram_type: diagram.diagram_type,
+        format: diagram.format,
+        title: diagram.title,
+        description: diagram.description,
+        modified_at: diagram.updated_at
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /api/v2/diagrams/:id/revisions - List revisions, newest first
+router.get('/:id/revisions',
+  diagramIdValidator,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const revisions = await databaseManager.listDiagramRevisions(req.params.id, req.user.id);
+      if (revisions.length === 0) {
+        return notFound(next);
+      }
+
+      res.json({
+        diagramId: req.params.id,
+        revisions: revisions.map(serializeRevision)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /api/v2/diagrams/:id/revisions/:revision - Fetch the source of one revision
+router.get('/:id/revisions/:revision',
+  revisionValidator,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const revision = await databaseManager.getDiagramRevision(
+        req.params.id,
+        req.params.revision,
+        req.user.id
+      );
+      if (!revision) {
+        return notFound(next, 'Revision not found');
+      }
+
+      res.json({
+        diagramId: req.params.id,
+        ...serializeRevision(revision)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /api/v2/diagrams/:id/revisions/:revision/render - Re-render a past revision
+router.get('/:id/revisions/:revision/render',
+  generateRateLimit,
+  revisionValidator,
+  renderValidator,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const revision = await databaseManager.getDiagramRevision(
+        req.params.id,
+        req.params.revision,
+        req.user.id
+      );
+      if (!revision) {
+        return notFound(next, 'Revision not found');
+      }
+
+      await sendRenderedRevision(req, res, next, req.params.id, { ...revision, modified_at: revision.created_at });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -33,6 +33,8 @@
  *     responses:
  *       200:
  *         $ref: '#/components/responses/DiagramImage'
+ *       304:
+ *         $ref: '#/components/responses/NotModified'
  *       400:
  *         $ref: '#/components/responses/ValidationError'
  *       429:
@@ -66,6 +68,14 @@
  *       - Security pattern scanning
  *       - Input sanitization
  *       - Rate limiting
+ *
+ *       **SVG output** is sanitized (no scripts, event handlers or external references),
+ *       minified, labelled with `<title>`/`<desc>` and has every id and CSS class prefixed
+ *       with a per-diagram namespace, so several diagrams can be inlined in one page.
+ *
+ *       **Conditional requests:** every rendering carries a weak `ETag` computed from the
+ *       source, options and renderer version. Repeat the request with `If-None-Match` and an
+ *       unchanged diagram is answered with `304 Not Modified` without being rendered again.
  *     security:
  *       - ApiKeyAuth: []
  *     requestBody:
@@ -99,6 +109,8 @@
  *     responses:
  *       200:
  *         $ref: '#/components/responses/DiagramImage'
+ *       304:
+ *         $ref: '#/components/responses/NotModified'
  *       400:
  *         $ref: '#/components/responses/ValidationError'
  *       429:
@@ -116,11 +128,19 @@
  *       per batch and can generate different formats for each diagram.
  *
  *       **Features:**
- *       - Process up to 10 diagrams per request
- *       - Different formats per diagram
+ *       - Process up to 10 diagrams per request (100 when streaming as zip or multipart)
+ *       - Up to 5 formats per diagram, each one supported by its diagram type
  *       - Parallel processing for performance
  *       - Detailed success/error reporting
  *       - Automatic caching of successful results
+ *
+ *       **Output modes** (`output`):
+ *       - `summary` (default): sizes, MIME types and immutable artifact `url`s
+ *       - `json`: each item's `files` carry base64 `data`
+ *       - `zip`: streamed archive of `<name>.<format>` files plus `manifest.json`
+ *       - `multipart`: `multipart/mixed` stream, one part per file, manifest last
+ *
+ *       Files are named by the item's `name`, or `diagram-<index>`.
  *     security:
  *       - ApiKeyAuth: []
  *     requestBody:
@@ -173,10 +193,441 @@
  *                       errors:
  *                         type: object
  *                         description: "Format-specific errors"
+ *                       files:
+ *                         type: array
+ *                         description: "Files in the response (json, zip and multipart output)"
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             format: { type: string }
+ *                             path: { type: string }
+ *                             size: { type: integer }
+ *                             mimeType: { type: string }
+ *                             data: { type: string, description: "Base64 payload (json output only)" }
+ *           application/zip:
+ *             schema: { type: string, format: binary }
+ *           multipart/mixed:
+ *             schema: { type: string, format: binary }
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+
+/**
+ * @swagger
+ * /api/v2/render/{diagramType}/{format}/{encoded}:
+ *   get:
+ *     tags: [Generation]
+ *     summary: Render a diagram from an encoded URL (Kroki compatible)
+ *     description: |
+ *       Renders diagram source encoded with deflate + base64url, the same encoding Kroki uses.
+ *       Suitable for `<img src>` embedding in Markdown and HTML. The same endpoint is available
+ *       at `/{diagramType}/{format}/{encoded}` for existing Kroki clients. Only renders count
+ *       against the generation rate limit; cached diagrams and `304` answers do not.
+ *     parameters:
+ *       - name: diagramType
+ *         in: path
+ *         required: true
+ *         schema: { type: string, example: graphviz }
+ *       - name: format
+ *         in: path
+ *         required: true
+ *         schema: { type: string, example: svg }
+ *       - name: encoded
+ *         in: path
+ *         required: true
+ *         description: Deflate + base64url encoded diagram source
+ *         schema: { type: string, example: eNpLyUwvSizIUHBXqPZIzcnJ17ULzy_KSanlAgB1EAjQ }
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/DiagramImage'
+ *       304:
+ *         $ref: '#/components/responses/NotModified'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitExceeded'
+ */
+
+/**
+ * @swagger
+ * /{diagramType}/{format}:
+ *   post:
+ *     tags: [Generation]
+ *     summary: Render a diagram (Kroki compatible)
+ *     description: |
+ *       Kroki-compatible POST endpoint. Accepts the diagram source as a `text/plain` body
+ *       or a JSON body with `diagram_source`.
+ *     parameters:
+ *       - name: diagramType
+ *         in: path
+ *         required: true
+ *         schema: { type: string, example: plantuml }
+ *       - name: format
+ *         in: path
+ *         required: true
+ *         schema: { type: string, example: png }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/plain:
+ *           schema: { type: string }
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               diagram_source: { type: string }
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/DiagramImage'
+ *       304:
+ *         $ref: '#/components/responses/NotModified'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitExceeded'
+ */
+
+/**
+ * @swagger
+ * /api/v2/diagrams:
+ *   get:
+ *     tags: [Library]
+ *     summary: List saved diagrams
+ *     description: Saved diagrams owned by the calling API key, most recently updated first.
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - name: limit
+ *         in: query
+ *         schema: { type: integer, minimum: 1, maximum: 100, default: 50 }
+ *       - name: offset
+ *         in: query
+ *         schema: { type: integer, minimum: 0, default: 0 }
+ *     responses:
+ *       200:
+ *         description: Page of saved diagrams (without source)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 diagrams:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SavedDiagram'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     total: { type: integer }
+ *                     limit: { type: integer }
+ *                     offset: { type: integer }
+ *       401:
+ *         description: API key missing or invalid
+ *   post:
+ *     tags: [Library]
+ *     summary: Save a new diagram
+ *     description: Creates a saved diagram and its first revision.
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [title, uml]
+ *             properties:
+ *               title: { type: string, maxLength: 255 }
+ *               uml: { type: string }
+ *               description: { type: string }
+ *               diagramType: { type: string, default: plantuml }
+ *               format: { type: string, default: png }
+ *               message: { type: string, description: Revision message }
+ *     responses:
+ *       201:
+ *         description: Diagram saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SavedDiagram'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         description: API key missing or invalid
+ *       503:
+ *         description: Diagram library unavailable (database down)
+ */
+
+/**
+ * @swagger
+ * /api/v2/diagrams/{id}:
+ *   get:
+ *     tags: [Library]
+ *     summary: Get a saved diagram with its current source
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DiagramId'
+ *     responses:
+ *       200:
+ *         description: Saved diagram
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SavedDiagram'
+ *       404:
+ *         description: Diagram not found
+ *   put:
+ *     tags: [Library]
+ *     summary: Update a saved diagram
+ *     description: Changes to the title, type or source are stored as a new revision with the full source; description and format changes are not. Omitted fields keep their current value, and an update that changes nothing adds no revision.
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DiagramId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title: { type: string, maxLength: 255 }
+ *               uml: { type: string }
+ *               description: { type: string }
+ *               diagramType: { type: string }
+ *               format: { type: string }
+ *               message: { type: string, description: Revision message }
+ *     responses:
+ *       200:
+ *         description: Updated diagram
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SavedDiagram'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Diagram not found
+ *   delete:
+ *     tags: [Library]
+ *     summary: Delete a saved diagram and all of its revisions
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DiagramId'
+ *     responses:
+ *       200:
+ *         description: Diagram deleted
+ *       404:
+ *         description: Diagram not found
+ */
+
+/**
+ * @swagger
+ * /api/v2/diagrams/{id}/render:
+ *   get:
+ *     tags: [Library]
+ *     summary: Render the current revision of a saved diagram
+ *     description: |
+ *       Sent with `ETag` and with `Last-Modified` set to the diagram's last update, so both
+ *       `If-None-Match` and `If-Modified-Since` revalidate it.
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DiagramId'
+ *       - $ref: '#/components/parameters/Format'
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/DiagramImage'
+ *       304:
+ *         $ref: '#/components/responses/NotModified'
+ *       404:
+ *         description: Diagram not found
+ */
+
+/**
+ * @swagger
+ * /api/v2/diagrams/{id}/revisions:
+ *   get:
+ *     tags: [Library]
+ *     summary: List revisions of a saved diagram
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DiagramId'
+ *     responses:
+ *       200:
+ *         description: Revisions, newest first (without source)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 diagramId: { type: integer }
+ *                 revisions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DiagramRevision'
+ *       404:
+ *         description: Diagram not found
+ */
+
+/**
+ * @swagger
+ * /api/v2/diagrams/{id}/revisions/{revision}:
+ *   get:
+ *     tags: [Library]
+ *     summary: Get the source of a revision
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DiagramId'
+ *       - name: revision
+ *         in: path
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Revision with source
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DiagramRevision'
+ *       404:
+ *         description: Revision not found
+ */
+
+/**
+ * @swagger
+ * /api/v2/diagrams/{id}/revisions/{revision}/render:
+ *   get:
+ *     tags: [Library]
+ *     summary: Re-render a past revision
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DiagramId'
+ *       - name: revision
+ *         in: path
+ *         required: true
+ *         schema: { type: integer }
+ *       - $ref: '#/components/parameters/Format'
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/DiagramImage'
+ *       304:
+ *         $ref: '#/components/responses/NotModified'
+ *       404:
+ *         description: Revision not found
+ */
+
+/**
+ * @swagger
+ * /api/v2/documents/render:
+ *   post:
+ *     tags: [Generation]
+ *     summary: Render diagram blocks in a Markdown or AsciiDoc document
+ *     description: |
+ *       Finds fenced blocks tagged with a supported diagram type (`plantuml`, `mermaid`,
+ *       `dot`/`graphviz`, `d2`, ...) in Markdown, or `[plantuml]` / `[source,plantuml]`
+ *       blocks in AsciiDoc, and renders each one.
+ *
+ *       - `output=inline` returns the rewritten document with inline SVG.
+ *       - `output=zip` returns a zip of the document plus the referenced image files under `images/`.
+ *
+ *       Blocks that fail to render are left unchanged and reported in `diagrams`.
+ *       A raw `text/markdown` or `text/asciidoc` body is also accepted, with options in the query string.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [document]
+ *             properties:
+ *               document: { type: string }
+ *               syntax: { type: string, enum: [markdown, asciidoc], default: markdown }
+ *               output: { type: string, enum: [inline, zip], default: inline }
+ *               format: { type: string, enum: [svg, png, pdf, jpeg, webp], default: svg, description: Image format for zip output }
+ *               filename: { type: string, description: Name of the document inside the zip }
+ *         text/markdown:
+ *           schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Rewritten document (JSON) or zip archive
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 document: { type: string }
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     total: { type: integer }
+ *                     rendered: { type: integer }
+ *                     failed: { type: integer }
+ *                 diagrams:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       index: { type: integer }
+ *                       diagramType: { type: string }
+ *                       line: { type: integer }
+ *                       success: { type: boolean }
+ *                       file: { type: string }
+ *                       error: { type: string }
+ *           application/zip:
+ *             schema: { type: string, format: binary }
  *       400:
  *         $ref: '#/components/responses/ValidationError'
  */
 
+/**
+ * @swagger
+ * /api/v2/documents/booklet:
+ *   post:
+ *     tags: [Generation]
+ *     summary: Export several diagrams as one PDF booklet
+ *     description: |
+ *       Renders an ordered list of diagrams, given as sources or saved diagram ids, into a
+ *       multi-page PDF with an optional cover page and table of contents. Each diagram gets its
+ *       own page with a title and caption; types that render to PDF are embedded as vector pages.
+ *
+ *       Saved diagrams require an API key and default their title and caption to the saved
+ *       title and description. If any diagram fails to render, the request fails with the
+ *       item's `index` and diagnostics.
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BookletRequest'
+ *     responses:
+ *       200:
+ *         description: PDF booklet
+ *         headers:
+ *           X-Diagram-Count:
+ *             schema: { type: integer }
+ *         content:
+ *           application/pdf:
+ *             schema: { type: string, format: binary }
+ *       400:
+ *         description: Invalid request or a diagram failed to render
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Saved diagrams were requested without an API key
+ *       404:
+ *         description: A saved diagram was not found
+ */
+
 /**
  * @swagger
  * /api/async/generate:
@@ -263,6 +714,9 @@
  *                     minimum: -10
  *                     maximum: 10
  *                     description: "Batch priority in queue"
+ *                   theme:
+ *                     type: string
+ *                     description: Theme for items that don't set their own
  *     responses:
  *       202:
  *         description: Batch queued successfully
@@ -404,6 +858,257 @@
  *                   $ref: '#/components/schemas/FormatInfo'
  */
 
+/**
+ * @swagger
+ * /api/v2/renderers:
+ *   get:
+ *     tags: [Health]
+ *     summary: Renderer backend status
+ *     description: |
+ *       Health and failover order of the renderer backends (Kroki, local Graphviz, local PlantUML).
+ *       Unhealthy backends are skipped until their cooldown expires.
+ *     parameters:
+ *       - name: refresh
+ *         in: query
+ *         description: Actively probe every backend before reporting
+ *         schema: { type: boolean, default: false }
+ *     responses:
+ *       200:
+ *         description: Backend status list
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 timestamp: { type: string, format: date-time }
+ *                 backends:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name: { type: string }
+ *                       priority: { type: integer }
+ *                       healthy: { type: boolean }
+ *                       available: { type: boolean }
+ *                       consecutiveFailures: { type: integer }
+ *                       lastError: { type: string }
+ */
+
+/**
+ * @swagger
+ * /api/v2/themes:
+ *   get:
+ *     tags: [Formats]
+ *     summary: Registered diagram themes
+ *     description: |
+ *       Themes are defined server-side as JSON files in the themes directory (`THEMES_PATH`).
+ *       Pass a theme name as `theme` to `/api/v2/generate`, `/api/v2/generate/batch` or the async
+ *       routes; it becomes PlantUML skinparams/`!theme`, a Mermaid `%%{init}%%` directive or
+ *       Graphviz graph/node/edge defaults. Styling in the diagram source takes precedence.
+ *     responses:
+ *       200:
+ *         description: Theme list
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 themes:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Theme'
+ */
+
+/**
+ * @swagger
+ * /api/v2/artifacts/{hash}:
+ *   get:
+ *     tags: [Diagrams]
+ *     summary: Stored diagram by content hash
+ *     description: |
+ *       Rendered output is stored under the SHA-256 of its bytes; `/api/v2/generate` returns the
+ *       URL in `Content-Location`, batch results as `url`, async jobs as `artifactUrl`. The content
+ *       behind a hash never changes, so responses are cacheable indefinitely.
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: hash
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-f0-9]{64}$'
+ *     responses:
+ *       200:
+ *         description: The stored diagram, with `Cache-Control: public, max-age=31536000, immutable`
+ *         content:
+ *           image/png: {}
+ *           image/svg+xml: {}
+ *           application/pdf: {}
+ *       304:
+ *         $ref: '#/components/responses/NotModified'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: No artifact with this hash
+ */
+
+/**
+ * @swagger
+ * /api/v2/capabilities:
+ *   get:
+ *     tags: [Formats]
+ *     summary: Supported diagram types, their formats, limits and examples
+ *     description: |
+ *       The registry every generation route validates against. `formats` includes formats
+ *       converted from the renderer output (jpeg/webp from png, tiff from svg), so a type is
+ *       only offered what it can actually produce.
+ *     responses:
+ *       200:
+ *         description: Capabilities registry
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Capabilities'
+ */
+
+/**
+ * @swagger
+ * /api/v2/includes:
+ *   get:
+ *     tags: [Formats]
+ *     summary: Available PlantUML include libraries
+ *     description: |
+ *       Standard libraries that PlantUML and C4-PlantUML sources may reference with
+ *       `!include <library/file>`. Allowlisted includes are inlined server-side; any other
+ *       `!include`, `!includeurl` or `!includesub` is rejected with a 400 INVALID_UML error
+ *       naming the offending line.
+ *     responses:
+ *       200:
+ *         description: Include library manifest
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 version: { type: string, example: '1.0.0' }
+ *                 libraries:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name: { type: string, example: C4 }
+ *                       version: { type: string, example: '2.10.0' }
+ *                       description: { type: string }
+ *                       example: { type: string, example: '!include <C4/C4_Container>' }
+ *                       installed: { type: boolean }
+ */
+
+/**
+ * @swagger
+ * /api/v2/extract:
+ *   post:
+ *     tags: [Generation]
+ *     summary: Recover diagram source from a rendered file
+ *     description: |
+ *       Every PNG, SVG and PDF rendered by this service carries its original source and
+ *       diagram type: an iTXt/tEXt chunk in PNGs, a `<metadata>` element in SVGs and
+ *       document info entries in PDFs. Upload such a file as the raw request body to get
+ *       the source back. PNGs rendered by PlantUML itself are recognised too.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         image/png:
+ *           schema: { type: string, format: binary }
+ *         image/svg+xml:
+ *           schema: { type: string }
+ *         application/pdf:
+ *           schema: { type: string, format: binary }
+ *     responses:
+ *       200:
+ *         description: Embedded source
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 format: { type: string, enum: [png, svg, pdf] }
+ *                 diagramType: { type: string, nullable: true, example: plantuml }
+ *                 source: { type: string, example: 'Alice -> Bob: Hello' }
+ *                 origin:
+ *                   type: string
+ *                   enum: [embedded, plantuml]
+ *                   description: Whether the source was embedded by this service or by PlantUML
+ *       400:
+ *         description: Empty or unreadable file
+ *       415:
+ *         description: Not a PNG, SVG or PDF file
+ *       422:
+ *         description: The file carries no diagram source (NO_EMBEDDED_SOURCE)
+ */
+
+/**
+ * @swagger
+ * /api/v2/convert:
+ *   post:
+ *     tags: [Generation]
+ *     summary: Convert diagram source to another language
+ *     description: |
+ *       Translates the common subset of diagram languages:
+ *       - Sequence diagrams between PlantUML and Mermaid
+ *       - Flowcharts (Mermaid), activity and component diagrams (PlantUML) and graphs (DOT)
+ *         between all three; PlantUML output is a component-style diagram
+ *
+ *       Statements that cannot be translated are dropped and listed in `report.untranslated`;
+ *       constructs drawn differently in the target language are listed in `report.approximated`.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [uml, from, to]
+ *             properties:
+ *               uml: { type: string, example: "sequenceDiagram\n  Alice->>Bob: Hello" }
+ *               from: { type: string, enum: [plantuml, mermaid, graphviz] }
+ *               to: { type: string, enum: [plantuml, mermaid, graphviz] }
+ *     responses:
+ *       200:
+ *         description: Converted source
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 from: { type: string, example: mermaid }
+ *                 to: { type: string, example: plantuml }
+ *                 kind: { type: string, enum: [sequence, flowchart] }
+ *                 source: { type: string, example: "@startuml\nAlice -> Bob : Hello\n@enduml\n" }
+ *                 report:
+ *                   type: object
+ *                   properties:
+ *                     complete: { type: boolean, description: Whether every statement was translated }
+ *                     untranslated:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           line: { type: integer }
+ *                           source: { type: string }
+ *                           reason: { type: string }
+ *                     approximated:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           construct: { type: string }
+ *                           reason: { type: string }
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       422:
+ *         description: The diagram kind cannot be converted to the target language (UNSUPPORTED_CONVERSION)
+ */
+
 /**
  * @swagger
  * /api/validate:
@@ -513,4 +1218,209 @@
  *               description: Prometheus metrics in exposition format
  */
 
+/**
+ * @swagger
+ * /api/admin/cache/warm:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Cache warming progress
+ *     security:
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Progress of the running or last warming run
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CacheWarmingProgress'
+ *       401:
+ *         description: API key missing or invalid
+ *       403:
+ *         description: The key's user is not an administrator
+ *   post:
+ *     tags: [Admin]
+ *     summary: Warm the render cache now
+ *     description: |
+ *       Re-renders the most accessed stored diagrams (`diagrams.access_count`, then
+ *       `last_accessed`) in the formats they were requested in, so they are served from
+ *       the cache. Runs also happen after startup, every `CACHE_WARM_INTERVAL_MS` and,
+ *       with `refresh`, when the Kroki version changes. Poll the GET endpoint for progress.
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               limit:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 1000
+ *                 description: Diagrams to warm (default CACHE_WARM_LIMIT)
+ *               refresh:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Re-render diagrams that are already cached
+ *     responses:
+ *       202:
+ *         description: Run started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CacheWarmingProgress'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         description: The key's user is not an administrator
+ *       409:
+ *         description: A run is already in progress
+ *       503:
+ *         description: The diagram database is unavailable
+ */
+
+/**
+ * @swagger
+ * /api/admin/cache/stats:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Cache statistics per tier and diagram type
+ *     description: |
+ *       The overall statistics of `/health` plus `types`: hits, misses and hit ratio per
+ *       diagram type (this instance, since start) and the entries and bytes each type
+ *       holds in this instance's memory tier and in Redis.
+ *     security:
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Cache statistics
+ *       403:
+ *         description: The key's user is not an administrator
+ *
+ * /api/admin/cache/top:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Largest or most hit cache entries
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: by
+ *         schema:
+ *           type: string
+ *           enum: [bytes, hits]
+ *           default: bytes
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Ranked entries; from Redis, or this instance's memory tier while Redis is down
+ *
+ * /api/admin/cache/lookup:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Inspect the cache entry for a render request
+ *     description: Takes the same body as `/api/v2/generate` and inspects the entry it would be served from.
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DiagramRequest'
+ *     responses:
+ *       200:
+ *         description: The cache entry
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CacheEntry'
+ *       404:
+ *         description: Not cached
+ *
+ * /api/admin/cache/entries/{key}:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Inspect a cache entry by key
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^diagram:[a-z0-9_-]+:[a-z0-9]+:[a-f0-9]{64}$'
+ *     responses:
+ *       200:
+ *         description: The cache entry
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CacheEntry'
+ *       404:
+ *         description: Not cached
+ *   delete:
+ *     tags: [Admin]
+ *     summary: Evict a cache entry from every tier and instance
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Entry removed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CachePurgeResult'
+ *       404:
+ *         description: Not cached
+ *
+ * /api/admin/cache/purge:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Evict cache entries by key, diagram type, format or glob
+ *     description: |
+ *       Give exactly one of `key`, `pattern` (a Redis glob starting with `diagram:`), or
+ *       `diagramType` and/or `format`. Keys have the form `diagram:<type>:<format>:<sha256>`.
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               key:
+ *                 type: string
+ *               pattern:
+ *                 type: string
+ *                 example: 'diagram:mermaid:svg:*'
+ *               diagramType:
+ *                 type: string
+ *               format:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Entries removed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CachePurgeResult'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+
 module.exports = {};
\ No newline at end of file
@@ -0,0 +1,388 @@
+const express = require('express');
+const archiver = require('archiver');
+const { body } = require('express-validator');
+const { generateRateLimit, handleValidationErrors } = require('../middleware/security');
+const { logger } = require('../utils/logger');
+const { renderDocument, findDiagramBlocks, documentExtensions } = require('../utils/documentRenderer');
+const { renderService, validateDiagramSource } = require('../utils/renderService');
+const { databaseManager } = require('../utils/database');
+const { buildBooklet, pageSizes } = require('../utils/pdfBooklet');
+const { validateThemeName } = require('../utils/themeManager');
+const { syntaxErrorResponse } = require('../utils/diagnostics');
+const { businessMetrics } = require('../middleware/metrics');
+
+// Render every diagram block inside a Markdown or AsciiDoc document
+const router = express.Router();
+
+const MAX_DOCUMENT_DIAGRAMS = parseInt(process.env.MAX_DOCUMENT_DIAGRAMS || '50');
+const MAX_BOOKLET_DIAGRAMS = parseInt(process.env.MAX_BOOKLET_DIAGRAMS || '50');
+
+const formatManager = renderService.formatManager;
+
+const textBody = express.text({
+  type: ['text/markdown', 'text/x-markdown', 'text/asciidoc', 'text/plain'],
+  limit: process.env.MAX_REQUEST_SIZE || '1mb'
+});
+
+// Raw document bodies carry their options in the query string
+const documentFromRequestBody = (req, res, next) => {
+  if (typeof req.body === 'string') {
+    const contentType = req.get('Content-Type') || '';
+    req.body = {
+      syntax: contentType.includes('asciidoc') ? 'asciidoc' : 'markdown',
+      ...req.query,
+      document: req.body
+    };
+  }
+  next();
+};
+
+const documentValidator = [
+  body('document')
+    .isString()
+    .isLength({ min: 1, max: 1000000 })
+    .withMessage('Document must be between 1 and 1,000,000 characters'),
+  body('syntax')
+    .optional()
+    .isIn(['markdown', 'asciidoc'])
+    .withMessage('Syntax must be one of: markdown, asciidoc'),
+  body('output')
+    .optional()
+    .isIn(['inline', 'zip'])
+    .withMessage('Output must be one of: inline, zip'),
+  body('format')
+    .optional()
+    .isIn(['svg', 'png', 'pdf', 'jpeg', 'webp'])
+    .withMessage('Format must be one of: svg, png, pdf, jpeg, webp'),
+  body('filename')
+    .optional()
+    .isString()
+    .matches(/^[\w.-]{1,100}$/)
+    .withMessage('Filename may only contain letters, digits, dots, dashes and underscores')
+];
+
+const documentError = (res, status, type, message, extra = {}) => res.status(status).json({
+  error: {
+    message,
+    type,
+    ...extra,
+    timestamp: new Date().toISOString()
+  }
+});
+
+// Find the diagram blocks and hold each to the same source checks as single renders
+const validateDocumentBlocks = (req, res, next) => {
+  const { document, syntax = 'markdown' } = req.body;
+  const blocks = findDiagramBlocks(document, syntax);
+
+  if (blocks.length > MAX_DOCUMENT_DIAGRAMS) {
+    return documentError(res, 400, 'TOO_MANY_DIAGRAMS',
+      `Document contains ${blocks.length} diagrams, the maximum is ${MAX_DOCUMENT_DIAGRAMS}`);
+  }
+
+  for (const block of blocks) {
+    try {
+      validateDiagramSource(block.source, { req: { body: { diagramType: block.diagramType } } });
+    } catch (error) {
+      return documentError(res, 400, 'INVALID_DIAGRAM_SOURCE', `Diagram ${block.index + 1}: ${error.message}`, {
+        index: block.index,
+        line: block.startLine + 1
+      });
+    }
+  }
+
+  req.diagramBlocks = blocks;
+  next();
+};
+
+// POST /api/v2/documents/render - Render diagram blocks in a Markdown/AsciiDoc document.
+// Every diagram block counts against the generate rate limit.
+router.post('/render',
+  generateRateLimit,
+  textBody,
+  documentFromRequestBody,
+  documentValidator,
+  handleValidationErrors,
+  validateDocumentBlocks,
+  generateRateLimit.weighted(req => req.diagramBlocks.length),
+  async (req, res, next) => {
+    const startTime = Date.now();
+    const {
+      document,
+      syntax = 'markdown',
+      output = 'inline',
+      format = 'svg'
+    } = req.body;
+
+    try {
+      const blockCount = req.diagramBlocks.length;
+
+      logger.info('Document render request received', {
+        ip: req.ip,
+        syntax,
+        output,
+        format,
+        documentLength: document.length,
+        diagrams: blockCount
+      });
+
+      const result = await renderDocument(document, {
+        syntax,
+        output: output === 'zip' ? 'files' : 'inline',
+        format
+      });
+
+      const failed = result.diagrams.filter(diagram => !diagram.success).length;
+      result.diagrams.forEach(diagram => {
+        if (diagram.success) {
+          businessMetrics.trackSuccessfulGeneration(diagram.diagramType);
+        } else {
+          businessMetrics.trackFailedGeneration(diagram.diagramType, 'DOCUMENT_BLOCK_ERROR');
+        }
+      });
+
+      logger.info('Document rendered', {
+        syntax,
+        output,
+        diagrams: result.diagrams.length,
+        failed,
+        duration: Date.now() - startTime
+      });
+
+      const summary = {
+        total: result.diagrams.length,
+        rendered: result.diagrams.length - failed,
+        failed,
+        duration: Date.now() - startTime
+      };
+
+      if (output !== 'zip') {
+        return res.json({
+          success: true,
+          syntax,
+          document: result.document,
+          summary,
+          diagrams: result.diagrams
+        });
+      }
+
+      const documentName = req.body.filename || `document.${documentExtensions[syntax]}`;
+      const archive = archiver('zip', { zlib: { level: 6 } });
+
+      archive.on('error', (error) => {
+        logger.error('Document archive error', { error: error.message });
+        res.destroy(error);
+      });
+
+      res.set({
+        'Content-Type': 'application/zip',
+        'Content-Disposition': `attachment; filename="${documentName.replace(/\.[^.]+$/, '')}.zip"`,
+        'X-Diagrams-Rendered': summary.rendered,
+        'X-Diagrams-Failed': summary.failed
+      });
+
+      archive.pipe(res);
+      archive.append(result.document, { name: documentName });
+      result.files.forEach(file => archive.append(file.data, { name: file.path }));
+      await archive.finalize();
+
+    } catch (error) {
+      logger.error('Document render error', {
+        error: error.message,
+        ip: req.ip,
+        syntax,
+        stack: error.stack
+      });
+
+      next({
+        status: 500,
+        type: 'DOCUMENT_RENDER_ERROR',
+        message: 'Failed to render document'
+      });
+    }
+  }
+);
+
+const bookletValidator = [
+  body('diagrams')
+    .isArray({ min: 1, max: MAX_BOOKLET_DIAGRAMS })
+    .withMessage(`Diagrams must be an array with 1-${MAX_BOOKLET_DIAGRAMS} items`),
+  body('diagrams.*')
+    .custom((item) => {
+      if (!item || typeof item !== 'object' || (item.uml === undefined) === (item.id === undefined)) {
+        throw new Error('Each diagram needs either uml or a saved diagram id');
+      }
+      return true;
+    }),
+  body('diagrams.*.uml')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 100000 })
+    .withMessage('UML code must be between 1 and 100,000 characters')
+    .custom((value, { req, path }) => {
+      const index = parseInt(path.match(/\[(\d+)\]/)[1]);
+      return validateDiagramSource(value, { req: { body: req.body.diagrams[index] } });
+    }),
+  body('diagrams.*.diagramType')
+    .optional()
+    .isIn(Object.keys(formatManager.diagramTypes))
+    .withMessage('Invalid diagram type'),
+  body('diagrams.*.id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Diagram id must be a positive integer'),
+  body('diagrams.*.revision')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Revision must be a positive integer'),
+  body(['diagrams.*.title', 'diagrams.*.caption', 'title', 'subtitle', 'author'])
+    .optional()
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage('Titles, captions and cover text must be at most 2,000 characters'),
+  body(['cover', 'toc'])
+    .optional()
+    .isBoolean()
+    .withMessage('Cover and toc must be booleans'),
+  body('pageSize')
+    .optional()
+    .isIn(Object.keys(pageSizes))
+    .withMessage(`Page size must be one of: ${Object.keys(pageSizes).join(', ')}`),
+  body('orientation')
+    .optional()
+    .isIn(['portrait', 'landscape'])
+    .withMessage('Orientation must be one of: portrait, landscape'),
+  body('theme')
+    .optional()
+    .isString()
+    .custom(validateThemeName),
+  body('filename')
+    .optional()
+    .isString()
+    .matches(/^[\w.-]{1,100}$/)
+    .withMessage('Filename may only contain letters, digits, dots, dashes and underscores')
+];
+
+// Load the source of a saved diagram (current or given revision) owned by the caller
+const loadSavedDiagram = async (item, userId) => {
+  const diagram = await databaseManager.getSavedDiagram(item.id, userId);
+  if (!diagram) {
+    return null;
+  }
+
+  const revision = item.revision
+    ? await databaseManager.getDiagramRevision(item.id, item.revision, userId)
+    : diagram;
+  if (!revision) {
+    return null;
+  }
+
+  return {
+    uml: revision.uml_content,
+    diagramType: revision.diagram_type,
+    title: item.title || revision.title || diagram.title,
+    caption: item.caption !== undefined ? item.caption : diagram.description
+  };
+};
+
+// POST /api/v2/documents/booklet - Render an ordered list of diagrams into one PDF
+router.post('/booklet',
+  generateRateLimit,
+  bookletValidator,
+  handleValidationErrors,
+  async (req, res, next) => {
+    const startTime = Date.now();
+    const { diagrams, theme, filename = 'booklet' } = req.body;
+    const usesLibrary = diagrams.some(item => item.id !== undefined);
+
+    if (usesLibrary && !req.user) {
+      return documentError(res, 401, 'AUTHENTICATION_REQUIRED', 'An API key is required to include saved diagrams');
+    }
+    if (usesLibrary && !databaseManager.isConnected) {
+      return documentError(res, 503, 'DATABASE_UNAVAILABLE', 'Diagram library is temporarily unavailable');
+    }
+
+    try {
+      logger.info('Booklet request received', {
+        ip: req.ip,
+        diagrams: diagrams.length,
+        savedDiagrams: diagrams.filter(item => item.id !== undefined).length,
+        pageSize: req.body.pageSize,
+        orientation: req.body.orientation
+      });
+
+      const items = [];
+      for (let index = 0; index < diagrams.length; index++) {
+        const item = diagrams[index].id !== undefined
+          ? await loadSavedDiagram(diagrams[index], req.user.id)
+          : { diagramType: 'plantuml', ...diagrams[index] };
+
+        if (!item) {
+          return documentError(res, 404, 'DIAGRAM_NOT_FOUND', `Saved diagram for item ${index + 1} was not found`, { index });
+        }
+
+        // Vector pages where the renderer can produce PDF, images otherwise
+        const format = formatManager.isFormatSupported(item.diagramType, 'pdf') ? 'pdf' : 'png';
+        if (!formatManager.isFormatSupported(item.diagramType, format)) {
+          return documentError(res, 400, 'UNSUPPORTED_FORMAT',
+            `Diagram type ${item.diagramType} cannot be rendered for a PDF booklet`, { index });
+        }
+
+        try {
+          const result = await renderService.render(item.uml, { diagramType: item.diagramType, format, theme, embed: false });
+          items.push({ title: item.title, caption: item.caption, image: { data: result.data, format } });
+          businessMetrics.trackSuccessfulGeneration(item.diagramType);
+        } catch (error) {
+          businessMetrics.trackFailedGeneration(item.diagramType, 'BOOKLET_ITEM_ERROR');
+          if (error.clientError) {
+            const response = syntaxErrorResponse(error);
+            response.error.message = `Diagram ${index + 1}: ${response.error.message}`;
+            response.error.index = index;
+            return res.status(400).json(response);
+          }
+          throw error;
+        }
+      }
+
+      const pdf = await buildBooklet(items, {
+        title: req.body.title,
+        subtitle: req.body.subtitle,
+        author: req.body.author,
+        cover: req.body.cover,
+        toc: req.body.toc,
+        pageSize: req.body.pageSize,
+        orientation: req.body.orientation
+      });
+
+      logger.info('Booklet generated', {
+        diagrams: items.length,
+        size: pdf.length,
+        duration: Date.now() - startTime
+      });
+
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Length': pdf.length,
+        'Content-Disposition': `attachment; filename="${filename.replace(/\.pdf$/i, '')}.pdf"`,
+        'X-Diagram-Count': items.length,
+        'X-Content-Type-Options': 'nosniff'
+      });
+      res.send(pdf);
+
+    } catch (error) {
+      logger.error('Booklet generation error', {
+        error: error.message,
+        ip: req.ip,
+        stack: error.stack
+      });
+
+      next({
+        status: 500,
+        type: 'BOOKLET_ERROR',
+        message: 'Failed to generate PDF booklet'
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -2,30 +2,31 @@ const express = require('express');
 const axios = require('axios');
 const { generateRateLimit, plantUMLValidator, handleValidationErrors } = require('../middleware/security');
 const { logger, securityLogger } = require('../utils/logger');
+const { buildDiagnostics, syntaxErrorResponse } = require('../utils/diagnostics');
+const { includeResolver } = require('../utils/includeResolver');
+const { sourceLinesOf, stripPlantUMLWrapper, joinSourceLines, lineMapOf } = require('../utils/sourceLines');
+const { processSvg, diagramTitle } = require('../utils/svgProcessor');
+const { embedSource } = require('../utils/sourceEmbedding');
+const { cacheManager } = require('../utils/cache');
+const { diagramETag, sendNotModified } = require('../utils/etag');
 const router = express.Router();
 
 const KROKI_URL = process.env.KROKI_URL || 'http://kroki-service:8000';
 
-// Secure utility function to prepare diagram code for Kroki
+// Secure utility function to prepare diagram code for Kroki, as source lines
+// that remember the caller's line numbers (utils/sourceLines)
 function prepareUmlForKroki(umlCode, diagramType = 'plantuml') {
   if (diagramType === 'plantuml') {
     // Remove @startuml/@enduml if present, Kroki adds them automatically for PlantUML
-    let cleanCode = umlCode
-      .replace(/^\s*@startuml.*$/gm, '')
-      .replace(/^\s*@enduml.*$/gm, '')
-      .trim();
-
-    // Additional security: Remove any potential dangerous preprocessing
-    cleanCode = cleanCode
-      .replace(/!define\s+[^\\n]*/gi, '') // Remove !define statements
-      .replace(/!include\s+[^\\n]*/gi, '') // Remove !include statements
-      .replace(/!includeurl\s+[^\\n]*/gi, '') // Remove !includeurl statements
-      .trim();
-
-    return cleanCode;
+    const cleanLines = stripPlantUMLWrapper(sourceLinesOf(umlCode));
+
+    // Inline allowlisted standard library includes (validated by plantUMLValidator)
+    return includeResolver.resolveLines(cleanLines);
+  } else if (includeResolver.appliesTo(diagramType)) {
+    return includeResolver.resolveLines(sourceLinesOf(umlCode));
   } else {
     // For other diagram types, return as-is with basic sanitization
-    return umlCode.trim();
+    return sourceLinesOf(umlCode);
   }
 }
 
@@ -78,9 +79,19 @@ router.post('/generate',
       logger.info('UML code validated', { length: validatedUml.length });
 
       // Prepare UML for Kroki with security cleaning
-      const preparedUml = prepareUmlForKroki(validatedUml, diagram_type);
+      const preparedLines = prepareUmlForKroki(validatedUml, diagram_type);
+      const preparedUml = joinSourceLines(preparedLines);
       logger.info('UML code prepared for Kroki');
 
+      // Same validator scheme as v2; this route renders differently, hence its own key
+      const etag = diagramETag(
+        cacheManager.generateCacheKey(preparedUml, output_format, { api: 'v1', diagramType: diagram_type }),
+        { source: validatedUml }
+      );
+      if (sendNotModified(req, res, { etag })) {
+        return;
+      }
+
       // Generate diagram via Kroki POST endpoint with enhanced security
       const krokiUrl = `${KROKI_URL}/${diagram_type}/${output_format}`;
       logger.info('Requesting diagram from Kroki', { 
@@ -140,19 +151,43 @@ router.post('/generate',
           }
         }
 
+        // SVGs are sanitized and namespaced before they reach the browser
+        const rendered = output_format === 'svg'
+          ? processSvg(response.data, { title: diagramTitle(validatedUml) || undefined })
+          : response.data;
+
+        // Carry the source along so the image can be re-opened in the editor
+        const diagramData = await embedSource(rendered, output_format, {
+          source: validatedUml,
+          diagramType: diagram_type
+        });
+
         // Set secure headers for image
         res.set({
           'Content-Type': output_format === 'svg' ? 'image/svg+xml' : `image/${output_format}`,
-          'Content-Length': response.data.length,
+          'Content-Length': diagramData.length,
           'Cache-Control': 'no-cache, no-store, must-revalidate',
+          'ETag': etag,
           'Pragma': 'no-cache',
           'Expires': '0',
           'X-Content-Type-Options': 'nosniff',
           'Content-Disposition': 'inline; filename="diagram.png"'
         });
 
-        // Send PNG data
-        res.send(response.data);
+        // Send image data
+        res.send(diagramData);
+      } else if (response.status === 400) {
+        // Kroki rejected the source; report where the syntax error is
+        const error = {
+          diagnostics: buildDiagnostics(Buffer.from(response.data || '').toString('utf8'), {
+            source: validatedUml,
+            lineMap: lineMapOf(preparedLines),
+            diagramType: diagram_type
+          })
+        };
+
+        securityLogger.logValidationFailure(req.ip, req.get('User-Agent'), ['Invalid diagram syntax']);
+        res.status(400).json(syntaxErrorResponse(error));
       } else {
         throw {
           status: 502,
@@ -220,6 +255,11 @@ router.post('/generate',
         });
       }
 
+      // Include that slipped past validation (e.g. unknown library file)
+      if (error.name === 'IncludeError') {
+        return res.status(400).json(syntaxErrorResponse(error));
+      }
+
       // Re-throw validation errors
       if (error.type) {
         return next(error);
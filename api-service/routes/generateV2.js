@@ -1,15 +1,26 @@
 const express = require('express');
-const { body, query /* validationResult */ } = require('express-validator');
+const { body, query, param /* validationResult */ } = require('express-validator');
 const compression = require('compression');
 const { generateRateLimit, /* plantUMLValidator, */ handleValidationErrors } = require('../middleware/security');
 const { logger } = require('../utils/logger');
 const { cacheManager } = require('../utils/cache');
-const FormatManager = require('../utils/formatManager');
+const { renderService, validateDiagramSource } = require('../utils/renderService');
+const { createBatchWriter } = require('../utils/batchOutput');
+const { syntaxErrorResponse } = require('../utils/diagnostics');
+const { includeResolver } = require('../utils/includeResolver');
+const { themeManager, validateThemeName } = require('../utils/themeManager');
+const { transformValidators } = require('../utils/imageTransform');
+const { printValidators } = require('../utils/printProfile');
+const { embedSource, extractSource } = require('../utils/sourceEmbedding');
+const { convertDiagram, languages: conversionLanguages } = require('../utils/diagramConverter');
+const { diagramTypes, outputFormats, supportsFormat, validateSourceLength, getCapabilities } = require('../utils/diagramCapabilities');
+const { artifactStore, HASH_PATTERN } = require('../utils/artifactStore');
+const { recordServedDiagram } = require('../utils/cacheWarmer');
+const { sendNotModified } = require('../utils/etag');
 const { recordDiagramGeneration, businessMetrics } = require('../middleware/metrics');
 
 const router = express.Router();
-const KROKI_URL = process.env.KROKI_URL || 'http://kroki-service:8000';
-const formatManager = new FormatManager(KROKI_URL);
+const formatManager = renderService.formatManager;
 
 // Apply compression to all routes
 router.use(compression({
@@ -29,33 +40,18 @@ router.use(compression({
 const enhancedUmlValidator = [
   body('uml')
     .isString()
-    .isLength({ min: 1, max: 100000 })
-    .withMessage('UML code must be between 1 and 100,000 characters')
-    .custom((value) => {
-      // Security: Check for potentially malicious patterns
-      const dangerousPatterns = [
-        /!include\s+http/i,
-        /!includeurl/i,
-        /!define.*system/i,
-        /<script/i,
-        /javascript:/i
-      ];
-
-      for (const pattern of dangerousPatterns) {
-        if (pattern.test(value)) {
-          throw new Error('UML code contains potentially dangerous patterns');
-        }
-      }
-      return true;
-    }),
+    .isLength({ min: 1 })
+    .withMessage('UML code is required')
+    .custom(validateSourceLength)
+    .custom(validateDiagramSource),
   body('format')
     .optional()
-    .isIn(['png', 'svg', 'pdf', 'jpeg', 'webp'])
-    .withMessage('Format must be one of: png, svg, pdf, jpeg, webp'),
+    .isIn(outputFormats)
+    .withMessage(`Format must be one of: ${outputFormats.join(', ')}`),
   body('diagramType')
     .optional()
-    .isIn(['plantuml', 'mermaid', 'graphviz', 'ditaa', 'blockdiag', 'bpmn', 'c4plantuml'])
-    .withMessage('Invalid diagram type'),
+    .isIn(diagramTypes)
+    .withMessage(`Diagram type must be one of: ${diagramTypes.join(', ')}`),
   body('quality')
     .optional()
     .isIn(['high', 'balanced', 'fast'])
@@ -67,7 +63,23 @@ const enhancedUmlValidator = [
   body('cache')
     .optional()
     .isBoolean()
-    .withMessage('Cache must be a boolean')
+    .withMessage('Cache must be a boolean'),
+  body('theme')
+    .optional()
+    .isString()
+    .custom(validateThemeName),
+  ...transformValidators(),
+  ...printValidators(),
+  body('title')
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Title must be at most 200 characters'),
+  body('description')
+    .optional()
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage('Description must be at most 2,000 characters')
 ];
 
 // Format validation middleware
@@ -76,41 +88,13 @@ const validateFormat = (req, res, next) => {
 
   if (!formatManager.isFormatSupported(diagramType, format)) {
     return res.status(400).json({
-      error: {
-        type: 'UNSUPPORTED_FORMAT',
-        message: `Format ${format} is not supported for diagram type ${diagramType}`,
-        supportedFormats: formatManager.getFormatRecommendations(diagramType)
-      }
+      error: formatManager.formatError(diagramType, format)
     });
   }
 
   next();
 };
 
-// Clean UML code for processing
-function prepareUmlForKroki(umlCode, diagramType = 'plantuml') {
-  let cleanCode = umlCode.trim();
-
-  // Remove diagram wrapper tags if present (Kroki adds them automatically)
-  if (diagramType === 'plantuml') {
-    cleanCode = cleanCode
-      .replace(/^\s*@startuml.*$/gm, '')
-      .replace(/^\s*@enduml.*$/gm, '')
-      .trim();
-  } else if (diagramType === 'mermaid') {
-    // Mermaid doesn't need wrapper removal typically
-  }
-
-  // Additional security cleaning
-  cleanCode = cleanCode
-    .replace(/!define\s+[^\n]*/gi, '') // Remove !define statements
-    .replace(/!include\s+[^\n]*/gi, '') // Remove !include statements
-    .replace(/!includeurl\s+[^\n]*/gi, '') // Remove !includeurl statements
-    .trim();
-
-  return cleanCode;
-}
-
 // POST /api/v2/generate - Enhanced diagram generation with multiple formats
 router.post('/generate',
   generateRateLimit,
@@ -119,7 +103,6 @@ router.post('/generate',
   handleValidationErrors,
   async (req, res, next) => {
     const startTime = Date.now();
-    let cacheKey = null;
 
     try {
       const {
@@ -128,7 +111,12 @@ router.post('/generate',
         diagramType = 'plantuml',
         quality = 'balanced',
         compress = true,
-        cache: useCache = true
+        cache: useCache = true,
+        theme,
+        transform,
+        print,
+        title,
+        description
       } = req.body;
 
       logger.info('Enhanced generate request received', {
@@ -136,59 +124,72 @@ router.post('/generate',
         format,
         diagramType,
         quality,
+        theme,
         umlLength: uml.length,
         userAgent: req.get('User-Agent')
       });
 
-      // Prepare UML code
-      const preparedUml = prepareUmlForKroki(uml, diagramType);
+      // The ETag is known before rendering, so a client holding this diagram gets a 304 for free
+      const etag = renderService.etagFor(uml, { diagramType, format, quality, compress, theme, transform, print, title, description });
+      if (sendNotModified(req, res, { etag, cacheControl: useCache ? 'public, max-age=3600' : 'no-cache' })) {
+        return;
+      }
 
-      // Generate cache key
-      cacheKey = cacheManager.generateCacheKey(preparedUml, format, {
+      const result = await renderService.render(uml, {
         diagramType,
+        format,
         quality,
-        compress
+        compress,
+        useCache,
+        theme,
+        transform,
+        print,
+        title,
+        description
       });
 
-      // Try to get from cache first
       if (useCache) {
-        const cachedResult = await cacheManager.getCachedDiagram(cacheKey);
-        if (cachedResult) {
-          logger.info('Cache hit for diagram generation', {
-            key: cacheKey.substring(0, 16) + '...',
-            format,
-            size: cachedResult.data.length
-          });
-
-          // Update metrics
-          businessMetrics.trackSuccessfulGeneration(diagramType);
-          recordDiagramGeneration(diagramType, 'success', Date.now() - startTime);
-
-          // Set response headers
-          res.set({
-            'Content-Type': formatManager.getFormatConfig(format).mimeType,
-            'Content-Length': cachedResult.data.length,
-            'Cache-Control': 'public, max-age=3600',
-            'X-Cache': 'HIT',
-            'X-Generated-At': cachedResult.metadata.cachedAt,
-            'X-Content-Type-Options': 'nosniff'
-          });
-
-          return res.send(cachedResult.data);
-        }
+        recordServedDiagram(req, {
+          source: uml,
+          diagramType,
+          format,
+          renderOptions: { diagramType, format, quality, compress, theme, transform, print, title, description },
+          result
+        });
       }
 
-      // Generate diagram using FormatManager
-      const result = await formatManager.generateDiagram(
-        preparedUml,
-        diagramType,
-        format,
-        { quality, compress }
-      );
+      if (theme && themeManager.supports(diagramType)) {
+        res.set('X-Theme', theme);
+      }
 
-      // Cache the result if enabled
-      if (useCache) {
-        await cacheManager.cacheDiagram(cacheKey, result.data, result.metadata, 3600);
+      // Durable, immutable URL for exactly these bytes
+      const artifact = await artifactStore.publish(result.data, { mimeType: result.mimeType });
+      if (artifact) {
+        res.set({
+          'Content-Location': artifact.url,
+          'X-Artifact-Hash': artifact.hash
+        });
+      }
+
+      // HIT, or STALE: an expired rendering served from the cache grace period
+      if (result.cacheStatus !== 'MISS') {
+        // Update metrics
+        businessMetrics.trackSuccessfulGeneration(diagramType);
+        recordDiagramGeneration(diagramType, 'success', Date.now() - startTime);
+
+        // Set response headers
+        res.set({
+          'Content-Type': result.mimeType,
+          'Content-Length': result.data.length,
+          'Cache-Control': result.warning ? 'no-cache' : 'public, max-age=3600',
+          'ETag': result.etag,
+          'X-Cache': result.cacheStatus,
+          'X-Generated-At': result.metadata.cachedAt,
+          'X-Content-Type-Options': 'nosniff',
+          ...(result.warning && { 'Warning': result.warning })
+        });
+
+        return res.send(result.data);
       }
 
       // Update metrics
@@ -200,8 +201,10 @@ router.post('/generate',
         'Content-Type': result.mimeType,
         'Content-Length': result.data.length,
         'Cache-Control': useCache ? 'public, max-age=3600' : 'no-cache',
+        'ETag': result.etag,
         'X-Cache': 'MISS',
         'X-Generation-Time': `${result.metadata.duration}ms`,
+        'X-Renderer': result.metadata.renderer,
         'X-Diagram-Type': diagramType,
         'X-Format': format,
         'X-Content-Type-Options': 'nosniff',
@@ -244,6 +247,28 @@ router.post('/generate',
         error.type || 'GENERATION_ERROR'
       );
 
+      // Syntax errors reported by the renderer, with line-level diagnostics
+      if (error.clientError) {
+        return res.status(400).json(syntaxErrorResponse(error));
+      }
+
+      if (error.type === 'INVALID_TRANSFORM') {
+        return next({
+          status: 400,
+          type: error.type,
+          message: error.message
+        });
+      }
+
+      // e.g. utxt without a local PlantUML jar
+      if (error.type === 'RENDERER_UNAVAILABLE') {
+        return next({
+          status: 503,
+          type: error.type,
+          message: error.message
+        });
+      }
+
       // Handle specific error types
       if (error.message.includes('Unsupported format')) {
         return next({
@@ -271,92 +296,177 @@ router.post('/generate',
   }
 );
 
+// Batch size limits; streamed responses don't hold every image in memory
+const MAX_BATCH_SIZE = 10;
+const MAX_STREAMED_BATCH_SIZE = parseInt(process.env.MAX_STREAMED_BATCH_SIZE || '100');
+const batchOutputs = ['summary', 'json', 'zip', 'multipart'];
+// Every format of an item is a separate render
+const MAX_BATCH_FORMATS = 5;
+
+// Batch item an item-level validator's field belongs to ("requests[2].formats[0]")
+const batchItemFor = (req, path) => req.body.requests[parseInt(path.match(/\[(\d+)\]/)[1])];
+
+// Render every format of one batch item and cache the results
+const renderBatchItem = async (request, index) => {
+  const {
+    uml,
+    formats = ['png'],
+    diagramType = 'plantuml',
+    quality = 'balanced',
+    theme
+  } = request;
+
+  try {
+    const preparedUml = renderService.prepareSource(uml, diagramType, { theme });
+    const batchResult = await formatManager.generateMultipleFormats(
+      preparedUml,
+      diagramType,
+      formats,
+      { quality }
+    );
+
+    // Cache successful results, then embed the caller's source in what is sent back
+    for (const [format, result] of Object.entries(batchResult.results)) {
+      const cacheKey = cacheManager.generateCacheKey(preparedUml, format, {
+        diagramType,
+        quality
+      });
+      await cacheManager.cacheDiagram(cacheKey, result.data, result.metadata);
+      result.data = await embedSource(result.data, format, { source: uml, diagramType });
+      result.artifact = await artifactStore.publish(result.data, { mimeType: result.mimeType });
+    }
+
+    return { index, success: true, results: batchResult.results, errors: batchResult.errors };
+
+  } catch (error) {
+    logger.error('Batch item generation failed', {
+      index,
+      error: error.message,
+      diagramType,
+      formats
+    });
+
+    return { index, success: false, error: error.message };
+  }
+};
+
 // POST /api/v2/generate/batch - Batch generation with multiple formats
 router.post('/generate/batch',
   generateRateLimit,
+  body('output')
+    .optional()
+    .isIn(batchOutputs)
+    .withMessage(`Output must be one of: ${batchOutputs.join(', ')}`),
   body('requests')
-    .isArray({ min: 1, max: 10 })
-    .withMessage('Requests must be an array with 1-10 items'),
+    .isArray({ min: 1 })
+    .withMessage('Requests must be a non-empty array')
+    .custom((requests, { req }) => {
+      const streamed = ['zip', 'multipart'].includes(req.body.output);
+      const limit = streamed ? MAX_STREAMED_BATCH_SIZE : MAX_BATCH_SIZE;
+      if (requests.length > limit) {
+        throw new Error(`Requests must be an array with 1-${limit} items`);
+      }
+      return true;
+    }),
   body('requests.*.uml')
     .isString()
     .isLength({ min: 1, max: 50000 })
-    .withMessage('Each UML code must be between 1 and 50,000 characters'),
+    .withMessage('Each UML code must be between 1 and 50,000 characters')
+    .custom((value, { req, path }) => validateDiagramSource(value, { req: { body: batchItemFor(req, path) } })),
   body('requests.*.formats')
     .optional()
-    .isArray()
-    .withMessage('Formats must be an array'),
+    .isArray({ min: 1, max: MAX_BATCH_FORMATS })
+    .withMessage(`Formats must be an array with 1-${MAX_BATCH_FORMATS} items`),
+  body('requests.*.formats.*')
+    .isIn(outputFormats)
+    .withMessage(`Format must be one of: ${outputFormats.join(', ')}`)
+    .custom((format, { req, path }) => {
+      const diagramType = batchItemFor(req, path).diagramType || 'plantuml';
+      if (diagramTypes.includes(diagramType) && !supportsFormat(diagramType, format)) {
+        throw new Error(`${diagramType} diagrams cannot be rendered as ${format}`);
+      }
+      return true;
+    }),
   body('requests.*.diagramType')
+    .optional()
+    .isIn(diagramTypes)
+    .withMessage(`Diagram type must be one of: ${diagramTypes.join(', ')}`),
+  body('requests.*.theme')
+    .optional()
+    .isString()
+    .custom(validateThemeName),
+  body('requests.*.name')
     .optional()
     .isString()
-    .withMessage('DiagramType must be a string'),
+    .matches(/^[\w.-]{1,100}$/)
+    .withMessage('Name may only contain letters, digits, dots, dashes and underscores'),
   handleValidationErrors,
   async (req, res, next) => {
     const startTime = Date.now();
+    const { requests, output = 'summary' } = req.body;
+    const writer = output === 'summary' ? null : createBatchWriter(output, res);
+    const usedNames = new Set();
+    const results = [];
 
     try {
-      const { requests } = req.body;
-      const results = [];
-
       logger.info('Batch generation request received', {
         ip: req.ip,
         batchSize: requests.length,
+        output,
         userAgent: req.get('User-Agent')
       });
 
+      if (writer) {
+        writer.start();
+      }
+
       for (let i = 0; i < requests.length; i++) {
-        const request = requests[i];
-        const {
-          uml,
-          formats = ['png'],
-          diagramType = 'plantuml',
-          quality = 'balanced'
-        } = request;
-
-        try {
-          const preparedUml = prepareUmlForKroki(uml, diagramType);
-          const batchResult = await formatManager.generateMultipleFormats(
-            preparedUml,
-            diagramType,
-            formats,
-            { quality }
-          );
-
-          // Cache successful results
-          for (const [format, result] of Object.entries(batchResult.results)) {
-            const cacheKey = cacheManager.generateCacheKey(preparedUml, format, {
-              diagramType,
-              quality
-            });
-            await cacheManager.cacheDiagram(cacheKey, result.data, result.metadata);
-          }
+        const item = await renderBatchItem(requests[i], i);
 
-          results.push({
-            index: i,
-            success: true,
-            results: Object.keys(batchResult.results).reduce((acc, format) => {
-              acc[format] = {
-                size: batchResult.results[format].data.length,
-                mimeType: batchResult.results[format].mimeType
-              };
-              return acc;
-            }, {}),
-            errors: batchResult.errors
-          });
-
-        } catch (error) {
-          logger.error('Batch item generation failed', {
-            index: i,
-            error: error.message,
-            diagramType,
-            formats
-          });
+        if (!item.success) {
+          results.push(item);
+          continue;
+        }
 
-          results.push({
+        // Files are named by caller-supplied name or by index
+        let name = requests[i].name || `diagram-${i}`;
+        if (usedNames.has(name)) {
+          name = `${name}-${i}`;
+        }
+        usedNames.add(name);
+
+        const files = [];
+        for (const [format, result] of Object.entries(item.results)) {
+          const file = {
             index: i,
-            success: false,
-            error: error.message
-          });
+            format,
+            path: `${name}.${format}`,
+            size: result.data.length,
+            mimeType: result.mimeType,
+            ...(result.artifact && { url: result.artifact.url, hash: result.artifact.hash })
+          };
+
+          if (writer) {
+            writer.addFile({ ...file, data: result.data });
+          }
+          files.push(file);
         }
+
+        results.push({
+          index: i,
+          name,
+          success: true,
+          results: files.reduce((acc, file) => {
+            acc[file.format] = {
+              size: file.size,
+              mimeType: file.mimeType,
+              url: file.url
+            };
+            return acc;
+          }, {}),
+          files: writer ? files.map(({ index: _index, ...file }) => file) : undefined,
+          errors: item.errors
+        });
       }
 
       const duration = Date.now() - startTime;
@@ -366,17 +476,24 @@ router.post('/generate/batch',
         totalRequests: requests.length,
         successful: successCount,
         failed: requests.length - successCount,
+        output,
         duration
       });
 
+      const summary = {
+        total: requests.length,
+        successful: successCount,
+        failed: requests.length - successCount,
+        duration
+      };
+
+      if (writer) {
+        return await writer.finish({ summary, results });
+      }
+
       res.json({
         success: true,
-        summary: {
-          total: requests.length,
-          successful: successCount,
-          failed: requests.length - successCount,
-          duration
-        },
+        summary,
         results
       });
 
@@ -384,9 +501,15 @@ router.post('/generate/batch',
       logger.error('Batch generation error', {
         error: error.message,
         ip: req.ip,
+        output,
         stack: error.stack
       });
 
+      // A streamed response can't switch to an error status once started
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+
       next({
         status: 500,
         type: 'BATCH_GENERATION_ERROR',
@@ -396,6 +519,106 @@ router.post('/generate/batch',
   }
 );
 
+// Largest file accepted by /extract (the PDF render limit)
+const MAX_EXTRACT_SIZE = 20 * 1024 * 1024;
+
+// POST /api/v2/extract - Recover the diagram source embedded in a rendered PNG, SVG or PDF.
+// The request body is the file itself, sent with its own Content-Type.
+router.post('/extract',
+  generateRateLimit,
+  express.raw({ type: () => true, limit: MAX_EXTRACT_SIZE }),
+  async (req, res, next) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return next({
+        status: 400,
+        type: 'VALIDATION_ERROR',
+        message: 'Send the PNG, SVG or PDF file as the request body'
+      });
+    }
+
+    let embedded;
+    try {
+      embedded = await extractSource(req.body);
+    } catch (error) {
+      if (error.type === 'UNSUPPORTED_MEDIA_TYPE') {
+        return next({ status: 415, type: error.type, message: error.message });
+      }
+      if (error.type === 'EMBEDDED_SOURCE_TOO_LARGE') {
+        return next({ status: 400, type: error.type, message: error.message });
+      }
+
+      logger.warn('Could not read uploaded file for source extraction', { error: error.message, size: req.body.length });
+      return next({
+        status: 400,
+        type: 'INVALID_FILE',
+        message: 'The uploaded file could not be read'
+      });
+    }
+
+    if (!embedded) {
+      return next({
+        status: 422,
+        type: 'NO_EMBEDDED_SOURCE',
+        message: 'The file does not contain an embedded diagram source'
+      });
+    }
+
+    logger.info('Diagram source extracted', {
+      format: embedded.format,
+      diagramType: embedded.diagramType,
+      origin: embedded.origin,
+      sourceLength: embedded.source.length
+    });
+
+    res.json(embedded);
+  }
+);
+
+// POST /api/v2/convert - Translate diagram source between PlantUML, Mermaid and Graphviz.
+// Sequence diagrams convert between PlantUML and Mermaid; flowcharts, activity and
+// component diagrams between all three. Untranslatable constructs are listed in `report`.
+router.post('/convert',
+  generateRateLimit,
+  [
+    body('uml')
+      .isString()
+      .isLength({ min: 1, max: 100000 })
+      .withMessage('UML code must be between 1 and 100,000 characters'),
+    body('from')
+      .isIn(conversionLanguages)
+      .withMessage(`From must be one of: ${conversionLanguages.join(', ')}`),
+    body('to')
+      .isIn(conversionLanguages)
+      .withMessage(`To must be one of: ${conversionLanguages.join(', ')}`)
+      .custom((to, { req }) => to !== req.body.from)
+      .withMessage('From and to must be different languages')
+  ],
+  handleValidationErrors,
+  (req, res, next) => {
+    const { uml, from, to } = req.body;
+
+    let result;
+    try {
+      result = convertDiagram(uml, { from, to });
+    } catch (error) {
+      if (error.type === 'UNSUPPORTED_CONVERSION') {
+        return next({ status: 422, type: error.type, message: error.message });
+      }
+      return next(error);
+    }
+
+    logger.info('Diagram converted', {
+      from,
+      to,
+      kind: result.kind,
+      untranslated: result.report.untranslated.length,
+      approximated: result.report.approximated.length
+    });
+
+    res.json({ from, to, ...result });
+  }
+);
+
 // GET /api/v2/formats - Get supported formats and recommendations
 router.get('/formats', (req, res) => {
   const { diagramType = 'plantuml' } = req.query;
@@ -423,9 +646,85 @@ router.get('/formats', (req, res) => {
   }
 });
 
+// GET /api/v2/renderers - Renderer backend health and failover order
+router.get('/renderers',
+  query('refresh').optional().isBoolean().withMessage('Refresh must be boolean'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const backends = req.query.refresh === 'true'
+        ? await formatManager.checkBackendHealth()
+        : formatManager.getBackendStatus();
+
+      res.json({
+        timestamp: new Date().toISOString(),
+        backends
+      });
+    } catch (error) {
+      logger.error('Renderer status error', { error: error.message });
+      res.status(500).json({ error: 'Failed to get renderer status' });
+    }
+  }
+);
+
+// GET /api/v2/includes - Standard libraries available to !include <...>
+router.get('/includes', (req, res) => {
+  res.json(includeResolver.getLibraries());
+});
+
+// GET /api/v2/themes - Registered diagram themes
+router.get('/themes', (req, res) => {
+  res.json({ themes: themeManager.getThemes() });
+});
+
+// GET /api/v2/artifacts/:hash - Stored render by content hash; never changes, so cacheable forever
+router.get('/artifacts/:hash',
+  param('hash').matches(HASH_PATTERN).withMessage('Artifact hash must be a lowercase SHA-256 hex digest'),
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      // The hash names the content, so a matching tag needs no store lookup
+      if (sendNotModified(req, res, { etag: `"${req.params.hash}"`, cacheControl: 'public, max-age=31536000, immutable' })) {
+        return;
+      }
+
+      const artifact = await artifactStore.get(req.params.hash);
+      if (!artifact) {
+        return next({
+          status: 404,
+          type: 'ARTIFACT_NOT_FOUND',
+          message: 'Artifact not found'
+        });
+      }
+
+      res.set({
+        'Content-Type': artifact.mimeType,
+        'Content-Length': artifact.data.length,
+        'Cache-Control': 'public, max-age=31536000, immutable',
+        'ETag': `"${req.params.hash}"`,
+        'X-Content-Type-Options': 'nosniff'
+      });
+      res.send(artifact.data);
+    } catch (error) {
+      logger.error('Artifact retrieval error', { hash: req.params.hash, error: error.message });
+      next({
+        status: 502,
+        type: 'ARTIFACT_STORE_ERROR',
+        message: 'Failed to read artifact'
+      });
+    }
+  }
+);
+
+// GET /api/v2/capabilities - Diagram types with their formats, limits and examples
+router.get('/capabilities', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=3600');
+  res.json(getCapabilities(diagramType => formatManager.diagramTypes[diagramType]));
+});
+
 // GET /api/v2/optimize - Get optimization suggestions
 router.get('/optimize',
-  query('format').optional().isIn(['png', 'svg', 'pdf', 'jpeg', 'webp']),
+  query('format').optional().isIn(outputFormats),
   query('useCase').optional().isIn(['web', 'print', 'email', 'mobile', 'documentation', 'presentation']),
   query('diagramType').optional().isString(),
   (req, res) => {
@@ -438,6 +737,10 @@ router.get('/optimize',
         suggestions.recommendedFormat = formatManager.getOptimalFormat(useCase, diagramType);
       }
 
+      if (useCase === 'print') {
+        suggestions.printProfile = formatManager.getPrintProfile(diagramType);
+      }
+
       if (format) {
         suggestions.optimizationOptions = formatManager.getOptimizationOptions(format);
       }
@@ -0,0 +1,210 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { generateRateLimit, handleValidationErrors } = require('../middleware/security');
+const { authenticateRouteGroup } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+const { renderService, validateDiagramSource } = require('../utils/renderService');
+const { recordServedDiagram } = require('../utils/cacheWarmer');
+const { sendNotModified } = require('../utils/etag');
+const { decodeDiagramSource } = require('../utils/diagramEncoding');
+const { syntaxErrorResponse } = require('../utils/diagnostics');
+const { recordDiagramGeneration, businessMetrics } = require('../middleware/metrics');
+
+// Kroki-compatible API surface:
+//   GET  /api/v2/render/:diagramType/:format/:encoded  (deflate + base64url source)
+//   GET  /:diagramType/:format/:encoded                (same, at the Kroki path)
+//   POST /:diagramType/:format                         (text/plain or Kroki JSON body)
+const router = express.Router();
+const formatManager = renderService.formatManager;
+
+// Encoded URLs always describe the same source, so renders can be cached downstream
+const ENCODED_CACHE_CONTROL = `public, max-age=${process.env.RENDER_URL_MAX_AGE || '86400'}`;
+
+const textBody = express.text({
+  type: 'text/plain',
+  limit: process.env.MAX_REQUEST_SIZE || '1mb'
+});
+
+const sourceValidator = [
+  body('uml')
+    .isString()
+    .isLength({ min: 1, max: 100000 })
+    .withMessage('UML code must be between 1 and 100,000 characters')
+    .custom(validateDiagramSource)
+];
+
+// Only claim paths for diagram types we render, so other two-segment paths still 404
+const knownDiagramType = (req, res, next) => {
+  if (!formatManager.diagramTypes[req.params.diagramType.toLowerCase()]) {
+    return next('route');
+  }
+  next();
+};
+
+// Load source from the encoded path segment into req.body
+const sourceFromEncodedParam = (req, res, next) => {
+  let uml;
+  try {
+    uml = decodeDiagramSource(req.params.encoded);
+  } catch (error) {
+    return res.status(400).json({
+      error: {
+        message: error.message,
+        type: 'INVALID_ENCODING',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  req.body = {
+    uml,
+    diagramType: req.params.diagramType.toLowerCase(),
+    format: req.params.format.toLowerCase()
+  };
+  next();
+};
+
+// Load source from a text/plain body or a Kroki JSON body ({ diagram_source })
+const sourceFromRequestBody = (req, res, next) => {
+  const uml = typeof req.body === 'string'
+    ? req.body
+    : (req.body && req.body.diagram_source);
+
+  req.body = {
+    uml,
+    diagramType: req.params.diagramType.toLowerCase(),
+    format: req.params.format.toLowerCase()
+  };
+  next();
+};
+
+const validateFormat = (req, res, next) => {
+  const { diagramType, format } = req.body;
+
+  if (!formatManager.getFormatConfig(format) || !formatManager.isFormatSupported(diagramType, format)) {
+    return res.status(400).json({
+      error: formatManager.formatError(diagramType, format)
+    });
+  }
+
+  next();
+};
+
+class RenderRateLimitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RenderRateLimitError';
+  }
+}
+
+// Encoded GETs are what <img> tags and pages full of diagrams request, and repeats
+// are served from the cache; only renders count against the generate limit
+const limitCacheMisses = (req) => async () => {
+  if (!(await generateRateLimit.consume(req))) {
+    throw new RenderRateLimitError('Too many diagram generation requests');
+  }
+};
+
+const renderDiagram = (cacheControl, { limitMisses = false } = {}) => async (req, res, next) => {
+  const startTime = Date.now();
+  const { uml, diagramType, format } = req.body;
+
+  try {
+    logger.info('Kroki-compatible render request received', {
+      ip: req.ip,
+      method: req.method,
+      diagramType,
+      format,
+      umlLength: uml.length
+    });
+
+    if (sendNotModified(req, res, { etag: renderService.etagFor(uml, { diagramType, format }), cacheControl })) {
+      return;
+    }
+
+    const result = await renderService.render(uml, {
+      diagramType,
+      format,
+      ...(limitMisses && { beforeRender: limitCacheMisses(req) })
+    });
+    recordServedDiagram(req, { source: uml, diagramType, format, renderOptions: { diagramType, format }, result });
+
+    businessMetrics.trackSuccessfulGeneration(diagramType);
+    recordDiagramGeneration(diagramType, 'success', Date.now() - startTime);
+
+    res.set({
+      'Content-Type': result.mimeType,
+      'Content-Length': result.data.length,
+      'Cache-Control': result.warning ? 'no-cache' : cacheControl,
+      'ETag': result.etag,
+      'X-Cache': result.cacheStatus,
+      'X-Diagram-Type': diagramType,
+      'X-Format': format,
+      'X-Content-Type-Options': 'nosniff',
+      ...(result.warning && { 'Warning': result.warning })
+    });
+
+    res.send(result.data);
+  } catch (error) {
+    if (error instanceof RenderRateLimitError) {
+      return generateRateLimit.reject(req, res);
+    }
+
+    const duration = Date.now() - startTime;
+
+    logger.error('Kroki-compatible render error', {
+      error: error.message,
+      ip: req.ip,
+      diagramType,
+      format,
+      duration
+    });
+
+    businessMetrics.trackFailedGeneration(diagramType, 'GENERATION_ERROR');
+    recordDiagramGeneration(diagramType, 'error', duration, 'GENERATION_ERROR');
+
+    if (error.clientError) {
+      return res.status(400).json(syntaxErrorResponse(error));
+    }
+
+    next({
+      status: 500,
+      type: 'GENERATION_ERROR',
+      message: 'Failed to generate diagram'
+    });
+  }
+};
+
+const encodedPipeline = [
+  knownDiagramType,
+  sourceFromEncodedParam,
+  sourceValidator,
+  validateFormat,
+  handleValidationErrors,
+  renderDiagram(ENCODED_CACHE_CONTROL, { limitMisses: true })
+];
+
+// GET /api/v2/render/:diagramType/:format/:encoded - Render from an encoded URL (for <img src>)
+router.get('/api/v2/render/:diagramType/:format/:encoded', encodedPipeline);
+
+// GET /:diagramType/:format/:encoded - Kroki GET endpoint
+router.get('/:diagramType/:format/:encoded',
+  knownDiagramType,
+  authenticateRouteGroup('v2'),
+  encodedPipeline
+);
+
+// POST /:diagramType/:format - Kroki POST endpoint
+router.post('/:diagramType/:format',
+  knownDiagramType,
+  authenticateRouteGroup('v2'),
+  generateRateLimit,
+  textBody,
+  sourceFromRequestBody,
+  sourceValidator,
+  validateFormat,
+  handleValidationErrors,
+  renderDiagram('public, max-age=3600')
+);
+
+module.exports = router;
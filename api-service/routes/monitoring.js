@@ -6,6 +6,7 @@ const { databaseManager } = require('../utils/database');
 const { cacheManager } = require('../utils/cache');
 const { queueManager } = require('../utils/queueManager');
 const { webhookManager } = require('../utils/webhookManager');
+const { renderService } = require('../utils/renderService');
 
 const router = express.Router();
 
@@ -15,9 +16,10 @@ router.get('/dashboard', async (req, res, next) => {
     const dashboardData = advancedMonitoring.getDashboardData();
 
     // Add real-time component data
-    dashboardData.cache = cacheManager.isConnected ? cacheManager.getCacheStats() : null;
+    dashboardData.cache = cacheManager.getCacheStats();
     dashboardData.queue = queueManager.isInitialized ? await queueManager.getQueueStats() : null;
     dashboardData.webhooks = webhookManager.getStats();
+    dashboardData.coalescing = renderService.flights.getStats();
 
     res.json({
       timestamp: new Date().toISOString(),
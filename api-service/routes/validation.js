@@ -3,6 +3,7 @@ const { body /* validationResult */ } = require('express-validator');
 const { generateRateLimit, handleValidationErrors } = require('../middleware/security');
 const { logger } = require('../utils/logger');
 const { advancedValidator } = require('../utils/advancedValidator');
+const { diagramTypes } = require('../utils/diagramCapabilities');
 
 const router = express.Router();
 
@@ -16,8 +17,8 @@ router.post('/validate',
       .withMessage('UML content must be between 1 and 200,000 characters'),
     body('diagramType')
       .optional()
-      .isIn(['plantuml', 'mermaid', 'graphviz', 'ditaa', 'blockdiag', 'bpmn', 'c4plantuml'])
-      .withMessage('Invalid diagram type'),
+      .isIn(diagramTypes)
+      .withMessage(`Diagram type must be one of: ${diagramTypes.join(', ')}`),
     body('securityScan')
       .optional()
       .isBoolean()
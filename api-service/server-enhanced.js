@@ -10,6 +10,9 @@ const { databaseManager } = require('./utils/database');
 const { httpOptimizer } = require('./utils/httpOptimizations');
 // const { webhookManager } = require('./utils/webhookManager'); // Unused import
 const { advancedMonitoring } = require('./utils/advancedMonitoring');
+const { renderService } = require('./utils/renderService');
+const { getRendererVersion } = require('./utils/etag');
+const { cacheWarmer } = require('./utils/cacheWarmer');
 
 // Security middleware
 const {
@@ -22,6 +25,9 @@ const {
   securityLogger
 } = require('./middleware/security');
 
+// API key authentication
+const { authenticate, authenticateRouteGroup } = require('./middleware/auth');
+
 // Metrics utilities
 const { collectHttpMetrics, getMetrics, getMetricsSummary, updateDbConnectionPool } = require('./middleware/metrics');
 
@@ -69,6 +75,15 @@ async function initializeServices() {
       logger.info('Queue manager initialized');
     }
 
+    // Probe the renderers; Kroki's version becomes part of every diagram ETag
+    await renderService.formatManager.checkBackendHealth();
+    logger.info('Renderer version', { version: getRendererVersion() });
+
+    // Preload popular stored diagrams now, on a schedule and after renderer upgrades
+    if (databaseManager.isConnected && process.env.CACHE_WARM_ENABLED !== 'false') {
+      cacheWarmer.start();
+    }
+
     // Initialize advanced monitoring
     advancedMonitoring.initialize();
     logger.info('Advanced monitoring initialized');
@@ -86,6 +101,8 @@ app.set('trust proxy', 1);
 // Security middleware stack
 app.use(require('helmet')(helmetConfig));
 app.use(require('cors')(corsOptions));
+// Resolve API keys first so the limiters count key holders per key, not per IP
+app.use(authenticate({ mode: 'identify' }));
 app.use(globalRateLimit);
 app.use(speedLimiter);
 app.use(sanitizeRequest);
@@ -157,7 +174,8 @@ app.get('/health', async (req, res) => {
     if (cacheManager.isConnected) {
       dependencies.cache = { status: 'connected', stats: cacheManager.getCacheStats() };
     } else {
-      dependencies.cache = { status: 'disconnected' };
+      // Still serving from the in-process tier
+      dependencies.cache = { status: 'disconnected', stats: cacheManager.getCacheStats() };
       health.status = 'degraded';
     }
 
@@ -295,12 +313,19 @@ app.get('/api/v1/status', async (req, res) => {
 });
 
 // API Routes
-app.use('/api/v1', require('./routes/generate')); // Legacy API
-app.use('/api/v2', require('./routes/generateV2')); // Enhanced API
-app.use('/api/async', require('./routes/async')); // Async processing
+// Each group resolves the caller into req.user; AUTH_REQUIRED_ROUTES picks the groups that reject anonymous calls
+app.use('/api/v1', authenticateRouteGroup('v1'), require('./routes/generate')); // Legacy API
+app.use('/api/v2/diagrams', authenticateRouteGroup('v2'), require('./routes/diagrams')); // Saved diagram library
+app.use('/api/v2/documents', authenticateRouteGroup('v2'), require('./routes/documents')); // Markdown/AsciiDoc rendering
+app.use('/api/v2', authenticateRouteGroup('v2'), require('./routes/generateV2')); // Enhanced API
+app.use('/api/async', authenticateRouteGroup('async'), require('./routes/async')); // Async processing
+// Validation and /api/monitoring stay open like /health: keys are still identified
+// above, so key holders are counted against their own global limit
 app.use('/api', require('./routes/validation')); // Validation
-app.use('/api/webhooks', require('./routes/webhooks')); // Webhooks
+app.use('/api/webhooks', authenticateRouteGroup('webhooks'), require('./routes/webhooks')); // Webhooks
 app.use('/api/monitoring', require('./routes/monitoring')); // Monitoring
+app.use('/api/admin', authenticate({ mode: 'required' }), require('./routes/admin')); // Operator endpoints
+app.use(require('./routes/kroki')); // Kroki-compatible GET/POST rendering
 
 // Load documentation routes
 require('./routes/docs');
@@ -329,10 +354,21 @@ app.get('/', (req, res) => {
       legacy_api: '/api/v1/generate',
       enhanced_api: '/api/v2/generate',
       batch_api: '/api/v2/generate/batch',
+      render_url: '/api/v2/render/{diagramType}/{format}/{encoded}',
+      diagram_library: '/api/v2/diagrams',
+      document_render: '/api/v2/documents/render',
+      pdf_booklet: '/api/v2/documents/booklet',
+      source_extraction: '/api/v2/extract',
+      conversion: '/api/v2/convert',
+      capabilities: '/api/v2/capabilities',
+      artifacts: '/api/v2/artifacts/{hash}',
+      kroki_compatible: '/{diagramType}/{format}',
       async_api: '/api/async/generate',
       validation: '/api/validate',
       webhooks: '/api/webhooks',
-      monitoring: '/api/monitoring/dashboard'
+      monitoring: '/api/monitoring/dashboard',
+      cache_warming: '/api/admin/cache/warm',
+      cache_admin: '/api/admin/cache/stats'
     },
     links: {
       documentation: `${req.protocol}://${req.get('Host')}/docs`,
@@ -392,8 +428,20 @@ app.use('*', (req, res) => {
         'GET /health',
         'POST /api/v1/generate',
         'POST /api/v2/generate',
+        'GET /api/v2/render/:diagramType/:format/:encoded',
+        'GET /api/v2/diagrams',
+        'POST /api/v2/documents/render',
+        'POST /api/v2/documents/booklet',
+        'POST /api/v2/extract',
+        'POST /api/v2/convert',
+        'GET /api/v2/capabilities',
+        'GET /api/v2/artifacts/:hash',
+        'POST /:diagramType/:format',
         'POST /api/async/generate',
-        'POST /api/validate'
+        'POST /api/validate',
+        'POST /api/admin/cache/warm',
+        'GET /api/admin/cache/stats',
+        'POST /api/admin/cache/purge'
       ]
     }
   });
@@ -416,6 +464,7 @@ const gracefulShutdown = async (signal) => {
       cacheManager.disconnect()
     ]);
 
+    cacheWarmer.stop();
     httpOptimizer.cleanup();
     advancedMonitoring.cleanup();
 
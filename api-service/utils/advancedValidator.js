@@ -1,6 +1,7 @@
 // const Joi = require('joi'); // Unused import (TODO: implement Joi validation)
 const { logger } = require('./logger');
 const { cacheManager } = require('./cache');
+const { includeResolver } = require('./includeResolver');
 const crypto = require('crypto');
 
 class AdvancedValidator {
@@ -111,7 +112,6 @@ class AdvancedValidator {
           'critical', 'group', 'ref', 'newpage', 'divider', 'delay'
         ],
         blockedPatterns: [
-          /!include(?!sub)/gi,
           /!includeurl/gi,
           /!define.*exec/gi,
           /!pragma.*unsafe/gi
@@ -382,9 +382,20 @@ class AdvancedValidator {
       });
     }
 
+    // Only allowlisted standard library includes are accepted
+    try {
+      includeResolver.validate(content);
+    } catch (error) {
+      result.securityIssues.push({
+        type: 'INCLUDE_NOT_ALLOWED',
+        message: error.message,
+        line: error.line,
+        severity: 'high'
+      });
+    }
+
     // Check for dangerous preprocessor directives
     const dangerousDirectives = [
-      /!include\s+(?!sub)/gi,
       /!includeurl/gi,
       /!define\s+.*exec/gi,
       /!system/gi
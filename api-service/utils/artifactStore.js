@@ -0,0 +1,259 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { logger } = require('./logger');
+
+// Content-addressed storage for rendered diagrams. Artifacts are keyed by the
+// SHA-256 of their bytes, so a URL always names the same content and can be
+// cached forever (GET /api/v2/artifacts/:hash). Identical renders share one object.
+
+const DEFAULT_ARTIFACT_PATH = path.join(__dirname, '..', 'artifacts');
+const ARTIFACT_URL_PREFIX = '/api/v2/artifacts';
+const HASH_PATTERN = /^[a-f0-9]{64}$/;
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+const hashArtifact = (data) => sha256(data);
+
+// Local directory, fanned out by the first two hex digits of the hash
+class FileSystemArtifactDriver {
+  constructor(root = DEFAULT_ARTIFACT_PATH) {
+    this.name = 'fs';
+    this.root = root;
+  }
+
+  pathFor(hash) {
+    return path.join(this.root, hash.slice(0, 2), hash);
+  }
+
+  async exists(hash) {
+    try {
+      await fs.access(this.pathFor(hash));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async put(hash, data, { mimeType }) {
+    const file = this.pathFor(hash);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+
+    // Write the metadata first and rename the data into place last, so a
+    // present data file is always complete and described
+    const temp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.writeFile(`${file}.json`, JSON.stringify({ mimeType, size: data.length }));
+    await fs.writeFile(temp, data);
+    await fs.rename(temp, file);
+  }
+
+  async get(hash) {
+    try {
+      const [data, meta] = await Promise.all([
+        fs.readFile(this.pathFor(hash)),
+        fs.readFile(`${this.pathFor(hash)}.json`, 'utf8')
+      ]);
+      return { data, mimeType: JSON.parse(meta).mimeType };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+}
+
+// AWS Signature Version 4 headers for an S3 request (path-style URL)
+function signS3Request({ method, url, headers = {}, payloadHash, region, accessKeyId, secretAccessKey, date = new Date() }) {
+  const { host, pathname, searchParams } = new URL(url);
+  const amzDate = date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const day = amzDate.slice(0, 8);
+  const scope = `${day}/${region}/s3/aws4_request`;
+
+  const signed = {
+    ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])),
+    host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate
+  };
+  const signedHeaders = Object.keys(signed).sort();
+  const canonicalQuery = [...searchParams.entries()]
+    .map(([name, value]) => `${encodeURIComponent(name)}=${encodeURIComponent(value)}`)
+    .sort()
+    .join('&');
+
+  const canonicalRequest = [
+    method,
+    pathname,
+    canonicalQuery,
+    signedHeaders.map(name => `${name}:${signed[name]}\n`).join(''),
+    signedHeaders.join(';'),
+    payloadHash
+  ].join('\n');
+
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${secretAccessKey}`, day), region)
+  );
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...signed,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders.join(';')}, Signature=${signature}`
+  };
+}
+
+// S3 or an S3-compatible service (MinIO, Ceph, R2) over path-style URLs
+class S3ArtifactDriver {
+  constructor({ endpoint, bucket, region = 'us-east-1', accessKeyId, secretAccessKey, prefix = '', http = axios }) {
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+      throw new Error('S3 artifact store needs a bucket and credentials');
+    }
+    this.name = 's3';
+    this.endpoint = (endpoint || `https://s3.${region}.amazonaws.com`).replace(/\/+$/, '');
+    this.bucket = bucket;
+    this.region = region;
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.prefix = prefix;
+    this.http = http;
+  }
+
+  objectUrl(hash) {
+    const key = `${this.prefix}${hash}`.split('/').map(encodeURIComponent).join('/');
+    return `${this.endpoint}/${encodeURIComponent(this.bucket)}/${key}`;
+  }
+
+  // Fails on any non-2xx status, except a 404 where `allowMissing` (HEAD/GET)
+  request(method, hash, { data, headers = {}, allowMissing = false } = {}) {
+    const url = this.objectUrl(hash);
+    const signedHeaders = signS3Request({
+      method,
+      url,
+      headers,
+      payloadHash: data ? sha256(data) : sha256(''),
+      region: this.region,
+      accessKeyId: this.accessKeyId,
+      secretAccessKey: this.secretAccessKey
+    });
+
+    return this.http.request({
+      method,
+      url,
+      data,
+      headers: signedHeaders,
+      responseType: 'arraybuffer',
+      timeout: 15000,
+      maxBodyLength: Infinity,
+      validateStatus: status => (status >= 200 && status < 300) || (allowMissing && status === 404)
+    });
+  }
+
+  async exists(hash) {
+    const response = await this.request('HEAD', hash, { allowMissing: true });
+    return response.status !== 404;
+  }
+
+  async put(hash, data, { mimeType }) {
+    await this.request('PUT', hash, {
+      data,
+      headers: { 'content-type': mimeType, 'content-length': data.length }
+    });
+  }
+
+  async get(hash) {
+    const response = await this.request('GET', hash, { allowMissing: true });
+    if (response.status === 404) {
+      return null;
+    }
+    return { data: Buffer.from(response.data), mimeType: response.headers['content-type'] };
+  }
+}
+
+class ArtifactStore {
+  constructor(driver) {
+    this.driver = driver;
+  }
+
+  get enabled() {
+    return Boolean(this.driver);
+  }
+
+  urlFor(hash) {
+    return `${ARTIFACT_URL_PREFIX}/${hash}`;
+  }
+
+  // Stores the bytes unless an artifact with the same hash already exists
+  async put(data, { mimeType = 'application/octet-stream' } = {}) {
+    const hash = hashArtifact(data);
+    if (!(await this.driver.exists(hash))) {
+      await this.driver.put(hash, data, { mimeType });
+      logger.debug('Artifact stored', { hash, size: data.length, driver: this.driver.name });
+    }
+    return { hash, url: this.urlFor(hash), size: data.length, mimeType };
+  }
+
+  // Reference for a response, or null when the store is off or failing; the
+  // rendered output is still returned, it just has no durable URL
+  async publish(data, options) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    try {
+      return await this.put(data, options);
+    } catch (error) {
+      logger.error('Failed to store artifact', { error: error.message, driver: this.driver.name });
+      return null;
+    }
+  }
+
+  async get(hash) {
+    if (!this.enabled || !HASH_PATTERN.test(hash)) {
+      return null;
+    }
+    return this.driver.get(hash);
+  }
+}
+
+// ARTIFACT_STORE: none (default), fs or s3. Storing adds a write to every v2
+// render and nothing is ever deleted, so it is opt-in; fs URLs only resolve on
+// instances sharing ARTIFACT_PATH, so run several instances on a shared volume or s3.
+const createArtifactStore = (env = process.env) => {
+  const driver = (env.ARTIFACT_STORE || 'none').toLowerCase();
+
+  switch (driver) {
+  case 'fs':
+    return new ArtifactStore(new FileSystemArtifactDriver(env.ARTIFACT_PATH || DEFAULT_ARTIFACT_PATH));
+  case 's3':
+    return new ArtifactStore(new S3ArtifactDriver({
+      endpoint: env.ARTIFACT_S3_ENDPOINT,
+      bucket: env.ARTIFACT_S3_BUCKET,
+      region: env.ARTIFACT_S3_REGION || 'us-east-1',
+      accessKeyId: env.ARTIFACT_S3_ACCESS_KEY_ID,
+      secretAccessKey: env.ARTIFACT_S3_SECRET_ACCESS_KEY,
+      prefix: env.ARTIFACT_S3_PREFIX || ''
+    }));
+  case 'none':
+    return new ArtifactStore(null);
+  default:
+    throw new Error(`Unknown ARTIFACT_STORE driver: ${driver}`);
+  }
+};
+
+// Singleton instance
+const artifactStore = createArtifactStore();
+
+module.exports = {
+  ArtifactStore,
+  FileSystemArtifactDriver,
+  S3ArtifactDriver,
+  artifactStore,
+  createArtifactStore,
+  hashArtifact,
+  signS3Request,
+  HASH_PATTERN
+};
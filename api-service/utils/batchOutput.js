@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const archiver = require('archiver');
+
+// Response writers for /api/v2/generate/batch. Streaming writers send each
+// file as soon as it is rendered and finish with a manifest of the whole batch.
+
+class ZipBatchWriter {
+  constructor(res) {
+    this.res = res;
+    this.streaming = true;
+    this.archive = archiver('zip', { zlib: { level: 6 } });
+    this.archive.on('error', (error) => res.destroy(error));
+  }
+
+  start() {
+    this.res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': 'attachment; filename="diagrams.zip"'
+    });
+    this.archive.pipe(this.res);
+  }
+
+  addFile(file) {
+    this.archive.append(file.data, { name: file.path });
+  }
+
+  async finish(manifest) {
+    this.archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+    await this.archive.finalize();
+  }
+}
+
+class MultipartBatchWriter {
+  constructor(res) {
+    this.res = res;
+    this.streaming = true;
+    this.boundary = `batch-${crypto.randomBytes(12).toString('hex')}`;
+  }
+
+  start() {
+    this.res.status(200);
+    this.res.set('Content-Type', `multipart/mixed; boundary=${this.boundary}`);
+  }
+
+  writePart(headers, data) {
+    const head = Object.entries(headers)
+      .map(([name, value]) => `${name}: ${value}`)
+      .join('\r\n');
+
+    this.res.write(`--${this.boundary}\r\n${head}\r\n\r\n`);
+    this.res.write(data);
+    this.res.write('\r\n');
+  }
+
+  addFile(file) {
+    this.writePart({
+      'Content-Type': file.mimeType,
+      'Content-Disposition': `attachment; filename="${file.path}"`,
+      'Content-Length': file.data.length,
+      'X-Batch-Index': file.index
+    }, file.data);
+  }
+
+  async finish(manifest) {
+    const body = Buffer.from(JSON.stringify(manifest));
+    this.writePart({
+      'Content-Type': 'application/json',
+      'Content-Disposition': 'attachment; filename="manifest.json"',
+      'Content-Length': body.length
+    }, body);
+    this.res.end(`--${this.boundary}--\r\n`);
+  }
+}
+
+// Buffers everything and answers with the manifest plus base64 payloads
+class JsonBatchWriter {
+  constructor(res) {
+    this.res = res;
+    this.streaming = false;
+    this.files = {};
+  }
+
+  start() {}
+
+  addFile(file) {
+    this.files[file.path] = file.data.toString('base64');
+  }
+
+  async finish(manifest) {
+    this.res.json({
+      success: true,
+      ...manifest,
+      results: manifest.results.map(item => ({
+        ...item,
+        files: (item.files || []).map(file => ({ ...file, data: this.files[file.path] }))
+      }))
+    });
+  }
+}
+
+const batchWriters = {
+  zip: ZipBatchWriter,
+  multipart: MultipartBatchWriter,
+  json: JsonBatchWriter
+};
+
+const createBatchWriter = (output, res) => new batchWriters[output](res);
+
+module.exports = {
+  createBatchWriter,
+  ZipBatchWriter,
+  MultipartBatchWriter,
+  JsonBatchWriter
+};
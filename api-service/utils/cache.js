@@ -1,17 +1,79 @@
 const redis = require('redis');
 const crypto = require('crypto');
 const { logger } = require('./logger');
-
+const { MemoryCache } = require('./memoryCache');
+const { canonicalizeSource } = require('./sourceCanonicalizer');
+const {
+  recordCacheLookup,
+  recordCacheEviction,
+  updateMemoryCacheUsage,
+  updateCacheHitRatio
+} = require('../middleware/metrics');
+
+const emptyRedisStats = () => ({ hits: 0, misses: 0, errors: 0 });
+
+// Seconds an expired diagram is kept after its TTL. Within it the entry is stale:
+// ordinary lookups miss, but renders can fall back to it (see RenderService.render).
+const CACHE_GRACE_PERIOD = parseInt(process.env.CACHE_GRACE_PERIOD || String(24 * 60 * 60));
+
+const lookupResult = (result) => {
+  if (!result) {
+    return 'miss';
+  }
+  return result.stale ? 'stale' : 'hit';
+};
+
+const isStale = (metadata, now = Date.now()) => Boolean(metadata && metadata.staleAt && Date.parse(metadata.staleAt) <= now);
+
+// Diagram keys name their type and format (diagram:<type>:<format>:<sha256>), so
+// they can be purged with globs such as diagram:mermaid:*
+const CACHE_KEY_PATTERN = /^diagram:([a-z0-9_-]+):([a-z0-9]+):([a-f0-9]{64})$/;
+
+const parseCacheKey = (key) => {
+  const match = CACHE_KEY_PATTERN.exec(key);
+  return match ? { diagramType: match[1], format: match[2], hash: match[3] } : null;
+};
+
+// Sorted sets indexing Redis diagram entries by size, hits and expiry time; they
+// back the largest/hottest listings, and expired members are pruned by score
+const INDEX_KEYS = {
+  bytes: 'cache-index:bytes',
+  hits: 'cache-index:hits',
+  expires: 'cache-index:expires'
+};
+
+// Memory tiers are per process; purges are broadcast so every instance drops its copy
+const INVALIDATION_CHANNEL = 'cache:invalidate';
+
+const hitRatio = (hits, misses) => {
+  const total = hits + misses;
+  return total > 0 ? Math.round((hits / total) * 10000) / 100 : 0; // percentage with 2 decimals
+};
+
+// Diagrams are cached in two tiers: a byte-bounded in-process LRU (MemoryCache)
+// in front of Redis. Reads check memory first and copy Redis hits into it;
+// writes go to both. While Redis is down or reconnecting the memory tier keeps
+// serving, so an outage doesn't send every request to the renderers.
 class CacheManager {
-  constructor() {
+  constructor({
+    memory = new MemoryCache({ onEvict: () => recordCacheEviction() }),
+    graceSeconds = CACHE_GRACE_PERIOD
+  } = {}) {
     this.client = null;
     this.isConnected = false;
+    this.hasConnected = false;
+    this.memory = memory;
+    this.graceSeconds = Math.max(graceSeconds, 0);
     this.cacheStats = {
       hits: 0,
       misses: 0,
+      stale: 0,
       sets: 0,
       deletes: 0
     };
+    this.redisStats = emptyRedisStats();
+    this.typeStats = {};
+    this.subscriber = null;
   }
 
   async initialize() {
@@ -23,8 +85,10 @@ class CacheManager {
         socket: {
           connectTimeout: 5000,
           lazyConnect: true,
+          // Give up on startup after 10 attempts, but once Redis has been up keep
+          // retrying for as long as it takes; the memory tier covers the gap
           reconnectStrategy: (retries) => {
-            if (retries > 10) {
+            if (retries > 10 && !this.hasConnected) {
               logger.error('Redis max reconnection attempts reached');
               return false;
             }
@@ -48,6 +112,12 @@ class CacheManager {
       this.client.on('ready', () => {
         logger.info('Redis client ready');
         this.isConnected = true;
+        this.hasConnected = true;
+      });
+
+      this.client.on('reconnecting', () => {
+        logger.warn('Redis reconnecting, serving diagrams from memory cache');
+        this.isConnected = false;
       });
 
       this.client.on('end', () => {
@@ -59,6 +129,7 @@ class CacheManager {
 
       // Test connection
       await this.client.ping();
+      await this.subscribeToInvalidations();
       logger.info('Redis cache manager initialized successfully');
 
     } catch (error) {
@@ -67,36 +138,67 @@ class CacheManager {
     }
   }
 
+  // Purges published by other instances also clear this instance's memory tier
+  async subscribeToInvalidations() {
+    try {
+      this.subscriber = this.client.duplicate();
+      this.subscriber.on('error', (error) => {
+        logger.warn('Cache invalidation subscriber error', { error: error.message });
+      });
+      await this.subscriber.connect();
+      await this.subscriber.subscribe(INVALIDATION_CHANNEL, (pattern) => {
+        const removed = this.memory.invalidatePattern(pattern);
+        this.updateMemoryMetrics();
+        logger.debug('Memory cache invalidated by another instance', { pattern, removed });
+      });
+    } catch (error) {
+      logger.warn('Cache invalidation subscription failed; purges stay local to each instance', { error: error.message });
+      this.subscriber = null;
+    }
+  }
+
   // Generate cache key from UML content and format
   generateCacheKey(umlContent, format = 'png', options = {}) {
+    const diagramType = options.diagramType || 'plantuml';
+    // Sources differing only in layout or comments share an entry
     const content = JSON.stringify({
-      uml: umlContent.trim(),
+      uml: canonicalizeSource(umlContent, diagramType),
       format,
       options
     });
-    return `diagram:${crypto.createHash('sha256').update(content).digest('hex')}`;
+    return `diagram:${diagramType}:${format}:${crypto.createHash('sha256').update(content).digest('hex')}`;
   }
 
-  // Cache diagram with metadata
+  // Cache diagram with metadata (write-through to both tiers). The entry is fresh
+  // for `ttl` seconds and kept, stale, for the grace period after that.
   async cacheDiagram(key, diagramData, metadata = {}, ttl = 3600) {
+    const now = Date.now();
+    const cacheEntry = {
+      data: diagramData.toString('base64'),
+      metadata: {
+        ...metadata,
+        cachedAt: new Date(now).toISOString(),
+        staleAt: new Date(now + ttl * 1000).toISOString(),
+        size: diagramData.length,
+        format: metadata.format || 'png'
+      }
+    };
+
+    const inMemory = this.memory.set(key, diagramData, cacheEntry.metadata, ttl, this.graceSeconds);
+    this.updateMemoryMetrics();
+
     if (!this.isConnected) {
-      logger.warn('Redis not connected, skipping cache set');
-      return false;
+      logger.debug('Redis not connected, cached in memory only');
+      if (inMemory) {
+        this.cacheStats.sets++;
+      }
+      return inMemory;
     }
 
     try {
-      const cacheEntry = {
-        data: diagramData.toString('base64'),
-        metadata: {
-          ...metadata,
-          cachedAt: new Date().toISOString(),
-          size: diagramData.length,
-          format: metadata.format || 'png'
-        }
-      };
-
-      await this.client.setEx(key, ttl, JSON.stringify(cacheEntry));
+      await this.client.setEx(key, ttl + this.graceSeconds, JSON.stringify(cacheEntry));
       this.cacheStats.sets++;
+      this.indexEntry(key, diagramData.length, ttl + this.graceSeconds);
 
       logger.debug('Diagram cached successfully', {
         key: key.substring(0, 16) + '...',
@@ -110,48 +212,125 @@ class CacheManager {
         error: error.message,
         key: key.substring(0, 16) + '...'
       });
-      return false;
+      this.redisStats.errors++;
+      if (inMemory) {
+        this.cacheStats.sets++;
+      }
+      return inMemory;
     }
   }
 
-  // Retrieve cached diagram
-  async getCachedDiagram(key) {
+  // Retrieve cached diagram (read-through: memory, then Redis). Stale entries are
+  // misses unless `allowStale` is set, in which case they come back flagged `stale`.
+  async getCachedDiagram(key, { allowStale = false } = {}) {
+    const fromMemory = this.memory.get(key, { allowStale });
+    recordCacheLookup('memory', lookupResult(fromMemory));
+    if (fromMemory && !fromMemory.stale) {
+      return this.recordLookup({ ...fromMemory, tier: 'memory' }, key);
+    }
+
+    // A stale copy in memory is only a fallback: another instance may have refreshed Redis
+    const staleFromMemory = fromMemory ? { ...fromMemory, tier: 'memory' } : null;
+
     if (!this.isConnected) {
-      logger.warn('Redis not connected, cache miss');
-      this.cacheStats.misses++;
-      return null;
+      logger.debug('Redis not connected, cache miss');
+      return this.recordLookup(staleFromMemory, key);
     }
 
     try {
-      const cached = await this.client.get(key);
-      if (!cached) {
-        this.cacheStats.misses++;
-        return null;
+      const [cached, ttlMs] = await Promise.all([this.client.get(key), this.client.pTTL(key)]);
+      const cacheEntry = cached ? JSON.parse(cached) : null;
+      const stale = cacheEntry ? isStale(cacheEntry.metadata) : false;
+
+      if (!cacheEntry || (stale && !allowStale)) {
+        this.redisStats.misses++;
+        recordCacheLookup('redis', 'miss');
+        return this.recordLookup(staleFromMemory, key);
       }
 
-      const cacheEntry = JSON.parse(cached);
       const diagramData = Buffer.from(cacheEntry.data, 'base64');
 
-      this.cacheStats.hits++;
+      this.redisStats.hits++;
+      recordCacheLookup('redis', stale ? 'stale' : 'hit');
+
+      // Keep it in memory for as long as Redis would (no expiry is reported as -1),
+      // fresh for as long as it is still fresh there
+      const remaining = ttlMs > 0 ? Math.ceil(ttlMs / 1000) : 3600;
+      const fresh = cacheEntry.metadata.staleAt
+        ? Math.min(Math.max(Math.floor((Date.parse(cacheEntry.metadata.staleAt) - Date.now()) / 1000), 0), remaining)
+        : remaining;
+      this.memory.set(key, diagramData, cacheEntry.metadata, fresh, remaining - fresh);
+      this.updateMemoryMetrics();
 
       logger.debug('Cache hit', {
         key: key.substring(0, 16) + '...',
         size: diagramData.length,
-        cachedAt: cacheEntry.metadata.cachedAt
+        cachedAt: cacheEntry.metadata.cachedAt,
+        stale
       });
 
-      return {
+      return this.recordLookup({
         data: diagramData,
-        metadata: cacheEntry.metadata
-      };
+        metadata: cacheEntry.metadata,
+        tier: 'redis',
+        stale
+      }, key);
     } catch (error) {
       logger.error('Failed to retrieve cached diagram', {
         error: error.message,
         key: key.substring(0, 16) + '...'
       });
+      this.redisStats.errors++;
+      return this.recordLookup(staleFromMemory, key);
+    }
+  }
+
+  // Stale results count as misses, since they still need a render
+  recordLookup(result, key) {
+    const parsed = parseCacheKey(key);
+    const type = parsed ? parsed.diagramType : 'unknown';
+    const typeStats = this.typeStats[type] || (this.typeStats[type] = { hits: 0, misses: 0 });
+
+    if (result && !result.stale) {
+      this.cacheStats.hits++;
+      typeStats.hits++;
+      if (this.isConnected) {
+        this.client.zIncrBy(INDEX_KEYS.hits, 1, key).catch(() => {});
+      }
+    } else {
       this.cacheStats.misses++;
-      return null;
+      typeStats.misses++;
+      if (result) {
+        this.cacheStats.stale++;
+      }
     }
+    updateCacheHitRatio(this.cacheStats.hits, this.cacheStats.hits + this.cacheStats.misses);
+    return result;
+  }
+
+  // Best effort: a missing index entry only hides the key from the admin listings
+  indexEntry(key, bytes, ttl) {
+    Promise.all([
+      this.client.zAdd(INDEX_KEYS.bytes, { score: bytes, value: key }),
+      this.client.zAdd(INDEX_KEYS.expires, { score: Date.now() + ttl * 1000, value: key })
+    ]).catch(error => logger.debug('Failed to index cache entry', { error: error.message }));
+  }
+
+  // Drops index members whose entries have expired
+  async pruneIndex() {
+    const expired = await this.client.zRangeByScore(INDEX_KEYS.expires, 0, Date.now());
+    if (expired.length > 0) {
+      await this.removeFromIndex(expired);
+    }
+    return expired.length;
+  }
+
+  async removeFromIndex(keys) {
+    await Promise.all(Object.values(INDEX_KEYS).map(index => this.client.zRem(index, keys)));
+  }
+
+  updateMemoryMetrics() {
+    updateMemoryCacheUsage(this.memory.getStats());
   }
 
   // Cache UML validation results
@@ -219,6 +398,24 @@ class CacheManager {
 
   // Batch operations for multiple diagrams
   async batchCacheDiagrams(diagrams) {
+    const now = Date.now();
+    const entries = diagrams.map(({ key, data, metadata, ttl }) => ({
+      key,
+      data,
+      ttl: ttl || 3600,
+      metadata: {
+        ...metadata,
+        cachedAt: new Date(now).toISOString(),
+        staleAt: new Date(now + (ttl || 3600) * 1000).toISOString(),
+        size: data.length
+      }
+    }));
+
+    for (const { key, data, metadata, ttl } of entries) {
+      this.memory.set(key, data, metadata, ttl, this.graceSeconds);
+    }
+    this.updateMemoryMetrics();
+
     if (!this.isConnected) {
       return false;
     }
@@ -226,20 +423,17 @@ class CacheManager {
     try {
       const pipeline = this.client.multi();
 
-      for (const { key, data, metadata, ttl } of diagrams) {
+      for (const { key, data, metadata, ttl } of entries) {
         const cacheEntry = {
           data: data.toString('base64'),
-          metadata: {
-            ...metadata,
-            cachedAt: new Date().toISOString(),
-            size: data.length
-          }
+          metadata
         };
-        pipeline.setEx(key, ttl || 3600, JSON.stringify(cacheEntry));
+        pipeline.setEx(key, ttl + this.graceSeconds, JSON.stringify(cacheEntry));
       }
 
       await pipeline.exec();
       this.cacheStats.sets += diagrams.length;
+      entries.forEach(({ key, data, ttl }) => this.indexEntry(key, data.length, ttl + this.graceSeconds));
 
       logger.info('Batch cached diagrams', { count: diagrams.length });
       return true;
@@ -249,36 +443,167 @@ class CacheManager {
     }
   }
 
-  // Cache invalidation patterns
-  async invalidatePattern(pattern) {
+  // Deletes diagram entries matching a Redis glob from both tiers (and, through
+  // the invalidation channel, from other instances' memory tiers). Resolves with
+  // the number of entries removed per tier; throws when Redis fails.
+  async purge(pattern) {
+    const memory = this.memory.invalidatePattern(pattern);
+    this.cacheStats.deletes += memory;
+    this.updateMemoryMetrics();
+
     if (!this.isConnected) {
-      return false;
+      return { pattern, memory, redis: 0 };
+    }
+
+    const keys = await this.client.keys(pattern);
+    if (keys.length > 0) {
+      await this.client.del(keys);
+      await this.removeFromIndex(keys);
+      this.cacheStats.deletes += keys.length;
     }
+    await this.client.publish(INVALIDATION_CHANNEL, pattern);
 
+    logger.info('Cache invalidated', { pattern, memory, redis: keys.length });
+    return { pattern, memory, redis: keys.length };
+  }
+
+  // Cache invalidation patterns
+  async invalidatePattern(pattern) {
     try {
-      const keys = await this.client.keys(pattern);
-      if (keys.length > 0) {
-        await this.client.del(keys);
-        this.cacheStats.deletes += keys.length;
-        logger.info('Cache invalidated', { pattern, count: keys.length });
-      }
-      return true;
+      const { memory } = await this.purge(pattern);
+      return this.isConnected || memory > 0;
     } catch (error) {
       logger.error('Failed to invalidate cache pattern', { error: error.message });
       return false;
     }
   }
 
+  // Everything known about one entry, without its data or counting a lookup
+  async inspectEntry(key) {
+    const memory = this.memory.peek(key);
+    let redis = null;
+    let metadata = memory ? memory.metadata : null;
+    let hits = memory ? memory.hits : 0;
+
+    if (this.isConnected) {
+      const [cached, ttlMs, indexedHits] = await Promise.all([
+        this.client.get(key),
+        this.client.pTTL(key),
+        this.client.zScore(INDEX_KEYS.hits, key)
+      ]);
+      if (cached) {
+        metadata = JSON.parse(cached).metadata;
+        redis = { bytes: Buffer.byteLength(cached), ttl: ttlMs > 0 ? Math.ceil(ttlMs / 1000) : -1 };
+      }
+      hits = indexedHits || hits;
+    }
+
+    if (!memory && !redis) {
+      return null;
+    }
+
+    return {
+      key,
+      ...parseCacheKey(key),
+      stale: isStale(metadata),
+      metadata,
+      hits,
+      tiers: {
+        memory: memory && {
+          bytes: memory.size,
+          hits: memory.hits,
+          staleAt: new Date(memory.staleAt).toISOString(),
+          expiresAt: new Date(memory.expiresAt).toISOString()
+        },
+        redis
+      }
+    };
+  }
+
+  // Largest (`bytes`) or most hit (`hits`) entries. Redis holds every entry, so
+  // it answers when connected; otherwise this instance's memory tier does.
+  async topEntries(by = 'bytes', limit = 10) {
+    const describe = (key, score) => ({ key, ...parseCacheKey(key), [by]: score });
+
+    if (!this.isConnected) {
+      const field = by === 'bytes' ? 'size' : 'hits';
+      return this.memory.list()
+        .sort((a, b) => b[field] - a[field])
+        .slice(0, limit)
+        .map(entry => describe(entry.key, entry[field]));
+    }
+
+    await this.pruneIndex();
+    const ranked = await this.client.zRangeWithScores(INDEX_KEYS[by], 0, limit * 2 - 1, { REV: true });
+
+    // Keys evicted by Redis itself (maxmemory) are still indexed; skip and drop them
+    const exists = await Promise.all(ranked.map(({ value }) => this.client.exists(value)));
+    const gone = ranked.filter((entry, index) => !exists[index]).map(({ value }) => value);
+    if (gone.length > 0) {
+      await this.removeFromIndex(gone);
+    }
+
+    return ranked
+      .filter((entry, index) => exists[index])
+      .slice(0, limit)
+      .map(({ value, score }) => describe(value, score));
+  }
+
+  // Lookups and stored bytes per diagram type. Hit rates count this instance's
+  // lookups since start; memory is this instance's tier, Redis is shared.
+  async getTypeStats() {
+    const types = {};
+    const statsFor = (type) => types[type] || (types[type] = {
+      hits: 0,
+      misses: 0,
+      hitRatio: 0,
+      memory: { entries: 0, bytes: 0 },
+      redis: { entries: 0, bytes: 0 }
+    });
+    const typeOf = (key) => (parseCacheKey(key) || { diagramType: 'unknown' }).diagramType;
+
+    for (const [type, { hits, misses }] of Object.entries(this.typeStats)) {
+      Object.assign(statsFor(type), { hits, misses, hitRatio: hitRatio(hits, misses) });
+    }
+
+    for (const { key, size } of this.memory.list()) {
+      const { memory } = statsFor(typeOf(key));
+      memory.entries++;
+      memory.bytes += size;
+    }
+
+    if (this.isConnected) {
+      await this.pruneIndex();
+      for (const { value, score } of await this.client.zRangeWithScores(INDEX_KEYS.bytes, 0, -1)) {
+        const { redis } = statsFor(typeOf(value));
+        redis.entries++;
+        redis.bytes += score;
+      }
+    }
+
+    return types;
+  }
+
   // Cache statistics and health
   getCacheStats() {
-    const total = this.cacheStats.hits + this.cacheStats.misses;
-    const hitRatio = total > 0 ? (this.cacheStats.hits / total) : 0;
+    const memory = this.memory.getStats();
 
     return {
       ...this.cacheStats,
-      hitRatio: Math.round(hitRatio * 10000) / 100, // percentage with 2 decimals
+      hitRatio: hitRatio(this.cacheStats.hits, this.cacheStats.misses),
       isConnected: this.isConnected,
-      total
+      total: this.cacheStats.hits + this.cacheStats.misses,
+      tiers: {
+        memory: {
+          ...memory,
+          hitRatio: hitRatio(memory.hits, memory.misses)
+        },
+        redis: {
+          ...this.redisStats,
+          hitRatio: hitRatio(this.redisStats.hits, this.redisStats.misses),
+          isConnected: this.isConnected
+        }
+      }
     };
   }
 
@@ -287,35 +612,43 @@ class CacheManager {
     this.cacheStats = {
       hits: 0,
       misses: 0,
+      stale: 0,
       sets: 0,
       deletes: 0
     };
+    this.redisStats = emptyRedisStats();
+    this.typeStats = {};
+    this.memory.resetStats();
   }
 
-  // Cache warming for popular diagrams
-  async warmCache(popularDiagrams) {
+  // Cache warming for popular diagrams. The cache can't render, so `render` runs one
+  // diagram through the normal pipeline (which stores the result here) and resolves
+  // with its cache status. Diagrams are rendered one at a time to spare the renderers.
+  async warmCache(popularDiagrams, { render, onProgress = () => {} } = {}) {
+    const progress = { total: popularDiagrams.length, warmed: 0, alreadyCached: 0, failed: 0 };
     logger.info('Starting cache warming', { count: popularDiagrams.length });
 
     for (const diagram of popularDiagrams) {
       try {
-        // Pre-generate and cache popular diagram types
-        const key = this.generateCacheKey(diagram.uml, diagram.format);
-        const exists = await this.client.exists(key);
-
-        if (!exists) {
-          logger.debug('Pre-warming cache for popular diagram', {
-            type: diagram.type,
-            format: diagram.format
-          });
-          // This would integrate with your diagram generation logic
+        const cacheStatus = await render(diagram);
+        if (cacheStatus === 'HIT') {
+          progress.alreadyCached++;
+        } else {
+          progress.warmed++;
         }
       } catch (error) {
+        progress.failed++;
         logger.error('Cache warming failed for diagram', {
           error: error.message,
-          type: diagram.type
+          type: diagram.diagram_type,
+          format: diagram.format
         });
       }
+      onProgress({ ...progress });
     }
+
+    logger.info('Cache warming completed', progress);
+    return progress;
   }
 
   // Cleanup expired entries and optimize memory
@@ -341,6 +674,9 @@ class CacheManager {
   async disconnect() {
     if (this.client && this.isConnected) {
       try {
+        if (this.subscriber) {
+          await this.subscriber.disconnect();
+        }
         await this.client.disconnect();
         logger.info('Redis cache manager disconnected');
       } catch (error) {
@@ -355,5 +691,7 @@ const cacheManager = new CacheManager();
 
 module.exports = {
   CacheManager,
-  cacheManager
+  cacheManager,
+  parseCacheKey,
+  CACHE_KEY_PATTERN
 };
\ No newline at end of file
@@ -0,0 +1,226 @@
+const { logger } = require('./logger');
+const { cacheManager } = require('./cache');
+const { databaseManager } = require('./database');
+const { renderService } = require('./renderService');
+const { getRendererVersion } = require('./etag');
+
+// Preloads the render cache with the most requested diagrams (the diagrams table
+// tracks access_count/last_accessed, see recordServedDiagram). Runs once after startup,
+// every CACHE_WARM_INTERVAL_MS, and with `refresh` when the renderer version changes,
+// since cached output from the previous Kroki would otherwise be served until it expires.
+
+const envInt = (value, fallback) => {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+// The renderer version once a backend has reported one (see utils/etag)
+const knownRendererVersion = () => {
+  const version = getRendererVersion();
+  return version === 'unknown' ? null : version;
+};
+
+// Count a diagram served by a render route in the diagrams table, so the warmer
+// finds it. `renderOptions` must reproduce the render (the cache key). Best effort.
+function recordServedDiagram(req, { source, diagramType, format, renderOptions, result, metadata = {} }) {
+  if (!databaseManager.isConnected) {
+    return;
+  }
+
+  databaseManager.storeDiagram({
+    userId: req.user ? req.user.id : null,
+    diagramHash: result.cacheKey.split(':').pop(),
+    umlContent: source,
+    diagramType,
+    format,
+    sizeBytes: result.data.length,
+    generationTimeMs: result.metadata && result.metadata.duration,
+    cacheKey: result.cacheKey,
+    metadata: { ...metadata, renderOptions },
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')
+  }).catch(error => {
+    logger.warn('Failed to record served diagram', { error: error.message, diagramType, format });
+  });
+}
+
+class CacheWarmer {
+  constructor({
+    render = (diagram, options) => renderService.render(diagram.uml_content, options),
+    checkRenderers = () => renderService.formatManager.checkBackendHealth(),
+    cache = cacheManager,
+    database = databaseManager,
+    limit = envInt(process.env.CACHE_WARM_LIMIT, 50),
+    maxAgeDays = envInt(process.env.CACHE_WARM_MAX_AGE_DAYS, 30),
+    intervalMs = envInt(process.env.CACHE_WARM_INTERVAL_MS, 6 * 60 * 60 * 1000),
+    versionCheckMs = envInt(process.env.CACHE_WARM_VERSION_CHECK_MS, 5 * 60 * 1000),
+    versionRetryMs = envInt(process.env.CACHE_WARM_VERSION_RETRY_MS, 30 * 1000)
+  } = {}) {
+    this.render = render;
+    this.checkRenderers = checkRenderers;
+    this.cache = cache;
+    this.database = database;
+    this.limit = limit;
+    this.maxAgeDays = maxAgeDays;
+    this.intervalMs = intervalMs;
+    this.versionCheckMs = versionCheckMs;
+    this.versionRetryMs = versionRetryMs;
+    this.timers = [];
+    this.current = null;
+    this.lastRun = null;
+    this.warmedVersion = null;
+  }
+
+  // Initial run plus the schedule; a zero interval disables that timer
+  start() {
+    this.warmedVersion = knownRendererVersion();
+    this.warm({ trigger: 'startup' }).catch(() => {});
+    if (!this.warmedVersion) {
+      this.retryVersionProbe();
+    }
+
+    if (this.intervalMs > 0) {
+      this.timers.push(setInterval(() => {
+        this.warm({ trigger: 'schedule' }).catch(() => {});
+      }, this.intervalMs));
+    }
+    if (this.versionCheckMs > 0) {
+      this.timers.push(setInterval(() => {
+        this.checkRendererVersion().catch(() => {});
+      }, this.versionCheckMs));
+    }
+    // Never keep the process alive just to warm the cache
+    this.timers.forEach(timer => timer.unref());
+
+    logger.info('Cache warming scheduled', {
+      limit: this.limit,
+      intervalMs: this.intervalMs,
+      versionCheckMs: this.versionCheckMs
+    });
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+  }
+
+  // Kroki was unreachable at startup: probe every versionRetryMs until it reports a
+  // version, which becomes the baseline that upgrades are detected against
+  retryVersionProbe() {
+    if (this.versionRetryMs <= 0) {
+      return;
+    }
+    const timer = setTimeout(async () => {
+      this.timers = this.timers.filter(other => other !== timer);
+      const known = await this.checkRendererVersion().catch(() => false);
+      if (!known) {
+        this.retryVersionProbe();
+      }
+    }, this.versionRetryMs);
+    timer.unref();
+    this.timers.push(timer);
+  }
+
+  // Re-probe the renderers; a new version means every cached diagram is outdated.
+  // Resolves with whether the version is known.
+  async checkRendererVersion() {
+    await this.checkRenderers();
+    const version = knownRendererVersion();
+    if (!version) {
+      return false;
+    }
+    if (!this.warmedVersion) {
+      logger.info('Renderer version detected', { version });
+      this.warmedVersion = version;
+    } else if (version !== this.warmedVersion) {
+      logger.info('Renderer upgrade detected, refreshing cache', { from: this.warmedVersion, to: version });
+      await this.warm({ trigger: 'renderer-upgrade', refresh: true });
+    }
+    return true;
+  }
+
+  // Starts a run, or returns the one in progress. Resolves with its final progress.
+  warm({ trigger = 'manual', limit = this.limit, refresh = false } = {}) {
+    if (this.current) {
+      return this.current.promise;
+    }
+
+    const progress = {
+      status: 'running',
+      trigger,
+      refresh,
+      rendererVersion: getRendererVersion(),
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      total: 0,
+      warmed: 0,
+      alreadyCached: 0,
+      failed: 0,
+      error: null
+    };
+    const finish = (status, error = null) => {
+      Object.assign(progress, { status, error, finishedAt: new Date().toISOString() });
+      this.lastRun = progress;
+      this.current = null;
+    };
+
+    const promise = this.run(progress, { limit, refresh })
+      .then(() => {
+        finish('completed');
+        return progress;
+      })
+      .catch(error => {
+        logger.error('Cache warming run failed', { trigger, error: error.message });
+        finish('failed', error.message);
+        throw error;
+      });
+
+    this.current = { progress, promise };
+    return promise;
+  }
+
+  async run(progress, { limit, refresh }) {
+    if (!this.database.isConnected) {
+      throw new Error('Database is not connected');
+    }
+
+    const diagrams = await this.database.getPopularDiagrams(limit, this.maxAgeDays);
+    progress.total = diagrams.length;
+    this.warmedVersion = knownRendererVersion() || this.warmedVersion;
+
+    await this.cache.warmCache(diagrams, {
+      render: async (diagram) => {
+        const result = await this.render(diagram, {
+          diagramType: diagram.diagram_type,
+          format: diagram.format,
+          ...((diagram.metadata && diagram.metadata.renderOptions) || {}),
+          refresh,
+          embed: false
+        });
+        return result.cacheStatus;
+      },
+      onProgress: counts => Object.assign(progress, counts)
+    });
+  }
+
+  // The run in progress if any, otherwise the last finished one
+  getProgress() {
+    const run = this.current ? this.current.progress : this.lastRun;
+    return {
+      running: Boolean(this.current),
+      scheduled: this.timers.length > 0,
+      limit: this.limit,
+      intervalMs: this.intervalMs,
+      run: run ? { ...run } : null
+    };
+  }
+}
+
+// Singleton instance
+const cacheWarmer = new CacheWarmer();
+
+module.exports = {
+  CacheWarmer,
+  cacheWarmer,
+  recordServedDiagram
+};
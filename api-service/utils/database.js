@@ -1,6 +1,9 @@
 const { Pool } = require('pg');
+const crypto = require('crypto');
 const { logger } = require('./logger');
 
+const hashContent = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
 class DatabaseManager {
   constructor() {
     this.pool = null;
@@ -96,6 +99,41 @@ class DatabaseManager {
         )
       `);
 
+      // Saved diagram library (user-owned, titled diagrams). Kept apart from
+      // `diagrams`, which logs every rendered source once per content hash for
+      // cache warming: library entries change under a stable id, and two users
+      // may save the same source.
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS saved_diagrams (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER NOT NULL REFERENCES users(id),
+          title VARCHAR(255) NOT NULL,
+          description TEXT,
+          diagram_type VARCHAR(50) NOT NULL DEFAULT 'plantuml',
+          format VARCHAR(10) NOT NULL DEFAULT 'png',
+          current_revision INTEGER NOT NULL DEFAULT 1,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          metadata JSONB DEFAULT '{}'
+        )
+      `);
+
+      // Full source snapshot for every save of a library diagram
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS diagram_revisions (
+          id SERIAL PRIMARY KEY,
+          diagram_id INTEGER NOT NULL REFERENCES saved_diagrams(id) ON DELETE CASCADE,
+          revision INTEGER NOT NULL,
+          title VARCHAR(255) NOT NULL,
+          uml_content TEXT NOT NULL,
+          diagram_type VARCHAR(50) NOT NULL,
+          content_hash VARCHAR(64) NOT NULL,
+          message TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(diagram_id, revision)
+        )
+      `);
+
       // API requests table for analytics and monitoring
       await client.query(`
         CREATE TABLE IF NOT EXISTS api_requests (
@@ -188,6 +226,11 @@ class DatabaseManager {
         CREATE INDEX IF NOT EXISTS idx_diagrams_user_id ON diagrams(user_id);
         CREATE INDEX IF NOT EXISTS idx_diagrams_created_at ON diagrams(created_at);
         CREATE INDEX IF NOT EXISTS idx_diagrams_type_format ON diagrams(diagram_type, format);
+        CREATE INDEX IF NOT EXISTS idx_diagrams_access_count ON diagrams(access_count DESC);
+
+        CREATE INDEX IF NOT EXISTS idx_saved_diagrams_user_id ON saved_diagrams(user_id);
+        CREATE INDEX IF NOT EXISTS idx_saved_diagrams_updated_at ON saved_diagrams(updated_at);
+        CREATE INDEX IF NOT EXISTS idx_diagram_revisions_diagram_id ON diagram_revisions(diagram_id);
 
         CREATE INDEX IF NOT EXISTS idx_api_requests_user_id ON api_requests(user_id);
         CREATE INDEX IF NOT EXISTS idx_api_requests_created_at ON api_requests(created_at);
@@ -231,6 +274,15 @@ class DatabaseManager {
           EXECUTE FUNCTION update_updated_at_column();
       `);
 
+      // Apply updated_at trigger to saved diagrams
+      await client.query(`
+        DROP TRIGGER IF EXISTS update_saved_diagrams_updated_at ON saved_diagrams;
+        CREATE TRIGGER update_saved_diagrams_updated_at
+          BEFORE UPDATE ON saved_diagrams
+          FOR EACH ROW
+          EXECUTE FUNCTION update_updated_at_column();
+      `);
+
       await client.query('COMMIT');
       logger.info('Database schema initialized successfully');
 
@@ -351,21 +403,225 @@ class DatabaseManager {
     }
   }
 
-  async getUserDiagrams(userId, limit = 50, offset = 0) {
+  // Most requested diagrams first, for cache warming. Only diagrams requested within
+  // the last `maxAgeDays` count, so a once-popular diagram eventually drops out.
+  async getPopularDiagrams(limit = 50, maxAgeDays = 30) {
     const query = `
-      SELECT id, diagram_hash, diagram_type, format, size_bytes,
-             generation_time_ms, created_at, last_accessed, access_count
+      SELECT id, uml_content, diagram_type, format, cache_key, metadata,
+             access_count, last_accessed
       FROM diagrams
+      WHERE last_accessed > NOW() - make_interval(days => $2)
+      ORDER BY access_count DESC, last_accessed DESC
+      LIMIT $1
+    `;
+
+    try {
+      const result = await this.pool.query(query, [limit, maxAgeDays]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to get popular diagrams', { error: error.message });
+      throw error;
+    }
+  }
+
+  // Saved diagram library methods
+  async createSavedDiagram(diagramData) {
+    const {
+      userId,
+      title,
+      description,
+      diagramType,
+      format,
+      umlContent,
+      message,
+      metadata
+    } = diagramData;
+
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const diagramResult = await client.query(`
+        INSERT INTO saved_diagrams (user_id, title, description, diagram_type, format, metadata)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+      `, [userId, title, description, diagramType, format, JSON.stringify(metadata || {})]);
+
+      const diagram = diagramResult.rows[0];
+
+      await client.query(`
+        INSERT INTO diagram_revisions (diagram_id, revision, title, uml_content, diagram_type, content_hash, message)
+        VALUES ($1, 1, $2, $3, $4, $5, $6)
+      `, [diagram.id, title, umlContent, diagramType, hashContent(umlContent), message]);
+
+      await client.query('COMMIT');
+      logger.info('Saved diagram created', { diagramId: diagram.id, userId });
+
+      return { ...diagram, uml_content: umlContent };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Failed to create saved diagram', { error: error.message, userId });
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getSavedDiagram(diagramId, userId) {
+    const query = `
+      SELECT d.*, r.uml_content
+      FROM saved_diagrams d
+      JOIN diagram_revisions r ON r.diagram_id = d.id AND r.revision = d.current_revision
+      WHERE d.id = $1 AND d.user_id = $2
+    `;
+
+    try {
+      const result = await this.pool.query(query, [diagramId, userId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Failed to get saved diagram', { error: error.message, diagramId });
+      throw error;
+    }
+  }
+
+  async listSavedDiagrams(userId, limit = 50, offset = 0) {
+    const query = `
+      SELECT id, title, description, diagram_type, format, current_revision,
+             created_at, updated_at, COUNT(*) OVER() AS total_count
+      FROM saved_diagrams
       WHERE user_id = $1
-      ORDER BY last_accessed DESC
+      ORDER BY updated_at DESC
       LIMIT $2 OFFSET $3
     `;
 
     try {
       const result = await this.pool.query(query, [userId, limit, offset]);
+      return {
+        diagrams: result.rows.map(({ total_count: _total, ...row }) => row),
+        total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0
+      };
+    } catch (error) {
+      logger.error('Failed to list saved diagrams', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+  // Every save appends a new revision with the full source
+  async updateSavedDiagram(diagramId, userId, updates) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const currentResult = await client.query(`
+        SELECT d.*, r.uml_content
+        FROM saved_diagrams d
+        JOIN diagram_revisions r ON r.diagram_id = d.id AND r.revision = d.current_revision
+        WHERE d.id = $1 AND d.user_id = $2
+        FOR UPDATE OF d
+      `, [diagramId, userId]);
+
+      const current = currentResult.rows[0];
+      if (!current) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const next = {
+        title: updates.title !== undefined ? updates.title : current.title,
+        description: updates.description !== undefined ? updates.description : current.description,
+        diagramType: updates.diagramType || current.diagram_type,
+        format: updates.format || current.format,
+        umlContent: updates.umlContent !== undefined ? updates.umlContent : current.uml_content
+      };
+
+      // Revisions snapshot the title, type and source; description and format
+      // changes update the diagram in place, and a save changing nothing is a no-op
+      const revised = next.title !== current.title ||
+        next.diagramType !== current.diagram_type ||
+        next.umlContent !== current.uml_content;
+      if (!revised && next.description === current.description && next.format === current.format) {
+        await client.query('ROLLBACK');
+        return current;
+      }
+
+      const revision = revised ? current.current_revision + 1 : current.current_revision;
+      if (revised) {
+        await client.query(`
+          INSERT INTO diagram_revisions (diagram_id, revision, title, uml_content, diagram_type, content_hash, message)
+          VALUES ($1, $2, $3, $4, $5, $6, $7)
+        `, [diagramId, revision, next.title, next.umlContent, next.diagramType, hashContent(next.umlContent), updates.message]);
+      }
+
+      const diagramResult = await client.query(`
+        UPDATE saved_diagrams
+        SET title = $1, description = $2, diagram_type = $3, format = $4, current_revision = $5
+        WHERE id = $6
+        RETURNING *
+      `, [next.title, next.description, next.diagramType, next.format, revision, diagramId]);
+
+      await client.query('COMMIT');
+      logger.info('Saved diagram updated', { diagramId, userId, revision, revised });
+
+      return { ...diagramResult.rows[0], uml_content: next.umlContent };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Failed to update saved diagram', { error: error.message, diagramId });
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async deleteSavedDiagram(diagramId, userId) {
+    const query = `
+      DELETE FROM saved_diagrams
+      WHERE id = $1 AND user_id = $2
+      RETURNING id
+    `;
+
+    try {
+      const result = await this.pool.query(query, [diagramId, userId]);
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Failed to delete saved diagram', { error: error.message, diagramId });
+      throw error;
+    }
+  }
+
+  async listDiagramRevisions(diagramId, userId) {
+    const query = `
+      SELECT r.revision, r.title, r.diagram_type, r.content_hash, r.message, r.created_at,
+             LENGTH(r.uml_content) AS source_length
+      FROM diagram_revisions r
+      JOIN saved_diagrams d ON d.id = r.diagram_id
+      WHERE r.diagram_id = $1 AND d.user_id = $2
+      ORDER BY r.revision DESC
+    `;
+
+    try {
+      const result = await this.pool.query(query, [diagramId, userId]);
       return result.rows;
     } catch (error) {
-      logger.error('Failed to get user diagrams', { error: error.message, userId });
+      logger.error('Failed to list diagram revisions', { error: error.message, diagramId });
+      throw error;
+    }
+  }
+
+  async getDiagramRevision(diagramId, revision, userId) {
+    const query = `
+      SELECT r.*, d.format
+      FROM diagram_revisions r
+      JOIN saved_diagrams d ON d.id = r.diagram_id
+      WHERE r.diagram_id = $1 AND r.revision = $2 AND d.user_id = $3
+    `;
+
+    try {
+      const result = await this.pool.query(query, [diagramId, revision, userId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Failed to get diagram revision', { error: error.message, diagramId, revision });
       throw error;
     }
   }
@@ -0,0 +1,190 @@
+// Turn renderer error output into structured diagnostics:
+//   { line, column, message, excerpt: [{ line, text, error }] }
+// Line and column numbers are 1-based and refer to the source the caller sent.
+
+// Context lines shown on each side of the offending line
+const EXCERPT_CONTEXT = 2;
+
+// PlantUML: "Syntax Error? (line: 3)", "Syntax Error? (Assumed diagram type: sequence) (line 3)",
+// or the CLI's "ERROR\n3\nSyntax Error?" stderr format
+function parsePlantUML(text) {
+  const inline = text.match(/^(?:Error \d+:\s*)?(.*?)\s*\(line:?\s*(\d+)\)/im);
+  if (inline) {
+    return [{ line: parseInt(inline[2]), message: inline[1].trim() || 'Syntax Error?' }];
+  }
+
+  const cli = text.match(/^ERROR\s*\n\s*(\d+)\s*\n(.+)$/m);
+  if (cli) {
+    return [{ line: parseInt(cli[1]), message: cli[2].trim() }];
+  }
+
+  return [];
+}
+
+// Graphviz: "Error: <stdin>: syntax error in line 3 near '->'"
+function parseGraphviz(text) {
+  const diagnostics = [];
+  const pattern = /syntax error in line (\d+)(?: near '([^']*)')?/gi;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    diagnostics.push({
+      line: parseInt(match[1]),
+      near: match[2],
+      message: match[2] ? `syntax error near '${match[2]}'` : 'syntax error'
+    });
+  }
+
+  return diagnostics;
+}
+
+// Mermaid (jison): "Parse error on line 2:\n...A-->B\n-----^\nExpecting 'SEMI', got 'EOF'"
+function parseMermaid(text) {
+  const match = text.match(/(?:Parse|Lexical) error on line (\d+):?\s*\n(.*)\n(-*)\^[^\n]*\n?([^\n]*)/i);
+  if (match) {
+    const shown = match[2];
+    const truncated = shown.startsWith('...');
+
+    return [{
+      line: parseInt(match[1]),
+      near: truncated ? shown.slice(3) : shown,
+      caret: match[3].length - (truncated ? 3 : 0),
+      message: match[4].trim() || 'Parse error'
+    }];
+  }
+
+  const lineOnly = text.match(/(?:Parse|Lexical) error on line (\d+)/i);
+  return lineOnly ? [{ line: parseInt(lineOnly[1]), message: 'Parse error' }] : [];
+}
+
+// D2: "d2: 2:5: unexpected text after map key" / "<stdin>:2:5: ..."
+function parseD2(text) {
+  const diagnostics = [];
+  const pattern = /(?:^|[\s:])(\d+):(\d+):\s*(.+)$/gm;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    diagnostics.push({
+      line: parseInt(match[1]),
+      column: parseInt(match[2]),
+      message: match[3].trim()
+    });
+  }
+
+  return diagnostics;
+}
+
+const parsers = {
+  plantuml: parsePlantUML,
+  c4plantuml: parsePlantUML,
+  graphviz: parseGraphviz,
+  mermaid: parseMermaid,
+  d2: parseD2
+};
+
+// PlantUML renderers wrap prepared source in @startuml, shifting reported lines by one
+const lineOffsets = {
+  plantuml: 1,
+  c4plantuml: 1
+};
+
+// Caller line for a line of the prepared source, through the line map built while
+// preparing it (utils/sourceLines). Lines the service added (theme settings) are
+// reported at the next caller line, or the last one before them.
+function mapToSourceLine(lineMap, preparedLine, sourceLineCount) {
+  if (!lineMap) {
+    return Math.min(preparedLine, sourceLineCount);
+  }
+
+  const index = Math.max(0, Math.min(preparedLine, lineMap.length) - 1);
+  const following = lineMap.slice(index).find(line => line !== null);
+  const preceding = lineMap.slice(0, index).reverse().find(line => line !== null);
+  const line = following !== undefined ? following : preceding;
+
+  return Math.min(line || 1, sourceLineCount);
+}
+
+const buildExcerpt = (sourceLines, line) => {
+  const start = Math.max(1, line - EXCERPT_CONTEXT);
+  const end = Math.min(sourceLines.length, line + EXCERPT_CONTEXT);
+  const excerpt = [];
+
+  for (let n = start; n <= end; n++) {
+    excerpt.push({ line: n, text: sourceLines[n - 1], error: n === line });
+  }
+
+  return excerpt;
+};
+
+// Locate the column of an error from the token the renderer quoted
+const findColumn = (text, parsed) => {
+  if (parsed.column) {
+    return parsed.column;
+  }
+  if (parsed.near && parsed.caret !== undefined) {
+    // Mermaid quotes the input stream with newlines removed; match the longest tail
+    // of the text before the caret that appears on the reported line
+    const beforeCaret = parsed.near.slice(0, parsed.caret);
+    for (let length = beforeCaret.length; length > 0; length--) {
+      const index = text.indexOf(beforeCaret.slice(-length));
+      if (index !== -1) {
+        return index + length + 1;
+      }
+    }
+    return null;
+  }
+  if (parsed.near) {
+    const index = text.indexOf(parsed.near);
+    return index !== -1 ? index + 1 : null;
+  }
+  return null;
+};
+
+// Build diagnostics from a renderer error body for the given diagram type.
+// `lineMap` gives the caller's line for each line of the source that was rendered;
+// without it the rendered source is taken to be the caller's.
+function buildDiagnostics(errorText, { source, lineMap = null, diagramType = 'plantuml' }) {
+  const text = (errorText || '').toString();
+  const parse = parsers[diagramType];
+  const parsed = parse ? parse(text) : [];
+  const sourceLines = source.split(/\r?\n/);
+  const offset = lineOffsets[diagramType] || 0;
+
+  if (parsed.length === 0) {
+    const message = text.split('\n').map(line => line.trim()).find(Boolean);
+    return message ? [{ line: null, column: null, message, excerpt: [] }] : [];
+  }
+
+  return parsed.map((diagnostic) => {
+    const line = mapToSourceLine(lineMap, Math.max(1, diagnostic.line - offset), sourceLines.length);
+
+    return {
+      line,
+      column: findColumn(sourceLines[line - 1] || '', diagnostic),
+      message: diagnostic.message,
+      excerpt: buildExcerpt(sourceLines, line)
+    };
+  });
+}
+
+// Response body for a renderer-reported syntax error
+function syntaxErrorResponse(error) {
+  const diagnostics = error.diagnostics || [];
+
+  return {
+    error: {
+      message: diagnostics.length > 0 && diagnostics[0].message
+        ? `Invalid diagram syntax: ${diagnostics[0].message}`
+        : 'Invalid diagram syntax',
+      type: 'INVALID_UML',
+      diagnostics,
+      timestamp: new Date().toISOString()
+    }
+  };
+}
+
+module.exports = {
+  buildDiagnostics,
+  syntaxErrorResponse,
+  parsers
+};
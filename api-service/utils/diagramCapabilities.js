@@ -0,0 +1,240 @@
+// Registry of supported diagram types: the formats each renders, source limits and an
+// example. Route validators, FormatManager, GET /api/v2/capabilities and the UI pickers
+// all read from here, so adding a type is a one-place change.
+
+// Every output format the service produces. jpeg/webp are converted from the PNG
+// rendering and tiff is rasterized from the SVG one (see FormatManager.supportedFormats).
+const outputFormats = ['png', 'svg', 'pdf', 'jpeg', 'webp', 'txt', 'utxt', 'tiff', 'eps'];
+const derivedFormats = { jpeg: 'png', webp: 'png', tiff: 'svg' };
+
+const MAX_SOURCE_LENGTH = 100000;
+// JSON-based formats inline their data, so they get more room
+const MAX_JSON_SOURCE_LENGTH = 500000;
+
+// `formats` lists what the renderers produce natively; derived formats are added by formatsFor()
+const diagramCapabilities = {
+  plantuml: {
+    name: 'PlantUML',
+    description: 'Sequence, class, activity, component, state and other UML diagrams',
+    formats: ['png', 'svg', 'pdf', 'txt', 'utxt', 'eps'],
+    example: '@startuml\nAlice -> Bob: Hello\nBob --> Alice: Hi there\n@enduml'
+  },
+  c4plantuml: {
+    name: 'C4-PlantUML',
+    description: 'C4 model architecture diagrams on PlantUML',
+    formats: ['png', 'svg', 'pdf', 'eps'],
+    example: '!include <C4/C4_Container>\nPerson(user, "User")\nSystem(app, "Web App")\nRel(user, app, "Uses")'
+  },
+  mermaid: {
+    name: 'Mermaid',
+    description: 'Flowcharts, sequence, state, Gantt and other diagrams in Markdown-like syntax',
+    formats: ['png', 'svg', 'pdf'],
+    example: 'flowchart LR\n  A[Start] --> B{Ready?}\n  B -->|Yes| C[Done]\n  B -->|No| A'
+  },
+  graphviz: {
+    name: 'Graphviz (DOT)',
+    description: 'Graph layouts and flowcharts',
+    formats: ['png', 'svg', 'pdf', 'eps'],
+    example: 'digraph G {\n  A -> B;\n  B -> C;\n  C -> A;\n}'
+  },
+  d2: {
+    name: 'D2',
+    description: 'Declarative architecture and flow diagrams',
+    formats: ['svg'],
+    example: 'client: Client\nserver: Server\nclient -> server: HTTPS'
+  },
+  structurizr: {
+    name: 'Structurizr DSL',
+    description: 'C4 model views from a Structurizr workspace',
+    formats: ['png', 'svg', 'pdf'],
+    example: 'workspace {\n  model {\n    user = person "User"\n    app = softwareSystem "Web App"\n    user -> app "Uses"\n  }\n  views {\n    systemContext app {\n      include *\n      autolayout lr\n    }\n  }\n}'
+  },
+  ditaa: {
+    name: 'Ditaa',
+    description: 'Diagrams from ASCII art',
+    formats: ['png', 'svg'],
+    example: '+--------+    +--------+\n| Client |--->| Server |\n+--------+    +--------+'
+  },
+  svgbob: {
+    name: 'Svgbob',
+    description: 'SVG drawings from ASCII art',
+    formats: ['svg'],
+    example: '+-------+     +-------+\n| Alice |---->|  Bob  |\n+-------+     +-------+'
+  },
+  blockdiag: {
+    name: 'BlockDiag',
+    description: 'Block diagrams',
+    formats: ['png', 'svg'],
+    example: 'blockdiag {\n  A -> B -> C;\n  B -> D;\n}'
+  },
+  seqdiag: {
+    name: 'SeqDiag',
+    description: 'Sequence diagrams in blockdiag syntax',
+    formats: ['png', 'svg'],
+    example: 'seqdiag {\n  browser -> server [label = "GET /"];\n  browser <-- server;\n}'
+  },
+  actdiag: {
+    name: 'ActDiag',
+    description: 'Activity diagrams with swimlanes in blockdiag syntax',
+    formats: ['png', 'svg'],
+    example: 'actdiag {\n  write -> review -> publish;\n  lane author { write; publish; }\n  lane editor { review; }\n}'
+  },
+  nwdiag: {
+    name: 'NwDiag',
+    description: 'Network diagrams',
+    formats: ['png', 'svg'],
+    example: 'nwdiag {\n  network dmz {\n    web01;\n    web02;\n  }\n}'
+  },
+  packetdiag: {
+    name: 'PacketDiag',
+    description: 'Packet header layouts',
+    formats: ['png', 'svg'],
+    example: 'packetdiag {\n  0-15: Source Port\n  16-31: Destination Port\n}'
+  },
+  rackdiag: {
+    name: 'RackDiag',
+    description: 'Server rack layouts',
+    formats: ['png', 'svg'],
+    example: 'rackdiag {\n  16U;\n  1: UPS [2U];\n  3: DB Server;\n}'
+  },
+  bpmn: {
+    name: 'BPMN',
+    description: 'Business process models (BPMN 2.0 XML)',
+    formats: ['png', 'svg'],
+    limits: { maxSourceLength: MAX_JSON_SOURCE_LENGTH },
+    example: '<?xml version="1.0" encoding="UTF-8"?>\n<definitions xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL" xmlns:bpmndi="http://www.omg.org/spec/BPMN/20100524/DI" xmlns:dc="http://www.omg.org/spec/DD/20100524/DC" id="d" targetNamespace="urn:example">\n  <process id="p"><startEvent id="start"/></process>\n  <bpmndi:BPMNDiagram id="dg"><bpmndi:BPMNPlane id="pl" bpmnElement="p"><bpmndi:BPMNShape id="s" bpmnElement="start"><dc:Bounds x="0" y="0" width="36" height="36"/></bpmndi:BPMNShape></bpmndi:BPMNPlane></bpmndi:BPMNDiagram>\n</definitions>'
+  },
+  bytefield: {
+    name: 'Bytefield',
+    description: 'Byte field and protocol layouts',
+    formats: ['png', 'svg'],
+    example: '(draw-column-headers)\n(draw-box "Type" {:span 4})\n(draw-box "Length" {:span 4})\n(draw-gap "Payload")\n(draw-bottom)'
+  },
+  wavedrom: {
+    name: 'WaveDrom',
+    description: 'Digital timing diagrams',
+    formats: ['svg'],
+    example: '{ signal: [\n  { name: "clk", wave: "p......" },\n  { name: "data", wave: "x.345x.", data: ["a", "b", "c"] }\n]}'
+  },
+  vega: {
+    name: 'Vega',
+    description: 'Visualizations from Vega JSON specifications',
+    formats: ['png', 'svg', 'pdf'],
+    limits: { maxSourceLength: MAX_JSON_SOURCE_LENGTH },
+    example: '{\n  "$schema": "https://vega.github.io/schema/vega/v5.json",\n  "width": 200,\n  "height": 100,\n  "marks": [{\n    "type": "rect",\n    "encode": { "enter": { "x": { "value": 10 }, "y": { "value": 10 }, "width": { "value": 80 }, "height": { "value": 60 }, "fill": { "value": "steelblue" } } }\n  }]\n}'
+  },
+  vegalite: {
+    name: 'Vega-Lite',
+    description: 'Charts from Vega-Lite JSON specifications',
+    formats: ['png', 'svg', 'pdf'],
+    limits: { maxSourceLength: MAX_JSON_SOURCE_LENGTH },
+    example: '{\n  "$schema": "https://vega.github.io/schema/vega-lite/v5.json",\n  "data": { "values": [{ "a": "A", "b": 28 }, { "a": "B", "b": 55 }, { "a": "C", "b": 43 }] },\n  "mark": "bar",\n  "encoding": {\n    "x": { "field": "a", "type": "nominal" },\n    "y": { "field": "b", "type": "quantitative" }\n  }\n}'
+  },
+  nomnoml: {
+    name: 'Nomnoml',
+    description: 'UML class diagrams from a compact text syntax',
+    formats: ['svg'],
+    example: '[Customer]->[Order]\n[Order]o->[LineItem]'
+  },
+  erd: {
+    name: 'Erd',
+    description: 'Entity-relationship diagrams',
+    formats: ['png', 'svg', 'pdf'],
+    example: '[Person]\n*name\nheight\n\n[Location]\n*id\ncity\n\nPerson *--1 Location'
+  },
+  dbml: {
+    name: 'DBML',
+    description: 'Database schemas in Database Markup Language',
+    formats: ['svg'],
+    example: 'Table users {\n  id integer [primary key]\n  name varchar\n}\n\nTable posts {\n  id integer [primary key]\n  user_id integer [ref: > users.id]\n}'
+  },
+  pikchr: {
+    name: 'Pikchr',
+    description: 'PIC-like technical drawings',
+    formats: ['svg'],
+    example: 'box "Client"\narrow\nbox "Server"'
+  },
+  excalidraw: {
+    name: 'Excalidraw',
+    description: 'Hand-drawn style sketches (Excalidraw JSON)',
+    formats: ['svg'],
+    limits: { maxSourceLength: MAX_JSON_SOURCE_LENGTH },
+    example: '{\n  "type": "excalidraw",\n  "version": 2,\n  "elements": [{\n    "id": "box", "type": "rectangle", "x": 0, "y": 0, "width": 160, "height": 80, "angle": 0,\n    "strokeColor": "#1e1e1e", "backgroundColor": "transparent", "fillStyle": "solid", "strokeWidth": 2,\n    "roughness": 1, "opacity": 100, "seed": 1, "version": 1, "isDeleted": false, "groupIds": [], "boundElements": null\n  }],\n  "appState": { "viewBackgroundColor": "#ffffff" }\n}'
+  },
+  tikz: {
+    name: 'TikZ',
+    description: 'LaTeX TikZ pictures',
+    formats: ['png', 'svg', 'pdf'],
+    example: '\\documentclass{standalone}\n\\usepackage{tikz}\n\\begin{document}\n\\begin{tikzpicture}\n  \\draw (0,0) circle (1cm);\n\\end{tikzpicture}\n\\end{document}'
+  }
+};
+
+const diagramTypes = Object.keys(diagramCapabilities);
+
+// Native formats plus those converted from them, in outputFormats order
+function formatsFor(diagramType) {
+  const capability = diagramCapabilities[String(diagramType).toLowerCase()];
+  if (!capability) {
+    return [];
+  }
+  return outputFormats.filter(format => capability.formats.includes(format)
+    || (derivedFormats[format] && capability.formats.includes(derivedFormats[format])));
+}
+
+function supportsFormat(diagramType, format) {
+  return formatsFor(diagramType).includes(String(format).toLowerCase());
+}
+
+function limitsFor(diagramType) {
+  const capability = diagramCapabilities[String(diagramType).toLowerCase()];
+  return { maxSourceLength: MAX_SOURCE_LENGTH, ...(capability && capability.limits) };
+}
+
+// Diagram type next to the source field at `path` (`uml`, `requests[2].uml`, ...)
+const siblingDiagramType = (req, path = 'uml') => {
+  const body = (req && req.body) || {};
+  const keys = path.replace(/uml$/, 'diagramType').match(/[^.[\]]+/g) || [];
+  const value = keys.reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), body);
+  return value || body.diagram_type || 'plantuml';
+};
+
+// express-validator compatible check of the source against its type's length limit
+function validateSourceLength(value, { req, path } = {}) {
+  const diagramType = siblingDiagramType(req, path);
+  const { maxSourceLength } = limitsFor(diagramType);
+  if (typeof value === 'string' && value.length > maxSourceLength) {
+    throw new Error(`${diagramType} source must be at most ${maxSourceLength.toLocaleString('en-US')} characters`);
+  }
+  return true;
+}
+
+// Public form for GET /api/v2/capabilities; `available` narrows the formats to
+// what the deployment can render (FormatManager.diagramTypes)
+function getCapabilities(available = formatsFor) {
+  return {
+    diagramTypes: diagramTypes.map(id => ({
+      id,
+      name: diagramCapabilities[id].name,
+      description: diagramCapabilities[id].description,
+      formats: available(id),
+      limits: limitsFor(id),
+      example: diagramCapabilities[id].example
+    })),
+    formats: outputFormats.map(id => ({
+      id,
+      ...(derivedFormats[id] && { convertedFrom: derivedFormats[id] })
+    }))
+  };
+}
+
+module.exports = {
+  diagramCapabilities,
+  diagramTypes,
+  outputFormats,
+  formatsFor,
+  supportsFormat,
+  limitsFor,
+  validateSourceLength,
+  getCapabilities,
+  MAX_SOURCE_LENGTH
+};
@@ -0,0 +1,1876 @@
+// Translates diagram source between PlantUML, Mermaid and Graphviz DOT for their
+// common subsets (POST /api/v2/convert). Every parser produces one of two models:
+//
+// - sequence:  { kind, title, autonumber, participants: [{ id, label, type, box }], steps: [...] }
+// - flowchart: { kind, title, direction, nodes: [{ id, label, shape, group }],
+//                edges: [{ from, to, label, line, head, tail }], groups: [{ id, label, parent }] }
+//
+// and every emitter renders a model back to source. Constructs a parser skips or an
+// emitter cannot express are collected in a ConversionReport instead of failing.
+
+const languages = ['plantuml', 'mermaid', 'graphviz'];
+
+class ConversionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConversionError';
+    this.type = 'UNSUPPORTED_CONVERSION';
+  }
+}
+
+// Untranslated: source lines dropped from the output.
+// Approximated: constructs kept in a different form, reported once per construct.
+class ConversionReport {
+  constructor() {
+    this.untranslated = [];
+    this.approximated = [];
+  }
+
+  skip(line, source, reason) {
+    this.untranslated.push({ line, source: source.trim(), reason });
+  }
+
+  approximate(construct, reason) {
+    if (!this.approximated.some(entry => entry.construct === construct)) {
+      this.approximated.push({ construct, reason });
+    }
+  }
+
+  toJSON() {
+    return {
+      complete: this.untranslated.length === 0,
+      untranslated: this.untranslated,
+      approximated: this.approximated
+    };
+  }
+}
+
+// --- Shared helpers ---
+
+// Non-empty lines with their 1-based line numbers; `stripComment` removes line comments
+const sourceLines = (source, stripComment) => source
+  .replace(/\r\n?/g, '\n')
+  .split('\n')
+  .map((raw, index) => ({ line: index + 1, raw, text: stripComment(raw).trim() }))
+  .filter(entry => entry.text);
+
+// Identifiers every target accepts: letters, digits and underscores, not starting with a digit
+const safeId = (name) => {
+  const id = String(name).trim().replace(/[^\p{L}\p{N}_]+/gu, '_').replace(/^_+|_+$/g, '') || 'node';
+  return /^\p{N}/u.test(id) ? `n_${id}` : id;
+};
+
+const unquote = value => (/^".*"$/.test(value) ? value.slice(1, -1) : value);
+
+// PlantUML writes line breaks as \n, Mermaid as <br/>, DOT as \n (plus \l and \r)
+const fromPlantUMLText = text => text.replace(/\\n/g, '\n');
+const toPlantUMLText = text => text.replace(/\n/g, '\\n');
+const fromMermaidText = text => text
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/#quot;/g, '"')
+  .replace(/#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)));
+const toMermaidText = text => text
+  .replace(/#/g, '#35;')
+  .replace(/;/g, '#59;')
+  .replace(/"/g, '#quot;')
+  .replace(/\n/g, '<br/>');
+
+// Flowchart model with get-or-create nodes
+class FlowBuilder {
+  constructor() {
+    this.model = { kind: 'flowchart', title: null, direction: 'TB', nodes: [], edges: [], groups: [] };
+    this.nodeIndex = new Map();
+    this.groupStack = [];
+  }
+
+  get currentGroup() {
+    return this.groupStack.length > 0 ? this.groupStack[this.groupStack.length - 1] : null;
+  }
+
+  node(id, { label, shape } = {}) {
+    let node = this.nodeIndex.get(id);
+    if (!node) {
+      node = { id, label: id, shape: 'box', group: this.currentGroup };
+      this.nodeIndex.set(id, node);
+      this.model.nodes.push(node);
+    }
+    if (label !== undefined) {
+      node.label = label;
+    }
+    if (shape) {
+      node.shape = shape;
+    }
+    return node;
+  }
+
+  edge(from, to, { label = null, line = 'solid', head = 'arrow', tail = 'none' } = {}) {
+    this.node(from);
+    this.node(to);
+    this.model.edges.push({ from, to, label, line, head, tail });
+  }
+
+  openGroup(id, label) {
+    let groupId = id;
+    for (let n = 2; this.model.groups.some(group => group.id === groupId); n++) {
+      groupId = `${id}_${n}`;
+    }
+    this.model.groups.push({ id: groupId, label, parent: this.currentGroup });
+    this.groupStack.push(groupId);
+  }
+
+  closeGroup() {
+    return this.groupStack.pop() !== undefined;
+  }
+}
+
+// Sequence model with participants declared on first use
+class SequenceBuilder {
+  constructor() {
+    this.model = { kind: 'sequence', title: null, autonumber: false, participants: [], steps: [] };
+    this.box = null;
+  }
+
+  participant(name, { label, type = 'participant', declared = false } = {}) {
+    const raw = unquote(name);
+    const id = safeId(raw);
+    let participant = this.model.participants.find(p => p.id === id);
+    if (!participant) {
+      participant = { id, label: raw, type, box: this.box };
+      this.model.participants.push(participant);
+    }
+    if (declared) {
+      participant.type = type;
+      participant.box = this.box;
+    }
+    if (label !== undefined) {
+      participant.label = label;
+    }
+    return participant.id;
+  }
+
+  step(step) {
+    this.model.steps.push(step);
+  }
+}
+
+// --- PlantUML ---
+
+const plantUMLComment = text => (/^\s*'/.test(text) ? '' : text);
+
+const plantUMLParticipantTypes = ['participant', 'actor', 'boundary', 'control', 'entity', 'database', 'collections', 'queue'];
+const plantUMLElementTypes = [
+  'rectangle', 'component', 'node', 'database', 'usecase', 'actor', 'circle', 'hexagon', 'cloud', 'storage',
+  'queue', 'card', 'file', 'folder', 'frame', 'package', 'agent', 'artifact', 'stack', 'collections',
+  'person', 'action', 'process', 'interface', 'boundary', 'control', 'entity', 'label'
+];
+
+const plantUMLActivityPattern = /^(start|stop|fork|split|repeat)$|^:[^:]*[;|<>/\]}]$|^(if|while|repeat while)\s*\(|^partition\b/;
+const plantUMLSequencePattern = /^(participant|autonumber|activate|deactivate|destroy|create|return|ref over|alt|loop|opt|par|critical|break|group|box)\b|^note\s+(over|left of|right of)\b|^(==.*==|\.\.\..*|\|\|\|)$/;
+const plantUMLDescriptionPattern = new RegExp(
+  `^(${plantUMLElementTypes.filter(type => !plantUMLParticipantTypes.includes(type)).join('|')})\\b|^\\[[^\\]]+\\]|^\\([^)]+\\)|^(left to right|top to bottom) direction$|\\.+>`
+);
+
+// Which kind of PlantUML diagram the source is
+function detectPlantUMLKind(lines) {
+  const texts = lines.map(entry => entry.text).filter(text => !/^@(start|end)\w*/.test(text));
+  if (texts.some(text => plantUMLActivityPattern.test(text))) {
+    return 'activity';
+  }
+  if (texts.some(text => plantUMLSequencePattern.test(text))) {
+    return 'sequence';
+  }
+  if (texts.some(text => plantUMLDescriptionPattern.test(text))) {
+    return 'description';
+  }
+  return 'sequence';
+}
+
+// Lines every PlantUML diagram kind may contain; returns true when handled
+function plantUMLCommon(entry, model, report) {
+  const { text, line } = entry;
+  if (/^@(start|end)\w*/.test(text)) {
+    return true;
+  }
+  const title = text.match(/^title\s+(.+)$/i);
+  if (title) {
+    model.title = fromPlantUMLText(title[1]);
+    return true;
+  }
+  if (/^(skinparam|!theme|!include\w*|!define|!pragma|hide|show|scale|caption|header|footer|legend|end legend|endlegend|allowmixing|skin)\b/i.test(text)) {
+    report.skip(line, entry.raw, 'Styling and preprocessor directives are not translated');
+    return true;
+  }
+  return false;
+}
+
+// Participant declaration body: `"Label" as Id`, `Id as "Label"`, `Label as Id`, `Id`, `"Label"`
+function parseAlias(rest) {
+  const body = rest.trim();
+  let match = body.match(/^"([^"]+)"\s+as\s+(\S+)$/);
+  if (match) {
+    return { label: fromPlantUMLText(match[1]), name: match[2] };
+  }
+  match = body.match(/^(\S+)\s+as\s+"([^"]+)"$/);
+  if (match) {
+    return { label: fromPlantUMLText(match[2]), name: match[1] };
+  }
+  match = body.match(/^(\S+)\s+as\s+(\S+)$/);
+  if (match) {
+    return { label: fromPlantUMLText(match[1]), name: match[2] };
+  }
+  return { label: fromPlantUMLText(unquote(body)), name: body };
+}
+
+// Remove stereotypes, colors and ordering that no other language keeps
+function stripDecorations(text, report) {
+  const stripped = text
+    .replace(/\s*<<[^>]*>>/g, '')
+    .replace(/\s+order\s+-?\d+/, '')
+    .replace(/\s+#[\w#]+(?:[;:][\w#:;.]*)?$/, '')
+    .trim();
+  if (stripped !== text.trim()) {
+    report.approximate('decorations', 'Stereotypes, colors and ordering hints are dropped');
+  }
+  return stripped;
+}
+
+const plantUMLMessagePattern = /^("[^"]+"|[\p{L}\p{N}_.$]+|\[|\])\s*([ox]?(?:<<?|[\\/]{1,2})?-{1,2}(?:\[[^\]]*\])?-?(?:>>?|[\\/]{1,2})?[ox]?)\s*("[^"]+"|[\p{L}\p{N}_.$]+|\[|\])\s*(\+\+|--|\*\*|!!)?\s*(?::\s*(.*))?$/u;
+
+function parsePlantUMLSequence(lines, report) {
+  const builder = new SequenceBuilder();
+  const { model } = builder;
+  const blocks = [];
+  let lastMessage = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const entry = lines[i];
+    const { text, line } = entry;
+    let match;
+
+    if (plantUMLCommon(entry, model, report)) {
+      continue;
+    }
+
+    if (/^autonumber\b/.test(text)) {
+      model.autonumber = true;
+      if (text !== 'autonumber') {
+        report.approximate('autonumber', 'Autonumber start, step and format are dropped');
+      }
+      continue;
+    }
+
+    match = text.match(new RegExp(`^(${plantUMLParticipantTypes.join('|')})\\s+(.+)$`));
+    if (match) {
+      const { label, name } = parseAlias(stripDecorations(match[2], report));
+      builder.participant(name, { label, type: match[1], declared: true });
+      continue;
+    }
+
+    match = text.match(/^box(?:\s+(.*))?$/);
+    if (match) {
+      builder.box = unquote(stripDecorations(match[1] || '', report)) || 'Group';
+      continue;
+    }
+    if (/^end\s*box$/.test(text)) {
+      builder.box = null;
+      continue;
+    }
+
+    match = text.match(/^(activate|deactivate|destroy|create)\s+(?:participant\s+|actor\s+)?(\S+)/);
+    if (match) {
+      const id = builder.participant(stripDecorations(match[2], report));
+      if (match[1] === 'create') {
+        report.approximate('create', 'Participant creation is shown as a regular participant');
+      } else {
+        builder.step({ type: match[1], id });
+      }
+      continue;
+    }
+
+    match = text.match(/^[hr]?note\s+(left|right|over|across)(?:\s+of)?\s*(.*?)\s*(?::\s*(.*))?$/);
+    if (match) {
+      let body = match[3];
+      if (body === undefined) {
+        const bodyLines = [];
+        while (i + 1 < lines.length && !/^end\s*[hr]?note$/.test(lines[i + 1].text)) {
+          bodyLines.push(lines[++i].raw.trim());
+        }
+        i++;
+        body = bodyLines.join('\n');
+      }
+
+      let position = match[1] === 'over' || match[1] === 'across' ? 'over' : `${match[1]} of`;
+      let targets = match[2]
+        ? stripDecorations(match[2], report).split(',').map(name => builder.participant(name.trim()))
+        : [];
+      if (match[1] === 'across') {
+        targets = [model.participants[0], model.participants[model.participants.length - 1]]
+          .filter(Boolean)
+          .map(participant => participant.id);
+        report.approximate('note across', 'Notes across all participants span the first to the last participant');
+      } else if (targets.length === 0 && lastMessage) {
+        // A note without a target is attached to the previous message
+        targets = [position === 'left of' ? lastMessage.from : lastMessage.to];
+        report.approximate('message notes', 'Notes attached to a message are placed next to its participant');
+      }
+      if (targets.length === 0) {
+        report.skip(line, entry.raw, 'Note has no participant to attach to');
+        continue;
+      }
+      if (position === 'over' && targets.length > 2) {
+        targets = [targets[0], targets[targets.length - 1]];
+      }
+      if (position !== 'over' && targets.length > 1) {
+        position = 'over';
+      }
+      builder.step({ type: 'note', position, targets, text: fromPlantUMLText(body) });
+      continue;
+    }
+
+    match = text.match(/^(loop|alt|opt|par|critical|break|group)\b\s*(.*)$/);
+    if (match) {
+      const label = match[2].replace(/\s*\[[^\]]*\]\s*$/, '').trim();
+      blocks.push(match[1]);
+      builder.step({ type: 'block', kind: match[1], label: fromPlantUMLText(label) });
+      continue;
+    }
+    match = text.match(/^else\b\s*(.*)$/);
+    if (match && blocks.length > 0) {
+      builder.step({ type: 'branch', label: fromPlantUMLText(match[1]) });
+      continue;
+    }
+    if (text === 'end' && blocks.length > 0) {
+      blocks.pop();
+      builder.step({ type: 'end' });
+      continue;
+    }
+
+    match = text.match(plantUMLMessagePattern);
+    if (match && /[<>\\/]/.test(match[2])) {
+      if ([match[1], match[3]].some(end => end === '[' || end === ']')) {
+        report.skip(line, entry.raw, 'Messages from or to outside the diagram are not supported');
+        continue;
+      }
+
+      const arrow = match[2];
+      if (/\[/.test(arrow)) {
+        report.approximate('arrow styles', 'Arrow colors and styles are dropped');
+      }
+      const plain = arrow.replace(/\[[^\]]*\]/g, '');
+      const reverse = /^[ox]?(<|[\\/])/.test(plain) && !/>/.test(plain);
+      let head = 'arrow';
+      if (/>>/.test(plain) || /<</.test(plain)) {
+        head = 'async';
+      } else if (/x$/.test(plain) || /^x/.test(plain)) {
+        head = 'cross';
+      } else if (/[\\/]/.test(plain) || /[o]/.test(plain)) {
+        report.approximate('arrow heads', 'Half and circle arrow heads are drawn as regular arrows');
+      }
+      if (/</.test(plain) && />/.test(plain)) {
+        report.approximate('bidirectional messages', 'Bidirectional messages are drawn in one direction');
+      }
+
+      const first = builder.participant(match[1]);
+      const second = builder.participant(match[3]);
+      const message = {
+        type: 'message',
+        from: reverse ? second : first,
+        to: reverse ? first : second,
+        text: fromPlantUMLText(match[5] || ''),
+        line: (plain.match(/-/g) || []).length > 1 ? 'dotted' : 'solid',
+        head,
+        activation: null
+      };
+
+      if (match[4] === '++') {
+        message.activation = 'activate';
+      } else if (match[4] === '--') {
+        message.activation = 'deactivate';
+      } else if (match[4]) {
+        report.approximate('lifecycle shortcuts', 'Create (**) and destroy (!!) shortcuts are dropped');
+      }
+
+      builder.step(message);
+      lastMessage = message;
+      continue;
+    }
+
+    report.skip(line, entry.raw, /^(==.*==|\.\.\..*|\|\|\|.*|\|\|\d+\|\|)$/.test(text)
+      ? 'Dividers and delays have no equivalent'
+      : 'Unrecognised sequence diagram statement');
+  }
+
+  return model;
+}
+
+// `if (condition) [is (value)] then [(label)]`
+const conditionPattern = keyword => new RegExp(`^${keyword}\\s*\\((.*?)\\)\\s*(?:is\\s*\\((.*?)\\)\\s*)?then\\s*(?:\\((.*)\\))?$`);
+
+// New-syntax activity diagram as a flowchart: actions become boxes, conditions diamonds
+function parsePlantUMLActivity(lines, report) {
+  const builder = new FlowBuilder();
+  const frames = [];
+  let counter = 0;
+  let ends = [];
+  let pendingLabel = null;
+  let repeatStarts = [];
+
+  const newNode = (label, shape) => builder.node(`n${++counter}`, { label, shape });
+
+  // Link every open end to `node`; the node becomes the single open end
+  const connect = (node) => {
+    ends.forEach(end => builder.edge(end.node.id, node.id, { label: end.label || pendingLabel }));
+    pendingLabel = null;
+    repeatStarts.forEach(frame => {
+      frame.start = frame.start || node;
+    });
+    repeatStarts = [];
+    ends = [{ node, label: null }];
+    return node;
+  };
+
+  const topFrame = type => {
+    const frame = frames[frames.length - 1];
+    return frame && frame.type === type ? frame : null;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const entry = lines[i];
+    const { text, line } = entry;
+    let match;
+
+    if (plantUMLCommon(entry, builder.model, report)) {
+      continue;
+    }
+
+    if (text === 'start') {
+      connect(newNode('', 'point'));
+      continue;
+    }
+    if (['stop', 'end', 'kill', 'detach'].includes(text)) {
+      if (text !== 'detach') {
+        connect(newNode('', 'final'));
+      }
+      ends = [];
+      continue;
+    }
+
+    // Actions, possibly spanning several lines: `:text;` (other SDL terminators are drawn as boxes)
+    if (text.startsWith(':')) {
+      let body = entry.raw.trim().slice(1);
+      while (!/[;|<>/\]}]$/.test(body.trim()) && i + 1 < lines.length) {
+        body += `\n${lines[++i].raw.trim()}`;
+      }
+      const terminator = body.trim().slice(-1);
+      if (terminator !== ';') {
+        report.approximate('SDL actions', 'Actions with SDL shapes are drawn as boxes');
+      }
+      connect(newNode(fromPlantUMLText(body.trim().slice(0, -1)), 'box'));
+      continue;
+    }
+
+    match = text.match(/^->\s*(.*?);?$/);
+    if (match) {
+      pendingLabel = fromPlantUMLText(match[1]) || null;
+      continue;
+    }
+
+    match = text.match(conditionPattern('if')) || text.match(/^if\s*\((.*)\)()()$/);
+    if (match) {
+      const decision = connect(newNode(fromPlantUMLText(match[1]), 'diamond'));
+      frames.push({ type: 'if', decision, branchEnds: [], hasElse: false });
+      ends = [{ node: decision, label: match[2] || match[3] || null }];
+      continue;
+    }
+    match = text.match(conditionPattern('elseif'));
+    if (match && topFrame('if')) {
+      const frame = topFrame('if');
+      frame.branchEnds.push(...ends);
+      ends = [{ node: frame.decision, label: null }];
+      frame.decision = connect(newNode(fromPlantUMLText(match[1]), 'diamond'));
+      ends = [{ node: frame.decision, label: match[2] || match[3] || null }];
+      continue;
+    }
+    match = text.match(/^else\s*(?:\((.*)\))?$/);
+    if (match && topFrame('if')) {
+      const frame = topFrame('if');
+      frame.branchEnds.push(...ends);
+      frame.hasElse = true;
+      ends = [{ node: frame.decision, label: match[1] || null }];
+      continue;
+    }
+    if (/^end\s*if$/.test(text) && topFrame('if')) {
+      const frame = frames.pop();
+      if (!frame.hasElse) {
+        frame.branchEnds.push({ node: frame.decision, label: null });
+      }
+      ends = [...frame.branchEnds, ...ends];
+      continue;
+    }
+
+    match = text.match(/^while\s*\((.*?)\)\s*(?:is\s*\((.*)\))?\s*$/);
+    if (match) {
+      const decision = connect(newNode(fromPlantUMLText(match[1]), 'diamond'));
+      frames.push({ type: 'while', decision });
+      ends = [{ node: decision, label: match[2] || null }];
+      continue;
+    }
+    match = text.match(/^end\s*while\s*(?:\((.*)\))?$/);
+    if (match && topFrame('while')) {
+      const frame = frames.pop();
+      ends.forEach(end => builder.edge(end.node.id, frame.decision.id, { label: end.label }));
+      ends = [{ node: frame.decision, label: match[1] || null }];
+      continue;
+    }
+
+    match = text.match(/^repeat(?:\s*:(.*);)?$/);
+    if (match) {
+      const frame = { type: 'repeat', start: null };
+      frames.push(frame);
+      repeatStarts.push(frame);
+      if (match[1] !== undefined) {
+        connect(newNode(fromPlantUMLText(match[1]), 'box'));
+      }
+      continue;
+    }
+    match = text.match(/^repeat\s*while\s*\((.*?)\)\s*(?:is\s*\((.*?)\))?\s*(?:not\s*\((.*)\))?$/);
+    if (match && topFrame('repeat')) {
+      const frame = frames.pop();
+      const decision = connect(newNode(fromPlantUMLText(match[1]), 'diamond'));
+      if (frame.start) {
+        builder.edge(decision.id, frame.start.id, { label: match[2] || null });
+      }
+      ends = [{ node: decision, label: match[3] || null }];
+      continue;
+    }
+
+    match = text.match(/^(fork|split)$/);
+    if (match) {
+      report.approximate('fork', 'Fork and split bars are not drawn; branches start from the preceding step');
+      frames.push({ type: 'fork', origin: ends, branchEnds: [] });
+      continue;
+    }
+    if (/^(fork|split) again$/.test(text) && topFrame('fork')) {
+      const frame = topFrame('fork');
+      frame.branchEnds.push(...ends);
+      ends = frame.origin;
+      continue;
+    }
+    if (/^end (fork|merge|split)(\s*\{.*\})?$/.test(text) && topFrame('fork')) {
+      const frame = frames.pop();
+      ends = [...frame.branchEnds, ...ends];
+      continue;
+    }
+
+    match = text.match(/^(partition|group|package|rectangle|card)\s+(.+?)\s*\{?$/);
+    if (match) {
+      const label = unquote(stripDecorations(match[2], report));
+      builder.openGroup(safeId(label), label);
+      frames.push({ type: 'group', braces: text.endsWith('{') });
+      continue;
+    }
+    if ((text === '}' || text === 'end group') && topFrame('group')) {
+      frames.pop();
+      builder.closeGroup();
+      continue;
+    }
+
+    if (/^\|.*\|$/.test(text)) {
+      report.skip(line, entry.raw, 'Swimlanes are not translated');
+      continue;
+    }
+    if (/^(floating\s+)?note\b/.test(text)) {
+      // Skip multi-line note bodies too
+      if (!text.includes(':')) {
+        while (i + 1 < lines.length && !/^end\s*note$/.test(lines[i + 1].text)) {
+          i++;
+        }
+        i++;
+      }
+      report.skip(line, entry.raw, 'Notes are not translated');
+      continue;
+    }
+
+    report.skip(line, entry.raw, 'Unrecognised activity diagram statement');
+  }
+
+  return builder.model;
+}
+
+// Element kinds drawn with a matching flowchart shape; others become boxes
+const plantUMLElementShapes = {
+  rectangle: 'box',
+  card: 'box',
+  agent: 'box',
+  action: 'box',
+  process: 'box',
+  label: 'box',
+  usecase: 'ellipse',
+  circle: 'circle',
+  interface: 'circle',
+  hexagon: 'hexagon',
+  database: 'cylinder',
+  storage: 'cylinder',
+  queue: 'cylinder',
+  cloud: 'round'
+};
+
+const plantUMLEndpointPattern = '(\\[[^\\]]+\\]|\\([^)]+\\)|:[^:]+:|"[^"]+"|[\\p{L}\\p{N}_.]+)';
+const plantUMLRelationPattern = new RegExp(
+  `^${plantUMLEndpointPattern}\\s*([<*o#x+^]{0,2}(?:-+|\\.+|=+)(?:\\[[^\\]]*\\]|up|down|left|right|u|d|l|r)?(?:-*|\\.*|=*)[>*o#x+^]{0,2})\\s*${plantUMLEndpointPattern}\\s*(?::\\s*(.*))?$`,
+  'u'
+);
+
+// Component, deployment and use case diagrams as a graph
+function parsePlantUMLDescription(lines, report) {
+  const builder = new FlowBuilder();
+
+  // `[Label]`, `(Label)`, `:Label:` and quoted shorthands create elements on the fly
+  const endpoint = (value) => {
+    const shorthand = value.match(/^([[(:])(.+)[\])]?:?$/);
+    if (shorthand && /^(\[.*\]|\(.*\)|:.*:)$/.test(value)) {
+      const label = value.slice(1, -1);
+      const shape = shorthand[1] === '(' ? 'ellipse' : 'box';
+      if (shorthand[1] !== '(') {
+        report.approximate(shorthand[1] === '[' ? 'component' : 'actor', 'Drawn as a box');
+      }
+      return builder.node(safeId(label), { label, shape }).id;
+    }
+    const name = unquote(value);
+    return builder.node(safeId(name), builder.nodeIndex.has(safeId(name)) ? {} : { label: name }).id;
+  };
+
+  for (const entry of lines) {
+    const { text, line } = entry;
+    let match;
+
+    if (plantUMLCommon(entry, builder.model, report)) {
+      continue;
+    }
+
+    if (text === 'left to right direction') {
+      builder.model.direction = 'LR';
+      continue;
+    }
+    if (text === 'top to bottom direction') {
+      builder.model.direction = 'TB';
+      continue;
+    }
+
+    match = text.match(new RegExp(`^(${plantUMLElementTypes.join('|')})\\s+(.+?)\\s*(\\{)?$`));
+    if (match) {
+      const { label, name } = parseAlias(stripDecorations(match[2], report));
+      if (match[3]) {
+        builder.openGroup(safeId(name), label);
+        continue;
+      }
+      const shape = plantUMLElementShapes[match[1]] || 'box';
+      if (!plantUMLElementShapes[match[1]] || ['storage', 'queue', 'cloud', 'interface'].includes(match[1])) {
+        report.approximate(match[1], `Drawn as ${shape === 'box' ? 'a box' : `a ${shape}`}`);
+      }
+      builder.node(safeId(name), { label, shape });
+      continue;
+    }
+
+    match = text.match(/^(\[[^\]]+\]|\([^)]+\)|:[^:]+:)\s+as\s+(\S+)$/);
+    if (match) {
+      const label = match[1].slice(1, -1);
+      const shape = match[1][0] === '(' ? 'ellipse' : 'box';
+      builder.node(safeId(match[2]), { label, shape });
+      continue;
+    }
+
+    if (text === '}') {
+      builder.closeGroup();
+      continue;
+    }
+
+    match = text.match(plantUMLRelationPattern);
+    if (match) {
+      const arrow = match[2];
+      if (/\[/.test(arrow)) {
+        report.approximate('arrow styles', 'Arrow colors and styles are dropped');
+      }
+      if (/up|down|left|right|[udlr](?=-)/.test(arrow.replace(/\[[^\]]*\]/g, ''))) {
+        report.approximate('arrow directions', 'Layout hints on arrows are dropped');
+      }
+      const hidden = /\[hidden\]/.test(arrow);
+      const plain = arrow.replace(/\[[^\]]*\]|up|down|left|right/g, '');
+      const headOf = (marker) => {
+        if (/>/.test(marker) || /</.test(marker)) {
+          return 'arrow';
+        }
+        if (/o/.test(marker)) {
+          return 'circle';
+        }
+        if (/x/.test(marker)) {
+          return 'cross';
+        }
+        if (/[*#+^]/.test(marker)) {
+          report.approximate('relation heads', 'Composition, aggregation and extension heads are drawn as arrows');
+          return 'arrow';
+        }
+        return 'none';
+      };
+      const [, tailMarker, headMarker] = plain.match(/^([^-.=]*)[-.=]+([^-.=]*)$/) || [null, '', ''];
+      let line = 'solid';
+      if (hidden) {
+        line = 'invisible';
+      } else if (plain.includes('.')) {
+        line = 'dotted';
+      } else if (plain.includes('=') || /\[(bold|thickness=\d+)\]/.test(arrow)) {
+        line = 'thick';
+      }
+      builder.edge(endpoint(match[1]), endpoint(match[3]), {
+        label: match[4] ? fromPlantUMLText(match[4]) : null,
+        line,
+        head: headOf(headMarker),
+        tail: headOf(tailMarker)
+      });
+      continue;
+    }
+
+    report.skip(line, entry.raw, 'Unrecognised diagram statement');
+  }
+
+  return builder.model;
+}
+
+function parsePlantUML(source, report) {
+  // Block comments /' ... '/ may span lines; blank them out line by line
+  const uncommented = source.replace(/\/'[\s\S]*?'\//g, block => block.replace(/[^\n]/g, ' '));
+  const lines = sourceLines(uncommented, plantUMLComment);
+  const kind = detectPlantUMLKind(lines);
+
+  if (kind === 'activity') {
+    return parsePlantUMLActivity(lines, report);
+  }
+  if (kind === 'description') {
+    return parsePlantUMLDescription(lines, report);
+  }
+  return parsePlantUMLSequence(lines, report);
+}
+
+function emitPlantUMLSequence(model, report) {
+  const out = ['@startuml'];
+  const blocks = [];
+
+  if (model.title) {
+    out.push(`title ${toPlantUMLText(model.title)}`);
+  }
+  if (model.autonumber) {
+    out.push('autonumber');
+  }
+
+  let box = null;
+  model.participants.forEach((participant) => {
+    if (participant.box !== box) {
+      if (box) {
+        out.push('end box');
+      }
+      if (participant.box) {
+        out.push(`box "${participant.box}"`);
+      }
+      box = participant.box;
+    }
+    const type = plantUMLParticipantTypes.includes(participant.type) ? participant.type : 'participant';
+    out.push(participant.label === participant.id
+      ? `${type} ${participant.id}`
+      : `${type} "${toPlantUMLText(participant.label).replace(/"/g, '\'')}" as ${participant.id}`);
+  });
+  if (box) {
+    out.push('end box');
+  }
+
+  model.steps.forEach((step) => {
+    const indent = '  '.repeat(blocks.length);
+    switch (step.type) {
+    case 'message': {
+      let head = '>';
+      if (step.head === 'async') {
+        head = '>>';
+      } else if (step.head === 'cross') {
+        head = '>x';
+      } else if (step.head === 'none') {
+        report.approximate('open messages', 'Messages without an arrow head are drawn with one');
+      }
+      const arrow = `${step.line === 'dotted' ? '--' : '-'}${head}`;
+      const activation = { activate: ' ++', deactivate: ' --' }[step.activation] || '';
+      const text = step.text ? ` : ${toPlantUMLText(step.text)}` : '';
+      out.push(`${indent}${step.from} ${arrow} ${step.to}${activation}${text}`);
+      break;
+    }
+    case 'note':
+      out.push(`${indent}note ${step.position} ${step.targets.join(', ')} : ${toPlantUMLText(step.text)}`);
+      break;
+    case 'activate':
+    case 'deactivate':
+    case 'destroy':
+      out.push(`${indent}${step.type} ${step.id}`);
+      break;
+    case 'block': {
+      let kind = step.kind;
+      if (kind === 'rect') {
+        kind = 'group';
+        report.approximate('rect', 'Highlighted regions become unlabelled groups');
+      }
+      blocks.push(kind);
+      out.push(`${indent}${kind}${step.label ? ` ${toPlantUMLText(step.label)}` : ''}`);
+      break;
+    }
+    case 'branch':
+      out.push(`${'  '.repeat(Math.max(0, blocks.length - 1))}else${step.label ? ` ${toPlantUMLText(step.label)}` : ''}`);
+      break;
+    case 'end':
+      blocks.pop();
+      out.push(`${'  '.repeat(blocks.length)}end`);
+      break;
+    default:
+      break;
+    }
+  });
+
+  out.push('@enduml');
+  return out.join('\n');
+}
+
+const plantUMLNodeElements = {
+  box: 'rectangle',
+  ellipse: 'usecase',
+  circle: 'circle',
+  point: 'circle',
+  hexagon: 'hexagon',
+  diamond: 'hexagon',
+  cylinder: 'database'
+};
+
+// Flowcharts become description diagrams, which (unlike activity diagrams) can express any graph
+function emitPlantUMLFlowchart(model, report) {
+  const out = ['@startuml'];
+  if (model.title) {
+    out.push(`title ${toPlantUMLText(model.title)}`);
+  }
+  if (model.direction === 'LR' || model.direction === 'RL') {
+    out.push('left to right direction');
+  }
+  if (model.direction === 'RL' || model.direction === 'BT') {
+    report.approximate(`direction ${model.direction}`, 'Reversed layout directions are not supported; drawn forwards');
+  }
+
+  const emitNodes = (group, depth) => {
+    const indent = '  '.repeat(depth);
+    model.groups.filter(g => g.parent === group).forEach((g) => {
+      out.push(`${indent}rectangle "${toPlantUMLText(g.label || g.id).replace(/"/g, '\'')}" as ${g.id} {`);
+      emitNodes(g.id, depth + 1);
+      out.push(`${indent}}`);
+    });
+    model.nodes.filter(node => node.group === group).forEach((node) => {
+      const element = plantUMLNodeElements[node.shape] || 'rectangle';
+      if (!plantUMLNodeElements[node.shape] && node.shape !== 'round' || node.shape === 'diamond') {
+        report.approximate(`${node.shape} nodes`, `Drawn as ${element === 'rectangle' ? 'rectangles' : element}`);
+      }
+      const label = node.shape === 'point' ? ' ' : toPlantUMLText(node.label || ' ').replace(/"/g, '\'');
+      out.push(`${indent}${element} "${label}" as ${node.id}`);
+    });
+  };
+  emitNodes(null, 0);
+
+  model.edges.forEach((edge) => {
+    const stroke = edge.line === 'dotted' ? '.' : '-';
+    let style = '';
+    if (edge.line === 'thick') {
+      style = '[bold]';
+    } else if (edge.line === 'invisible') {
+      style = '[hidden]';
+    }
+    const marker = (end, forward) => {
+      if (end === 'none') {
+        return '';
+      }
+      if (end === 'circle') {
+        return 'o';
+      }
+      if (end === 'cross') {
+        report.approximate('cross heads', 'Cross arrow heads are drawn as regular arrows');
+      }
+      return forward ? '>' : '<';
+    };
+    const arrow = `${marker(edge.tail, false)}${stroke}${style}${stroke}${marker(edge.head, true)}`;
+    const label = edge.label ? ` : ${toPlantUMLText(edge.label)}` : '';
+    out.push(`${edge.from} ${arrow} ${edge.to}${label}`);
+  });
+
+  out.push('@enduml');
+  return out.join('\n');
+}
+
+// --- Mermaid ---
+
+const mermaidComment = text => (/^\s*%%/.test(text) ? '' : text);
+
+function parseMermaidSequence(lines, report) {
+  const builder = new SequenceBuilder();
+  const { model } = builder;
+  const blocks = [];
+
+  for (const entry of lines.slice(1)) {
+    const { text, line } = entry;
+    let match;
+
+    match = text.match(/^title\s*:?\s*(.+)$/);
+    if (match) {
+      model.title = fromMermaidText(match[1]);
+      continue;
+    }
+    if (text === 'autonumber' || text.startsWith('autonumber ')) {
+      model.autonumber = true;
+      continue;
+    }
+
+    match = text.match(/^(create\s+)?(participant|actor)\s+(.+?)(?:\s+as\s+(.+))?$/);
+    if (match) {
+      if (match[1]) {
+        report.approximate('create', 'Participant creation is shown as a regular participant');
+      }
+      builder.participant(match[3], {
+        label: match[4] !== undefined ? fromMermaidText(match[4]) : undefined,
+        type: match[2],
+        declared: true
+      });
+      continue;
+    }
+
+    match = text.match(/^box(?:\s+(.*))?$/);
+    if (match) {
+      const label = (match[1] || '').replace(/^(transparent|rgba?\([^)]*\)|#[0-9a-f]{3,8})\s*/i, '');
+      if (label !== (match[1] || '')) {
+        report.approximate('box colors', 'Box colors are dropped');
+      }
+      builder.box = label || 'Group';
+      blocks.push('box');
+      continue;
+    }
+
+    match = text.match(/^(activate|deactivate|destroy)\s+(.+)$/);
+    if (match) {
+      builder.step({ type: match[1], id: builder.participant(match[2]) });
+      continue;
+    }
+
+    match = text.match(/^note\s+(left of|right of|over)\s+([^:]+?)\s*:\s*(.*)$/i);
+    if (match) {
+      builder.step({
+        type: 'note',
+        position: match[1].toLowerCase(),
+        targets: match[2].split(',').map(name => builder.participant(name.trim())),
+        text: fromMermaidText(match[3])
+      });
+      continue;
+    }
+
+    match = text.match(/^(loop|alt|opt|par|critical|break|rect)\b\s*(.*)$/);
+    if (match) {
+      blocks.push(match[1]);
+      builder.step({ type: 'block', kind: match[1], label: match[1] === 'rect' ? '' : fromMermaidText(match[2]) });
+      continue;
+    }
+    match = text.match(/^(else|and|option)\b\s*(.*)$/);
+    if (match && blocks.length > 0) {
+      builder.step({ type: 'branch', label: fromMermaidText(match[2]) });
+      continue;
+    }
+    if (text === 'end' && blocks.length > 0) {
+      if (blocks.pop() === 'box') {
+        builder.box = null;
+      } else {
+        builder.step({ type: 'end' });
+      }
+      continue;
+    }
+
+    match = text.match(/^(.+?)\s*(-->>|->>|--x|-x|--\)|-\)|-->|->)\s*([+-]?)\s*(.+?)\s*(?::(.*))?$/);
+    if (match) {
+      const heads = { '>>': 'arrow', '>': 'none', 'x': 'cross', ')': 'async' };
+      const from = builder.participant(match[1]);
+      const to = builder.participant(match[4]);
+      builder.step({
+        type: 'message',
+        from,
+        to,
+        text: fromMermaidText((match[5] || '').trim()),
+        line: match[2].startsWith('--') ? 'dotted' : 'solid',
+        head: heads[match[2].replace(/^-+/, '')],
+        activation: { '+': 'activate', '-': 'deactivate' }[match[3]] || null
+      });
+      continue;
+    }
+
+    report.skip(line, entry.raw, /^(links?|properties|details|accTitle|accDescr)\b/.test(text)
+      ? 'Links and accessibility metadata are not translated'
+      : 'Unrecognised sequence diagram statement');
+  }
+
+  return model;
+}
+
+// Mermaid node shapes: opening bracket, closing bracket, model shape (longest openers first)
+const mermaidShapes = [
+  ['(((', ')))', 'doublecircle'],
+  ['((', '))', 'circle'],
+  ['([', '])', 'stadium'],
+  ['[[', ']]', 'subroutine'],
+  ['[(', ')]', 'cylinder'],
+  ['[/', '\\]', 'trapezoid'],
+  ['[/', '/]', 'parallelogram'],
+  ['[\\', '/]', 'trapezoid'],
+  ['[\\', '\\]', 'parallelogram'],
+  ['{{', '}}', 'hexagon'],
+  ['(', ')', 'round'],
+  ['[', ']', 'box'],
+  ['{', '}', 'diamond'],
+  ['>', ']', 'asymmetric']
+];
+
+const mermaidEdgePatterns = [
+  // A -- text --> B, A -. text .-> B, A == text ==> B
+  /^\s*([<ox]?)(--|==|-\.)\s+(.+?)\s+(-{2,}|={2,}|\.+-)([>ox]?)(?![-=.])/,
+  // A --> B, A ---|text| B, A -.-> B, A ==> B, A <--> B, A --o B
+  /^\s*([<ox]?)(-{2,}|={2,}|-\.+-)([>ox]?)(?:\s*\|([^|]*)\|)?/,
+  // A ~~~ B
+  /^\s*(~{3,})()()/
+];
+
+// Split a line on `;` outside quotes and brackets
+function splitStatements(text) {
+  const statements = [];
+  let depth = 0;
+  let quoted = false;
+  let current = '';
+  for (const char of text) {
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (!quoted && '[({'.includes(char)) {
+      depth++;
+    } else if (!quoted && '])}'.includes(char)) {
+      depth = Math.max(0, depth - 1);
+    }
+    if (char === ';' && !quoted && depth === 0) {
+      statements.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  statements.push(current);
+  return statements.map(statement => statement.trim()).filter(Boolean);
+}
+
+function parseMermaidFlowchart(lines, report) {
+  const builder = new FlowBuilder();
+  const header = lines[0].text.match(/^(?:flowchart|graph)(?:\s+(TB|TD|BT|RL|LR))?/);
+  builder.model.direction = header && header[1] ? header[1].replace('TD', 'TB') : 'TB';
+
+  // Parse `id`, `id[text]`, `id(text)`... at the start of `rest`; returns [nodeId, remaining]
+  const parseNode = (rest) => {
+    const idMatch = rest.match(/^\s*([\p{L}\p{N}_]+)/u);
+    if (!idMatch) {
+      return null;
+    }
+    const id = idMatch[1];
+    let remaining = rest.slice(idMatch[0].length);
+
+    const shape = mermaidShapes.find(([open, close]) => {
+      if (!remaining.startsWith(open)) {
+        return false;
+      }
+      const body = remaining.slice(open.length);
+      const end = body.startsWith('"') ? body.indexOf('"', 1) + 1 : 0;
+      return end >= 0 && body.indexOf(close, end) !== -1;
+    });
+
+    if (shape) {
+      const [open, close, shapeName] = shape;
+      const body = remaining.slice(open.length);
+      const quoteEnd = body.startsWith('"') ? body.indexOf('"', 1) + 1 : 0;
+      const closeAt = body.indexOf(close, quoteEnd);
+      builder.node(id, { label: fromMermaidText(unquote(body.slice(0, closeAt).trim())), shape: shapeName });
+      remaining = body.slice(closeAt + close.length);
+    } else {
+      builder.node(id);
+    }
+
+    const className = remaining.match(/^:::[\w-]+/);
+    if (className) {
+      report.approximate('classes', 'Node classes and styles are dropped');
+      remaining = remaining.slice(className[0].length);
+    }
+    return [id, remaining];
+  };
+
+  // `a & b` -> [[a, b], remaining]
+  const parseNodeGroup = (rest) => {
+    const ids = [];
+    let remaining = rest;
+    let parsed = parseNode(remaining);
+    while (parsed) {
+      ids.push(parsed[0]);
+      remaining = parsed[1];
+      const amp = remaining.match(/^\s*&\s*/);
+      if (!amp) {
+        break;
+      }
+      parsed = parseNode(remaining.slice(amp[0].length));
+    }
+    return ids.length > 0 ? [ids, remaining] : null;
+  };
+
+  const parseEdge = (rest) => {
+    for (const [index, pattern] of mermaidEdgePatterns.entries()) {
+      const match = rest.match(pattern);
+      if (!match) {
+        continue;
+      }
+      const ends = { '>': 'arrow', '<': 'arrow', o: 'circle', x: 'cross', '': 'none' };
+      if (index === 2) {
+        return [{ line: 'invisible', head: 'none', tail: 'none', label: null }, rest.slice(match[0].length)];
+      }
+      const stroke = index === 0 ? match[4] : match[2];
+      let line = 'solid';
+      if (stroke.includes('=')) {
+        line = 'thick';
+      } else if (stroke.includes('.') || (index === 0 && match[2] === '-.')) {
+        line = 'dotted';
+      }
+      const label = index === 0 ? match[3] : match[4];
+      return [{
+        line,
+        head: ends[index === 0 ? match[5] : match[3]],
+        tail: ends[match[1]],
+        label: label ? fromMermaidText(unquote(label.trim())) : null
+      }, rest.slice(match[0].length)];
+    }
+    return null;
+  };
+
+  for (const entry of lines.slice(1)) {
+    for (const statement of splitStatements(entry.text)) {
+      let match = statement.match(/^subgraph\s+(.+)$/);
+      if (match) {
+        const titled = match[1].match(/^([\p{L}\p{N}_]+)\s*\[(.*)\]$/u);
+        const label = titled ? unquote(titled[2].trim()) : unquote(match[1].trim());
+        builder.openGroup(safeId(titled ? titled[1] : label), fromMermaidText(label));
+        continue;
+      }
+      if (statement === 'end') {
+        if (!builder.closeGroup()) {
+          report.skip(entry.line, statement, 'Unmatched end');
+        }
+        continue;
+      }
+      match = statement.match(/^direction\s+(TB|TD|BT|RL|LR)$/);
+      if (match) {
+        report.approximate('subgraph direction', 'Per-subgraph directions are dropped');
+        continue;
+      }
+      if (/^(classDef|class|style|linkStyle|click|accTitle|accDescr)\b/.test(statement)) {
+        report.skip(entry.line, statement, 'Styles, classes and interactions are not translated');
+        continue;
+      }
+
+      let left = parseNodeGroup(statement);
+      if (!left) {
+        report.skip(entry.line, statement, 'Unrecognised flowchart statement');
+        continue;
+      }
+      let remaining = left[1];
+      let edge = parseEdge(remaining);
+      while (edge) {
+        const right = parseNodeGroup(edge[1]);
+        if (!right) {
+          break;
+        }
+        left[0].forEach(from => right[0].forEach(to => builder.edge(from, to, edge[0])));
+        left = right;
+        remaining = right[1];
+        edge = parseEdge(remaining);
+      }
+      if (remaining.trim()) {
+        report.skip(entry.line, statement, 'Part of the statement could not be parsed');
+      }
+    }
+  }
+
+  return builder.model;
+}
+
+function parseMermaid(source, report) {
+  // Front matter may carry the title
+  let title = null;
+  const body = source.replace(/^\s*---\n([\s\S]*?)\n---\n/, (_, frontMatter) => {
+    const match = frontMatter.match(/^title:\s*(.+)$/m);
+    title = match ? unquote(match[1].trim()) : null;
+    return '';
+  });
+
+  const lines = sourceLines(body, mermaidComment);
+  if (/^\s*%%\{/.test(body)) {
+    report.approximate('init directives', 'Mermaid configuration directives are dropped');
+  }
+  if (lines.length === 0) {
+    throw new ConversionError('Mermaid source is empty');
+  }
+
+  let model;
+  if (/^sequenceDiagram\b/.test(lines[0].text)) {
+    model = parseMermaidSequence(lines, report);
+  } else if (/^(flowchart|graph)\b/.test(lines[0].text)) {
+    model = parseMermaidFlowchart(lines, report);
+  } else {
+    throw new ConversionError(`Mermaid ${lines[0].text.split(/\s/)[0]} diagrams cannot be converted; only sequenceDiagram and flowchart are supported`);
+  }
+
+  model.title = model.title || title;
+  return model;
+}
+
+const mermaidParticipantTypes = ['participant', 'actor'];
+
+function emitMermaidSequence(model, report) {
+  const out = ['sequenceDiagram'];
+  const blocks = [];
+
+  if (model.title) {
+    out.push(`  title ${toMermaidText(model.title)}`);
+  }
+  if (model.autonumber) {
+    out.push('  autonumber');
+  }
+
+  let box = null;
+  model.participants.forEach((participant) => {
+    if (participant.box !== box) {
+      if (box) {
+        out.push('  end');
+      }
+      if (participant.box) {
+        out.push(`  box ${toMermaidText(participant.box)}`);
+      }
+      box = participant.box;
+    }
+    let type = participant.type;
+    if (!mermaidParticipantTypes.includes(type)) {
+      report.approximate(type, 'Drawn as a participant');
+      type = 'participant';
+    }
+    const indent = box ? '    ' : '  ';
+    out.push(participant.label === participant.id
+      ? `${indent}${type} ${participant.id}`
+      : `${indent}${type} ${participant.id} as ${toMermaidText(participant.label)}`);
+  });
+  if (box) {
+    out.push('  end');
+  }
+
+  model.steps.forEach((step) => {
+    const indent = '  '.repeat(blocks.length + 1);
+    switch (step.type) {
+    case 'message': {
+      const heads = { arrow: '>>', none: '>', cross: 'x', async: ')' };
+      const arrow = `${step.line === 'dotted' ? '--' : '-'}${heads[step.head]}`;
+      const activation = { activate: '+', deactivate: '-' }[step.activation] || '';
+      // Mermaid requires message text; a single space stands in for none
+      out.push(`${indent}${step.from}${arrow}${activation}${step.to}: ${toMermaidText(step.text) || ' '}`);
+      break;
+    }
+    case 'note':
+      out.push(`${indent}Note ${step.position} ${step.targets.join(',')}: ${toMermaidText(step.text)}`);
+      break;
+    case 'activate':
+    case 'deactivate':
+    case 'destroy':
+      out.push(`${indent}${step.type} ${step.id}`);
+      break;
+    case 'block': {
+      let kind = step.kind;
+      if (kind === 'group') {
+        kind = 'opt';
+        report.approximate('group', 'Groups are drawn as opt blocks');
+      }
+      blocks.push(kind);
+      out.push(kind === 'rect'
+        ? `${indent}rect rgba(0, 0, 0, 0.05)`
+        : `${indent}${kind}${step.label ? ` ${toMermaidText(step.label)}` : ''}`);
+      break;
+    }
+    case 'branch': {
+      const kind = blocks[blocks.length - 1];
+      const keyword = { alt: 'else', par: 'and', critical: 'option' }[kind];
+      if (!keyword) {
+        report.approximate(`${kind} else`, `Mermaid ${kind} blocks have no branches; branch labels are dropped`);
+        break;
+      }
+      out.push(`${'  '.repeat(blocks.length)}${keyword}${step.label ? ` ${toMermaidText(step.label)}` : ''}`);
+      break;
+    }
+    case 'end':
+      blocks.pop();
+      out.push(`${'  '.repeat(blocks.length + 1)}end`);
+      break;
+    default:
+      break;
+    }
+  });
+
+  return out.join('\n');
+}
+
+const mermaidShapeBrackets = {
+  box: ['[', ']'],
+  round: ['(', ')'],
+  stadium: ['([', '])'],
+  subroutine: ['[[', ']]'],
+  cylinder: ['[(', ')]'],
+  circle: ['((', '))'],
+  doublecircle: ['(((', ')))'],
+  diamond: ['{', '}'],
+  hexagon: ['{{', '}}'],
+  parallelogram: ['[/', '/]'],
+  trapezoid: ['[/', '\\]'],
+  asymmetric: ['>', ']'],
+  ellipse: ['(', ')'],
+  point: ['((', '))'],
+  final: ['(((', ')))']
+};
+
+function emitMermaidFlowchart(model, report) {
+  const out = [];
+  if (model.title) {
+    out.push('---', `title: ${JSON.stringify(model.title)}`, '---');
+  }
+  out.push(`flowchart ${model.direction || 'TB'}`);
+
+  const emitNodes = (group, depth) => {
+    const indent = '  '.repeat(depth);
+    model.nodes.filter(node => node.group === group).forEach((node) => {
+      const [open, close] = mermaidShapeBrackets[node.shape] || mermaidShapeBrackets.box;
+      if (!mermaidShapeBrackets[node.shape]) {
+        report.approximate(`${node.shape} nodes`, 'Drawn as boxes');
+      }
+      const label = ['point', 'final'].includes(node.shape) && !node.label ? ' ' : toMermaidText(node.label);
+      out.push(`${indent}${node.id}${open}"${label}"${close}`);
+    });
+    model.groups.filter(g => g.parent === group).forEach((g) => {
+      out.push(`${indent}subgraph ${g.id} ["${toMermaidText(g.label || g.id)}"]`);
+      emitNodes(g.id, depth + 1);
+      out.push(`${indent}end`);
+    });
+  };
+  emitNodes(null, 1);
+
+  model.edges.forEach((edge) => {
+    if (edge.line === 'invisible') {
+      out.push(`  ${edge.from} ~~~ ${edge.to}`);
+      return;
+    }
+    const ends = { arrow: ['<', '>'], circle: ['o', 'o'], cross: ['x', 'x'], none: ['', ''] };
+    const strokes = { solid: '--', dotted: '-.-', thick: '==' };
+    let stroke = strokes[edge.line] || strokes.solid;
+    const head = ends[edge.head][1];
+    // Solid and thick links need three characters without a head
+    if (!head && edge.line !== 'dotted') {
+      stroke += stroke[0];
+    }
+    const arrow = `${ends[edge.tail][0]}${stroke}${head}`;
+    const label = edge.label ? `|"${toMermaidText(edge.label)}"|` : '';
+    out.push(`  ${edge.from} ${arrow}${label} ${edge.to}`);
+  });
+
+  return out.join('\n');
+}
+
+// --- Graphviz DOT ---
+
+// Tokens: identifiers, numbers, quoted and HTML strings, edge operators and punctuation
+function tokenizeDot(source) {
+  const tokens = [];
+  const text = source
+    .replace(/\/\*[\s\S]*?\*\//g, block => block.replace(/[^\n]/g, ' '))
+    .replace(/(^|[^:\\])\/\/.*$/gm, '$1')
+    .replace(/^\s*#.*$/gm, '');
+  let line = 1;
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+    if (char === '\n') {
+      line++;
+      i++;
+    } else if (/\s/.test(char)) {
+      i++;
+    } else if (char === '"') {
+      let value = '';
+      i++;
+      while (i < text.length && text[i] !== '"') {
+        if (text[i] === '\\' && text[i + 1] === '"') {
+          value += '"';
+          i += 2;
+        } else if (text[i] === '\\' && text[i + 1] === '\n') {
+          i += 2;
+          line++;
+        } else {
+          if (text[i] === '\n') {
+            line++;
+          }
+          value += text[i++];
+        }
+      }
+      i++;
+      // "a" + "b" concatenation
+      const previous = tokens[tokens.length - 1];
+      if (previous && previous.concat) {
+        tokens.pop();
+        tokens[tokens.length - 1].value += value;
+        continue;
+      }
+      tokens.push({ type: 'id', value, line, quoted: true });
+    } else if (char === '<') {
+      let depth = 0;
+      const start = i;
+      do {
+        if (text[i] === '<') {
+          depth++;
+        } else if (text[i] === '>') {
+          depth--;
+        }
+        i++;
+      } while (i < text.length && depth > 0);
+      tokens.push({ type: 'id', value: text.slice(start + 1, i - 1), line, html: true });
+    } else if (text.startsWith('->', i) || text.startsWith('--', i)) {
+      tokens.push({ type: 'edgeop', value: text.slice(i, i + 2), line });
+      i += 2;
+    } else if (char === '+' && tokens.length > 0 && tokens[tokens.length - 1].quoted) {
+      tokens.push({ type: 'plus', concat: true, line });
+      i++;
+    } else if ('{}[]=;,:'.includes(char)) {
+      tokens.push({ type: char, value: char, line });
+      i++;
+    } else {
+      const match = text.slice(i).match(/^(-?(?:\.\d+|\d+(?:\.\d*)?)|[\p{L}_][\p{L}\p{N}_]*)/u);
+      if (!match) {
+        throw new ConversionError(`Unexpected character "${char}" on line ${line} of the DOT source`);
+      }
+      tokens.push({ type: 'id', value: match[0], line });
+      i += match[0].length;
+    }
+  }
+
+  return tokens;
+}
+
+const dotShapes = {
+  box: 'box',
+  rect: 'box',
+  rectangle: 'box',
+  square: 'box',
+  ellipse: 'ellipse',
+  oval: 'ellipse',
+  circle: 'circle',
+  doublecircle: 'doublecircle',
+  diamond: 'diamond',
+  hexagon: 'hexagon',
+  cylinder: 'cylinder',
+  parallelogram: 'parallelogram',
+  trapezium: 'trapezoid',
+  point: 'point',
+  cds: 'asymmetric'
+};
+
+const dotLabel = (token, report) => {
+  if (token.html) {
+    report.approximate('HTML labels', 'HTML labels are reduced to their text');
+    return token.value.replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]*>/g, '').trim();
+  }
+  return token.value.replace(/\\[nlr]/g, '\n').replace(/\n$/, '');
+};
+
+function parseDot(source, report) {
+  const tokens = tokenizeDot(source);
+  const builder = new FlowBuilder();
+  let pos = 0;
+
+  const peek = (offset = 0) => tokens[pos + offset];
+  const expect = (type) => {
+    const token = tokens[pos++];
+    if (!token || token.type !== type) {
+      throw new ConversionError(`Expected "${type}" in the DOT source${token ? ` on line ${token.line}` : ''}`);
+    }
+    return token;
+  };
+  const accept = (type) => {
+    if (peek() && peek().type === type) {
+      return tokens[pos++];
+    }
+    return null;
+  };
+
+  // [a=b, c=d] [e=f] -> { a, c, e } (values are tokens)
+  const parseAttributes = () => {
+    const attributes = {};
+    while (accept('[')) {
+      while (!accept(']')) {
+        const key = expect('id').value;
+        attributes[key] = accept('=') ? expect('id') : { value: 'true' };
+        accept(',') || accept(';');
+      }
+    }
+    return attributes;
+  };
+
+  if (peek() && peek().value === 'strict') {
+    pos++;
+  }
+  const graphType = expect('id').value.toLowerCase();
+  if (!['graph', 'digraph'].includes(graphType)) {
+    throw new ConversionError('DOT source must start with graph or digraph');
+  }
+  const directed = graphType === 'digraph';
+  if (peek() && peek().type === 'id') {
+    pos++;
+  }
+
+  const applyNodeAttributes = (id, attributes) => {
+    const update = {};
+    if (attributes.label) {
+      update.label = dotLabel(attributes.label, report);
+    }
+    if (attributes.shape) {
+      const shape = attributes.shape.value.toLowerCase();
+      update.shape = dotShapes[shape] || 'box';
+      if (!dotShapes[shape]) {
+        report.approximate(`shape ${shape}`, 'Drawn as a box');
+      }
+    }
+    const style = attributes.style ? attributes.style.value : '';
+    if (/rounded/.test(style) && (update.shape || builder.node(id).shape) === 'box') {
+      update.shape = 'round';
+    }
+    if (Object.keys(attributes).some(key => !['label', 'shape', 'style'].includes(key))) {
+      report.approximate('node attributes', 'Colors, fonts and other node attributes are dropped');
+    }
+    builder.node(id, update);
+  };
+
+  const edgeStyle = (attributes) => {
+    const style = attributes.style ? attributes.style.value : '';
+    const arrowhead = attributes.arrowhead ? attributes.arrowhead.value : null;
+    const arrowtail = attributes.arrowtail ? attributes.arrowtail.value : null;
+    const dir = attributes.dir ? attributes.dir.value : (directed ? 'forward' : 'none');
+    const endFor = (shape) => {
+      if (!shape || /normal|vee|open|empty/.test(shape)) {
+        return 'arrow';
+      }
+      if (shape === 'none') {
+        return 'none';
+      }
+      if (/dot|odot/.test(shape)) {
+        return 'circle';
+      }
+      report.approximate(`arrow ${shape}`, 'Drawn as a regular arrow head');
+      return 'arrow';
+    };
+
+    let line = 'solid';
+    if (/invis/.test(style)) {
+      line = 'invisible';
+    } else if (/dashed|dotted/.test(style)) {
+      line = 'dotted';
+    } else if (/bold/.test(style) || parseFloat(attributes.penwidth && attributes.penwidth.value) >= 2) {
+      line = 'thick';
+    }
+
+    return {
+      label: attributes.label ? dotLabel(attributes.label, report) : null,
+      line,
+      head: ['forward', 'both'].includes(dir) ? endFor(arrowhead) : 'none',
+      tail: ['back', 'both'].includes(dir) ? endFor(arrowtail) : 'none',
+      reverse: dir === 'back' && !arrowtail
+    };
+  };
+
+  const defaults = [{ node: {}, edge: {} }];
+  const scope = () => defaults[defaults.length - 1];
+
+  // Clusters containing this one, outermost last, then null for the top level
+  const enclosingGroups = (groupId) => {
+    const groups = [];
+    let parent = builder.model.groups.find(group => group.id === groupId).parent;
+    while (parent) {
+      groups.push(parent);
+      const current = parent;
+      parent = builder.model.groups.find(group => group.id === current).parent;
+    }
+    return [...groups, null];
+  };
+
+  // Returns the node ids a statement list or operand refers to
+  const parseStatements = () => {
+    const ids = [];
+    while (peek() && peek().type !== '}') {
+      ids.push(...parseStatement());
+      accept(';');
+    }
+    return ids;
+  };
+
+  const parseSubgraph = () => {
+    let name = null;
+    if (peek().value === 'subgraph') {
+      pos++;
+      if (peek() && peek().type === 'id') {
+        name = tokens[pos++].value;
+      }
+    }
+    expect('{');
+    defaults.push({ node: { ...scope().node }, edge: { ...scope().edge } });
+
+    const cluster = name && /^cluster/.test(name);
+    // Only cluster subgraphs are drawn as boxes; their label is set by applyGraphAttributes
+    if (cluster) {
+      builder.openGroup(safeId(name), null);
+    }
+    const ids = parseStatements();
+    expect('}');
+    defaults.pop();
+    if (cluster) {
+      builder.closeGroup();
+    }
+    return ids;
+  };
+
+  const parseOperand = () => {
+    if (peek().type === '{' || peek().value === 'subgraph') {
+      return parseSubgraph();
+    }
+    const token = expect('id');
+    if (accept(':')) {
+      expect('id');
+      if (accept(':')) {
+        expect('id');
+      }
+      report.approximate('ports', 'Edges attached to record ports connect to the whole node');
+    }
+    const id = safeId(token.value);
+    const isNew = !builder.nodeIndex.has(id);
+    const node = builder.node(id, isNew ? { label: token.value } : {});
+    if (isNew && Object.keys(scope().node).length > 0) {
+      applyNodeAttributes(id, scope().node);
+    }
+    // A node mentioned inside a cluster belongs to it, even when first used
+    // outside it or in an enclosing cluster
+    if (!isNew && builder.currentGroup && enclosingGroups(builder.currentGroup).includes(node.group)) {
+      node.group = builder.currentGroup;
+    }
+    return [id];
+  };
+
+  const parseStatement = () => {
+    const token = peek();
+
+    if (token.type === 'id' && ['graph', 'node', 'edge'].includes(token.value.toLowerCase()) && peek(1) && peek(1).type === '[') {
+      pos++;
+      const attributes = parseAttributes();
+      const kind = token.value.toLowerCase();
+      if (kind === 'graph') {
+        applyGraphAttributes(attributes);
+      } else {
+        Object.assign(scope()[kind], attributes);
+      }
+      return [];
+    }
+
+    if (token.type === 'id' && peek(1) && peek(1).type === '=') {
+      pos += 2;
+      applyGraphAttributes({ [token.value]: expect('id') });
+      return [];
+    }
+
+    const operands = [parseOperand()];
+    while (accept('edgeop')) {
+      operands.push(parseOperand());
+    }
+    const attributes = parseAttributes();
+
+    if (operands.length === 1) {
+      if (token.type === 'id' && token.value !== 'subgraph') {
+        applyNodeAttributes(operands[0][0], attributes);
+      }
+      return operands[0];
+    }
+
+    const style = edgeStyle({ ...scope().edge, ...attributes });
+    for (let i = 0; i < operands.length - 1; i++) {
+      operands[i].forEach(from => operands[i + 1].forEach((to) => {
+        const { reverse, ...edge } = style;
+        if (reverse) {
+          builder.edge(to, from, { ...edge, head: 'arrow', tail: 'none' });
+        } else {
+          builder.edge(from, to, edge);
+        }
+      }));
+    }
+    return operands.flat();
+  };
+
+  const applyGraphAttributes = (attributes) => {
+    Object.entries(attributes).forEach(([key, token]) => {
+      if (key === 'rankdir') {
+        if (builder.groupStack.length === 0) {
+          builder.model.direction = token.value.toUpperCase();
+        }
+      } else if (key === 'label') {
+        const group = builder.model.groups.find(g => g.id === builder.currentGroup);
+        if (group) {
+          group.label = dotLabel(token, report);
+        } else {
+          builder.model.title = dotLabel(token, report);
+        }
+      } else if (key === 'rank') {
+        report.approximate('rank constraints', 'Rank constraints are dropped');
+      } else if (!['labelloc', 'labeljust'].includes(key)) {
+        report.approximate('graph attributes', 'Layout and styling attributes are dropped');
+      }
+    });
+  };
+
+  expect('{');
+  parseStatements();
+  expect('}');
+
+  if (!directed) {
+    builder.model.directed = false;
+  }
+  return builder.model;
+}
+
+const dotShapeAttributes = {
+  box: 'shape=box',
+  round: 'shape=box, style=rounded',
+  stadium: 'shape=box, style=rounded',
+  subroutine: 'shape=box, peripheries=2',
+  cylinder: 'shape=cylinder',
+  circle: 'shape=circle',
+  doublecircle: 'shape=doublecircle',
+  diamond: 'shape=diamond',
+  hexagon: 'shape=hexagon',
+  parallelogram: 'shape=parallelogram',
+  trapezoid: 'shape=trapezium',
+  asymmetric: 'shape=cds',
+  ellipse: 'shape=ellipse',
+  point: 'shape=point',
+  final: 'shape=doublecircle, label="", width=0.3'
+};
+
+const dotString = value => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+
+function emitDot(model) {
+  const directed = model.directed !== false;
+  const out = [`${directed ? 'digraph' : 'graph'} G {`];
+  if (model.direction && model.direction !== 'TB') {
+    out.push(`  rankdir=${model.direction};`);
+  }
+  if (model.title) {
+    out.push(`  label=${dotString(model.title)};`, '  labelloc=t;');
+  }
+
+  const emitNodes = (group, depth) => {
+    const indent = '  '.repeat(depth);
+    model.groups.filter(g => g.parent === group).forEach((g) => {
+      out.push(`${indent}subgraph cluster_${g.id} {`);
+      if (g.label) {
+        out.push(`${indent}  label=${dotString(g.label)};`);
+      }
+      emitNodes(g.id, depth + 1);
+      out.push(`${indent}}`);
+    });
+    model.nodes.filter(node => node.group === group).forEach((node) => {
+      const attributes = [dotShapeAttributes[node.shape] || dotShapeAttributes.box];
+      if (node.shape !== 'point' && node.shape !== 'final') {
+        attributes.unshift(`label=${dotString(node.label)}`);
+      }
+      out.push(`${indent}${node.id} [${attributes.join(', ')}];`);
+    });
+  };
+  emitNodes(null, 1);
+
+  const arrowShapes = { arrow: 'normal', circle: 'dot', cross: 'tee', none: 'none' };
+  model.edges.forEach((edge) => {
+    const attributes = [];
+    if (edge.label) {
+      attributes.push(`label=${dotString(edge.label)}`);
+    }
+    if (edge.line === 'dotted') {
+      attributes.push('style=dashed');
+    } else if (edge.line === 'thick') {
+      attributes.push('penwidth=2');
+    } else if (edge.line === 'invisible') {
+      attributes.push('style=invis');
+    }
+    if (directed) {
+      if (edge.tail !== 'none') {
+        attributes.push('dir=both', `arrowtail=${arrowShapes[edge.tail]}`);
+      }
+      if (edge.head !== 'arrow') {
+        attributes.push(`arrowhead=${arrowShapes[edge.head]}`);
+      }
+    }
+    const suffix = attributes.length > 0 ? ` [${attributes.join(', ')}]` : '';
+    out.push(`  ${edge.from} ${directed ? '->' : '--'} ${edge.to}${suffix};`);
+  });
+
+  out.push('}');
+  return out.join('\n');
+}
+
+// --- Conversion ---
+
+const parsers = {
+  plantuml: parsePlantUML,
+  mermaid: parseMermaid,
+  graphviz: parseDot
+};
+
+const emitters = {
+  plantuml: { sequence: emitPlantUMLSequence, flowchart: emitPlantUMLFlowchart },
+  mermaid: { sequence: emitMermaidSequence, flowchart: emitMermaidFlowchart },
+  graphviz: { flowchart: emitDot }
+};
+
+// Convert `source` from one language to another.
+// Returns { kind, source, report }; throws ConversionError for unsupported pairs or diagrams.
+function convertDiagram(source, { from, to }) {
+  if (!parsers[from] || !emitters[to]) {
+    throw new ConversionError(`Conversion from ${from} to ${to} is not supported`);
+  }
+
+  const report = new ConversionReport();
+  const model = parsers[from](source, report);
+  const emit = emitters[to][model.kind];
+  if (!emit) {
+    throw new ConversionError(`${model.kind === 'sequence' ? 'Sequence' : 'Flowchart'} diagrams cannot be converted to ${to}`);
+  }
+  if (model.kind === 'sequence' ? model.participants.length === 0 : model.nodes.length === 0) {
+    throw new ConversionError(`No ${model.kind} diagram content was recognised in the ${from} source`);
+  }
+
+  return {
+    kind: model.kind,
+    source: `${emit(model, report)}\n`,
+    report: report.toJSON()
+  };
+}
+
+module.exports = {
+  convertDiagram,
+  ConversionError,
+  languages
+};
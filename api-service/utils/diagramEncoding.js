@@ -0,0 +1,44 @@
+const zlib = require('zlib');
+
+// Upper bound for inflated source, protects against deflate bombs in GET URLs
+const MAX_DECODED_SIZE = 512 * 1024;
+
+// Encode diagram source the way Kroki does: deflate + base64url
+function encodeDiagramSource(source) {
+  return zlib.deflateSync(Buffer.from(source, 'utf8'), { level: 9 })
+    .toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+// Decode a Kroki-style encoded diagram. Accepts zlib-wrapped (Kroki, pako.deflate)
+// and raw deflate (PlantUML-server style tooling) payloads.
+function decodeDiagramSource(encoded) {
+  if (typeof encoded !== 'string' || !/^[A-Za-z0-9_\-+/=]+$/.test(encoded)) {
+    throw new Error('Encoded diagram must be base64url encoded');
+  }
+
+  const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+  const compressed = Buffer.from(base64, 'base64');
+  const inflateOptions = { maxOutputLength: MAX_DECODED_SIZE };
+
+  let inflated;
+  try {
+    inflated = zlib.inflateSync(compressed, inflateOptions);
+  } catch (error) {
+    try {
+      inflated = zlib.inflateRawSync(compressed, inflateOptions);
+    } catch (rawError) {
+      throw new Error('Encoded diagram could not be decompressed');
+    }
+  }
+
+  return inflated.toString('utf8');
+}
+
+module.exports = {
+  encodeDiagramSource,
+  decodeDiagramSource,
+  MAX_DECODED_SIZE
+};
@@ -0,0 +1,246 @@
+const { renderService } = require('./renderService');
+const { logger } = require('./logger');
+const { processSvg, diagramTitle } = require('./svgProcessor');
+
+// Fence languages that map onto a FormatManager diagram type under another name
+const languageAliases = {
+  dot: 'graphviz',
+  gv: 'graphviz',
+  puml: 'plantuml',
+  uml: 'plantuml',
+  c4: 'c4plantuml'
+};
+
+const documentExtensions = {
+  markdown: 'md',
+  asciidoc: 'adoc'
+};
+
+const resolveDiagramType = (language) => {
+  if (!language) {
+    return null;
+  }
+
+  const normalized = language.toLowerCase().replace(/^[{.]+|}$/g, '');
+  const diagramType = languageAliases[normalized] || normalized;
+  return renderService.formatManager.diagramTypes[diagramType] ? diagramType : null;
+};
+
+// Markdown fenced blocks: ```lang / ~~~lang, closed by the same fence character
+function findMarkdownBlocks(lines) {
+  const blocks = [];
+  let open = null;
+
+  lines.forEach((line, i) => {
+    if (!open) {
+      const match = line.match(/^ {0,3}(`{3,}|~{3,})\s*([^\s`]*)/);
+      if (match) {
+        open = { fence: match[1], language: match[2], start: i, body: [] };
+      }
+      return;
+    }
+
+    const closing = line.match(/^ {0,3}(`{3,}|~{3,})\s*$/);
+    if (closing && closing[1][0] === open.fence[0] && closing[1].length >= open.fence.length) {
+      const diagramType = resolveDiagramType(open.language);
+      if (diagramType) {
+        blocks.push({
+          diagramType,
+          language: open.language,
+          source: open.body.join('\n'),
+          startLine: open.start,
+          endLine: i
+        });
+      }
+      open = null;
+      return;
+    }
+
+    open.body.push(line);
+  });
+
+  return blocks;
+}
+
+// AsciiDoc blocks: [plantuml, target, format] or [source,plantuml] followed by ---- or .... delimiters
+function findAsciiDocBlocks(lines) {
+  const blocks = [];
+
+  for (let i = 0; i < lines.length - 1; i++) {
+    const attributes = lines[i].match(/^\[([^\]]+)\]\s*$/);
+    const delimiter = lines[i + 1].match(/^(-{4,}|\.{4,})\s*$/);
+    if (!attributes || !delimiter) {
+      continue;
+    }
+
+    const parts = attributes[1].split(',').map(part => part.trim());
+    const isSource = parts[0] === 'source';
+    const language = isSource ? parts[1] : parts[0];
+    const diagramType = resolveDiagramType(language);
+    if (!diagramType) {
+      continue;
+    }
+
+    const end = lines.findIndex((line, j) => j > i + 1 && line.trim() === delimiter[1]);
+    if (end === -1) {
+      continue;
+    }
+
+    const target = !isSource && parts[1] && !parts[1].includes('=') ? parts[1] : undefined;
+    const format = !isSource && parts[2] && !parts[2].includes('=') ? parts[2].toLowerCase() : undefined;
+
+    blocks.push({
+      diagramType,
+      language,
+      source: lines.slice(i + 2, end).join('\n'),
+      startLine: i,
+      endLine: end,
+      target,
+      format
+    });
+    i = end;
+  }
+
+  return blocks;
+}
+
+// Locate renderable diagram blocks; line numbers are 0-based and inclusive
+function findDiagramBlocks(document, syntax = 'markdown') {
+  const lines = document.split(/\r?\n/);
+  const blocks = syntax === 'asciidoc' ? findAsciiDocBlocks(lines) : findMarkdownBlocks(lines);
+  return blocks.map((block, index) => ({ index, ...block }));
+}
+
+const safeFileName = (name) => name.replace(/[^\w.-]+/g, '-').replace(/^[.-]+/, '') || null;
+
+// Pick the block's requested format, else the document format, else whatever the type can do
+const chooseFormat = (block, requestedFormat) => {
+  const { formatManager } = renderService;
+  const candidates = [block.format, requestedFormat, 'svg', 'png'].filter(Boolean);
+  return candidates.find(format => formatManager.isFormatSupported(block.diagramType, format));
+};
+
+const diagramLabel = block => `${block.diagramType} diagram ${block.index + 1}`;
+
+// Inline SVG shares the page with the document, so it is sanitized like any other
+// SVG response (no prolog, scripts or event handlers) and its ids scoped per block
+const inlineReplacement = (syntax, block, svg) => {
+  const inline = processSvg(svg, {
+    namespace: `d${block.index + 1}`,
+    title: diagramTitle(block.source) || diagramLabel(block)
+  });
+  const markup = `<div class="diagram diagram-${block.diagramType}">\n${inline}\n</div>`;
+  return syntax === 'asciidoc' ? `++++\n${markup}\n++++` : markup;
+};
+
+const imageReplacement = (syntax, block, path) => {
+  const alt = diagramLabel(block);
+  return syntax === 'asciidoc' ? `image::${path}[${alt}]` : `![${alt}](${path})`;
+};
+
+// Render every diagram block in a Markdown/AsciiDoc document.
+// output 'inline' embeds SVG markup; output 'files' links images returned in `files`.
+async function renderDocument(document, options = {}) {
+  const {
+    syntax = 'markdown',
+    output = 'inline',
+    format = 'svg',
+    imagesDir = 'images'
+  } = options;
+
+  const eol = document.includes('\r\n') ? '\r\n' : '\n';
+  const lines = document.split(/\r?\n/);
+  const blocks = findDiagramBlocks(document, syntax);
+  const replacements = new Map();
+  const diagrams = [];
+  const files = [];
+
+  for (const block of blocks) {
+    const blockFormat = output === 'inline' ? 'svg' : chooseFormat(block, format);
+    const report = {
+      index: block.index,
+      diagramType: block.diagramType,
+      line: block.startLine + 1,
+      format: blockFormat
+    };
+
+    if (!blockFormat || !renderService.formatManager.isFormatSupported(block.diagramType, blockFormat)) {
+      diagrams.push({
+        ...report,
+        success: false,
+        error: `Diagram type ${block.diagramType} cannot be rendered as ${blockFormat || format}`
+      });
+      continue;
+    }
+
+    try {
+      // Inline SVG goes into the document itself, which already holds the source
+      const result = await renderService.render(block.source, {
+        diagramType: block.diagramType,
+        format: blockFormat,
+        embed: output !== 'inline'
+      });
+
+      if (output === 'inline') {
+        replacements.set(block.startLine, inlineReplacement(syntax, block, result.data.toString('utf8')));
+      } else {
+        const baseName = (block.target && safeFileName(block.target)) || `diagram-${block.index + 1}`;
+        let path = `${imagesDir}/${baseName}.${blockFormat}`;
+        if (files.some(file => file.path === path)) {
+          path = `${imagesDir}/${baseName}-${block.index + 1}.${blockFormat}`;
+        }
+        files.push({ path, data: result.data, mimeType: result.mimeType });
+        replacements.set(block.startLine, imageReplacement(syntax, block, path));
+        report.file = path;
+      }
+
+      diagrams.push({ ...report, success: true, size: result.data.length, cached: result.cacheStatus === 'HIT' });
+    } catch (error) {
+      logger.warn('Document diagram block failed to render', {
+        index: block.index,
+        diagramType: block.diagramType,
+        line: block.startLine + 1,
+        error: error.message
+      });
+
+      // Diagnostics point at document lines; block content starts after the opening line(s)
+      const contentStart = block.startLine + (syntax === 'asciidoc' ? 2 : 1);
+      diagrams.push({
+        ...report,
+        success: false,
+        error: error.message,
+        diagnostics: (error.diagnostics || []).map(diagnostic => ({
+          ...diagnostic,
+          line: diagnostic.line && diagnostic.line + contentStart,
+          excerpt: diagnostic.excerpt.map(entry => ({ ...entry, line: entry.line + contentStart }))
+        }))
+      });
+    }
+  }
+
+  // Rebuild the document, swapping each rendered block for its replacement
+  const rewritten = [];
+  for (let i = 0; i < lines.length; i++) {
+    const block = replacements.has(i) && blocks.find(b => b.startLine === i);
+    if (block) {
+      rewritten.push(replacements.get(i));
+      i = block.endLine;
+    } else {
+      rewritten.push(lines[i]);
+    }
+  }
+
+  return {
+    document: rewritten.join(eol),
+    syntax,
+    diagrams,
+    files
+  };
+}
+
+module.exports = {
+  findDiagramBlocks,
+  renderDocument,
+  resolveDiagramType,
+  documentExtensions
+};
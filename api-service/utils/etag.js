@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+
+// Validators for rendered diagrams. The ETag is derived from the render cache key
+// (prepared source, format and options) and the renderer version, so it can be
+// checked before anything is rendered, and a Kroki/PlantUML upgrade changes every
+// tag. RENDERER_VERSION pins the version; otherwise Kroki's /health reports it.
+
+let rendererVersion = process.env.RENDERER_VERSION || 'unknown';
+
+const getRendererVersion = () => rendererVersion;
+
+// Returns true when the version changed
+const setRendererVersion = (version) => {
+  if (process.env.RENDERER_VERSION || !version || String(version) === rendererVersion) {
+    return false;
+  }
+  rendererVersion = String(version);
+  return true;
+};
+
+// Weak ETag for a rendering. It is known before anything is rendered, so it can't
+// tell apart the bytes of a Kroki render, a local fallback render or a stale cached
+// copy; those are equivalent renderings of the same diagram, not identical bodies.
+// The caller's source is embedded in the output after the cache, so when it is
+// (`embed`), it is part of the tag too.
+const diagramETag = (cacheKey, { source, embed = true } = {}) => {
+  const hash = crypto.createHash('sha256')
+    .update(cacheKey)
+    .update('\0')
+    .update(rendererVersion);
+  if (embed && source !== undefined) {
+    hash.update('\0').update(source);
+  }
+  return `W/"${hash.digest('base64url')}"`;
+};
+
+// If-None-Match uses the weak comparison (RFC 9110 13.1.2), so W/ prefixes are ignored
+const matchesIfNoneMatch = (header, etag) => {
+  if (!header) {
+    return false;
+  }
+  if (header.trim() === '*') {
+    return true;
+  }
+  const opaque = etag.replace(/^W\//, '');
+  return header.split(',').some(candidate => candidate.trim().replace(/^W\//, '') === opaque);
+};
+
+// If-Modified-Since only counts without If-None-Match, and only for GET/HEAD
+const notModifiedSince = (req, lastModified) => {
+  const header = req.get('If-Modified-Since');
+  if (!header || !lastModified || req.get('If-None-Match') || !['GET', 'HEAD'].includes(req.method)) {
+    return false;
+  }
+  const since = Date.parse(header);
+  // HTTP dates have second precision
+  return !Number.isNaN(since) && Math.floor(new Date(lastModified).getTime() / 1000) * 1000 <= since;
+};
+
+// Sets the validators on the response and, when the client's copy is current,
+// answers 304 and returns true. Generation POSTs are idempotent renders, so they
+// get a 304 as well rather than the 412 RFC 9110 prescribes for unsafe methods.
+const sendNotModified = (req, res, { etag, lastModified, cacheControl } = {}) => {
+  res.set({
+    ...(etag && { 'ETag': etag }),
+    ...(lastModified && { 'Last-Modified': new Date(lastModified).toUTCString() }),
+    ...(cacheControl && { 'Cache-Control': cacheControl })
+  });
+
+  if ((etag && matchesIfNoneMatch(req.get('If-None-Match'), etag)) || notModifiedSince(req, lastModified)) {
+    res.status(304).end();
+    return true;
+  }
+  return false;
+};
+
+module.exports = {
+  diagramETag,
+  getRendererVersion,
+  setRendererVersion,
+  matchesIfNoneMatch,
+  sendNotModified
+};
@@ -1,10 +1,23 @@
-const axios = require('axios');
 const sharp = require('sharp');
 const { logger } = require('./logger');
+const { createDefaultBackends } = require('./rendererBackends');
+const { RENDER_DPI, resizedSize, assertImageSize } = require('./imageTransform');
+const { processSvg, diagramTitle } = require('./svgProcessor');
+const { PRINT_DPI } = require('./printProfile');
+const { diagramTypes, formatsFor, supportsFormat } = require('./diagramCapabilities');
+
+const TRANSPARENT = { r: 0, g: 0, b: 0, alpha: 0 };
+
+// Carry a requested (transform or print) DPI into the re-encoded image's density metadata
+const withDensity = (pipeline, options = {}) => {
+  const dpi = (options.transform && options.transform.dpi) || (options.print && options.print.dpi);
+  return dpi ? pipeline.withMetadata({ density: dpi }) : pipeline;
+};
 
 class FormatManager {
-  constructor(krokiUrl) {
+  constructor(krokiUrl, options = {}) {
     this.krokiUrl = krokiUrl;
+    this.backends = options.backends || createDefaultBackends(krokiUrl);
     this.supportedFormats = {
       png: {
         mimeType: 'image/png',
@@ -18,7 +31,8 @@ class FormatManager {
         endpoint: 'svg',
         maxSize: 5 * 1024 * 1024, // 5MB
         compression: false,
-        validate: this.validateSVG.bind(this)
+        validate: this.validateSVG.bind(this),
+        postProcess: this.processSVG.bind(this)
       },
       pdf: {
         mimeType: 'application/pdf',
@@ -42,24 +56,49 @@ class FormatManager {
         compression: true,
         validate: this.validateWebP.bind(this),
         postProcess: this.convertToWebP.bind(this)
+      },
+      txt: {
+        mimeType: 'text/plain; charset=utf-8',
+        endpoint: 'txt', // ASCII art
+        maxSize: 1024 * 1024, // 1MB
+        compression: false,
+        validate: this.validateText.bind(this)
+      },
+      utxt: {
+        mimeType: 'text/plain; charset=utf-8',
+        endpoint: 'utxt', // Unicode box-drawing art, local PlantUML jar only
+        maxSize: 1024 * 1024, // 1MB
+        compression: false,
+        validate: this.validateText.bind(this)
+      },
+      tiff: {
+        mimeType: 'image/tiff',
+        endpoint: 'svg', // Rasterized from SVG at print resolution
+        maxSize: 50 * 1024 * 1024, // 50MB
+        compression: false,
+        validate: this.validateTIFF.bind(this),
+        postProcess: this.convertToTIFF.bind(this)
+      },
+      eps: {
+        mimeType: 'application/postscript',
+        endpoint: 'eps', // Local PlantUML jar and Graphviz only
+        maxSize: 20 * 1024 * 1024, // 20MB
+        compression: false,
+        validate: this.validateEPS.bind(this)
       }
     };
 
-    this.diagramTypes = {
-      plantuml: ['png', 'svg', 'pdf'],
-      mermaid: ['png', 'svg', 'pdf'],
-      graphviz: ['png', 'svg', 'pdf'],
-      ditaa: ['png', 'svg'],
-      blockdiag: ['png', 'svg'],
-      bpmn: ['png', 'svg'],
-      bytefield: ['png', 'svg'],
-      seqdiag: ['png', 'svg'],
-      actdiag: ['png', 'svg'],
-      nwdiag: ['png', 'svg'],
-      packetdiag: ['png', 'svg'],
-      rackdiag: ['png', 'svg'],
-      c4plantuml: ['png', 'svg', 'pdf']
-    };
+    // Formats per diagram type, including derived ones (see utils/diagramCapabilities),
+    // that one of the configured backends can render: eps and utxt need a local renderer
+    this.diagramTypes = Object.fromEntries(diagramTypes.map(type => [
+      type,
+      formatsFor(type).filter(format => this.hasBackendFor(type, format))
+    ]));
+  }
+
+  hasBackendFor(diagramType, format) {
+    const { endpoint } = this.supportedFormats[format];
+    return this.backends.some(backend => backend.supports(diagramType, endpoint));
   }
 
   // Check if format is supported for diagram type
@@ -68,6 +107,20 @@ class FormatManager {
     return supportedFormats && supportedFormats.includes(format.toLowerCase());
   }
 
+  // 400 error body for a format the diagram type can't be rendered in here; a format
+  // the type has in general is reported as unavailable rather than unsupported
+  formatError(diagramType, format) {
+    const unavailable = supportsFormat(diagramType, format);
+
+    return {
+      type: unavailable ? 'FORMAT_UNAVAILABLE' : 'UNSUPPORTED_FORMAT',
+      message: unavailable
+        ? `Format ${format} is unavailable for diagram type ${diagramType}: no configured renderer produces it`
+        : `Format ${format} is not supported for diagram type ${diagramType}`,
+      supportedFormats: this.getFormatRecommendations(diagramType)
+    };
+  }
+
   // Get format configuration
   getFormatConfig(format) {
     return this.supportedFormats[format.toLowerCase()];
@@ -89,9 +142,10 @@ class FormatManager {
     try {
       const startTime = Date.now();
 
-      // Generate base format (PNG for conversions, direct for others)
-      const endpoint = formatConfig.endpoint;
-      const krokiUrl = `${this.krokiUrl}/${diagramType}/${endpoint}`;
+      // Generate base format (PNG for conversions, direct for others).
+      // Print PNGs are rasterized from SVG like TIFF.
+      const print = options.print && formatLower === 'png' ? options.print : null;
+      const endpoint = print ? 'svg' : formatConfig.endpoint;
 
       logger.info('Generating diagram', {
         diagramType,
@@ -100,36 +154,36 @@ class FormatManager {
         umlLength: umlCode.length
       });
 
-      const response = await axios.post(krokiUrl, umlCode, {
-        responseType: 'arraybuffer',
-        timeout: 30000,
-        maxContentLength: formatConfig.maxSize,
-        maxBodyLength: formatConfig.maxSize,
-        headers: {
-          'Content-Type': 'text/plain',
-          'User-Agent': 'UML-Images-Service/2.0',
-          'Accept': formatConfig.mimeType
-        },
-        validateStatus: (status) => status < 500
-      });
+      const rendered = await this.renderWithBackends(umlCode, diagramType, endpoint, formatConfig);
 
-      if (response.status !== 200) {
-        throw new Error(`Kroki service returned status ${response.status}`);
+      let diagramData = rendered.data;
+      let actualMimeType = formatConfig.mimeType;
+
+      // Validate the response against the format that was requested from the renderer
+      const endpointConfig = this.supportedFormats[endpoint] || formatConfig;
+      if (!endpointConfig.validate(diagramData)) {
+        throw new Error(`Invalid ${endpoint.toUpperCase()} response from diagram service`);
       }
 
-      let diagramData = response.data;
-      let actualMimeType = formatConfig.mimeType;
+      // Geometry transforms run on the rendered PNG, before format conversion
+      if (options.transform && endpoint === 'png') {
+        diagramData = await this.transformImage(diagramData, options.transform);
+      }
 
-      // Validate the response
-      if (!formatConfig.validate(diagramData)) {
-        throw new Error(`Invalid ${format.toUpperCase()} response from diagram service`);
+      if (print) {
+        diagramData = await this.rasterizeSVG(diagramData, { ...print, format: 'png' });
       }
 
       // Post-process if needed (e.g., PNG to JPEG conversion)
       if (formatConfig.postProcess) {
-        const processResult = await formatConfig.postProcess(diagramData, options);
+        const processResult = await formatConfig.postProcess(diagramData, { ...options, source: umlCode });
         diagramData = processResult.data;
         actualMimeType = processResult.mimeType || actualMimeType;
+
+        // Conversions are checked against the format they produce
+        if (endpoint !== formatLower && !formatConfig.validate(diagramData)) {
+          throw new Error(`Invalid ${format.toUpperCase()} output after conversion`);
+        }
       }
 
       // Apply compression if supported
@@ -142,6 +196,7 @@ class FormatManager {
       logger.info('Diagram generated successfully', {
         diagramType,
         format: formatLower,
+        renderer: rendered.backend,
         size: diagramData.length,
         duration
       });
@@ -154,6 +209,8 @@ class FormatManager {
           size: diagramData.length,
           duration,
           diagramType,
+          renderer: rendered.backend,
+          ...(rendered.fallback && { fallback: true }),
           generatedAt: new Date().toISOString(),
           ...options
         }
@@ -170,6 +227,88 @@ class FormatManager {
     }
   }
 
+  // Backends able to render this type/format, healthy ones first, then by priority.
+  // If every candidate is unhealthy they are all tried anyway rather than failing outright.
+  selectBackends(diagramType, endpoint) {
+    const candidates = this.backends
+      .filter(backend => backend.supports(diagramType, endpoint))
+      .sort((a, b) => a.priority - b.priority);
+
+    const available = candidates.filter(backend => backend.isAvailable());
+    if (available.length === 0) {
+      return candidates;
+    }
+
+    return available.sort((a, b) => {
+      if (a.health.healthy !== b.health.healthy) {
+        return a.health.healthy ? -1 : 1;
+      }
+      return a.priority - b.priority;
+    });
+  }
+
+  // Render through the selected backends, failing over on infrastructure errors.
+  // Errors caused by the diagram source are returned straight away. `fallback` marks
+  // output from a backend other than the preferred (lowest priority) candidate.
+  async renderWithBackends(umlCode, diagramType, endpoint, formatConfig) {
+    const backends = this.selectBackends(diagramType, endpoint);
+
+    if (backends.length === 0) {
+      const error = new Error(`No renderer backend available for ${diagramType}/${endpoint}`);
+      error.type = 'RENDERER_UNAVAILABLE';
+      throw error;
+    }
+
+    const preferred = backends.reduce((best, backend) => (backend.priority < best.priority ? backend : best));
+    let lastError = null;
+
+    for (const backend of backends) {
+      try {
+        const data = await backend.render(umlCode, diagramType, endpoint, {
+          maxSize: formatConfig.maxSize,
+          mimeType: formatConfig.mimeType
+        });
+        backend.recordSuccess();
+        return { data, backend: backend.name, fallback: backend !== preferred };
+      } catch (error) {
+        if (error.clientError) {
+          backend.recordSuccess();
+          throw error;
+        }
+
+        backend.recordFailure(error);
+        lastError = error;
+
+        logger.warn('Renderer backend failed, trying next', {
+          backend: backend.name,
+          diagramType,
+          endpoint,
+          error: error.message
+        });
+      }
+    }
+
+    throw lastError;
+  }
+
+  // Actively probe every backend and update its health state
+  async checkBackendHealth() {
+    await Promise.all(this.backends.map(async (backend) => {
+      const healthy = await backend.checkHealth();
+      if (healthy) {
+        backend.recordSuccess();
+      } else {
+        backend.markUnhealthy(new Error('Health check failed'));
+      }
+    }));
+
+    return this.getBackendStatus();
+  }
+
+  getBackendStatus() {
+    return this.backends.map(backend => backend.getStatus());
+  }
+
   // Batch generate multiple formats
   async generateMultipleFormats(umlCode, diagramType, formats, options = {}) {
     const results = {};
@@ -233,13 +372,54 @@ class FormatManager {
     return riffHeader === 'RIFF' && webpHeader === 'WEBP';
   }
 
+  // Text (ASCII/Unicode art) validation: UTF-8 without NUL bytes, and not an HTML/XML error page
+  validateText(data) {
+    if (!data || data.length === 0 || data.includes(0)) {
+      return false;
+    }
+    const text = data.toString('utf8');
+    return !text.includes('\uFFFD') && !/^\s*<(?:\?xml|!doctype|html|svg)/i.test(text);
+  }
+
+  // TIFF validation (little- or big-endian byte order mark plus magic number 42)
+  validateTIFF(data) {
+    if (!data || data.length < 8) {
+      return false;
+    }
+    const header = data.slice(0, 4).toString('latin1');
+    return header === 'II*\0' || header === 'MM\0*';
+  }
+
+  // EPS validation: PostScript header declaring EPSF conformance
+  validateEPS(data) {
+    if (!data || data.length < 16) {
+      return false;
+    }
+    const firstLine = data.slice(0, 64).toString('latin1').split(/\r?\n/)[0];
+    return firstLine.startsWith('%!PS-Adobe-') && firstLine.includes('EPSF');
+  }
+
+  // Sanitize, minify, label and namespace SVG output (see utils/svgProcessor).
+  // The title defaults to the diagram's own `title` line.
+  async processSVG(svgData, options = {}) {
+    const { title, description } = options.svg || {};
+
+    return {
+      data: processSvg(svgData, {
+        title: title || diagramTitle(options.source) || undefined,
+        description
+      }),
+      mimeType: 'image/svg+xml'
+    };
+  }
+
   // Convert PNG to JPEG
   async convertToJPEG(pngData, options = {}) {
     try {
       const quality = options.quality || 85;
       const progressive = options.progressive !== false;
 
-      const jpegData = await sharp(pngData)
+      const jpegData = await withDensity(sharp(pngData), options)
         .jpeg({
           quality,
           progressive,
@@ -263,7 +443,7 @@ class FormatManager {
       const quality = options.quality || 80;
       const lossless = options.lossless || false;
 
-      const webpData = await sharp(pngData)
+      const webpData = await withDensity(sharp(pngData), options)
         .webp({
           quality: lossless ? undefined : quality,
           lossless,
@@ -281,6 +461,95 @@ class FormatManager {
     }
   }
 
+  // Rasterize SVG at print resolution. SVG user units are CSS pixels (96 per inch) while
+  // sharp's density counts points (72 per inch), hence the conversion.
+  async rasterizeSVG(svgData, { dpi = PRINT_DPI, colorSpace = 'srgb', format = 'png' } = {}) {
+    const density = dpi * 72 / RENDER_DPI;
+    const { width, height } = await sharp(svgData).metadata();
+    const factor = dpi / RENDER_DPI;
+
+    assertImageSize({ width: Math.round(width * factor), height: Math.round(height * factor) }, `Diagram at ${dpi} DPI`);
+
+    let pipeline = sharp(svgData, { density }).withMetadata({ density: dpi });
+
+    if (format === 'tiff') {
+      // CMYK separations have no alpha channel; print on white
+      if (colorSpace === 'cmyk') {
+        pipeline = pipeline.flatten({ background: '#ffffff' }).toColourspace('cmyk');
+      }
+      return pipeline
+        .tiff({ compression: 'lzw', xres: dpi / 25.4, yres: dpi / 25.4, resolutionUnit: 'inch' })
+        .toBuffer();
+    }
+
+    return pipeline.png().toBuffer();
+  }
+
+  // SVG to print TIFF
+  async convertToTIFF(svgData, options = {}) {
+    const { dpi, colorSpace } = options.print || {};
+
+    try {
+      return {
+        data: await this.rasterizeSVG(svgData, { dpi, colorSpace, format: 'tiff' }),
+        mimeType: 'image/tiff'
+      };
+    } catch (error) {
+      if (error.type) {
+        throw error;
+      }
+      logger.error('SVG to TIFF conversion failed', { error: error.message });
+      throw new Error('Failed to convert SVG to TIFF');
+    }
+  }
+
+  // Resize, pad and recolor a rendered PNG (see utils/imageTransform for the options)
+  async transformImage(pngData, transform) {
+    const { scale = 1, width, height, fit = 'inside', dpi, background, padding = 0 } = transform;
+    const fillColor = background === 'transparent' ? TRANSPARENT : (background || '#ffffff');
+    const metadata = await sharp(pngData).metadata();
+
+    let pipeline = sharp(pngData);
+
+    // An explicit color replaces the renderer's transparent areas
+    if (background && background !== 'transparent') {
+      pipeline = pipeline.flatten({ background });
+    }
+
+    let targetWidth = width;
+    let targetHeight = height;
+    if (!width && !height) {
+      const factor = scale * (dpi ? dpi / RENDER_DPI : 1);
+      targetWidth = Math.round(metadata.width * factor);
+      targetHeight = Math.round(metadata.height * factor);
+    }
+
+    const size = resizedSize(metadata, { width: targetWidth, height: targetHeight, fit });
+    assertImageSize({ width: size.width + 2 * padding, height: size.height + 2 * padding }, 'Transformed image');
+
+    if (targetWidth !== metadata.width || targetHeight !== metadata.height) {
+      pipeline = pipeline.resize({
+        width: targetWidth,
+        height: targetHeight,
+        fit,
+        background: fillColor
+      });
+    }
+
+    if (padding > 0) {
+      // Materialise the resize first so the padding isn't scaled with it
+      pipeline = sharp(await pipeline.png().toBuffer()).extend({
+        top: padding,
+        bottom: padding,
+        left: padding,
+        right: padding,
+        background: fillColor
+      });
+    }
+
+    return withDensity(pipeline, { transform }).png().toBuffer();
+  }
+
   // Image compression for supported formats
   async compressImage(imageData, format, options = {}) {
     if (!['png', 'jpeg', 'webp'].includes(format)) {
@@ -288,7 +557,7 @@ class FormatManager {
     }
 
     try {
-      const pipeline = sharp(imageData);
+      const pipeline = withDensity(sharp(imageData), options);
       const compressionLevel = options.compressionLevel || 'balanced';
 
       switch (format) {
@@ -333,7 +602,7 @@ class FormatManager {
   getOptimalFormat(useCase, diagramType) {
     const useCases = {
       web: 'webp', // Best compression for web
-      print: 'pdf',  // Vector format for printing
+      print: 'tiff', // Rasterized from SVG at print DPI (see getPrintProfile)
       email: 'png',  // Wide compatibility
       mobile: 'webp', // Small size for mobile
       documentation: 'svg', // Scalable for docs
@@ -352,6 +621,19 @@ class FormatManager {
     return 'png';
   }
 
+  // Settings for print production: a 300-DPI (PRINT_DPI) TIFF rasterized from vector
+  // output, with the vector formats a print vendor may take instead
+  getPrintProfile(diagramType) {
+    const format = this.getOptimalFormat('print', diagramType);
+
+    return {
+      format,
+      dpi: PRINT_DPI,
+      cmyk: false,
+      alternatives: ['pdf', 'eps'].filter(alternative => this.isFormatSupported(diagramType, alternative))
+    };
+  }
+
   // Get format recommendations
   getFormatRecommendations(diagramType) {
     const supported = this.diagramTypes[diagramType.toLowerCase()] || ['png'];
@@ -0,0 +1,137 @@
+const { body } = require('express-validator');
+
+// Geometry options for raster output. Transforms run on the rendered PNG
+// (FormatManager.transformImage) before JPEG/WebP conversion.
+const rasterFormats = ['png', 'jpeg', 'webp'];
+const fitModes = ['inside', 'contain', 'cover', 'fill', 'outside'];
+
+// Renderers produce PNGs at 96 DPI; a higher dpi scales the image up accordingly
+const RENDER_DPI = 96;
+const MAX_DIMENSION = parseInt(process.env.MAX_IMAGE_DIMENSION || '16384');
+// Total pixels of any rasterized or transformed image (50 MP by default); the
+// per-side limit alone still allows a 268 MP square
+const MAX_PIXELS = parseInt(process.env.MAX_IMAGE_PIXELS || '50000000');
+
+const transformKeys = ['scale', 'width', 'height', 'fit', 'dpi', 'background', 'padding'];
+const numericKeys = ['scale', 'width', 'height', 'dpi', 'padding'];
+
+// Stable, minimal form of a transform for the cache key; null when nothing applies
+function normalizeTransform(transform, format = 'png') {
+  if (!transform || !rasterFormats.includes(format.toLowerCase())) {
+    return null;
+  }
+
+  const normalized = {};
+  transformKeys.forEach((key) => {
+    if (transform[key] === undefined || transform[key] === null) {
+      return;
+    }
+    normalized[key] = numericKeys.includes(key) ? Number(transform[key]) : String(transform[key]).toLowerCase();
+  });
+
+  if ((normalized.width || normalized.height) && !normalized.fit) {
+    normalized.fit = 'inside';
+  } else if (!normalized.width && !normalized.height) {
+    delete normalized.fit;
+  }
+  if (normalized.scale === 1) {
+    delete normalized.scale;
+  }
+  if (normalized.padding === 0) {
+    delete normalized.padding;
+  }
+
+  return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+// Size of an image after sharp's resize: a single side keeps the aspect ratio,
+// inside/outside fit the image within/around the box and other fits fill it
+function resizedSize(source, { width, height, fit = 'inside' }) {
+  if (!width && !height) {
+    return { width: source.width, height: source.height };
+  }
+  if (!width || !height) {
+    const factor = width ? width / source.width : height / source.height;
+    return { width: Math.round(source.width * factor), height: Math.round(source.height * factor) };
+  }
+  if (fit === 'inside' || fit === 'outside') {
+    const pick = fit === 'inside' ? Math.min : Math.max;
+    const factor = pick(width / source.width, height / source.height);
+    return { width: Math.round(source.width * factor), height: Math.round(source.height * factor) };
+  }
+  return { width, height };
+}
+
+// Reject an output image over MAX_DIMENSION per side or MAX_PIXELS in total
+function assertImageSize({ width, height }, subject) {
+  let limit = null;
+  if (width > MAX_DIMENSION || height > MAX_DIMENSION) {
+    limit = `${MAX_DIMENSION}px`;
+  } else if (width * height > MAX_PIXELS) {
+    limit = `${MAX_PIXELS} pixels`;
+  }
+
+  if (limit) {
+    const error = new Error(`${subject} would exceed ${limit} (${width}x${height})`);
+    error.type = 'INVALID_TRANSFORM';
+    throw error;
+  }
+}
+
+// express-validator chains for a transform object at the given body field
+const transformValidators = (field = 'transform') => [
+  body(field)
+    .optional()
+    .isObject()
+    .withMessage('Transform must be an object')
+    .custom((transform, { req }) => {
+      const format = (req.body.format || 'png').toLowerCase();
+      if (!rasterFormats.includes(format)) {
+        throw new Error(`Image transforms apply to ${rasterFormats.join(', ')} output only`);
+      }
+      if (transform.scale !== undefined && (transform.width !== undefined || transform.height !== undefined)) {
+        throw new Error('Use either scale or width/height, not both');
+      }
+      if (transform.background === 'transparent' && format === 'jpeg') {
+        throw new Error('JPEG output cannot have a transparent background');
+      }
+      return true;
+    }),
+  body(`${field}.scale`)
+    .optional()
+    .isFloat({ min: 0.1, max: 10 })
+    .withMessage('Scale must be between 0.1 and 10'),
+  body([`${field}.width`, `${field}.height`])
+    .optional()
+    .isInt({ min: 1, max: MAX_DIMENSION })
+    .withMessage(`Width and height must be between 1 and ${MAX_DIMENSION} pixels`),
+  body(`${field}.fit`)
+    .optional()
+    .isIn(fitModes)
+    .withMessage(`Fit must be one of: ${fitModes.join(', ')}`),
+  body(`${field}.dpi`)
+    .optional()
+    .isInt({ min: 36, max: 1200 })
+    .withMessage('DPI must be between 36 and 1200'),
+  body(`${field}.background`)
+    .optional()
+    .isString()
+    .matches(/^(transparent|#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})|[a-z]{3,20})$/i)
+    .withMessage('Background must be "transparent", a hex color or a color name'),
+  body(`${field}.padding`)
+    .optional()
+    .isInt({ min: 0, max: 1000 })
+    .withMessage('Padding must be between 0 and 1000 pixels')
+];
+
+module.exports = {
+  normalizeTransform,
+  transformValidators,
+  resizedSize,
+  assertImageSize,
+  rasterFormats,
+  fitModes,
+  RENDER_DPI,
+  MAX_DIMENSION,
+  MAX_PIXELS
+};
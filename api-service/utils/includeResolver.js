@@ -0,0 +1,224 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+const { toSourceLines, joinSourceLines } = require('./sourceLines');
+
+// Vetted PlantUML include library, versioned by include-library/manifest.json
+const DEFAULT_LIBRARY_PATH = path.join(__dirname, '..', 'include-library');
+const MAX_INCLUDE_DEPTH = 10;
+const MAX_RESOLVED_SIZE = 2 * 1024 * 1024;
+
+// Diagram types whose source goes through the PlantUML preprocessor
+const includeDiagramTypes = ['plantuml', 'c4plantuml'];
+
+const INCLUDE_DIRECTIVE = /^\s*!(include(?:_many|_once|sub|def)?|includeurl|import)\s+(.+?)\s*$/i;
+
+class IncludeError extends Error {
+  constructor(message, { line = null, include } = {}) {
+    super(message);
+    this.name = 'IncludeError';
+    this.clientError = true;
+    this.line = line;
+    this.include = include;
+    this.diagnostics = [{ line, column: null, message, excerpt: [] }];
+  }
+}
+
+class IncludeResolver {
+  constructor(libraryPath = process.env.INCLUDE_LIBRARY_PATH || DEFAULT_LIBRARY_PATH) {
+    // Resolved so readLibraryFile's containment check also holds for a relative INCLUDE_LIBRARY_PATH
+    this.libraryPath = path.resolve(libraryPath);
+    this.manifest = null;
+    this.fileCache = new Map();
+  }
+
+  appliesTo(diagramType) {
+    return includeDiagramTypes.includes((diagramType || '').toLowerCase());
+  }
+
+  loadManifest() {
+    if (!this.manifest) {
+      try {
+        this.manifest = JSON.parse(fs.readFileSync(path.join(this.libraryPath, 'manifest.json'), 'utf8'));
+        const missing = Object.keys(this.manifest.libraries)
+          .filter(name => !fs.existsSync(path.join(this.libraryPath, name)));
+        if (missing.length) {
+          logger.warn('Include libraries are not installed, run include-library/fetch-library.sh', {
+            libraryPath: this.libraryPath,
+            missing
+          });
+        }
+      } catch (error) {
+        logger.warn('Include library manifest not found, all includes will be rejected', {
+          libraryPath: this.libraryPath,
+          error: error.message
+        });
+        this.manifest = { version: null, libraries: {} };
+      }
+    }
+    return this.manifest;
+  }
+
+  // Library names, versions and whether their files are present on disk
+  getLibraries() {
+    const manifest = this.loadManifest();
+
+    return {
+      version: manifest.version,
+      libraries: Object.entries(manifest.libraries).map(([name, library]) => ({
+        name,
+        version: library.version,
+        description: library.description,
+        example: `!include <${name}/${library.example || name}>`,
+        installed: fs.existsSync(path.join(this.libraryPath, name))
+      }))
+    };
+  }
+
+  // "<C4/C4_Container>" -> "C4/C4_Container.puml" if the library is allowlisted
+  libraryFileFor(reference) {
+    const match = reference.match(/^<([^<>]+)>$/);
+    if (!match) {
+      return null;
+    }
+
+    const relative = path.posix.normalize(match[1]);
+    const library = relative.split('/')[0];
+    if (relative.startsWith('..') || path.posix.isAbsolute(relative) || !this.loadManifest().libraries[library]) {
+      return null;
+    }
+
+    return path.posix.extname(relative) ? relative : `${relative}.puml`;
+  }
+
+  // Library files may include siblings by their upstream URL; serve those locally
+  upstreamFileFor(reference) {
+    for (const [name, library] of Object.entries(this.loadManifest().libraries)) {
+      if (library.upstream && reference.startsWith(library.upstream)) {
+        return path.posix.normalize(`${name}/${reference.slice(library.upstream.length)}`);
+      }
+    }
+    return null;
+  }
+
+  readLibraryFile(relative) {
+    if (this.fileCache.has(relative)) {
+      return this.fileCache.get(relative);
+    }
+
+    const fullPath = path.join(this.libraryPath, relative);
+    if (!fullPath.startsWith(this.libraryPath + path.sep) || !fs.existsSync(fullPath)) {
+      return null;
+    }
+
+    const content = fs.readFileSync(fullPath, 'utf8');
+    this.fileCache.set(relative, content);
+    return content;
+  }
+
+  // Throw IncludeError for the first include that isn't an allowlisted library file
+  validate(source) {
+    source.split(/\r?\n/).forEach((text, index) => {
+      const directive = text.match(INCLUDE_DIRECTIVE);
+      if (!directive) {
+        return;
+      }
+
+      const reference = directive[2];
+      const line = index + 1;
+      const relative = directive[1].toLowerCase().startsWith('include') && !/sub|def/i.test(directive[1])
+        ? this.libraryFileFor(reference)
+        : null;
+
+      if (!relative) {
+        const allowed = Object.keys(this.loadManifest().libraries).map(name => `<${name}/...>`).join(', ');
+        throw new IncludeError(
+          `Include not allowed on line ${line}: ${reference}. ` +
+          `Only standard library includes are permitted${allowed ? ` (${allowed})` : ''}`,
+          { line, include: reference }
+        );
+      }
+
+      if (!this.readLibraryFile(relative)) {
+        throw new IncludeError(`Unknown library include on line ${line}: ${reference}`, { line, include: reference });
+      }
+    });
+
+    return true;
+  }
+
+  // Inline every allowlisted include so the renderer receives self-contained source
+  resolve(source) {
+    return joinSourceLines(this.resolveLines(toSourceLines(source)));
+  }
+
+  // resolve() on source lines: inlined library content takes the line of its !include
+  resolveLines(sourceLines) {
+    this.validate(joinSourceLines(sourceLines));
+
+    const included = new Set();
+    let resolvedSize = 0;
+
+    const inline = (content, currentDir, depth) => content.split(/\r?\n/).map((text) => {
+      const directive = text.match(INCLUDE_DIRECTIVE);
+      if (!directive) {
+        return text;
+      }
+
+      const reference = directive[2];
+      let relative = this.libraryFileFor(reference);
+
+      // Library files include their siblings by relative path or upstream URL
+      if (!relative && currentDir) {
+        relative = /^[a-z]+:/i.test(reference)
+          ? this.upstreamFileFor(reference)
+          : !reference.includes('%') && path.posix.normalize(path.posix.join(currentDir, reference));
+        if (!relative || relative.startsWith('..')) {
+          relative = null;
+        }
+      }
+
+      // Conditional upstream includes inside library files are left to the preprocessor
+      if (!relative) {
+        return currentDir ? text : '';
+      }
+
+      if (included.has(relative)) {
+        return '';
+      }
+
+      if (depth >= MAX_INCLUDE_DEPTH) {
+        throw new IncludeError(`Include nesting is too deep at ${reference}`, { include: reference });
+      }
+
+      const file = this.readLibraryFile(relative);
+      if (file === null) {
+        if (currentDir) {
+          return text;
+        }
+        throw new IncludeError(`Unknown library include: ${reference}`, { include: reference });
+      }
+
+      included.add(relative);
+      resolvedSize += file.length;
+      if (resolvedSize > MAX_RESOLVED_SIZE) {
+        throw new IncludeError('Included library content is too large', { include: reference });
+      }
+
+      return inline(file, path.posix.dirname(relative), depth + 1);
+    }).join('\n');
+
+    return sourceLines.flatMap(({ text, line }) => inline(text, null, 0)
+      .split('\n')
+      .map(resolved => ({ text: resolved, line })));
+  }
+}
+
+// Singleton instance
+const includeResolver = new IncludeResolver();
+
+module.exports = {
+  IncludeResolver,
+  IncludeError,
+  includeResolver
+};
@@ -160,6 +160,7 @@ const requestLogger = (req, res, next) => {
       duration,
       ip: req.ip,
       userAgent: req.get('User-Agent'),
+      userId: req.user ? req.user.id : undefined,
       requestId: req.id
     });
   });
@@ -0,0 +1,154 @@
+// In-process LRU tier in front of Redis (see CacheManager). Bounded by bytes
+// rather than entry count since diagrams range from a few KB of SVG to
+// multi-megabyte print TIFFs. A Map keeps insertion order, so re-inserting on
+// access makes the first key the least recently used one. An entry can outlive
+// its TTL by a grace period, during which it is only handed out as stale.
+
+const MEMORY_CACHE_MAX_BYTES = parseInt(process.env.MEMORY_CACHE_MAX_BYTES || String(64 * 1024 * 1024));
+const MEMORY_CACHE_MAX_ENTRY_BYTES = parseInt(process.env.MEMORY_CACHE_MAX_ENTRY_BYTES || String(5 * 1024 * 1024));
+
+// Redis-style glob (`diagram:*`, `diagram:?bc`) as a RegExp
+const globToRegExp = (pattern) => new RegExp(`^${pattern
+  .replace(/[.+^${}()|\\]/g, '\\$&')
+  .replace(/\*/g, '.*')
+  .replace(/\?/g, '.')}$`);
+
+class MemoryCache {
+  constructor({ maxBytes = MEMORY_CACHE_MAX_BYTES, maxEntryBytes = MEMORY_CACHE_MAX_ENTRY_BYTES, onEvict = null } = {}) {
+    this.maxBytes = maxBytes;
+    this.maxEntryBytes = Math.min(maxEntryBytes, maxBytes);
+    this.onEvict = onEvict;
+    this.entries = new Map();
+    this.bytes = 0;
+    this.resetStats();
+  }
+
+  get enabled() {
+    return this.maxBytes > 0;
+  }
+
+  // Entries past their TTL but within their grace period are only returned
+  // with allowStale, flagged `stale`
+  get(key, { allowStale = false } = {}) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      this.stats.misses++;
+      return null;
+    }
+
+    const now = Date.now();
+    if (entry.expiresAt <= now) {
+      this.remove(key);
+      this.stats.misses++;
+      return null;
+    }
+
+    const stale = entry.staleAt <= now;
+    if (stale && !allowStale) {
+      this.stats.misses++;
+      return null;
+    }
+
+    // Move to the most recently used end
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    entry.hits++;
+    this.stats[stale ? 'stale' : 'hits']++;
+    return { data: entry.data, metadata: entry.metadata, stale };
+  }
+
+  // Fresh for `ttl` seconds, then kept stale for `grace` more.
+  // Returns false when the entry is too large for this tier.
+  set(key, data, metadata = {}, ttl = 3600, grace = 0) {
+    const size = data.length + Buffer.byteLength(JSON.stringify(metadata));
+    if (!this.enabled || size > this.maxEntryBytes || ttl + grace <= 0) {
+      return false;
+    }
+
+    const now = Date.now();
+    this.remove(key);
+    this.entries.set(key, {
+      data,
+      metadata,
+      size,
+      hits: 0,
+      staleAt: now + Math.max(ttl, 0) * 1000,
+      expiresAt: now + (ttl + grace) * 1000
+    });
+    this.bytes += size;
+    this.stats.sets++;
+
+    while (this.bytes > this.maxBytes) {
+      const [oldest] = this.entries.keys();
+      this.remove(oldest);
+      this.stats.evictions++;
+      if (this.onEvict) {
+        this.onEvict(oldest);
+      }
+    }
+    return true;
+  }
+
+  remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return false;
+    }
+    this.entries.delete(key);
+    this.bytes -= entry.size;
+    return true;
+  }
+
+  // Entry details without counting a lookup or touching the LRU order
+  peek(key) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      return null;
+    }
+    return { metadata: entry.metadata, size: entry.size, hits: entry.hits, staleAt: entry.staleAt, expiresAt: entry.expiresAt };
+  }
+
+  // Live entries (without data), least recently used first
+  list() {
+    const now = Date.now();
+    return [...this.entries]
+      .filter(([, entry]) => entry.expiresAt > now)
+      .map(([key, { size, hits, expiresAt }]) => ({ key, size, hits, expiresAt }));
+  }
+
+  // Deletes keys matching a Redis-style glob; returns the number removed
+  invalidatePattern(pattern) {
+    const matcher = globToRegExp(pattern);
+    let removed = 0;
+    for (const key of [...this.entries.keys()]) {
+      if (matcher.test(key) && this.remove(key)) {
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  clear() {
+    this.entries.clear();
+    this.bytes = 0;
+  }
+
+  resetStats() {
+    this.stats = { hits: 0, stale: 0, misses: 0, sets: 0, evictions: 0 };
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      entries: this.entries.size,
+      bytes: this.bytes,
+      maxBytes: this.maxBytes
+    };
+  }
+}
+
+module.exports = {
+  MemoryCache,
+  globToRegExp,
+  MEMORY_CACHE_MAX_BYTES
+};
@@ -0,0 +1,307 @@
+const { PDFDocument, StandardFonts, PageSizes, rgb } = require('pdf-lib');
+
+// Multi-page PDF booklet: optional cover, table of contents, then one page per
+// diagram (more for multi-page diagram PDFs) with a title, caption and page number.
+// Diagrams are embedded as vector pages when rendered to PDF, otherwise as images.
+
+const pageSizes = {
+  A3: PageSizes.A3,
+  A4: PageSizes.A4,
+  A5: PageSizes.A5,
+  Letter: PageSizes.Letter,
+  Legal: PageSizes.Legal,
+  Tabloid: PageSizes.Tabloid
+};
+
+const MARGIN = 48;
+const TITLE_SIZE = 16;
+const CAPTION_SIZE = 10;
+const FOOTER_SIZE = 9;
+const TOC_LINE_HEIGHT = 20;
+
+// Renderers produce 96 DPI images; PDF user space is 72 units per inch
+const PIXELS_TO_POINTS = 72 / 96;
+
+const colors = {
+  text: rgb(0.12, 0.16, 0.2),
+  muted: rgb(0.42, 0.46, 0.5),
+  rule: rgb(0.8, 0.83, 0.86)
+};
+
+// The standard PDF fonts only encode WinAnsi; keep common punctuation, replace the rest
+const toWinAnsi = text => String(text || '')
+  .replace(/[‘’]/g, '\'')
+  .replace(/[“”]/g, '"')
+  .replace(/[–—]/g, '-')
+  .replace(/\s+/g, ' ')
+  .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?')
+  .trim();
+
+const wrapText = (text, font, size, maxWidth) => {
+  const lines = [];
+  let line = '';
+
+  toWinAnsi(text).split(' ').filter(Boolean).forEach((word) => {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && font.widthOfTextAtSize(candidate, size) > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  });
+
+  if (line) {
+    lines.push(line);
+  }
+  return lines;
+};
+
+const truncateText = (text, font, size, maxWidth) => {
+  let value = toWinAnsi(text);
+  if (font.widthOfTextAtSize(value, size) <= maxWidth) {
+    return value;
+  }
+  while (value.length > 1 && font.widthOfTextAtSize(`${value}...`, size) > maxWidth) {
+    value = value.slice(0, -1);
+  }
+  return `${value}...`;
+};
+
+const resolvePageSize = (pageSize = 'A4', orientation = 'portrait') => {
+  const [width, height] = pageSizes[pageSize] || PageSizes.A4;
+  const short = Math.min(width, height);
+  const long = Math.max(width, height);
+  return orientation === 'landscape' ? [long, short] : [short, long];
+};
+
+// Embed a rendered diagram: { data, format } -> [{ object, width, height, vector }]
+async function embedDiagram(doc, image) {
+  if (image.format === 'pdf') {
+    const source = await PDFDocument.load(image.data);
+    const pages = await doc.embedPdf(image.data, source.getPageIndices());
+    return pages.map(page => ({ object: page, width: page.width, height: page.height, vector: true }));
+  }
+
+  const embedded = image.format === 'jpeg'
+    ? await doc.embedJpg(image.data)
+    : await doc.embedPng(image.data);
+
+  return [{
+    object: embedded,
+    width: embedded.width * PIXELS_TO_POINTS,
+    height: embedded.height * PIXELS_TO_POINTS,
+    vector: false
+  }];
+}
+
+// Fit a diagram into the box; vector pages may grow, images never exceed their natural size
+const drawDiagram = (page, diagram, box) => {
+  const maxScale = diagram.vector ? 2 : 1;
+  const scale = Math.min(box.width / diagram.width, box.height / diagram.height, maxScale);
+  const width = diagram.width * scale;
+  const height = diagram.height * scale;
+  const options = {
+    x: box.x + (box.width - width) / 2,
+    y: box.y + (box.height - height) / 2,
+    width,
+    height
+  };
+
+  if (diagram.vector) {
+    page.drawPage(diagram.object, options);
+  } else {
+    page.drawImage(diagram.object, options);
+  }
+};
+
+// Clickable area on a TOC line that jumps to the target page
+const addLink = (doc, page, rect, target) => {
+  const annotation = doc.context.register(doc.context.obj({
+    Type: 'Annot',
+    Subtype: 'Link',
+    Rect: rect,
+    Border: [0, 0, 0],
+    Dest: [target.ref, 'Fit']
+  }));
+  page.node.addAnnot(annotation);
+};
+
+function drawCover(page, fonts, { title, subtitle, author, diagramCount }) {
+  const { width, height } = page.getSize();
+  const textWidth = width - 2 * MARGIN;
+  let y = height * 0.62;
+
+  wrapText(title || 'Diagrams', fonts.bold, 30, textWidth).forEach((line) => {
+    page.drawText(line, { x: MARGIN, y, size: 30, font: fonts.bold, color: colors.text });
+    y -= 38;
+  });
+
+  if (subtitle) {
+    y -= 4;
+    wrapText(subtitle, fonts.regular, 16, textWidth).forEach((line) => {
+      page.drawText(line, { x: MARGIN, y, size: 16, font: fonts.regular, color: colors.muted });
+      y -= 22;
+    });
+  }
+
+  page.drawLine({
+    start: { x: MARGIN, y: y - 6 },
+    end: { x: width - MARGIN, y: y - 6 },
+    thickness: 1,
+    color: colors.rule
+  });
+
+  const details = [
+    author,
+    new Date().toISOString().slice(0, 10),
+    `${diagramCount} diagram${diagramCount === 1 ? '' : 's'}`
+  ].filter(Boolean);
+
+  details.forEach((line, index) => {
+    page.drawText(toWinAnsi(line), {
+      x: MARGIN,
+      y: y - 30 - index * 16,
+      size: 11,
+      font: fonts.regular,
+      color: colors.muted
+    });
+  });
+}
+
+function drawToc(doc, tocPages, fonts, entries, perPage) {
+  tocPages.forEach((page, pageIndex) => {
+    const { width, height } = page.getSize();
+    let y = height - MARGIN - 20;
+
+    if (pageIndex === 0) {
+      page.drawText('Contents', { x: MARGIN, y, size: 22, font: fonts.bold, color: colors.text });
+    }
+    y -= 40;
+
+    entries.slice(pageIndex * perPage, (pageIndex + 1) * perPage).forEach((entry) => {
+      const number = String(entry.pageNumber);
+      const numberWidth = fonts.regular.widthOfTextAtSize(number, 11);
+      const label = truncateText(`${entry.index + 1}. ${entry.title}`, fonts.regular, 11, width - 2 * MARGIN - numberWidth - 24);
+
+      page.drawText(label, { x: MARGIN, y, size: 11, font: fonts.regular, color: colors.text });
+      page.drawText(number, { x: width - MARGIN - numberWidth, y, size: 11, font: fonts.regular, color: colors.text });
+      addLink(doc, page, [MARGIN, y - 4, width - MARGIN, y + 12], entry.target);
+      y -= TOC_LINE_HEIGHT;
+    });
+  });
+}
+
+// items: [{ title, caption, image: { data, format: 'pdf' | 'png' | 'jpeg' } }]
+async function buildBooklet(items, options = {}) {
+  const {
+    title,
+    subtitle,
+    author,
+    cover = true,
+    toc = true,
+    pageSize = 'A4',
+    orientation = 'portrait'
+  } = options;
+
+  const doc = await PDFDocument.create();
+  const fonts = {
+    regular: await doc.embedFont(StandardFonts.Helvetica),
+    bold: await doc.embedFont(StandardFonts.HelveticaBold)
+  };
+  const size = resolvePageSize(pageSize, orientation);
+  const [pageWidth, pageHeight] = size;
+
+  doc.setTitle(toWinAnsi(title || 'Diagrams'));
+  if (author) {
+    doc.setAuthor(toWinAnsi(author));
+  }
+  doc.setCreator('UML API Service');
+
+  const embedded = [];
+  for (const item of items) {
+    embedded.push(await embedDiagram(doc, item.image));
+  }
+
+  const perPage = Math.max(1, Math.floor((pageHeight - 2 * MARGIN - 60) / TOC_LINE_HEIGHT));
+  const tocPageCount = toc ? Math.ceil(items.length / perPage) : 0;
+
+  if (cover) {
+    drawCover(doc.addPage(size), fonts, { title, subtitle, author, diagramCount: items.length });
+  }
+  const tocPages = Array.from({ length: tocPageCount }, () => doc.addPage(size));
+
+  const entries = [];
+  items.forEach((item, index) => {
+    const itemTitle = item.title || `Diagram ${index + 1}`;
+    const captionLines = wrapText(item.caption, fonts.regular, CAPTION_SIZE, pageWidth - 2 * MARGIN);
+    const captionHeight = captionLines.length > 0 ? captionLines.length * 14 + 12 : 0;
+
+    embedded[index].forEach((diagram, part) => {
+      const page = doc.addPage(size);
+      const headerY = pageHeight - MARGIN - TITLE_SIZE;
+      const heading = part === 0 ? itemTitle : `${itemTitle} (continued)`;
+
+      page.drawText(truncateText(heading, fonts.bold, TITLE_SIZE, pageWidth - 2 * MARGIN), {
+        x: MARGIN,
+        y: headerY,
+        size: TITLE_SIZE,
+        font: fonts.bold,
+        color: colors.text
+      });
+      page.drawLine({
+        start: { x: MARGIN, y: headerY - 10 },
+        end: { x: pageWidth - MARGIN, y: headerY - 10 },
+        thickness: 0.75,
+        color: colors.rule
+      });
+
+      captionLines.forEach((line, lineIndex) => {
+        page.drawText(line, {
+          x: MARGIN,
+          y: MARGIN + 16 + (captionLines.length - 1 - lineIndex) * 14,
+          size: CAPTION_SIZE,
+          font: fonts.regular,
+          color: colors.muted
+        });
+      });
+
+      drawDiagram(page, diagram, {
+        x: MARGIN,
+        y: MARGIN + 16 + captionHeight,
+        width: pageWidth - 2 * MARGIN,
+        height: headerY - 24 - (MARGIN + 16 + captionHeight)
+      });
+
+      if (part === 0) {
+        entries.push({ index, title: itemTitle, pageNumber: doc.getPageCount(), target: page });
+      }
+    });
+  });
+
+  if (toc) {
+    drawToc(doc, tocPages, fonts, entries, perPage);
+  }
+
+  // Page numbers on everything but the cover
+  doc.getPages().forEach((page, index) => {
+    if (cover && index === 0) {
+      return;
+    }
+    const label = `${index + 1} / ${doc.getPageCount()}`;
+    page.drawText(label, {
+      x: pageWidth - MARGIN - fonts.regular.widthOfTextAtSize(label, FOOTER_SIZE),
+      y: MARGIN / 2,
+      size: FOOTER_SIZE,
+      font: fonts.regular,
+      color: colors.muted
+    });
+  });
+
+  return Buffer.from(await doc.save());
+}
+
+module.exports = {
+  buildBooklet,
+  pageSizes
+};
@@ -0,0 +1,60 @@
+const { body } = require('express-validator');
+
+// Print output is rasterized from the renderer's SVG at the requested DPI
+// (FormatManager.rasterizeSVG) instead of scaling up the 96-DPI screen PNG.
+// TIFF output always goes through this path; PNG only when `print` is given.
+const printFormats = ['png', 'tiff'];
+
+const PRINT_DPI = parseInt(process.env.PRINT_DPI || '300');
+const MAX_PRINT_DPI = 1200;
+
+// Stable, minimal form of the print options for the cache key; null when not printing
+function normalizePrintOptions(print, format = 'png') {
+  const formatLower = format.toLowerCase();
+  if (!printFormats.includes(formatLower) || (formatLower === 'png' && !print)) {
+    return null;
+  }
+
+  const options = print === true || !print ? {} : print;
+  return {
+    dpi: Number(options.dpi || PRINT_DPI),
+    colorSpace: formatLower === 'tiff' && options.cmyk ? 'cmyk' : 'srgb'
+  };
+}
+
+// express-validator chains for print options at the given body field
+const printValidators = (field = 'print') => [
+  body(field)
+    .optional()
+    .custom((print, { req }) => {
+      if (print !== true && (typeof print !== 'object' || print === null || Array.isArray(print))) {
+        throw new Error('Print must be true or an object');
+      }
+      const format = (req.body.format || 'png').toLowerCase();
+      if (!printFormats.includes(format)) {
+        throw new Error(`Print options apply to ${printFormats.join(', ')} output only`);
+      }
+      if (req.body.transform) {
+        throw new Error('Use either print or transform, not both');
+      }
+      if (print.cmyk && format !== 'tiff') {
+        throw new Error('CMYK output is only available for TIFF');
+      }
+      return true;
+    }),
+  body(`${field}.dpi`)
+    .optional()
+    .isInt({ min: 72, max: MAX_PRINT_DPI })
+    .withMessage(`Print DPI must be between 72 and ${MAX_PRINT_DPI}`),
+  body(`${field}.cmyk`)
+    .optional()
+    .isBoolean()
+    .withMessage('CMYK must be a boolean')
+];
+
+module.exports = {
+  normalizePrintOptions,
+  printValidators,
+  printFormats,
+  PRINT_DPI
+};
@@ -1,6 +1,9 @@
 const Queue = require('bull');
 const { logger } = require('./logger');
 const { cacheManager } = require('./cache');
+const { themeManager } = require('./themeManager');
+const { embedSource } = require('./sourceEmbedding');
+const { artifactStore } = require('./artifactStore');
 const FormatManager = require('./formatManager');
 const { recordDiagramGeneration, businessMetrics, updateQueueSize } = require('../middleware/metrics');
 
@@ -166,7 +169,7 @@ class QueueManager {
   // Process individual diagram generation
   async processDiagramJob(job) {
     const startTime = Date.now();
-    const { uml, format, diagramType, options, requestId } = job.data;
+    const { uml, format, diagramType, theme, options, requestId } = job.data;
 
     try {
       logger.info('Processing diagram job', {
@@ -181,14 +184,15 @@ class QueueManager {
       await job.progress(10);
 
       // Check cache first
-      const cacheKey = cacheManager.generateCacheKey(uml, format, { diagramType, ...options });
+      const source = themeManager.apply(uml, diagramType, theme);
+      const cacheKey = cacheManager.generateCacheKey(source, format, { diagramType, ...options });
       let result = await cacheManager.getCachedDiagram(cacheKey);
 
       await job.progress(30);
 
       if (!result) {
         // Generate diagram
-        result = await this.formatManager.generateDiagram(uml, diagramType, format, options);
+        result = await this.formatManager.generateDiagram(source, diagramType, format, options);
 
         await job.progress(80);
 
@@ -196,6 +200,8 @@ class QueueManager {
         await cacheManager.cacheDiagram(cacheKey, result.data, result.metadata);
       }
 
+      const data = await embedSource(result.data, format, { source: uml, diagramType });
+
       await job.progress(100);
 
       const duration = Date.now() - startTime;
@@ -211,9 +217,13 @@ class QueueManager {
         size: result.data.length
       });
 
+      // The stored artifact, when there is a store, gives the result a durable URL
+      const artifact = await artifactStore.publish(data, { mimeType: result.mimeType });
+
       return {
         success: true,
-        data: result.data.toString('base64'), // Base64 encode for queue storage
+        data: data.toString('base64'),
+        ...(artifact && { artifact }),
         metadata: result.metadata,
         mimeType: result.mimeType,
         requestId,
@@ -258,17 +268,22 @@ class QueueManager {
 
         try {
           // Process each diagram in the batch
+          const diagramType = request.diagramType || 'plantuml';
+          const format = request.format || 'png';
           const diagramResult = await this.formatManager.generateDiagram(
-            request.uml,
-            request.diagramType || 'plantuml',
-            request.format || 'png',
+            themeManager.apply(request.uml, diagramType, request.theme),
+            diagramType,
+            format,
             request.options || {}
           );
+          const data = await embedSource(diagramResult.data, format, { source: request.uml, diagramType });
+          const artifact = await artifactStore.publish(data, { mimeType: diagramResult.mimeType });
 
           results.push({
             index: i,
             success: true,
-            data: diagramResult.data.toString('base64'),
+            data: data.toString('base64'),
+            ...(artifact && { artifact }),
             metadata: diagramResult.metadata,
             mimeType: diagramResult.mimeType
           });
@@ -0,0 +1,275 @@
+const FormatManager = require('./formatManager');
+const { cacheManager } = require('./cache');
+const { logger } = require('./logger');
+const { buildDiagnostics } = require('./diagnostics');
+const { includeResolver } = require('./includeResolver');
+const { themeManager } = require('./themeManager');
+const { sourceLinesOf, stripPlantUMLWrapper, joinSourceLines, lineMapOf } = require('./sourceLines');
+const { normalizeTransform } = require('./imageTransform');
+const { normalizePrintOptions } = require('./printProfile');
+const { embedSource } = require('./sourceEmbedding');
+const { diagramETag } = require('./etag');
+const { SingleFlight } = require('./singleFlight');
+const { recordStaleResponse } = require('../middleware/metrics');
+
+// Warning header values (RFC 7234) for responses served from the cache grace period
+const STALE_WARNINGS = {
+  revalidating: '110 - "Response is Stale"',
+  error: '111 - "Revalidation Failed"'
+};
+
+// Patterns rejected in diagram source before it reaches any renderer
+const dangerousSourcePatterns = [
+  /!include\s+http/i,
+  /!includeurl/i,
+  /!define.*system/i,
+  /<script/i,
+  /javascript:/i
+];
+
+// express-validator compatible check (throws on dangerous input or disallowed includes)
+function validateDiagramSource(value, { req } = {}) {
+  for (const pattern of dangerousSourcePatterns) {
+    if (pattern.test(value)) {
+      throw new Error('UML code contains potentially dangerous patterns');
+    }
+  }
+
+  const diagramType = (req && ((req.params && req.params.diagramType) || (req.body && req.body.diagramType))) || 'plantuml';
+  if (includeResolver.appliesTo(diagramType)) {
+    includeResolver.validate(value);
+  }
+  return true;
+}
+
+// Shared cache + FormatManager pipeline behind the v2 and Kroki-compatible routes
+class RenderService {
+  constructor(krokiUrl) {
+    this.formatManager = new FormatManager(krokiUrl);
+    // Identical concurrent renders run once; RENDER_LOCK=none keeps that per-process
+    const distributed = (process.env.RENDER_LOCK || 'redis') !== 'none';
+    this.flights = new SingleFlight({
+      redis: () => (distributed && cacheManager.isConnected ? cacheManager.client : null)
+    });
+    // Seconds after expiry during which a cached diagram is served straight away
+    // and refreshed in the background; later in the grace period it is only
+    // served when rendering fails
+    this.staleWhileRevalidate = parseInt(process.env.CACHE_STALE_WHILE_REVALIDATE || '60');
+    // Seconds a rendering from a fallback backend stays cached, so the preferred
+    // renderer's output replaces it soon after that renderer recovers
+    this.fallbackTtl = parseInt(process.env.FALLBACK_CACHE_TTL || '60');
+  }
+
+  // Clean UML code for processing. Allowlisted library includes are inlined,
+  // any other include throws an IncludeError (reported as a client error).
+  // A named theme is applied to the cleaned source, so it is part of the cache key.
+  prepareSource(umlCode, diagramType = 'plantuml', { theme } = {}) {
+    return joinSourceLines(this.prepareSourceLines(umlCode, diagramType, { theme }));
+  }
+
+  // prepareSource() as source lines that know which of the caller's lines they
+  // came from, for mapping renderer errors back (utils/sourceLines)
+  prepareSourceLines(umlCode, diagramType = 'plantuml', { theme } = {}) {
+    const resolveIncludes = includeResolver.appliesTo(diagramType);
+
+    // Validate before cleaning so errors report the caller's line numbers
+    if (resolveIncludes) {
+      includeResolver.validate(umlCode.trim());
+    }
+
+    let lines = sourceLinesOf(umlCode);
+
+    // Remove diagram wrapper tags if present (Kroki adds them automatically)
+    if (diagramType === 'plantuml') {
+      lines = stripPlantUMLWrapper(lines);
+    }
+
+    lines = themeManager.applyLines(lines, diagramType, theme);
+
+    if (resolveIncludes) {
+      lines = includeResolver.resolveLines(lines);
+    }
+
+    return lines;
+  }
+
+  getCacheKey(preparedSource, format, { diagramType, quality, compress, transform, svg, print }) {
+    return cacheManager.generateCacheKey(preparedSource, format, {
+      diagramType,
+      quality,
+      compress,
+      // Only present when set, so keys without them are unchanged
+      ...(transform && { transform }),
+      ...(svg && { svg }),
+      ...(print && { print })
+    });
+  }
+
+  // Normalized options, prepared source with its line map, and cache key for a render request
+  resolveRequest(source, options = {}) {
+    const {
+      diagramType = 'plantuml',
+      format = 'png',
+      quality = 'balanced',
+      compress = true,
+      theme
+    } = options;
+
+    const transform = normalizeTransform(options.transform, format);
+    const print = normalizePrintOptions(options.print, format);
+    // Explicit accessible title/description for SVG output
+    const svg = format === 'svg' && (options.title || options.description)
+      ? { title: options.title, description: options.description }
+      : null;
+    const preparedLines = this.prepareSourceLines(source, diagramType, { theme });
+    const preparedSource = joinSourceLines(preparedLines);
+    const cacheKey = this.getCacheKey(preparedSource, format, { diagramType, quality, compress, transform, svg, print });
+
+    return { preparedSource, lineMap: lineMapOf(preparedLines), cacheKey, transform, print, svg };
+  }
+
+  // ETag of what render() would return for these arguments, without rendering
+  etagFor(source, options = {}) {
+    const { cacheKey } = this.resolveRequest(source, options);
+    return diagramETag(cacheKey, { source, embed: options.embed !== false });
+  }
+
+  // Render a diagram, serving from and populating the cache. `refresh` skips the
+  // lookup and overwrites the entry (cache warming after a renderer upgrade).
+  // Resolves with { data, mimeType, format, cacheKey, etag, cacheStatus, metadata },
+  // plus a `warning` when cacheStatus is STALE: an entry that expired within the
+  // cache grace period, served while it is refreshed or because rendering failed.
+  // The caller's original source is embedded in PNG/SVG/PDF output after the cache,
+  // so cached renderings stay shared between sources that prepare identically.
+  // `beforeRender` is awaited only when the diagram has to be rendered, and may
+  // throw to refuse it (rate limits that apply to cache misses only).
+  async render(source, options = {}) {
+    const {
+      diagramType = 'plantuml',
+      format = 'png',
+      quality = 'balanced',
+      compress = true,
+      useCache = true,
+      ttl = 3600,
+      refresh = false,
+      embed = true,
+      beforeRender
+    } = options;
+
+    const { preparedSource, lineMap, cacheKey, transform, print, svg } = this.resolveRequest(source, options);
+    const etag = diagramETag(cacheKey, { source, embed });
+    const formatConfig = this.formatManager.getFormatConfig(format);
+
+    const fromCache = async (cachedResult, cacheStatus) => ({
+      data: embed ? await embedSource(cachedResult.data, format, { source, diagramType }) : cachedResult.data,
+      mimeType: formatConfig.mimeType,
+      format,
+      cacheKey,
+      etag,
+      cacheStatus,
+      metadata: cachedResult.metadata
+    });
+
+    const renderAndCache = async () => {
+      const rendered = await this.formatManager.generateDiagram(
+        preparedSource,
+        diagramType,
+        format,
+        { quality, compress, ...(transform && { transform }), ...(svg && { svg }), ...(print && { print }) }
+      );
+
+      if (useCache) {
+        const cacheTtl = rendered.metadata.fallback ? Math.min(ttl, this.fallbackTtl) : ttl;
+        await cacheManager.cacheDiagram(cacheKey, rendered.data, rendered.metadata, cacheTtl);
+      }
+      return rendered;
+    };
+
+    // Concurrent misses for the same key share one render. Callers on other
+    // instances wait for it under a Redis lock and read the result from the cache;
+    // a refresh must not mistake the entry it replaces for that result.
+    const flightOptions = useCache && !refresh
+      ? { readShared: () => cacheManager.getCachedDiagram(cacheKey) }
+      : {};
+
+    let stale = null;
+    if (useCache && !refresh) {
+      const cachedResult = await cacheManager.getCachedDiagram(cacheKey, { allowStale: true });
+      if (cachedResult && !cachedResult.stale) {
+        logger.info('Cache hit for diagram generation', {
+          key: cacheKey.substring(0, 16) + '...',
+          format,
+          size: cachedResult.data.length
+        });
+
+        return fromCache(cachedResult, 'HIT');
+      }
+
+      if (cachedResult) {
+        const staleSeconds = (Date.now() - Date.parse(cachedResult.metadata.staleAt)) / 1000;
+        if (staleSeconds <= this.staleWhileRevalidate) {
+          this.flights.run(cacheKey, renderAndCache, flightOptions).catch(error => {
+            logger.warn('Background refresh of stale diagram failed', { key: cacheKey.substring(0, 16) + '...', error: error.message });
+          });
+          return this.staleResult(await fromCache(cachedResult, 'STALE'), 'revalidating');
+        }
+        stale = cachedResult;
+      }
+    }
+
+    if (beforeRender) {
+      await beforeRender();
+    }
+
+    let result;
+    try {
+      result = await this.flights.run(cacheKey, renderAndCache, flightOptions);
+    } catch (error) {
+      // Syntax errors carry the renderer's output; turn it into line-level diagnostics.
+      // The error may be shared with coalesced callers, so each gets its own copy.
+      if (error.clientError) {
+        throw Object.assign(Object.create(Object.getPrototypeOf(error)), error, {
+          message: error.message,
+          stack: error.stack,
+          diagnostics: buildDiagnostics(error.details, { source, lineMap, diagramType })
+        });
+      }
+
+      // The renderer is down or timing out; an expired rendering beats an error
+      if (stale && error.type !== 'INVALID_TRANSFORM') {
+        logger.warn('Rendering failed, serving stale diagram', {
+          key: cacheKey.substring(0, 16) + '...',
+          staleAt: stale.metadata.staleAt,
+          error: error.message
+        });
+        return this.staleResult(await fromCache(stale, 'STALE'), 'error');
+      }
+      throw error;
+    }
+
+    return {
+      data: embed ? await embedSource(result.data, format, { source, diagramType }) : result.data,
+      mimeType: result.mimeType || formatConfig.mimeType,
+      format,
+      cacheKey,
+      etag,
+      cacheStatus: 'MISS',
+      metadata: result.metadata
+    };
+  }
+
+  staleResult(result, reason) {
+    recordStaleResponse(reason);
+    return { ...result, warning: STALE_WARNINGS[reason] };
+  }
+}
+
+// Singleton instance
+const renderService = new RenderService(process.env.KROKI_URL || 'http://kroki-service:8000');
+
+module.exports = {
+  RenderService,
+  renderService,
+  dangerousSourcePatterns,
+  validateDiagramSource
+};
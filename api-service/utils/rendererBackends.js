@@ -0,0 +1,378 @@
+const axios = require('axios');
+const { spawn } = require('child_process');
+const { logger } = require('./logger');
+const { setRendererVersion } = require('./etag');
+
+// Error raised by a backend. clientError marks failures caused by the diagram source
+// itself (syntax errors), which another backend would reject the same way.
+class RendererError extends Error {
+  constructor(message, { backend, status, clientError = false, details = null } = {}) {
+    super(message);
+    this.name = 'RendererError';
+    this.backend = backend;
+    this.status = status;
+    this.clientError = clientError;
+    this.details = details;
+  }
+}
+
+// Base class for renderer backends with passive health tracking.
+// A backend is marked unhealthy after `failureThreshold` consecutive infrastructure
+// failures and gets a single trial request again once `cooldownMs` has passed.
+class RendererBackend {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.priority = options.priority || 100;
+    this.failureThreshold = options.failureThreshold || 3;
+    this.cooldownMs = options.cooldownMs || 30000;
+    this.timeout = options.timeout || 30000;
+    this.capabilities = options.capabilities || {};
+    this.health = {
+      healthy: true,
+      consecutiveFailures: 0,
+      lastFailureAt: null,
+      lastError: null,
+      lastSuccessAt: null
+    };
+  }
+
+  // Whether this backend can render the diagram type into the given endpoint format
+  supports(diagramType, format) {
+    const formats = this.capabilities[diagramType];
+    return Array.isArray(formats) && formats.includes(format);
+  }
+
+  isAvailable() {
+    if (this.health.healthy) {
+      return true;
+    }
+    return Date.now() - this.health.lastFailureAt >= this.cooldownMs;
+  }
+
+  recordSuccess() {
+    if (!this.health.healthy) {
+      logger.info('Renderer backend recovered', { backend: this.name });
+    }
+    this.health.healthy = true;
+    this.health.consecutiveFailures = 0;
+    this.health.lastSuccessAt = new Date().toISOString();
+  }
+
+  recordFailure(error) {
+    this.health.consecutiveFailures++;
+    this.health.lastFailureAt = Date.now();
+    this.health.lastError = error.message;
+
+    if (this.health.healthy && this.health.consecutiveFailures >= this.failureThreshold) {
+      this.health.healthy = false;
+      logger.warn('Renderer backend marked unhealthy', {
+        backend: this.name,
+        consecutiveFailures: this.health.consecutiveFailures,
+        error: error.message
+      });
+    }
+  }
+
+  // Used by active health checks: take the backend out of rotation straight away
+  markUnhealthy(error) {
+    this.health.consecutiveFailures = Math.max(this.health.consecutiveFailures, this.failureThreshold - 1);
+    this.recordFailure(error);
+  }
+
+  getStatus() {
+    return {
+      name: this.name,
+      priority: this.priority,
+      healthy: this.health.healthy,
+      available: this.isAvailable(),
+      consecutiveFailures: this.health.consecutiveFailures,
+      lastError: this.health.lastError,
+      lastFailureAt: this.health.lastFailureAt ? new Date(this.health.lastFailureAt).toISOString() : null,
+      lastSuccessAt: this.health.lastSuccessAt,
+      diagramTypes: Object.keys(this.capabilities)
+    };
+  }
+
+  // Subclasses render `source` into the endpoint format and resolve with a Buffer
+  async render(_source, _diagramType, _format, _options) {
+    throw new Error(`Renderer backend ${this.name} does not implement render()`);
+  }
+
+  // Subclasses report whether the backend is reachable
+  async checkHealth() {
+    return true;
+  }
+}
+
+// Remote Kroki server (all diagram types it supports)
+class KrokiBackend extends RendererBackend {
+  constructor(krokiUrl, options = {}) {
+    super('kroki', { priority: 10, ...options });
+    this.krokiUrl = krokiUrl;
+  }
+
+  // Kroki decides itself which types/formats it supports, so never filter it out up front.
+  // The exceptions are Unicode text art and EPS, which Kroki does not offer at all.
+  supports(diagramType, format) {
+    return !['utxt', 'eps'].includes(format);
+  }
+
+  async render(source, diagramType, format, options = {}) {
+    const response = await axios.post(`${this.krokiUrl}/${diagramType}/${format}`, source, {
+      responseType: 'arraybuffer',
+      timeout: this.timeout,
+      maxContentLength: options.maxSize,
+      maxBodyLength: options.maxSize,
+      headers: {
+        'Content-Type': 'text/plain',
+        'User-Agent': 'UML-Images-Service/2.0',
+        'Accept': options.mimeType || '*/*'
+      },
+      validateStatus: (status) => status < 500
+    });
+
+    if (response.status !== 200) {
+      throw new RendererError(`Kroki service returned status ${response.status}`, {
+        backend: this.name,
+        status: response.status,
+        clientError: response.status >= 400 && response.status < 500,
+        details: Buffer.from(response.data || '').toString('utf8')
+      });
+    }
+
+    return Buffer.from(response.data);
+  }
+
+  async checkHealth() {
+    try {
+      const response = await axios.get(`${this.krokiUrl}/health`, {
+        timeout: 3000,
+        validateStatus: (status) => status < 500
+      });
+      // Kroki reports { version: { number } }; it is part of every diagram ETag
+      const version = response.data && response.data.version && response.data.version.number;
+      if (response.status === 200 && setRendererVersion(version && `kroki-${version}`)) {
+        logger.info('Renderer version detected', { backend: this.name, version });
+      }
+      return response.status === 200;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+// Runs a local binary, feeding `input` on stdin and collecting stdout
+function runProcess(command, args, input, { timeout, maxSize = 20 * 1024 * 1024 } = {}) {
+  return new Promise((resolve, reject) => {
+    let child;
+    try {
+      child = spawn(command, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+    } catch (error) {
+      reject(error);
+      return;
+    }
+
+    const stdout = [];
+    const stderr = [];
+    let stdoutSize = 0;
+    let settled = false;
+
+    const finish = (error, result) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timer);
+      if (error) {
+        reject(error);
+      } else {
+        resolve(result);
+      }
+    };
+
+    const timer = setTimeout(() => {
+      child.kill('SIGKILL');
+      const error = new Error(`${command} timed out after ${timeout}ms`);
+      error.code = 'ETIMEDOUT';
+      finish(error);
+    }, timeout);
+
+    child.stdout.on('data', (chunk) => {
+      stdoutSize += chunk.length;
+      if (stdoutSize > maxSize) {
+        child.kill('SIGKILL');
+        finish(new Error(`${command} output exceeded ${maxSize} bytes`));
+        return;
+      }
+      stdout.push(chunk);
+    });
+
+    child.stderr.on('data', (chunk) => stderr.push(chunk));
+
+    child.on('error', (error) => finish(error));
+
+    child.on('close', (code) => {
+      finish(null, {
+        code,
+        stdout: Buffer.concat(stdout),
+        stderr: Buffer.concat(stderr).toString('utf8')
+      });
+    });
+
+    child.stdin.on('error', () => {
+      // The process may exit before reading all input; the close handler reports it
+    });
+    child.stdin.end(input);
+  });
+}
+
+// Local Graphviz `dot` binary
+class GraphvizBackend extends RendererBackend {
+  constructor(options = {}) {
+    super('graphviz-local', {
+      priority: 20,
+      capabilities: {
+        graphviz: ['png', 'svg', 'pdf', 'eps'],
+        dot: ['png', 'svg', 'pdf', 'eps']
+      },
+      ...options
+    });
+    this.dotPath = options.dotPath || process.env.GRAPHVIZ_DOT_PATH || 'dot';
+  }
+
+  async render(source, diagramType, format, options = {}) {
+    let result;
+    try {
+      result = await runProcess(this.dotPath, [`-T${format}`], source, {
+        timeout: this.timeout,
+        maxSize: options.maxSize
+      });
+    } catch (error) {
+      throw new RendererError(`Graphviz backend failed: ${error.message}`, { backend: this.name });
+    }
+
+    if (result.code !== 0 || result.stdout.length === 0) {
+      const message = result.stderr.trim() || `dot exited with code ${result.code}`;
+      throw new RendererError(`Graphviz rendering failed: ${message}`, {
+        backend: this.name,
+        status: 400,
+        clientError: /syntax error|error:/i.test(result.stderr),
+        details: result.stderr
+      });
+    }
+
+    return result.stdout;
+  }
+
+  async checkHealth() {
+    try {
+      const result = await runProcess(this.dotPath, ['-V'], '', { timeout: 3000 });
+      return result.code === 0;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+// Local PlantUML jar running in pipe mode
+class PlantUMLBackend extends RendererBackend {
+  constructor(options = {}) {
+    super('plantuml-local', {
+      priority: 20,
+      capabilities: {
+        plantuml: ['png', 'svg', 'txt', 'utxt', 'eps'],
+        c4plantuml: ['png', 'svg', 'eps']
+      },
+      ...options
+    });
+    this.javaPath = options.javaPath || process.env.JAVA_PATH || 'java';
+    this.jarPath = options.jarPath || process.env.PLANTUML_JAR;
+  }
+
+  // Without a configured jar the backend cannot render anything
+  supports(diagramType, format) {
+    return Boolean(this.jarPath) && super.supports(diagramType, format);
+  }
+
+  // Callers strip @startuml/@enduml for Kroki; the jar needs them back
+  wrapSource(source) {
+    if (/^\s*@start\w+/m.test(source)) {
+      return source;
+    }
+    return `@startuml\n${source}\n@enduml\n`;
+  }
+
+  async render(source, diagramType, format, options = {}) {
+    const args = ['-Djava.awt.headless=true', '-jar', this.jarPath, '-pipe', `-t${format}`, '-charset', 'UTF-8'];
+
+    let result;
+    try {
+      result = await runProcess(this.javaPath, args, this.wrapSource(source), {
+        timeout: this.timeout,
+        maxSize: options.maxSize
+      });
+    } catch (error) {
+      throw new RendererError(`PlantUML backend failed: ${error.message}`, { backend: this.name });
+    }
+
+    // PlantUML exits with 200 when the diagram contains errors
+    if (result.code !== 0 || result.stdout.length === 0) {
+      const message = result.stderr.trim() || `PlantUML exited with code ${result.code}`;
+      throw new RendererError(`PlantUML rendering failed: ${message}`, {
+        backend: this.name,
+        status: 400,
+        clientError: result.code === 200 || /syntax error/i.test(result.stderr),
+        details: result.stderr
+      });
+    }
+
+    return result.stdout;
+  }
+
+  async checkHealth() {
+    if (!this.jarPath) {
+      return false;
+    }
+    try {
+      const result = await runProcess(this.javaPath, ['-jar', this.jarPath, '-version'], '', { timeout: 10000 });
+      return result.code === 0;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+// Build the backend list from RENDERER_BACKENDS (comma separated, in preference order)
+function createDefaultBackends(krokiUrl, names = process.env.RENDERER_BACKENDS || 'kroki,graphviz,plantuml') {
+  const factories = {
+    kroki: () => new KrokiBackend(krokiUrl),
+    graphviz: () => new GraphvizBackend(),
+    plantuml: () => new PlantUMLBackend()
+  };
+
+  return names
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(name => {
+      if (!factories[name]) {
+        logger.warn('Unknown renderer backend ignored', { backend: name });
+        return false;
+      }
+      return true;
+    })
+    .map((name, index) => {
+      const backend = factories[name]();
+      backend.priority = (index + 1) * 10;
+      return backend;
+    });
+}
+
+module.exports = {
+  RendererError,
+  RendererBackend,
+  KrokiBackend,
+  GraphvizBackend,
+  PlantUMLBackend,
+  createDefaultBackends,
+  runProcess
+};
@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const { recordCoalescedRequest } = require('../middleware/metrics');
+
+// Single-flight execution: concurrent calls for the same key share one run of the
+// work instead of each starting their own. Within the process, callers join the
+// leader's promise. Across instances, a Redis lock (SET NX PX) elects one leader;
+// the others poll until its result is readable from the shared cache, or until it
+// publishes its error. If the leader vanishes, a follower does the work itself.
+
+const RELEASE_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Errors cross instances as JSON: message plus the fields routes act on
+const serializeError = (error) => JSON.stringify({
+  name: error.name,
+  message: error.message,
+  type: error.type,
+  status: error.status,
+  clientError: error.clientError,
+  details: error.details,
+  backend: error.backend
+});
+
+const deserializeError = (json) => {
+  const { message, ...fields } = JSON.parse(json);
+  return Object.assign(new Error(message), fields);
+};
+
+class SingleFlight {
+  constructor({
+    redis = () => null,
+    prefix = 'flight:',
+    lockTtlMs = parseInt(process.env.RENDER_LOCK_TTL_MS) || 30000,
+    waitTimeoutMs = parseInt(process.env.RENDER_LOCK_WAIT_MS) || 30000,
+    pollIntervalMs = 100,
+    errorTtlMs = 5000
+  } = {}) {
+    // Returns a connected node-redis client, or null to stay in-process
+    this.redis = redis;
+    this.prefix = prefix;
+    this.lockTtlMs = lockTtlMs;
+    this.waitTimeoutMs = waitTimeoutMs;
+    this.pollIntervalMs = pollIntervalMs;
+    this.errorTtlMs = errorTtlMs;
+    this.flights = new Map();
+    this.stats = { leaders: 0, local: 0, remote: 0 };
+  }
+
+  // Runs fn() once for all concurrent callers with this key. `readShared` reads
+  // what another instance's leader produced (null while it is still working);
+  // without it, deduplication stays within this process.
+  run(key, fn, { readShared } = {}) {
+    const inFlight = this.flights.get(key);
+    if (inFlight) {
+      this.recordCoalesced('local');
+      return inFlight;
+    }
+
+    this.stats.leaders++;
+    const flight = (readShared ? this.runDistributed(key, fn, readShared) : fn())
+      .finally(() => this.flights.delete(key));
+    this.flights.set(key, flight);
+    return flight;
+  }
+
+  async runDistributed(key, fn, readShared) {
+    const client = this.redis();
+    if (!client) {
+      return fn();
+    }
+
+    const lockKey = `${this.prefix}${key}`;
+    const token = crypto.randomBytes(16).toString('hex');
+    let acquired;
+    try {
+      acquired = await client.set(lockKey, token, { NX: true, PX: this.lockTtlMs });
+    } catch (error) {
+      logger.warn('Render lock unavailable, rendering without it', { error: error.message });
+      return fn();
+    }
+
+    if (acquired) {
+      return this.lead(client, lockKey, token, fn);
+    }
+
+    this.recordCoalesced('remote');
+    return this.follow(client, lockKey, fn, readShared);
+  }
+
+  async lead(client, lockKey, token, fn) {
+    try {
+      // Clear an error left by an earlier flight so followers don't pick it up
+      await client.del(`${lockKey}:error`).catch(() => {});
+      return await fn();
+    } catch (error) {
+      // Followers on other instances get the same error instead of retrying
+      await client.set(`${lockKey}:error`, serializeError(error), { PX: this.errorTtlMs })
+        .catch(() => {});
+      throw error;
+    } finally {
+      await client.eval(RELEASE_SCRIPT, { keys: [lockKey], arguments: [token] })
+        .catch(error => logger.warn('Failed to release render lock', { error: error.message }));
+    }
+  }
+
+  async follow(client, lockKey, fn, readShared) {
+    const deadline = Date.now() + this.waitTimeoutMs;
+
+    while (Date.now() < deadline) {
+      await sleep(this.pollIntervalMs);
+
+      // Lock state first: the leader stores its result before releasing the lock,
+      // so once the lock is gone the result is readable
+      const [error, locked] = await Promise.all([
+        client.get(`${lockKey}:error`),
+        client.exists(lockKey)
+      ]).catch(() => [null, 0]);
+      if (error) {
+        throw deserializeError(error);
+      }
+
+      const shared = await readShared();
+      if (shared) {
+        return shared;
+      }
+      if (!locked) {
+        // The leader finished without a readable result (e.g. not cacheable) or gave up
+        break;
+      }
+    }
+
+    logger.debug('Render leader produced no shared result, rendering locally', { key: lockKey });
+    return fn();
+  }
+
+  recordCoalesced(scope) {
+    this.stats[scope]++;
+    recordCoalescedRequest(scope);
+  }
+
+  getStats() {
+    return {
+      inFlight: this.flights.size,
+      leaders: this.stats.leaders,
+      coalesced: { local: this.stats.local, remote: this.stats.remote }
+    };
+  }
+}
+
+module.exports = {
+  SingleFlight
+};
@@ -0,0 +1,187 @@
+// Canonical form of a diagram source for cache keys, so that reindenting a diagram
+// or editing its comments reuses the cached render. Only changes the renderer
+// provably ignores are made; the source that is actually rendered is never touched.
+// - every language: CRLF/CR line endings become LF and surrounding blank space is trimmed
+// - PlantUML: whole-line ' comments and /' ... '/ block comments are dropped and
+//   lines are unindented, except inside multi-line activity/note/legend/title/
+//   header/footer text, which only loses the indentation shared by the whole diagram
+// - Mermaid: whole-line %% comments are dropped (%%{...}%% directives are kept) and
+//   only shared indentation is removed, since mindmaps and YAML front matter nest by it
+// - Graphviz: // and /* */ comments, indentation and blank lines are removed and
+//   runs of spaces collapsed, all outside quoted and HTML strings
+
+const normalizeLineEndings = (source) => source.replace(/\r\n?/g, '\n');
+
+const dedent = (lines) => {
+  const indents = lines
+    .filter(line => line.trim())
+    .map(line => line.match(/^[ \t]*/)[0]);
+  if (indents.length === 0) {
+    return lines;
+  }
+  let common = indents[0];
+  for (const indent of indents) {
+    while (!indent.startsWith(common)) {
+      common = common.slice(0, -1);
+    }
+  }
+  return lines.map(line => line.slice(Math.min(common.length, line.length)));
+};
+
+// Blocks whose lines are text, where leading spaces and ' are content: multi-line
+// activity labels (:...;), notes, legends, titles, headers and footers
+const PLANTUML_TEXT_BLOCKS = [
+  { start: /^:(?!.*[;|<>\]}/]$)/, end: /[;|<>\]}/]$/ },
+  { start: /^(?:[rh]?note)\b[^:]*$/i, end: /^end\s*[rh]?note\b/i },
+  { start: /^legend\b[^:]*$/i, end: /^end\s*legend\b/i },
+  { start: /^title$/i, end: /^end\s*title\b/i },
+  { start: /^(?:left|right|center)?\s*header$/i, end: /^end\s*header\b/i },
+  { start: /^(?:left|right|center)?\s*footer$/i, end: /^end\s*footer\b/i }
+];
+
+// Embedded non-UML languages where ' and indentation may be data, and the
+// mindmap/wbs diagrams whose items can nest by indentation
+const PLANTUML_VERBATIM = /^@start(?:json|yaml|ditaa|salt|creole|math|latex|regex|ebnf|files|mindmap|wbs)\b/im;
+
+const canonicalizePlantUml = (source) => {
+  if (PLANTUML_VERBATIM.test(source)) {
+    return source;
+  }
+
+  const output = [];
+  let textBlock = null;
+  let inComment = false;
+
+  for (const line of dedent(source.split('\n'))) {
+    const trimmed = line.trim();
+
+    if (inComment) {
+      const close = trimmed.indexOf('\'/');
+      if (close !== -1) {
+        inComment = false;
+        const rest = trimmed.slice(close + 2).trim();
+        if (rest) {
+          output.push(rest);
+        }
+      }
+      continue;
+    }
+    if (textBlock) {
+      output.push(line);
+      if (textBlock.end.test(trimmed)) {
+        textBlock = null;
+      }
+      continue;
+    }
+    if (trimmed.startsWith('/\'')) {
+      // Only whole-line block comments; one that ends mid-line is left alone
+      const close = trimmed.indexOf('\'/', 2);
+      if (close === -1) {
+        inComment = true;
+        continue;
+      }
+      if (close === trimmed.length - 2) {
+        continue;
+      }
+    }
+    if (trimmed.startsWith('\'')) {
+      continue;
+    }
+
+    textBlock = PLANTUML_TEXT_BLOCKS.find(block => block.start.test(trimmed)) || null;
+    output.push(trimmed);
+  }
+
+  return output.join('\n');
+};
+
+const canonicalizeMermaid = (source) => dedent(source.split('\n'))
+  .filter(line => {
+    const trimmed = line.trim();
+    return !(trimmed.startsWith('%%') && !trimmed.startsWith('%%{'));
+  })
+  .join('\n');
+
+// Splits DOT source into code and string (quoted or <HTML>) pieces, dropping
+// comments from the code; a removed block comment still separates tokens
+const tokenizeDot = (source) => {
+  const pieces = [];
+  let code = '';
+  let i = 0;
+
+  const pushString = (end) => {
+    pieces.push({ code: false, text: source.slice(i, end) });
+    i = end;
+  };
+
+  while (i < source.length) {
+    const char = source[i];
+    const next = source[i + 1];
+
+    if (char === '"') {
+      let end = i + 1;
+      while (end < source.length && source[end] !== '"') {
+        end += source[end] === '\\' ? 2 : 1;
+      }
+      pieces.push({ code: true, text: code });
+      code = '';
+      pushString(Math.min(end + 1, source.length));
+    } else if (char === '<') {
+      let end = i + 1;
+      let depth = 1;
+      while (end < source.length && depth > 0) {
+        if (source[end] === '<') {
+          depth++;
+        } else if (source[end] === '>') {
+          depth--;
+        }
+        end++;
+      }
+      pieces.push({ code: true, text: code });
+      code = '';
+      pushString(end);
+    } else if (char === '/' && next === '/') {
+      const end = source.indexOf('\n', i);
+      i = end === -1 ? source.length : end;
+    } else if (char === '/' && next === '*') {
+      const end = source.indexOf('*/', i + 2);
+      i = end === -1 ? source.length : end + 2;
+      code += ' ';
+    } else {
+      code += char;
+      i++;
+    }
+  }
+  pieces.push({ code: true, text: code });
+
+  return pieces;
+};
+
+const canonicalizeDot = (source) => tokenizeDot(source)
+  .map(({ code, text }) => (code
+    ? text
+      .replace(/[ \t]+/g, ' ')
+      .replace(/ \n/g, '\n')
+      .replace(/\n /g, '\n')
+      .replace(/\n{2,}/g, '\n')
+    : text))
+  .join('');
+
+const canonicalizers = {
+  plantuml: canonicalizePlantUml,
+  c4plantuml: canonicalizePlantUml,
+  mermaid: canonicalizeMermaid,
+  graphviz: canonicalizeDot,
+  dot: canonicalizeDot
+};
+
+const canonicalizeSource = (source, diagramType = 'plantuml') => {
+  const normalized = normalizeLineEndings(source);
+  const canonicalize = canonicalizers[diagramType];
+
+  return (canonicalize ? canonicalize(normalized) : normalized).trim();
+};
+
+module.exports = {
+  canonicalizeSource
+};
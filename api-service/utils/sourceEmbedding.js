@@ -0,0 +1,286 @@
+const zlib = require('zlib');
+const { PDFDocument, PDFName, PDFHexString, PDFString } = require('pdf-lib');
+const { logger } = require('./logger');
+
+// Embeds the original diagram source and type in rendered files so an image can be
+// turned back into an editable diagram (POST /api/v2/extract):
+// - PNG: compressed iTXt `diagram-source` chunk plus a tEXt `diagram-type` chunk
+// - SVG: a <metadata> element holding a namespaced <diagram> element
+// - PDF: `DiagramSource` and `DiagramType` document info entries
+// Other formats are returned unchanged (JPEG/WebP are re-encoded from PNG and text has no room).
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+const SOURCE_KEYWORD = 'diagram-source';
+const TYPE_KEYWORD = 'diagram-type';
+// PlantUML writes its own source into PNGs under this keyword
+const PLANTUML_KEYWORD = 'plantuml';
+const SVG_NAMESPACE = 'urn:uml-images-service:diagram-source';
+
+const embeddableFormats = ['png', 'svg', 'pdf'];
+
+// Compressed text chunks come from uploads; a few KB of deflate can expand to
+// gigabytes, so inflation stops well above the largest source the API accepts
+const MAX_EMBEDDED_SOURCE_BYTES = 2 * 1024 * 1024;
+
+const crcTable = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xFFFFFFFF;
+  for (const byte of buffer) {
+    crc = crcTable[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+const detectFormat = (data) => {
+  if (!Buffer.isBuffer(data) || data.length < 8) {
+    return null;
+  }
+  if (PNG_SIGNATURE.equals(data.subarray(0, 8))) {
+    return 'png';
+  }
+  if (data.subarray(0, 5).toString('latin1') === '%PDF-') {
+    return 'pdf';
+  }
+  if (/<svg[\s>]/.test(data.subarray(0, 4096).toString('utf8'))) {
+    return 'svg';
+  }
+  return null;
+};
+
+// --- PNG ---
+
+const readChunks = (png) => {
+  const chunks = [];
+  let offset = PNG_SIGNATURE.length;
+
+  while (offset + 12 <= png.length) {
+    const length = png.readUInt32BE(offset);
+    const end = offset + 12 + length;
+    if (end > png.length) {
+      break;
+    }
+    chunks.push({
+      type: png.toString('latin1', offset + 4, offset + 8),
+      data: png.subarray(offset + 8, offset + 8 + length),
+      raw: png.subarray(offset, end)
+    });
+    offset = end;
+  }
+
+  return chunks;
+};
+
+const buildChunk = (type, data) => {
+  const typeAndData = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+  const length = Buffer.alloc(4);
+  const crc = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+};
+
+// Keyword of a tEXt/iTXt chunk
+const chunkKeyword = chunk => chunk.data.toString('latin1', 0, Math.max(0, chunk.data.indexOf(0)));
+
+const textChunk = (keyword, text) => buildChunk('tEXt', Buffer.concat([
+  Buffer.from(`${keyword}\0`, 'latin1'),
+  Buffer.from(text, 'latin1')
+]));
+
+// Compressed, UTF-8 iTXt chunk without language tag or translated keyword
+const internationalTextChunk = (keyword, text) => buildChunk('iTXt', Buffer.concat([
+  Buffer.from(`${keyword}\0`, 'latin1'),
+  Buffer.from([1, 0, 0, 0]),
+  zlib.deflateSync(Buffer.from(text, 'utf8'))
+]));
+
+const inflateText = (data) => {
+  try {
+    return zlib.inflateSync(data, { maxOutputLength: MAX_EMBEDDED_SOURCE_BYTES });
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+      const tooLarge = new Error(`Embedded text exceeds ${MAX_EMBEDDED_SOURCE_BYTES} bytes`);
+      tooLarge.type = 'EMBEDDED_SOURCE_TOO_LARGE';
+      throw tooLarge;
+    }
+    throw error;
+  }
+};
+
+const readTextChunk = (chunk) => {
+  const separator = chunk.data.indexOf(0);
+  if (chunk.type === 'tEXt') {
+    return chunk.data.toString('latin1', separator + 1);
+  }
+  if (chunk.type === 'zTXt') {
+    return inflateText(chunk.data.subarray(separator + 2)).toString('latin1');
+  }
+
+  // iTXt: keyword\0 flag method language\0 translated\0 text
+  const compressed = chunk.data[separator + 1] === 1;
+  const languageEnd = chunk.data.indexOf(0, separator + 3);
+  const translatedEnd = chunk.data.indexOf(0, languageEnd + 1);
+  const text = chunk.data.subarray(translatedEnd + 1);
+  return (compressed ? inflateText(text) : text).toString('utf8');
+};
+
+const embedInPng = (png, { source, diagramType }) => {
+  const chunks = readChunks(png).filter(chunk =>
+    !['tEXt', 'iTXt'].includes(chunk.type) || ![SOURCE_KEYWORD, TYPE_KEYWORD].includes(chunkKeyword(chunk)));
+  const end = chunks.findIndex(chunk => chunk.type === 'IEND');
+  if (end === -1) {
+    return png;
+  }
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    ...chunks.slice(0, end).map(chunk => chunk.raw),
+    internationalTextChunk(SOURCE_KEYWORD, source),
+    textChunk(TYPE_KEYWORD, diagramType),
+    ...chunks.slice(end).map(chunk => chunk.raw)
+  ]);
+};
+
+const extractFromPng = (png) => {
+  const texts = {};
+  readChunks(png)
+    .filter(chunk => ['tEXt', 'zTXt', 'iTXt'].includes(chunk.type))
+    .forEach((chunk) => {
+      const keyword = chunkKeyword(chunk);
+      if ([SOURCE_KEYWORD, TYPE_KEYWORD, PLANTUML_KEYWORD].includes(keyword)) {
+        texts[keyword] = readTextChunk(chunk);
+      }
+    });
+
+  if (texts[SOURCE_KEYWORD]) {
+    return { source: texts[SOURCE_KEYWORD], diagramType: texts[TYPE_KEYWORD] || null, origin: 'embedded' };
+  }
+  if (texts[PLANTUML_KEYWORD]) {
+    return { source: texts[PLANTUML_KEYWORD], diagramType: 'plantuml', origin: 'plantuml' };
+  }
+  return null;
+};
+
+// --- SVG ---
+
+const escapeXml = value => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const unescapeXml = value => value
+  .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (_, decimal) => String.fromCodePoint(parseInt(decimal, 10)))
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, '\'')
+  .replace(/&amp;/g, '&');
+
+const svgSourcePattern = new RegExp(
+  `<metadata[^>]*>\\s*<diagram xmlns="${SVG_NAMESPACE}" type="([^"]*)">([\\s\\S]*?)</diagram>\\s*</metadata>`
+);
+
+const embedInSvg = (svg, { source, diagramType }) => {
+  const text = svg.toString('utf8').replace(svgSourcePattern, '');
+  const close = text.lastIndexOf('</svg>');
+  if (close === -1) {
+    return svg;
+  }
+
+  const metadata = `<metadata><diagram xmlns="${SVG_NAMESPACE}" type="${escapeXml(diagramType)}">`
+    + `${escapeXml(source)}</diagram></metadata>`;
+  return Buffer.from(text.slice(0, close) + metadata + text.slice(close), 'utf8');
+};
+
+const extractFromSvg = (svg) => {
+  const match = svg.toString('utf8').match(svgSourcePattern);
+  return match
+    ? { source: unescapeXml(match[2]), diagramType: unescapeXml(match[1]) || null, origin: 'embedded' }
+    : null;
+};
+
+// --- PDF ---
+
+const embedInPdf = async (pdf, { source, diagramType }) => {
+  const doc = await PDFDocument.load(pdf, { updateMetadata: false });
+  const info = doc.getInfoDict();
+  info.set(PDFName.of('DiagramSource'), PDFHexString.fromText(source));
+  info.set(PDFName.of('DiagramType'), PDFString.of(diagramType));
+  return Buffer.from(await doc.save());
+};
+
+const extractFromPdf = async (pdf) => {
+  const doc = await PDFDocument.load(pdf, { updateMetadata: false, ignoreEncryption: true });
+  const info = doc.getInfoDict();
+  const read = (key) => {
+    const value = info.lookup(PDFName.of(key));
+    return value instanceof PDFHexString || value instanceof PDFString ? value.decodeText() : null;
+  };
+
+  const source = read('DiagramSource');
+  return source ? { source, diagramType: read('DiagramType'), origin: 'embedded' } : null;
+};
+
+// Embed `source` in rendered output; unsupported formats and malformed files are returned as-is
+async function embedSource(data, format, { source, diagramType = 'plantuml' } = {}) {
+  if (!source || !embeddableFormats.includes(format)) {
+    return data;
+  }
+
+  try {
+    switch (format) {
+    case 'png':
+      return embedInPng(data, { source, diagramType });
+    case 'svg':
+      return embedInSvg(data, { source, diagramType });
+    default:
+      return await embedInPdf(data, { source, diagramType });
+    }
+  } catch (error) {
+    logger.warn('Failed to embed diagram source, sending output without it', {
+      error: error.message,
+      format
+    });
+    return data;
+  }
+}
+
+// Recover embedded source from an uploaded file.
+// Resolves with { format, source, diagramType, origin } or null when nothing is embedded;
+// throws an error with type UNSUPPORTED_MEDIA_TYPE for anything but PNG, SVG or PDF.
+async function extractSource(data) {
+  const format = detectFormat(data);
+  if (!format) {
+    const error = new Error('Only PNG, SVG and PDF files can carry diagram source');
+    error.type = 'UNSUPPORTED_MEDIA_TYPE';
+    throw error;
+  }
+
+  let embedded;
+  if (format === 'png') {
+    embedded = extractFromPng(data);
+  } else if (format === 'svg') {
+    embedded = extractFromSvg(data);
+  } else {
+    embedded = await extractFromPdf(data);
+  }
+
+  return embedded && { format, ...embedded };
+}
+
+module.exports = {
+  embedSource,
+  extractSource,
+  detectFormat,
+  embeddableFormats,
+  MAX_EMBEDDED_SOURCE_BYTES
+};
@@ -0,0 +1,52 @@
+// Diagram source as lines that remember which line of the caller's source they
+// came from: [{ text, line }]. Preparation (trimming, theming, include expansion)
+// works on these so renderer errors on the prepared source can be reported
+// against the caller's lines. `line` is null for lines the service added.
+
+const toSourceLines = (source, firstLine = 1) => source
+  .split(/\r?\n/)
+  .map((text, index) => ({ text, line: firstLine + index }));
+
+const joinSourceLines = lines => lines.map(entry => entry.text).join('\n');
+
+// Caller line per prepared line, for buildDiagnostics
+const lineMapOf = lines => lines.map(entry => entry.line);
+
+// Like String#trim: drops blank lines at either end and trims the outer lines
+function trimSourceLines(lines) {
+  let start = 0;
+  let end = lines.length;
+  while (start < end && !lines[start].text.trim()) {
+    start++;
+  }
+  while (end > start && !lines[end - 1].text.trim()) {
+    end--;
+  }
+
+  const trimmed = lines.slice(start, end).map(entry => ({ ...entry }));
+  if (trimmed.length > 0) {
+    trimmed[0].text = trimmed[0].text.trimStart();
+    trimmed[trimmed.length - 1].text = trimmed[trimmed.length - 1].text.trimEnd();
+  }
+  return trimmed;
+}
+
+// Lines of trimmed source, numbered from where the content starts in `source`
+const sourceLinesOf = (source) => {
+  const leading = source.match(/^\s*/)[0];
+  return toSourceLines(source.trim(), leading.split(/\r?\n/).length);
+};
+
+// Kroki adds @startuml/@enduml for PlantUML itself, so the caller's are blanked out
+const stripPlantUMLWrapper = lines => trimSourceLines(lines.map(entry => (
+  /^\s*@(?:start|end)uml/.test(entry.text) ? { ...entry, text: '' } : entry
+)));
+
+module.exports = {
+  toSourceLines,
+  joinSourceLines,
+  lineMapOf,
+  trimSourceLines,
+  sourceLinesOf,
+  stripPlantUMLWrapper
+};
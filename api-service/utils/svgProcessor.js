@@ -0,0 +1,357 @@
+const crypto = require('crypto');
+
+// Post-processing applied to every SVG the service returns:
+//   1. sanitize  - drop scripts, event handlers and references to external resources
+//   2. scope     - prefix every id and CSS class with a per-diagram namespace, so several
+//                  diagrams can be inlined in one page without marker/gradient collisions
+//   3. label     - <title>/<desc> plus role="img" for screen readers
+//   4. minify    - drop comments, the XML prolog and insignificant whitespace
+
+// Elements removed together with their content. HTML inside <foreignObject> stays for
+// Mermaid's labels, but not its forms and controls (action/formaction submit anywhere)
+const removedElements = [
+  'script', 'iframe', 'object', 'embed', 'handler', 'listener', 'applet', 'frame', 'frameset',
+  'form', 'button', 'input', 'textarea', 'select'
+];
+
+// Elements whose whitespace-only text nodes are significant
+const textElements = ['text', 'tspan', 'textpath', 'title', 'desc', 'foreignobject'];
+
+const TOKEN_PATTERN = new RegExp([
+  '<!--[\\s\\S]*?-->',
+  '<!\\[CDATA\\[[\\s\\S]*?\\]\\]>',
+  '<!DOCTYPE[^>[]*(?:\\[[\\s\\S]*?\\])?\\s*>',
+  '<\\?[\\s\\S]*?\\?>',
+  '<\\/?[\\w:.-]+(?:\\s+[\\w:.-]+(?:\\s*=\\s*(?:"[^"]*"|\'[^\']*\'|[^\\s>]+))?)*\\s*\\/?>',
+  '[^<]+',
+  '<'
+].join('|'), 'gi');
+
+const ATTRIBUTE_PATTERN = /([\w:.-]+)(?:\s*=\s*("[^"]*"|'[^']*'|[^\s>]+))?/g;
+
+const escapeXml = text => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Element/attribute name without its namespace prefix; <s:script> bound to the SVG
+// namespace is still a script, so every name check goes through this
+const localName = name => name.split(':').pop().toLowerCase();
+
+// Character references a browser resolves before it looks at a name or URL; checks run
+// on the decoded text so `&#106;avascript:` is still javascript:
+const namedEntities = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', colon: ':', tab: '\t', newline: '\n', sol: '/', lpar: '(', rpar: ')'
+};
+
+const decodeEntities = text => text.replace(/&(?:#(\d+)|#x([\da-f]+)|([a-z]+));?/gi, (match, decimal, hex, name) => {
+  if (name) {
+    const decoded = namedEntities[name.toLowerCase()];
+    return decoded === undefined ? match : decoded;
+  }
+  const code = decimal ? parseInt(decimal, 10) : parseInt(hex, 16);
+  return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : '';
+});
+
+// URL as the browser parses it: decoded, tabs/newlines dropped, leading controls trimmed
+// eslint-disable-next-line no-control-regex
+const urlValue = value => decodeEntities(value).replace(/[\t\n\r]/g, '').replace(/^[\u0000-\u0020]+/, '');
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Split markup into tokens: { type: 'open' | 'close' | 'text' | 'cdata' | 'other', ... }
+function tokenize(svg) {
+  const tokens = [];
+  let match;
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while ((match = TOKEN_PATTERN.exec(svg)) !== null) {
+    const raw = match[0];
+
+    if (raw.startsWith('<!--')) {
+      tokens.push({ type: 'comment', raw });
+    } else if (raw.startsWith('<![CDATA[')) {
+      tokens.push({ type: 'cdata', text: raw.slice(9, -3) });
+    } else if (/^<[!?]/.test(raw)) {
+      tokens.push({ type: 'other', raw });
+    } else if (/^<\/[\w:.-]/.test(raw)) {
+      tokens.push({ type: 'close', name: raw.slice(2, -1).trim() });
+    } else if (/^<[\w:.-]/.test(raw)) {
+      const name = raw.match(/^<([\w:.-]+)/)[1];
+      const attributes = [];
+      const body = raw.slice(name.length + 1).replace(/\/?>$/, '');
+      let attribute;
+      ATTRIBUTE_PATTERN.lastIndex = 0;
+      while ((attribute = ATTRIBUTE_PATTERN.exec(body)) !== null) {
+        const value = attribute[2] === undefined ? '' : attribute[2].replace(/^(["'])([\s\S]*)\1$/, '$2');
+        attributes.push({ name: attribute[1], value });
+      }
+      tokens.push({ type: 'open', name, attributes, selfClosing: /\/>$/.test(raw) });
+    } else {
+      tokens.push({ type: 'text', text: raw === '<' ? '&lt;' : raw });
+    }
+  }
+
+  return tokens;
+}
+
+// Resource URLs that stay inside the document (fragments) or are inert raster data
+const isSafeReference = value => /^#/.test(urlValue(value)) || /^data:image\/(?:png|jpe?g|gif|webp);/i.test(urlValue(value));
+
+// Link targets users may navigate to (PlantUML [[url]] hyperlinks)
+const isSafeLink = value => isSafeReference(value) || /^(?:https?:|mailto:)/i.test(urlValue(value));
+
+const isScriptUrl = value => /^(?:java|vb)script:/i.test(urlValue(value));
+
+// <set>/<animate> targeting an href or handler could write a script URL at runtime
+const rewritesLinks = token => ['set', 'animate'].includes(localName(token.name)) &&
+  token.attributes.some(({ name, value }) => localName(name) === 'attributename'
+    && /^(?:[\w.-]+:)?(?:href$|on)/i.test(decodeEntities(value).trim()));
+
+// CSS: drop @import and url() references that leave the document
+const sanitizeCss = css => css
+  .replace(/@import[^;]*;?/gi, '')
+  .replace(/expression\s*\(/gi, '(')
+  .replace(/url\(\s*(['"]?)([^'")]*)\1\s*\)/gi, (match, quote, url) => (
+    /^#/.test(url) || /^data:(?:image\/(?:png|jpe?g|gif|webp)|(?:application|font)\/[\w.+-]+)[;,]/i.test(url)
+      ? match
+      : 'none'
+  ));
+
+function sanitizeAttributes(token) {
+  const element = localName(token.name);
+
+  token.attributes = token.attributes.filter(({ name, value }) => {
+    const attribute = localName(name);
+
+    if (attribute.startsWith('on') || name.toLowerCase() === 'xml:base' || isScriptUrl(value)) {
+      return false;
+    }
+    if (attribute === 'href' || attribute === 'src') {
+      return element === 'a' ? isSafeLink(value) : isSafeReference(value);
+    }
+    return true;
+  });
+
+  token.attributes.forEach((attribute) => {
+    if (localName(attribute.name) === 'style') {
+      attribute.value = sanitizeCss(attribute.value);
+    }
+  });
+}
+
+// Rewrite #id and .class selectors in the selector parts of a stylesheet
+function scopeCss(css, rename) {
+  return css.replace(/([^{}]+)\{/g, (match, prelude) => {
+    const trimmed = prelude.trim();
+    if (trimmed.startsWith('@') || /^(?:from|to|\d+(?:\.\d+)?%)(?:\s*,\s*(?:from|to|\d+(?:\.\d+)?%))*$/i.test(trimmed)) {
+      return match;
+    }
+    return `${rename.selector(prelude)}{`;
+  }).replace(/url\(\s*(['"]?)#([^'")]+)\1\s*\)/g, (match, quote, id) => `url(${quote}#${rename.id(id)}${quote})`);
+}
+
+function createRenamer(namespace, ids, classes) {
+  const idPattern = ids.size > 0
+    ? new RegExp(`#(${Array.from(ids).map(escapeRegExp).join('|')})(?![\\w-])`, 'g')
+    : null;
+  const classPattern = classes.size > 0
+    ? new RegExp(`\\.(${Array.from(classes).map(escapeRegExp).join('|')})(?![\\w-])`, 'g')
+    : null;
+
+  const rename = {
+    id: id => (ids.has(id) ? `${namespace}-${id}` : id),
+    className: name => (classes.has(name) ? `${namespace}-${name}` : name),
+    selector: (selector) => {
+      let scoped = selector;
+      if (idPattern) {
+        scoped = scoped.replace(idPattern, (match, id) => `#${rename.id(id)}`);
+      }
+      if (classPattern) {
+        scoped = scoped.replace(classPattern, (match, name) => `.${rename.className(name)}`);
+      }
+      return scoped;
+    }
+  };
+
+  return rename;
+}
+
+function scopeAttributes(token, rename) {
+  token.attributes.forEach((attribute) => {
+    const name = attribute.name.toLowerCase();
+
+    if (name === 'id') {
+      attribute.value = rename.id(attribute.value);
+    } else if (name === 'class') {
+      attribute.value = attribute.value.split(/\s+/).filter(Boolean).map(rename.className).join(' ');
+    } else if (localName(name) === 'href') {
+      attribute.value = attribute.value.replace(/^#(.+)$/, (match, id) => `#${rename.id(id)}`);
+    } else if (['aria-labelledby', 'aria-describedby', 'for'].includes(name)) {
+      attribute.value = attribute.value.split(/\s+/).filter(Boolean).map(rename.id).join(' ');
+    } else if (attribute.value.includes('url(')) {
+      attribute.value = scopeCss(attribute.value, rename);
+    }
+  });
+}
+
+const minifyCss = css => css
+  .replace(/\/\*[\s\S]*?\*\//g, '')
+  .replace(/\s+/g, ' ')
+  .replace(/\s*([{};,>])\s*/g, '$1')
+  .replace(/:\s+/g, ':')
+  .replace(/;}/g, '}')
+  .trim();
+
+const serializeOpen = token => `<${token.name}${token.attributes
+  .map(({ name, value }) => ` ${name}="${value.replace(/"/g, '&quot;').replace(/</g, '&lt;')}"`)
+  .join('')}${token.selfClosing ? '/>' : '>'}`;
+
+// Namespace derived from the content, so cached and fresh renders match
+const svgNamespace = svg => `d${crypto.createHash('sha1').update(svg).digest('hex').slice(0, 8)}`;
+
+// Title from the diagram source: PlantUML/Mermaid `title ...`, Mermaid front matter
+function diagramTitle(source = '') {
+  const frontMatter = source.match(/^\s*---\s*\n[\s\S]*?^title:\s*(.+?)\s*$[\s\S]*?^---\s*$/m);
+  if (frontMatter) {
+    return frontMatter[1].replace(/^(["'])(.*)\1$/, '$2');
+  }
+
+  const titleLine = source.match(/^\s*title\s+(?!\{)(.+?)\s*$/im);
+  return titleLine ? titleLine[1].replace(/^(["'])(.*)\1$/, '$2') : null;
+}
+
+// Run the whole pipeline over an SVG document (string or Buffer); returns a Buffer
+function processSvg(input, options = {}) {
+  const svg = Buffer.isBuffer(input) ? input.toString('utf8') : String(input);
+  const namespace = options.namespace || svgNamespace(svg);
+  const title = options.title || 'Diagram';
+  const description = options.description;
+
+  // Pass 1: sanitize, drop comments/prolog, collect ids and classes
+  const tokens = [];
+  const ids = new Set();
+  const classes = new Set();
+  const stack = [];
+  let skipping = null;
+
+  for (const token of tokenize(svg)) {
+    if (skipping) {
+      if (token.type === 'open' && !token.selfClosing && localName(token.name) === skipping.name) {
+        skipping.depth++;
+      } else if (token.type === 'close' && localName(token.name) === skipping.name && --skipping.depth === 0) {
+        skipping = null;
+      }
+      continue;
+    }
+
+    if (token.type === 'comment' || token.type === 'other') {
+      continue;
+    }
+
+    if (token.type === 'open') {
+      const element = localName(token.name);
+      if (removedElements.includes(element) || rewritesLinks(token)) {
+        if (!token.selfClosing) {
+          skipping = { name: element, depth: 1 };
+        }
+        continue;
+      }
+
+      sanitizeAttributes(token);
+      token.attributes.forEach(({ name, value }) => {
+        if (name === 'id') {
+          ids.add(value);
+        } else if (name === 'class') {
+          value.split(/\s+/).filter(Boolean).forEach(className => classes.add(className));
+        }
+      });
+
+      if (!token.selfClosing) {
+        stack.push(element);
+      }
+    } else if (token.type === 'close') {
+      stack.pop();
+    } else if (stack[stack.length - 1] === 'style') {
+      token.text = sanitizeCss(token.text);
+    }
+
+    tokens.push(token);
+  }
+
+  // Pass 2: scope names, inject labels, minify
+  const rename = createRenamer(namespace, ids, classes);
+  const titleId = `${namespace}-title`;
+  const descId = `${namespace}-desc`;
+  const output = [];
+  const path = [];
+  let rootDone = false;
+  let skipLabel = 0;
+
+  for (const token of tokens) {
+    const parent = path[path.length - 1];
+
+    if (token.type === 'open') {
+      const element = localName(token.name);
+
+      // Existing root-level <title>/<desc> are replaced by ours
+      if (skipLabel || (path.length === 1 && path[0] === 'svg' && (element === 'title' || element === 'desc'))) {
+        if (!token.selfClosing) {
+          skipLabel++;
+        }
+        continue;
+      }
+
+      scopeAttributes(token, rename);
+
+      if (!rootDone && element === 'svg') {
+        rootDone = true;
+        token.attributes = token.attributes.filter(({ name }) => !['role', 'aria-labelledby'].includes(name.toLowerCase()));
+        token.attributes.push(
+          { name: 'role', value: 'img' },
+          { name: 'aria-labelledby', value: description ? `${titleId} ${descId}` : titleId }
+        );
+        output.push(serializeOpen(token));
+        output.push(`<title id="${titleId}">${escapeXml(title)}</title>`);
+        if (description) {
+          output.push(`<desc id="${descId}">${escapeXml(description)}</desc>`);
+        }
+        if (!token.selfClosing) {
+          path.push(element);
+        }
+        continue;
+      }
+
+      output.push(serializeOpen(token));
+      if (!token.selfClosing) {
+        path.push(element);
+      }
+    } else if (token.type === 'close') {
+      if (skipLabel) {
+        skipLabel--;
+        continue;
+      }
+      path.pop();
+      output.push(`</${token.name}>`);
+    } else if (skipLabel) {
+      continue;
+    } else if (parent === 'style') {
+      const css = minifyCss(scopeCss(token.text, rename));
+      output.push(token.type === 'cdata' ? `<![CDATA[${css}]]>` : css);
+    } else if (token.type === 'cdata') {
+      output.push(`<![CDATA[${token.text}]]>`);
+    } else if (token.text.trim() || path.some(element => textElements.includes(element))) {
+      output.push(token.text);
+    }
+  }
+
+  return Buffer.from(output.join(''));
+}
+
+module.exports = {
+  processSvg,
+  diagramTitle,
+  svgNamespace,
+  sanitizeCss
+};
@@ -0,0 +1,248 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+const { toSourceLines, joinSourceLines } = require('./sourceLines');
+
+// Server-side themes, one JSON file per theme. A theme defines a palette and font
+// that is translated into each diagram language; optional plantuml/mermaid/graphviz
+// sections override the derived settings for that language. Appliers work on
+// source lines (utils/sourceLines) and mark the lines they add with `line: null`.
+const DEFAULT_THEMES_PATH = path.join(__dirname, '..', 'themes');
+
+// Elements styled by PlantUML themes (skinparam <element> { ... })
+const plantumlElements = [
+  'participant', 'actor', 'class', 'interface', 'component', 'node', 'database',
+  'usecase', 'activity', 'state', 'package', 'rectangle', 'object', 'entity'
+];
+
+const quoteAttribute = value => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+const added = text => ({ text, line: null });
+
+const formatAttributes = attributes => Object.entries(attributes)
+  .map(([name, value]) => `${name}=${quoteAttribute(value)}`)
+  .join(', ');
+
+// PlantUML: !theme and skinparams go after @startuml and any leading includes,
+// so they override library styling but not the diagram's own skinparams
+function applyPlantUMLTheme(sourceLines, theme) {
+  const { palette, font } = theme;
+  const settings = theme.plantuml || {};
+  const lines = [];
+
+  if (settings.theme) {
+    lines.push(`!theme ${settings.theme}`);
+  }
+
+  const skinparams = {
+    BackgroundColor: palette.background,
+    DefaultFontName: font.family,
+    DefaultFontSize: font.size,
+    DefaultFontColor: palette.text,
+    ArrowColor: palette.line,
+    ...settings.skinparams
+  };
+  Object.entries(skinparams)
+    .filter(([, value]) => value !== undefined)
+    .forEach(([name, value]) => lines.push(`skinparam ${name} ${value}`));
+
+  plantumlElements.forEach((element) => {
+    lines.push(`skinparam ${element} {`, `  BackgroundColor ${palette.fill}`, `  BorderColor ${palette.primary}`, '}');
+  });
+  lines.push('skinparam note {', `  BackgroundColor ${palette.accent}`, `  BorderColor ${palette.line}`, '}');
+
+  let insertAt = 0;
+  for (let i = 0; i < sourceLines.length; i++) {
+    const text = sourceLines[i].text.trim();
+    if (/^@start\w+/i.test(text) || /^!(include\S*|import|theme)\s/i.test(text)) {
+      insertAt = i + 1;
+    } else if (text && !text.startsWith('\'')) {
+      break;
+    }
+  }
+
+  return [...sourceLines.slice(0, insertAt), ...lines.map(added), ...sourceLines.slice(insertAt)];
+}
+
+// Mermaid: a leading %%{init}%% directive; a directive in the source is applied
+// after ours and wins
+function applyMermaidTheme(sourceLines, theme) {
+  const { palette, font } = theme;
+  const settings = theme.mermaid || {};
+  const config = {
+    theme: settings.theme || 'base',
+    themeVariables: {
+      background: palette.background,
+      primaryColor: palette.fill,
+      primaryTextColor: palette.text,
+      primaryBorderColor: palette.primary,
+      lineColor: palette.line,
+      secondaryColor: palette.secondary,
+      tertiaryColor: palette.background,
+      noteBkgColor: palette.accent,
+      fontFamily: font.family,
+      fontSize: `${font.size}px`,
+      ...settings.themeVariables
+    }
+  };
+
+  return [added(`%%{init: ${JSON.stringify(config)}}%%`), ...sourceLines];
+}
+
+// Graphviz: graph/node/edge default attributes right after the opening brace,
+// so attributes set in the source still take precedence
+function applyGraphvizTheme(sourceLines, theme) {
+  const { palette, font } = theme;
+  const settings = theme.graphviz || {};
+  const defaults = {
+    graph: { bgcolor: palette.background, fontname: font.family, fontcolor: palette.text, ...settings.graph },
+    node: {
+      style: 'filled',
+      fillcolor: palette.fill,
+      color: palette.primary,
+      fontname: font.family,
+      fontcolor: palette.text,
+      fontsize: font.size,
+      ...settings.node
+    },
+    edge: { color: palette.line, fontname: font.family, fontcolor: palette.text, ...settings.edge }
+  };
+
+  const statements = Object.entries(defaults)
+    .map(([kind, attributes]) => `  ${kind} [${formatAttributes(attributes)}];`);
+
+  const opening = joinSourceLines(sourceLines).match(/^\s*(?:strict\s+)?(?:di)?graph\b[^{]*\{/i);
+  if (!opening) {
+    return sourceLines;
+  }
+
+  // The opening brace may be followed by statements on the same line; they move
+  // behind the defaults and keep their line
+  const before = opening[0].split('\n');
+  const index = before.length - 1;
+  const { text, line } = sourceLines[index];
+  const column = before[index].length;
+  const rest = text.slice(column);
+
+  return [
+    ...sourceLines.slice(0, index),
+    { text: text.slice(0, column), line },
+    ...statements.slice(0, -1).map(added),
+    { text: `${statements[statements.length - 1]}${rest}`, line: rest.trim() ? line : null },
+    ...sourceLines.slice(index + 1)
+  ];
+}
+
+const themeAppliers = {
+  plantuml: applyPlantUMLTheme,
+  c4plantuml: applyPlantUMLTheme,
+  mermaid: applyMermaidTheme,
+  graphviz: applyGraphvizTheme
+};
+
+class ThemeManager {
+  constructor(themesPath = process.env.THEMES_PATH || DEFAULT_THEMES_PATH) {
+    this.themesPath = themesPath;
+    this.themes = null;
+  }
+
+  loadThemes() {
+    if (this.themes) {
+      return this.themes;
+    }
+
+    this.themes = new Map();
+    let files = [];
+    try {
+      files = fs.readdirSync(this.themesPath).filter(file => file.endsWith('.json'));
+    } catch (error) {
+      logger.warn('Themes directory not found, no themes registered', {
+        themesPath: this.themesPath,
+        error: error.message
+      });
+    }
+
+    files.forEach((file) => {
+      try {
+        this.register(JSON.parse(fs.readFileSync(path.join(this.themesPath, file), 'utf8')));
+      } catch (error) {
+        logger.error('Failed to load theme', { file, error: error.message });
+      }
+    });
+
+    return this.themes;
+  }
+
+  register(theme) {
+    if (!theme || !/^[a-z0-9][a-z0-9-]*$/.test(theme.name || '')) {
+      throw new Error('Theme name must be lowercase letters, digits and dashes');
+    }
+    if (!theme.palette || !theme.font) {
+      throw new Error(`Theme ${theme.name} must define a palette and font`);
+    }
+
+    (this.themes || this.loadThemes()).set(theme.name, theme);
+    return theme;
+  }
+
+  has(name) {
+    return this.loadThemes().has(name);
+  }
+
+  getThemeNames() {
+    return Array.from(this.loadThemes().keys());
+  }
+
+  supports(diagramType) {
+    return Boolean(themeAppliers[diagramType]);
+  }
+
+  getThemes() {
+    return Array.from(this.loadThemes().values()).map(theme => ({
+      name: theme.name,
+      description: theme.description,
+      palette: theme.palette,
+      font: theme.font,
+      diagramTypes: Object.keys(themeAppliers)
+    }));
+  }
+
+  // Return source with the named theme applied; unthemed diagram types are unchanged
+  apply(source, diagramType, name) {
+    if (!name || !this.supports(diagramType)) {
+      return source;
+    }
+    return joinSourceLines(this.applyLines(toSourceLines(source), diagramType, name));
+  }
+
+  // apply() on source lines, keeping track of where each line came from
+  applyLines(sourceLines, diagramType, name) {
+    if (!name || !this.supports(diagramType)) {
+      return sourceLines;
+    }
+
+    const theme = this.loadThemes().get(name);
+    if (!theme) {
+      throw new Error(`Unknown theme: ${name}`);
+    }
+
+    return themeAppliers[diagramType](sourceLines, theme);
+  }
+}
+
+// express-validator compatible check for a theme name
+const validateThemeName = (value) => {
+  if (!themeManager.has(value)) {
+    throw new Error(`Theme must be one of: ${themeManager.getThemeNames().join(', ')}`);
+  }
+  return true;
+};
+
+// Singleton instance
+const themeManager = new ThemeManager();
+
+module.exports = {
+  ThemeManager,
+  themeManager,
+  validateThemeName
+};
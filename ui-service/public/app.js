@@ -8,6 +8,8 @@ class UMLImageService {
     this.currentImageUrl = null;
     this.diagramHistory = [];
     this.templates = [];
+    this.capabilities = {};
+    this.currentOutputFormat = 'png';
     this.isDarkMode = false;
     this.isOffline = false;
     this.zoomLevel = 1;
@@ -44,6 +46,9 @@ class UMLImageService {
         this.initializeServiceWorker()
       ]);
 
+      // Diagram types and formats come from the API's capabilities registry
+      await this.loadCapabilities();
+
       // Setup UI and event listeners
       this.setupEventListeners();
       this.setupKeyboardShortcuts();
@@ -108,6 +113,72 @@ class UMLImageService {
     }
   }
 
+  // Builds the type and format pickers from GET /api/v2/capabilities; the
+  // PlantUML/Graphviz options in the markup stay as the offline fallback
+  async loadCapabilities() {
+    try {
+      const response = await fetch(`${this.apiUrl}/api/v2/capabilities`);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const { diagramTypes = [] } = await response.json();
+      this.capabilities = Object.fromEntries(diagramTypes.map(type => [type.id, type]));
+
+      const select = document.getElementById('diagramType');
+      if (select && diagramTypes.length > 0) {
+        const selected = select.value;
+        select.innerHTML = '';
+        diagramTypes.forEach(type => {
+          const option = document.createElement('option');
+          option.value = type.id;
+          option.textContent = type.name;
+          option.title = type.description;
+          select.appendChild(option);
+        });
+        select.value = this.capabilities[selected] ? selected : diagramTypes[0].id;
+      }
+
+      console.log(`🧩 Capabilities loaded: ${diagramTypes.length} diagram types`);
+    } catch (error) {
+      console.warn('⚠️ Failed to load capabilities:', error);
+    }
+
+    this.updateFormatPicker(document.getElementById('diagramType')?.value || 'plantuml');
+  }
+
+  // The editor previews PNG or SVG; only offer what the type renders to
+  updateFormatPicker(type) {
+    const select = document.getElementById('outputFormat');
+    if (!select) {
+      return;
+    }
+
+    const fallback = type === 'graphviz' ? ['svg'] : ['png', 'svg'];
+    const supported = this.capabilities[type]?.formats || fallback;
+    const formats = ['png', 'svg'].filter(format => supported.includes(format));
+    const selected = select.value;
+
+    select.innerHTML = '';
+    formats.forEach(format => {
+      const option = document.createElement('option');
+      option.value = format;
+      option.textContent = format.toUpperCase();
+      select.appendChild(option);
+    });
+    select.value = formats.includes(selected) ? selected : formats[0];
+    select.disabled = formats.length < 2;
+  }
+
+  getOutputFormat() {
+    return document.getElementById('outputFormat')?.value || 'png';
+  }
+
+  typeSupportsFormat(type, format) {
+    const capability = this.capabilities[type];
+    return capability ? capability.formats.includes(format) : type === 'plantuml';
+  }
+
   async loadTemplates() {
     try {
       // Define built-in templates
@@ -229,12 +300,16 @@ rectangle System {
     if (diagramType) {
       diagramType.addEventListener('change', (e) => {
         this.updatePlaceholderForDiagramType(e.target.value);
+        this.updateFormatPicker(e.target.value);
       });
     }
 
     // Download buttons
     this.bindEvent('downloadPngBtn', 'click', () => this.downloadImage('png'));
     this.bindEvent('downloadSvgBtn', 'click', () => this.downloadImage('svg'));
+    this.bindEvent('downloadTxtBtn', 'click', () => this.downloadText('txt'));
+    this.bindEvent('downloadUtxtBtn', 'click', () => this.downloadText('utxt'));
+    this.bindEvent('downloadTiffBtn', 'click', () => this.downloadPrint());
     this.bindEvent('copyLinkBtn', 'click', () => this.copyShareLink());
 
     // View controls
@@ -257,9 +332,27 @@ rectangle System {
     const umlCode = document.getElementById('umlCode');
     if (umlCode) {
       umlCode.addEventListener('input', this.debounce((e) => this.updateEditorStats(), 100));
+      umlCode.addEventListener('input', () => this.clearErrorHighlight());
       umlCode.addEventListener('paste', () => {
         setTimeout(() => this.updateEditorStats(), 10);
       });
+
+      // Dropping a diagram rendered by this service re-opens its embedded source
+      umlCode.addEventListener('dragover', (e) => {
+        if (e.dataTransfer?.types.includes('Files')) {
+          e.preventDefault();
+          umlCode.classList.add('drop-target');
+        }
+      });
+      umlCode.addEventListener('dragleave', () => umlCode.classList.remove('drop-target'));
+      umlCode.addEventListener('drop', (e) => {
+        umlCode.classList.remove('drop-target');
+        const file = e.dataTransfer?.files?.[0];
+        if (file) {
+          e.preventDefault();
+          this.openDroppedImage(file);
+        }
+      });
     }
 
     // Modal events
@@ -596,7 +689,7 @@ rectangle System {
       
       // Get diagram type and format
       const diagramType = document.getElementById('diagramType')?.value || 'plantuml';
-      const outputFormat = ['graphviz'].includes(diagramType) ? 'svg' : 'png';
+      const outputFormat = this.getOutputFormat();
       
       // Debug logging
       console.log('🔍 Request details:', {
@@ -636,26 +729,25 @@ rectangle System {
       if (!response.ok) {
         // Handle error response
         const errorData = await response.json().catch(() => null);
+        const diagnostics = errorData?.error?.diagnostics || [];
+        const located = diagnostics.find(diagnostic => diagnostic.line);
         let errorMessage = errorData?.error?.message || `HTTP ${response.status}: ${response.statusText}`;
-        
-        // Provide better error messages for common D2 issues
-        if (diagramType === 'd2' && errorMessage.includes('status 400')) {
-          console.error('🚨 D2 Error Debug:', {
-            originalError: errorMessage,
-            codeLength: umlCode.length,
-            codePreview: umlCode.substring(0, 200),
-            diagramType,
-            outputFormat
-          });
-          errorMessage = 'Invalid D2 syntax. Check console for details. D2 uses format: BoxA -> BoxB';
+
+        // Point at the offending line reported by the renderer
+        if (located) {
+          errorMessage = `Line ${located.line}: ${located.message}`;
+          this.highlightErrorLine(located);
         }
-        
-        throw new Error(errorMessage);
+
+        const generationError = new Error(errorMessage);
+        generationError.diagnostics = diagnostics;
+        throw generationError;
       }
 
       // Get image blob
       const imageBlob = await response.blob();
       this.currentImageBlob = imageBlob;
+      this.currentOutputFormat = outputFormat;
       
       console.log('📸 Image received:', {
         size: imageBlob.size,
@@ -702,6 +794,7 @@ rectangle System {
       this.addToHistory(umlCode, imageUrl);
 
       // Update UI state
+      this.clearErrorHighlight();
       this.showStatus('✅ Diagram generated successfully', 'success');
       this.enableImageControls();
 
@@ -731,7 +824,7 @@ rectangle System {
             body: JSON.stringify({ 
           uml: umlCode,
           diagram_type: document.getElementById('diagramType')?.value || 'plantuml',
-          output_format: ['d2', 'mermaid', 'graphviz'].includes(document.getElementById('diagramType')?.value) ? 'svg' : 'png'
+          output_format: this.getOutputFormat()
         }),
             timestamp: Date.now()
           });
@@ -739,7 +832,7 @@ rectangle System {
       }
 
       this.showStatus(`❌ ${userMessage}`, 'error');
-      this.displayError(errorMessage);
+      this.displayError(errorMessage, error.diagnostics);
       
       // Clear any previous image and disable download buttons
       this.clearImage();
@@ -770,7 +863,7 @@ rectangle System {
     const diagramType = document.getElementById('diagramType')?.value || 'plantuml';
 
     // Check if this is an SVG
-    const isSvg = ['graphviz'].includes(diagramType);
+    const isSvg = this.currentOutputFormat === 'svg';
     
     if (isSvg) {
       // For SVG, fetch and embed directly for better compatibility
@@ -831,13 +924,21 @@ rectangle System {
     this.updateZoomControls();
   }
 
-  displayError(message) {
+  displayError(message, diagnostics = []) {
     const imageContainer = document.getElementById('imageContainer');
+    const excerpt = (diagnostics.find(diagnostic => diagnostic.excerpt?.length) || {}).excerpt || [];
+    const excerptHtml = excerpt.length > 0
+      ? `<pre class="error-excerpt">${excerpt.map(entry =>
+        `<span class="${entry.error ? 'error-excerpt-line' : ''}">${String(entry.line).padStart(4)} | ${this.escapeHtml(entry.text)}</span>`
+      ).join('\n')}</pre>`
+      : '';
+
     imageContainer.innerHTML = `
             <div class="placeholder placeholder-error">
                 <span class="placeholder-icon" aria-hidden="true">⚠️</span>
                 <h3>Generation Error</h3>
                 <p id="diagram-description">${this.escapeHtml(message)}</p>
+                ${excerptHtml}
                 <p class="placeholder-hint">Please check your PlantUML syntax and try again</p>
             </div>
         `;
@@ -847,6 +948,48 @@ rectangle System {
     imageContainer.setAttribute('aria-live', 'polite');
   }
 
+  // Select the line named in a diagnostic so it stands out in the editor
+  highlightErrorLine(diagnostic) {
+    const editor = document.getElementById('umlCode');
+    if (!editor || !diagnostic?.line) {
+      return;
+    }
+
+    // The request sends trimmed code, so account for leading blank lines
+    const leadingLines = (editor.value.match(/^\s*/)[0].match(/\n/g) || []).length;
+    const lines = editor.value.split('\n');
+    const lineIndex = Math.min(diagnostic.line - 1 + leadingLines, lines.length - 1);
+    const start = lines.slice(0, lineIndex).reduce((sum, line) => sum + line.length + 1, 0);
+
+    editor.focus();
+    editor.setSelectionRange(start, start + lines[lineIndex].length);
+    editor.classList.add('has-error');
+    editor.setAttribute('aria-invalid', 'true');
+
+    const lineHeight = parseFloat(getComputedStyle(editor).lineHeight) || 20;
+    editor.scrollTop = Math.max(0, lineIndex * lineHeight - editor.clientHeight / 2);
+
+    const marker = document.getElementById('editorError');
+    if (marker) {
+      marker.textContent = `Error on line ${lineIndex + 1}${diagnostic.column ? `, column ${diagnostic.column}` : ''}: ${diagnostic.message}`;
+      marker.hidden = false;
+    }
+  }
+
+  clearErrorHighlight() {
+    const editor = document.getElementById('umlCode');
+    if (editor) {
+      editor.classList.remove('has-error');
+      editor.removeAttribute('aria-invalid');
+    }
+
+    const marker = document.getElementById('editorError');
+    if (marker) {
+      marker.hidden = true;
+      marker.textContent = '';
+    }
+  }
+
   clearImage() {
     const imageContainer = document.getElementById('imageContainer');
     imageContainer.innerHTML = `
@@ -874,7 +1017,7 @@ rectangle System {
 
   enableImageControls() {
     const controls = [
-      'downloadPngBtn', 'downloadSvgBtn', 'copyLinkBtn', 'fullscreenBtn',
+      'downloadPngBtn', 'downloadSvgBtn', 'downloadTxtBtn', 'downloadUtxtBtn', 'downloadTiffBtn', 'copyLinkBtn', 'fullscreenBtn',
       'zoomInBtn', 'zoomOutBtn', 'resetZoomBtn'
     ];
 
@@ -889,7 +1032,7 @@ rectangle System {
 
   disableImageControls() {
     const controls = [
-      'downloadPngBtn', 'downloadSvgBtn', 'copyLinkBtn', 'fullscreenBtn',
+      'downloadPngBtn', 'downloadSvgBtn', 'downloadTxtBtn', 'downloadUtxtBtn', 'downloadTiffBtn', 'copyLinkBtn', 'fullscreenBtn',
       'zoomInBtn', 'zoomOutBtn', 'resetZoomBtn'
     ];
 
@@ -981,7 +1124,7 @@ note right of User: Modern, accessible\\nUML diagram service
 
     const umlCodeElement = document.getElementById('umlCode');
     if (umlCodeElement) {
-      umlCodeElement.value = examples[diagramType] || examples['plantuml'];
+      umlCodeElement.value = examples[diagramType] || this.capabilities[diagramType]?.example || examples['plantuml'];
       umlCodeElement.focus();
       this.updateEditorStats();
     }
@@ -1010,8 +1153,11 @@ note right of User: Modern, accessible\\nUML diagram service
       'graphviz': 'Enter your Graphviz DOT code here...\n\nExample:\ndigraph G {\n  A -> B;\n  B -> C;\n  C -> A;\n}'
     };
     
+    const capability = this.capabilities[type];
     if (textarea && placeholders[type]) {
       textarea.placeholder = placeholders[type];
+    } else if (textarea && capability) {
+      textarea.placeholder = `Enter your ${capability.name} code here...\n\nExample:\n${capability.example}`;
     }
     
     // Update status message
@@ -1028,11 +1174,8 @@ note right of User: Modern, accessible\\nUML diagram service
     try {
       const diagramType = document.getElementById('diagramType')?.value || 'plantuml';
       
-      // Determine actual format based on diagram type
-      let actualFormat = format;
-      if (['graphviz'].includes(diagramType)) {
-        actualFormat = 'svg'; // These types only support SVG
-      }
+      // The blob is in the format it was generated in
+      const actualFormat = this.currentOutputFormat || format;
       
       // Ensure blob has correct MIME type
       let downloadBlob = this.currentImageBlob;
@@ -1066,6 +1209,146 @@ note right of User: Modern, accessible\\nUML diagram service
     }
   }
 
+  // Ask the API for the source embedded in a rendered PNG/SVG/PDF and load it into the editor
+  async openDroppedImage(file) {
+    try {
+      this.showStatus(`Reading ${file.name}...`, 'loading');
+
+      const response = await fetch(`${this.apiUrl}/api/v2/extract`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': file.type || 'application/octet-stream'
+        },
+        body: file
+      });
+
+      const result = await response.json().catch(() => null);
+      if (!response.ok) {
+        throw new Error(result?.error?.message || `HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      const umlCode = document.getElementById('umlCode');
+      umlCode.value = result.source;
+      this.updateEditorStats();
+
+      const diagramType = document.getElementById('diagramType');
+      if (diagramType && result.diagramType && diagramType.querySelector(`option[value="${result.diagramType}"]`)) {
+        diagramType.value = result.diagramType;
+        this.updatePlaceholderForDiagramType(result.diagramType);
+        this.updateFormatPicker(result.diagramType);
+      }
+
+      this.showStatus(`Source loaded from ${file.name}`, 'success');
+      this.showToast('Diagram Opened', `Recovered the source of ${file.name}`, 'success');
+      this.announceToScreenReader(`Diagram source loaded from ${file.name}`);
+      umlCode.focus();
+
+    } catch (error) {
+      console.error('Source extraction failed:', error);
+      this.showStatus('Could not open the dropped file', 'error');
+      this.showToast('Open Failed', error.message, 'error');
+    }
+  }
+
+  // Text art is rendered on demand by the v2 API; only PlantUML (sequence diagrams) supports it
+  async downloadText(format = 'txt') {
+    const umlCode = document.getElementById('umlCode').value.trim();
+    const diagramType = document.getElementById('diagramType')?.value || 'plantuml';
+    const label = format === 'utxt' ? 'Unicode text' : 'ASCII text';
+
+    if (!this.typeSupportsFormat(diagramType, format)) {
+      this.showToast('Download Failed', `${label} export is not available for ${diagramType} diagrams`, 'error');
+      return;
+    }
+
+    try {
+      this.showStatus(`Rendering ${label}...`, 'loading');
+
+      const response = await fetch(`${this.apiUrl}/api/v2/generate`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ uml: umlCode, diagramType, format })
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => null);
+        throw new Error(errorData?.error?.message || `HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      const blob = new Blob([await response.text()], { type: 'text/plain;charset=utf-8' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      const timestamp = new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-');
+
+      a.href = url;
+      a.download = `${diagramType}-diagram-${timestamp}.${format === 'utxt' ? 'utxt.txt' : 'txt'}`;
+      a.style.display = 'none';
+
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+
+      setTimeout(() => URL.revokeObjectURL(url), 100);
+
+      this.showStatus(`Diagram downloaded as ${label}`, 'success');
+      this.showToast('Download Complete', `${diagramType.toUpperCase()} diagram saved as ${label}`, 'success');
+      this.announceToScreenReader(`Diagram downloaded as ${label} file`);
+
+    } catch (error) {
+      console.error('Text download failed:', error);
+      this.showStatus('Download failed', 'error');
+      this.showToast('Download Failed', error.message, 'error');
+    }
+  }
+
+  // Print TIFFs are rasterized by the v2 API from the SVG rendering at 300 DPI
+  async downloadPrint() {
+    const umlCode = document.getElementById('umlCode').value.trim();
+    const diagramType = document.getElementById('diagramType')?.value || 'plantuml';
+
+    try {
+      this.showStatus('Rendering print TIFF...', 'loading');
+
+      const response = await fetch(`${this.apiUrl}/api/v2/generate`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ uml: umlCode, diagramType, format: 'tiff', print: { dpi: 300 } })
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => null);
+        throw new Error(errorData?.error?.message || `HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      const a = document.createElement('a');
+      const timestamp = new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-');
+
+      a.href = url;
+      a.download = `${diagramType}-diagram-${timestamp}-300dpi.tiff`;
+      a.style.display = 'none';
+
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+
+      setTimeout(() => URL.revokeObjectURL(url), 100);
+
+      this.showStatus('Diagram downloaded as print TIFF', 'success');
+      this.showToast('Download Complete', `${diagramType.toUpperCase()} diagram saved as a 300 DPI TIFF`, 'success');
+      this.announceToScreenReader('Diagram downloaded as print TIFF file');
+
+    } catch (error) {
+      console.error('Print download failed:', error);
+      this.showStatus('Download failed', 'error');
+      this.showToast('Download Failed', error.message, 'error');
+    }
+  }
+
   openFullscreen() {
     const img = document.querySelector('#imageContainer img');
     const modal = document.getElementById('fullscreenModal');